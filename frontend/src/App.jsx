@@ -16,6 +16,7 @@ import Chat from './pages/Chat';
 import ResetPassword from './pages/ResetPassword';
 import NewPassword from './pages/NewPassword';
 import About from './pages/About';
+import StockAlertUnsubscribe from './pages/StockAlertUnsubscribe';
 
 import AdminRoute from './routes/AdminRoute';
 import PrivateRoute from "./routes/PrivateRoute";
@@ -54,7 +55,9 @@ function App() {
         <Route path='/about' element={<About />} />
         <Route path='/resetPassword' element={<ResetPassword />} />
         <Route path='/newPassword/:resetToken' element={<NewPassword />} />
+        <Route path='/stockAlert/unsubscribe/:token' element={<StockAlertUnsubscribe />} />
         <Route path='/productDetail/:productId' element={<ProductDetail />} />
+        <Route path='/products/:slug' element={<ProductDetail />} />
         <Route path='/collections/:category' element={<Collection />} />
         <Route path='/collections/:category/:subcategory' element={<Collection />} />
         <Route path='/search/:searchKey?' element={<Search />} />
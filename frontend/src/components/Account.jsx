@@ -4,8 +4,7 @@ import { useNavigate, Link } from "react-router-dom";
 import Navigation from "../components/Navigation";
 import { useRef } from 'react';
 
-import { getDownloadURL, getStorage, ref, uploadBytesResumable } from 'firebase/storage';
-import { app } from '../firebase';
+import { getImageUrl, uploadImage } from '../lib/imageUpload';
 
 import { FaRegUser } from "react-icons/fa";
 import { IoMdCloseCircleOutline } from "react-icons/io";
@@ -101,28 +100,13 @@ const Account = () => {
     const [formDataImage, setFormDataImage] = useState('');
 
     const handleFileUploadImage = async (image) => {
-        const storage = getStorage(app);
-        const fileName = new Date().getTime() + image.name;
-        const storageRef = ref(storage, fileName);
-        const uploadTask = uploadBytesResumable(storageRef, image);
-
-        uploadTask.on(
-            'state_changed',
-            (snapshot) => {
-                const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                setImageFileUploadProgress(progress.toFixed(0));
-            },
-            (error) => {
-                setImageFileUploadError('Could not upload image (File must be less than 2MB)');
-                console.log(error)
-            },
-            () => {
-                getDownloadURL(uploadTask.snapshot.ref)
-                    .then((downloadURL) => {
-                        setFormDataImage(downloadURL)
-                    })
-            }
-        )
+        try {
+            const uploaded = await uploadImage(image, 'avatar', setImageFileUploadProgress);
+            setFormDataImage(uploaded.url)
+        } catch (error) {
+            setImageFileUploadError(error.message);
+            console.log(error)
+        }
     }
 
     useEffect(() => {
@@ -173,6 +157,52 @@ const Account = () => {
         }
     }
 
+    // Update fit profile (so do de goi y size)
+    const [updateFit, setUpdateFit] = useState(false);
+    const [formFit, setFormFit] = useState({});
+
+    const fitLabels = { slim: 'Ôm', regular: 'Vừa', loose: 'Rộng' };
+
+    const handleOpenFit = () => {
+        setFormFit({
+            height: currentUser?.fitProfile?.height ?? '',
+            weight: currentUser?.fitProfile?.weight ?? '',
+            fit: currentUser?.fitProfile?.fit || 'regular',
+        });
+        setUpdateFit(true);
+    }
+
+    const handleChangeFormFit = (e) => {
+        setFormFit({ ...formFit, [e.target.name]: e.target.value });
+    }
+
+    const submitFormFit = async (e) => {
+        e.preventDefault();
+        dispatch(updateStart());
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/user/update/${currentUser._id}`, {
+                method: "PUT",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ fitProfile: formFit }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                dispatch(updateFailure(data.message));
+                handleShowErrorMessage(data.message);
+                return;
+            } else {
+                dispatch(updateSuccess(data));
+                setUpdateFit(false);
+                handleShowSucccessMessage("Cập nhật số đo thành công!");
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
     return (
         <div className="p-[20px] max-h-[700px] overflow-y-scroll">
             {/* <ToastContainer /> */}
@@ -181,7 +211,7 @@ const Account = () => {
                 <h2 className="text-[24px] font-semibold mb-[20px]">Thông tin tài khoản</h2>
                 <div className="w-[100px] h-[100px] ">
                     <img
-                        src={currentUser?.profilePic}
+                        src={getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, "thumbnail")}
                         alt="avatar"
                         className="w-full h-full object-cover border rounded-[50%]"
                     />
@@ -214,6 +244,21 @@ const Account = () => {
                     <p>********</p>
                 </div>
                 <div onClick={() => setUpdateAuth(true)} className="border border-black rounded-[20px] w-[100px] text-center p-[10px] hover:bg-black hover:text-white cursor-pointer">Cập nhật</div>
+
+                <h2 className="text-[24px] font-semibold pt-[20px]">Số đo</h2>
+                <div className="flex justify-start my-[20px]">
+                    <label className="w-[300px] max-md:w-[150px]">Chiều cao</label>
+                    <p>{currentUser?.fitProfile?.height ? `${currentUser.fitProfile.height} cm` : ''}</p>
+                </div>
+                <div className="flex justify-start my-[20px]">
+                    <label className="w-[300px] max-md:w-[150px]">Cân nặng</label>
+                    <p>{currentUser?.fitProfile?.weight ? `${currentUser.fitProfile.weight} kg` : ''}</p>
+                </div>
+                <div className="flex justify-start my-[20px]">
+                    <label className="w-[300px] max-md:w-[150px]">Kiểu mặc</label>
+                    <p>{fitLabels[currentUser?.fitProfile?.fit || 'regular']}</p>
+                </div>
+                <div onClick={handleOpenFit} className="border border-black rounded-[20px] w-[100px] text-center p-[10px] hover:bg-black hover:text-white cursor-pointer">Cập nhật</div>
             </div>
 
             {updateAccount && (
@@ -224,7 +269,7 @@ const Account = () => {
                             <input onChange={(e) => setImage(e.target.files[0])} type="file" className="hidden" accept="image/*" ref={fileRef} />
                             <img
                                 onClick={() => fileRef.current.click()}
-                                src={formDataImage || currentUser?.profilePic}
+                                src={formDataImage || getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, "thumbnail")}
                                 alt="avatar"
                                 className="w-full h-full object-cover rounded-[50%] border cursor-pointer"
                             />
@@ -298,6 +343,30 @@ const Account = () => {
                 </div>
             )}
 
+            {updateFit && (
+                <div className='fixed inset-0 bg-black bg-opacity-30 backdrop-blur-sm  animate__animated animate__fadeIn'>
+                    <div className="relative flex flex-col gap-[20px] overflow-y-scroll w-[500px] max-md:w-[300px] h-[400px] mx-auto bg-white rounded-[10px] p-[20px] mt-[100px]">
+                        <h3 className="text-[20px] font-semibold">Chỉnh sửa số đo</h3>
+                        <button className="absolute top-0 right-0 " onClick={() => setUpdateFit(false)}>
+                            <IoMdCloseCircleOutline className="text-[30px]" />
+                        </button>
+                        <form onSubmit={submitFormFit}>
+                            <input onChange={handleChangeFormFit} name='height' value={formFit.height} type="number" placeholder="chiều cao (cm)" className="border rounded-[20px] w-full p-[10px] my-[20px]" />
+                            <input onChange={handleChangeFormFit} name='weight' value={formFit.weight} type="number" placeholder="cân nặng (kg)" className="border rounded-[20px] w-full p-[10px]" />
+                            <div className="flex gap-[20px] px-[20px] py-[5px] border rounded-[20px] w-full mt-[20px]">
+                                {Object.entries(fitLabels).map(([value, label]) => (
+                                    <div key={value} className="flex gap-[5px]">
+                                        <input type="radio" value={value} name="fit" checked={formFit.fit === value} onChange={handleChangeFormFit} />
+                                        <label>{label}</label>
+                                    </div>
+                                ))}
+                            </div>
+                            <button className="border rounded-[20px] w-[200px] bg-black text-white py-[5px] my-[20px]">Cập nhật số đo</button>
+                        </form>
+                    </div>
+                </div>
+            )}
+
         </div>
     )
 }
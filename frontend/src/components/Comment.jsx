@@ -11,6 +11,7 @@ import 'animate.css';
 // CHART
 import { Chart as ChartJS, defaults } from 'chart.js/auto';
 import { Bar } from 'react-chartjs-2';
+import { getReviewImage } from '../lib/imageUpload';
 
 defaults.maintainAspectRatio = false;
 defaults.responsive = true;
@@ -322,7 +323,7 @@ const Comment = ({
                                                                             {
                                                                                 comment?.image.map((pic, index) => (
                                                                                     <div key={index} className='w-[50px] h-[50px] '>
-                                                                                        <img src={pic} alt="" className='w-full h-full object-cover' />
+                                                                                        <img src={getReviewImage(comment, index, 'thumbnail')} alt="" className='w-full h-full object-cover' />
                                                                                     </div>
                                                                                 ))
                                                                             }
@@ -1,40 +1,56 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState } from 'react'
 import { useSelector } from 'react-redux'
 import { useParams, useNavigate, Link } from 'react-router-dom'
 import Loader from '../components/Loader'
 import 'animate.css'
 import { BsFillGridFill, BsList } from 'react-icons/bs'
 import { CiSearch } from "react-icons/ci";
+import { useSearchSuggestions, getSuggestionPath } from '../hooks/use-search-suggestions'
+import SearchSuggestions from './SearchSuggestions'
 
-const Filter = ({ selectCategory, newSearchKey, setNewSearchKey, showType, setShowType, sortType, setSortType, productCount, handleFetchProductBySearchKey }) => {
+const Filter = ({ newSearchKey, setNewSearchKey, showType, setShowType, sortType, setSortType, productCount }) => {
 
     const navigate = useNavigate();
 
-    useEffect(() => {
-        setSortType("default")
-    }, [selectCategory]);
+    const suggestion = useSearchSuggestions(newSearchKey, (item) => {
+        if (item.type === 'query') {
+            setNewSearchKey(item.text);
+        }
+        navigate(getSuggestionPath(item));
+    });
 
     const handleKeyChange = (e) => {
         setNewSearchKey(e.target.value);
+        suggestion.setOpen(true);
     }
 
     const handleClickSearch = () => {
         navigate(`/search/${newSearchKey}`);
-        handleFetchProductBySearchKey(1, newSearchKey);
     }
 
     return (
         <div className='w-full flex max-md:flex-col items-center max-md:items-start gap-[30px]'>
             <div className='flex items-center max-md:items-start gap-[30px]'>
-                <div className='flex justify-between gap-[10px] items-center border rounded-[5px] bg-gray-100 w-[250px] px-[10px] py-[5px]'>
+                <div className='relative flex justify-between gap-[10px] items-center border rounded-[5px] bg-gray-100 w-[250px] px-[10px] py-[5px]'>
                     <input
                         type="text"
                         value={newSearchKey}
                         onChange={handleKeyChange}
+                        onKeyDown={suggestion.handleKeyDown}
+                        onFocus={() => suggestion.setOpen(true)}
+                        onBlur={() => suggestion.setOpen(false)}
                         className='bg-transparent w-full'
                         placeholder='Search'
                     />
                     <CiSearch className="text-gray-600 text-[20px] cursor-pointer" onClick={handleClickSearch} />
+                    {suggestion.open && (
+                        <SearchSuggestions
+                            items={suggestion.items}
+                            activeIndex={suggestion.activeIndex}
+                            setActiveIndex={suggestion.setActiveIndex}
+                            selectItem={suggestion.selectItem}
+                        />
+                    )}
 
                 </div>
                 <div className='flex gap-[10px] items-center'>
@@ -58,6 +74,9 @@ const Filter = ({ selectCategory, newSearchKey, setNewSearchKey, showType, setSh
                     <option value="priceHighToLow">Giá (cao nhất) </option>
                     <option value="nameAZ">Tên (a-z) </option>
                     <option value="nameZA">Tên (z-a) </option>
+                    <option value="newest">Mới nhất </option>
+                    <option value="bestSelling">Bán chạy </option>
+                    <option value="topRated">Đánh giá cao </option>
                 </select>
             </form>
         </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react'
 import { useSelector } from 'react-redux';
 import Loader from './Loader';
 import { useNavigate } from 'react-router-dom';
+import { describeComponents } from '../lib/cartItem';
 
 import "animate.css"
 
@@ -80,7 +81,11 @@ const History = () => {
                       <img src={product.image} alt="" className='w-[60px] h-[60px] object-cover rounded-[5px]' />
                       <div className='flex flex-col gap-[5px]'>
                         <p>{product.name}</p>
-                        <p><span className='uppercase'>{product.size}</span> | {product.color} | x{product.quantity}</p>
+                        {product.bundleId ? (
+                            <p>{describeComponents(product.components)} | x{product.quantity}</p>
+                        ) : (
+                            <p><span className='uppercase'>{product.size}</span> | {product.color} | x{product.quantity}</p>
+                        )}
                       </div>
                     </div>
                     <p className='text-red-500'>{product.price}&#8363;</p>
@@ -2,6 +2,7 @@ import React from 'react'
 import { useNavigate, Link, useParams } from 'react-router-dom'
 import { useSelector, useDispatch } from 'react-redux'
 import { signOutSuccess } from '../redux/user/userSlice';
+import { getImageUrl } from '../lib/imageUpload';
 
 const LeftSideBar = () => {
 
@@ -27,7 +28,7 @@ const LeftSideBar = () => {
     return (
         <div className='flex flex-col justify-between items-center p-[20px] gap-[20px] h-screen w-[200px] text-[18px] bg-black text-white max-md:hidden'>
             <div className='w-[80px] h-[80px]'>
-                <img src={currentUser?.profilePic} alt="" className='w-full h-full object-cover rounded-[50%]' />
+                <img src={getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, 'thumbnail')} alt="" className='w-full h-full object-cover rounded-[50%]' />
             </div>
             <div className='flex flex-col gap-[50px]'>
                 <Link to='/admin' className={`cursor-pointer hover:text-red-400`}>Dashboard</Link>
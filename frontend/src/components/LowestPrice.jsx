@@ -0,0 +1,43 @@
+import React from 'react'
+import { getDisplayPricing, getLowestPrice30Days } from '../lib/pricing';
+
+const CHART_WIDTH = 120;
+const CHART_HEIGHT = 30;
+
+// duong gia cua cac moc trong lich su gia
+const PriceChart = ({ series }) => {
+    const prices = series.map((entry) => entry.price);
+    const min = Math.min(...prices);
+    const range = Math.max(...prices) - min || 1;
+    const points = series.map((entry, index) => {
+        const x = (index / (series.length - 1)) * CHART_WIDTH;
+        const y = CHART_HEIGHT - ((entry.price - min) / range) * (CHART_HEIGHT - 4) - 2;
+        return `${x},${y}`;
+    }).join(' ');
+
+    return (
+        <svg width={CHART_WIDTH} height={CHART_HEIGHT} className='shrink-0'>
+            <title>{series.map((entry) => `${new Date(entry.date).toLocaleDateString('vi-VN')}: ${entry.price}₫`).join('\n')}</title>
+            <polyline points={points} fill='none' stroke='#f87171' strokeWidth='2' />
+        </svg>
+    )
+}
+
+// gia thap nhat 30 ngay truoc dot giam gia, chi hien khi dang giam gia
+const LowestPrice = ({ product, variant }) => {
+    const { compareAtPrice } = getDisplayPricing(product, variant);
+    const lowestPrice = getLowestPrice30Days(product, variant);
+    if (!compareAtPrice || lowestPrice === null) return null;
+
+    const series = product.priceHistory?.series || [];
+    const hasOwnPrice = variant?.price !== undefined && variant?.price !== null;
+
+    return (
+        <div className='flex items-center gap-[10px] text-[14px] text-gray-500 pb-[10px]'>
+            <span>Giá thấp nhất 30 ngày trước: {lowestPrice}&#8363;</span>
+            {!hasOwnPrice && series.length > 1 && <PriceChart series={series} />}
+        </div>
+    )
+}
+
+export default LowestPrice
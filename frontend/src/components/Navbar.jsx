@@ -2,6 +2,8 @@ import React, { useState, useEffect } from "react";
 import Logo from "/Kaydi.png";
 import Logo2 from "/logo/logo.png";
 import { Link, useNavigate } from "react-router-dom";
+import { getCategoryKey } from "../lib/paths";
+import { getImageUrl } from "../lib/imageUpload";
 import { useSelector, useDispatch } from "react-redux";
 import { CiSearch } from "react-icons/ci";
 import { FaRegUser } from "react-icons/fa";
@@ -9,6 +11,9 @@ import { HiOutlineShoppingBag } from "react-icons/hi";
 import styled from "styled-components";
 
 import { setCartStart, setCartSuccess } from "../redux/cart/cartSlice";
+import { useSearchSuggestions, getSuggestionPath } from "../hooks/use-search-suggestions";
+import SearchSuggestions from "./SearchSuggestions";
+import NotificationBell from "./NotificationBell";
 
 import { CiSettings } from "react-icons/ci";
 import { FaHistory } from "react-icons/fa";
@@ -33,7 +38,7 @@ const Navbar = () => {
 
     const handleFetchCategories = async () => {
         try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getAllCategories`, {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getCategoryTree`, {
                 method: "GET",
                 credentials: 'include',
             });
@@ -41,7 +46,7 @@ const Navbar = () => {
             if (!res.ok) {
                 console.log(data.message);
             } else {
-                setCategories(data.allCategories);
+                setCategories(data);
             }
         } catch (error) {
             console.log(error.message);
@@ -106,8 +111,16 @@ const Navbar = () => {
 
     const [searchValue, setSearchValue] = useState('');
 
+    const suggestion = useSearchSuggestions(searchValue, (item) => {
+        if (item.type === "query") {
+            setSearchValue(item.text);
+        }
+        navigate(getSuggestionPath(item));
+    });
+
     const handleChange = (e) => {
         setSearchValue(e.target.value);
+        suggestion.setOpen(true);
     }
 
 
@@ -124,7 +137,7 @@ const Navbar = () => {
                     <ul className="flex ">
                         {categories?.map((category, index) => (
                             <li className="group px-[20px] py-[30px] cursor-pointer hover:bg-[#505050]" key={index}>
-                                <div onClick={() => { handleClickCategory(category.name) }} className="cursor-pointer hover:font-semibold uppercase text-[16px] max-lg:text-[14px]">
+                                <div onClick={() => { handleClickCategory(getCategoryKey(category)) }} className="cursor-pointer hover:font-semibold uppercase text-[16px] max-lg:text-[14px]">
                                     {category.title}
                                 </div>
                                 {/* expand */}
@@ -134,18 +147,26 @@ const Navbar = () => {
                                             <h3 className="text-[20px] text-red-400 uppercase font-semibold pb-[10px] border-b-[2px] border-black w-[120px]">Bộ sưu tập</h3>
                                             <div className="flex gap-[20px]">
                                                 <div className="flex flex-wrap border-black gap-[30px] pt-[20px]">
-                                                    {category.description.map((item, index) => (
-                                                        <p key={index} className="cursor-pointer text-[18px] hover:font-semibold" onClick={() => handleClickCategory(category.name, item)}>
-                                                            {item}
-                                                        </p>
-                                                    ))}
+                                                    {category.children?.length > 0 ? (
+                                                        category.children.map((child) => (
+                                                            <p key={child._id} className="cursor-pointer text-[18px] hover:font-semibold" onClick={() => handleClickCategory(getCategoryKey(category), getCategoryKey(child))}>
+                                                                {child.title}
+                                                            </p>
+                                                        ))
+                                                    ) : (
+                                                        category.description.map((item, index) => (
+                                                            <p key={index} className="cursor-pointer text-[18px] hover:font-semibold" onClick={() => handleClickCategory(getCategoryKey(category), item)}>
+                                                                {item}
+                                                            </p>
+                                                        ))
+                                                    )}
                                                 </div>
                                             </div>
                                         </div>
                                         {
                                             category.heroImage && (
                                                 <div className="w-[400px] h-[150px] border shadow-md">
-                                                    <img src={category.heroImage} alt="hero" className="w-full h-full object-cover" />
+                                                    <img src={getImageUrl(category.heroImage, category.heroImageVariants, "card")} alt="hero" className="w-full h-full object-cover" />
                                                 </div>
                                             )
                                         }
@@ -158,18 +179,30 @@ const Navbar = () => {
 
                 {/* SEARCH + USER + CART */}
                 <div className="flex gap-[20px] justify-end items-center ">
-                    <div className="border rounded-[20px] w-[200px] p-[10px] bg-white flex gap-[10px]">
+                    <div className="relative border rounded-[20px] w-[200px] p-[10px] bg-white flex gap-[10px]">
                         <div>
                             <CiSearch className="text-gray-600 text-[20px] cursor-pointer" onClick={() => navigate(`/search/${searchValue}`)} />
                         </div>
                         <input
                             value={searchValue}
                             onChange={handleChange}
+                            onKeyDown={suggestion.handleKeyDown}
+                            onFocus={() => suggestion.setOpen(true)}
+                            onBlur={() => suggestion.setOpen(false)}
                             type="text"
                             placeholder="Tìm kiếm sản phẩm"
                             className="w-full text-gray-600"
                         />
+                        {suggestion.open && (
+                            <SearchSuggestions
+                                items={suggestion.items}
+                                activeIndex={suggestion.activeIndex}
+                                setActiveIndex={suggestion.setActiveIndex}
+                                selectItem={suggestion.selectItem}
+                            />
+                        )}
                     </div>
+                    <NotificationBell />
                     <div>
                         {currentUser ? (
                             <FaRegUser
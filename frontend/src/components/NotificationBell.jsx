@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { pusherClient } from '../lib/pusher';
+import { IoMdNotificationsOutline } from "react-icons/io";
+
+// thong bao trong app (co hang lai...), cap nhat qua pusher tren kenh cua user
+const NotificationBell = () => {
+
+    const { currentUser } = useSelector((state) => state.user);
+    const navigate = useNavigate();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [open, setOpen] = useState(false);
+
+    const userId = currentUser?._id;
+
+    useEffect(() => {
+        if (!userId) return;
+
+        const handleFetchNotifications = async () => {
+            try {
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/notification/getNotifications`, {
+                    method: "GET",
+                    credentials: 'include',
+                });
+                const data = await res.json();
+                if (res.ok) {
+                    setNotifications(data.notifications);
+                    setUnreadCount(data.unreadCount);
+                }
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+        handleFetchNotifications();
+
+        // kenh cua user dung chung voi chat nen chi unbind, khong unsubscribe
+        const channel = pusherClient.subscribe(userId);
+        const handleNotification = (notification) => {
+            setNotifications((prev) => [notification, ...prev]);
+            setUnreadCount((prev) => prev + 1);
+        };
+        channel.bind("new-notification", handleNotification);
+        return () => channel.unbind("new-notification", handleNotification);
+    }, [userId]);
+
+    const handleToggle = async () => {
+        setOpen(!open);
+        if (!open && unreadCount > 0) {
+            setUnreadCount(0);
+            try {
+                await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/notification/markRead`, {
+                    method: "PUT",
+                    credentials: 'include',
+                });
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+    }
+
+    if (!currentUser) {
+        return null;
+    }
+
+    return (
+        <div className="relative">
+            <IoMdNotificationsOutline onClick={handleToggle} className="text-[26px] cursor-pointer" />
+            {unreadCount > 0 && (
+                <div className="absolute top-[-5px] right-[-4px] font-semibold text-white text-[12px] rounded-[50%] px-[5px] bg-red-400">{unreadCount}</div>
+            )}
+            {open && (
+                <div className="absolute right-0 top-[35px] z-50 w-[320px] max-h-[400px] overflow-y-auto bg-white text-black border shadow-lg rounded-[10px] animate__animated animate__fadeIn">
+                    {notifications.length === 0 ? (
+                        <p className="p-[10px] text-gray-500">Chưa có thông báo</p>
+                    ) : notifications.map((notification) => (
+                        <div
+                            key={notification._id}
+                            onClick={() => { setOpen(false); notification.link && navigate(notification.link) }}
+                            className={`p-[10px] border-b cursor-pointer hover:bg-gray-100 ${notification.isRead ? '' : 'bg-red-50'}`}
+                        >
+                            <p className="font-semibold">{notification.title}</p>
+                            {notification.message && <p className="text-[14px] text-gray-600">{notification.message}</p>}
+                            <p className="text-[12px] text-gray-400">{new Date(notification.createdAt).toLocaleString('vi-VN')}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default NotificationBell
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { describeComponents } from '../lib/cartItem';
+
+// cac combo co chua san pham dang xem
+const ProductBundles = ({ productId }) => {
+
+    const [bundles, setBundles] = useState([]);
+    const { currentUser } = useSelector((state) => state.user);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        const handleFetchBundles = async () => {
+            try {
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/bundle/getByProduct/${productId}`, {
+                    method: "GET",
+                    credentials: 'include',
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    console.log(data.message);
+                } else {
+                    setBundles(data);
+                }
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+        if (productId) {
+            handleFetchBundles();
+        }
+    }, [productId]);
+
+    const handleAddBundle = async (bundle) => {
+        if (!currentUser) {
+            navigate('/signIn');
+            return;
+        }
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/cart/addBundleToCart`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ userId: currentUser._id, bundleId: bundle._id, quantity: 1 }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message === "Quantity exceeds available stock" ? "Combo này không đủ hàng trong kho" : "Thêm vào giỏ hàng thất bại !")
+            } else {
+                toast.success("Thêm combo vào giỏ hàng thành công !")
+                navigate('/cart');
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    if (bundles.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className='mt-[50px] flex flex-col gap-[20px]'>
+            <h3 className='text-[20px] uppercase font-semibold'>Mua theo combo</h3>
+            {bundles.map((bundle) => (
+                <div key={bundle._id} className='flex gap-[20px] items-center border rounded-[10px] p-[10px] shadow-md'>
+                    {bundle.image && (
+                        <img src={bundle.image} alt="" className='w-[80px] h-[80px] object-cover rounded-[5px]' />
+                    )}
+                    <div className='flex flex-col gap-[5px] flex-1'>
+                        <p className='font-semibold'>{bundle.name}</p>
+                        <p className='text-[14px] text-gray-500'>{describeComponents(bundle.components)}</p>
+                        <p className='font-semibold'>{bundle.price}&#8363;</p>
+                    </div>
+                    {bundle.availableStock > 0 ? (
+                        <div onClick={() => handleAddBundle(bundle)} className='px-[20px] py-[10px] bg-red-400 text-white rounded-[30px] cursor-pointer hover:bg-opacity-70 hover:text-black'>
+                            Thêm combo
+                        </div>
+                    ) : (
+                        <p className='text-red-500'>Hết hàng</p>
+                    )}
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default ProductBundles
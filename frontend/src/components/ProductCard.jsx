@@ -1,5 +1,8 @@
 import React from 'react'
 import { useNavigate } from 'react-router-dom'
+import { getProductPath } from '../lib/paths';
+import { getProductImage } from '../lib/imageUpload';
+import ProductPrice from './ProductPrice';
 
 const ProductCard = ({ product }) => {
 
@@ -7,14 +10,14 @@ const ProductCard = ({ product }) => {
 
     return (
         <div
-            onClick={() => { navigate(`/productDetail/${product._id}`) }}
+            onClick={() => { navigate(getProductPath(product)) }}
             className='flex flex-col px-[10px] gap-[10px] animate__animated animate__fadeIn cursor-pointer'>
             <div className='w-[300px] h-[400px] overflow-hidden'>
-                <img src={product?.listingPhotoPaths[0]} alt="image" className='w-full h-full object-cover rounded-[20px] transform transition-transform ease-in hover:scale-110' />
+                <img src={getProductImage(product)} alt="image" className='w-full h-full object-cover rounded-[20px] transform transition-transform ease-in hover:scale-110' />
             </div>
             <div className='flex flex-col w-[300px] my-[20px] gap-[10px]'>
                 <span>{product.name}</span>
-                <span className='font-semibold text-[12px]'>{product.price}&#8363;</span>
+                <ProductPrice product={product} className='text-[12px]' />
             </div>
         </div>
     )
@@ -0,0 +1,21 @@
+import React from 'react'
+import { getDisplayPricing } from '../lib/pricing';
+
+// gia hien tai, gia goc gach ngang va % giam gia
+const ProductPrice = ({ product, variant, className = '' }) => {
+    const { currentPrice, compareAtPrice, discountPercent } = getDisplayPricing(product, variant);
+
+    return (
+        <div className={`flex items-center gap-[10px] ${className}`}>
+            <span className='font-semibold'>{currentPrice}&#8363;</span>
+            {compareAtPrice && (
+                <span className='line-through text-gray-400'>{compareAtPrice}&#8363;</span>
+            )}
+            {discountPercent > 0 && (
+                <span className='bg-red-500 text-white rounded-[5px] px-[5px]'>-{discountPercent}%</span>
+            )}
+        </div>
+    )
+}
+
+export default ProductPrice
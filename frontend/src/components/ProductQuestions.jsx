@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FiSend } from "react-icons/fi";
+import Loader from './Loader';
+import 'animate.css';
+
+const QUESTIONS_PER_PAGE = 5;
+
+// hoi dap cong khai, chi hien cau hoi da duoc tra loi
+const ProductQuestions = ({ productId }) => {
+
+    const { currentUser } = useSelector((state) => state.user);
+    const navigate = useNavigate();
+
+    const [questions, setQuestions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [page, setPage] = useState(1);
+    const [totalPage, setTotalPage] = useState(0);
+    const [totalNumber, setTotalNumber] = useState(0);
+    const [search, setSearch] = useState('');
+    const [keyword, setKeyword] = useState('');
+    const [questionText, setQuestionText] = useState('');
+    const [answerTexts, setAnswerTexts] = useState({});
+    const [openAnswerId, setOpenAnswerId] = useState(null);
+
+    useEffect(() => {
+        const handleFetchQuestions = async (page) => {
+            setLoading(true);
+            try {
+                const params = new URLSearchParams({ page, limit: QUESTIONS_PER_PAGE });
+                if (keyword) {
+                    params.set('search', keyword);
+                }
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/getProductQuestions/${productId}?${params}`, {
+                    method: "GET",
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    console.log(data.message);
+                } else {
+                    setQuestions(data.questions);
+                    setTotalPage(data.totalPages);
+                    setTotalNumber(data.totalNumber);
+                }
+            } catch (error) {
+                console.log(error.message);
+            } finally {
+                setLoading(false);
+            }
+        }
+        if (productId) {
+            handleFetchQuestions(page);
+        }
+    }, [productId, page, keyword]);
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setKeyword(search.trim());
+    }
+
+    const handleAskQuestion = async (e) => {
+        e.preventDefault();
+        if (!currentUser) {
+            navigate('/signIn');
+            return;
+        }
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/ask/${productId}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text: questionText }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                setQuestionText('');
+                toast.success('Câu hỏi đã được gửi, sẽ hiển thị khi có câu trả lời');
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    const handleAnswer = async (questionId) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/answer/${questionId}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text: answerTexts[questionId] || '' }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                setQuestions(questions.map((question) => question._id === questionId ? data : question));
+                setAnswerTexts({ ...answerTexts, [questionId]: '' });
+                setOpenAnswerId(null);
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <div className='flex flex-col gap-[20px] my-[50px] animate__animated animate__fadeIn'>
+            <h3 className='text-[24px] font-semibold'>Hỏi đáp về sản phẩm ({totalNumber})</h3>
+
+            <form onSubmit={handleAskQuestion} className='flex items-center gap-[10px] border rounded-[10px] py-[5px] px-[10px] w-[600px] max-md:w-full'>
+                <input onChange={(e) => setQuestionText(e.target.value)} value={questionText} type="text" placeholder={currentUser ? 'Đặt câu hỏi về sản phẩm...' : 'Đăng nhập để đặt câu hỏi'} className='bg-transparent flex-1 p-[5px]' />
+                <button type='submit'>
+                    <FiSend className='text-[18px] cursor-pointer hover:text-blue-400' />
+                </button>
+            </form>
+
+            <form onSubmit={handleSearch} className='flex items-center gap-[10px]'>
+                <input onChange={(e) => setSearch(e.target.value)} value={search} type="text" placeholder='Tìm trong hỏi đáp...' className='border rounded-[10px] p-[5px] w-[300px] max-md:w-full' />
+                <button type='submit' className='border rounded-[10px] px-[10px] py-[5px] hover:bg-gray-100'>Tìm</button>
+            </form>
+
+            {loading ? (
+                <Loader />
+            ) : questions.length === 0 ? (
+                <p>{keyword ? 'Không tìm thấy câu hỏi phù hợp' : 'Chưa có câu hỏi nào được trả lời'}</p>
+            ) : (
+                <div className='flex flex-col gap-[20px]'>
+                    {questions.map((question) => (
+                        <div key={question._id} className='flex flex-col gap-[10px] border rounded-[10px] p-[10px]'>
+                            <div className='flex justify-between items-center'>
+                                <p className='font-semibold'>Hỏi: {question.text}</p>
+                                <p className='text-[12px] text-gray-400'>{question.creator?.username} - {new Date(question.createdAt).toLocaleDateString('vi-VN')}</p>
+                            </div>
+                            <div className='flex flex-col gap-[10px] bg-gray-100 p-[10px]'>
+                                {question.answers.map((answer) => (
+                                    <div key={answer._id} className='flex flex-col gap-[5px]'>
+                                        <div className='flex items-center gap-[10px] text-[12px] text-gray-500'>
+                                            <span className='font-semibold text-black'>{answer.author?.username}</span>
+                                            {answer.isAdmin && <span className='text-red-400'>Người bán</span>}
+                                            {!answer.isAdmin && answer.isVerifiedBuyer && <span className='text-green-500'>Đã mua hàng</span>}
+                                            <span>{new Date(answer.timestamp).toLocaleDateString('vi-VN')}</span>
+                                        </div>
+                                        <p className='text-[14px]'>{answer.text}</p>
+                                    </div>
+                                ))}
+                            </div>
+                            {currentUser && (
+                                openAnswerId === question._id ? (
+                                    <div className='flex items-center gap-[10px]'>
+                                        <p onClick={() => setOpenAnswerId(null)} className='text-[13px] text-gray-500 cursor-pointer hover:text-red-400'>Cancel</p>
+                                        <div className='flex items-center gap-[10px] border rounded-[10px] py-[5px] px-[10px]'>
+                                            <input onChange={(e) => setAnswerTexts({ ...answerTexts, [question._id]: e.target.value })} value={answerTexts[question._id] || ''} type="text" placeholder='Trả lời...' className='bg-transparent w-[250px]' />
+                                            <FiSend onClick={() => handleAnswer(question._id)} className='text-[18px] cursor-pointer hover:text-blue-400' />
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <p onClick={() => setOpenAnswerId(question._id)} className='text-[12px] text-gray-400 cursor-pointer hover:text-black w-fit'>Trả lời</p>
+                                )
+                            )}
+                        </div>
+                    ))}
+                    <div className='flex justify-center mx-auto items-center gap-[10px]'>
+                        <button onClick={() => setPage(page - 1)} disabled={page === 1}>{`<`}</button>
+                        <p>{page}/{totalPage}</p>
+                        <button onClick={() => setPage(page + 1)} disabled={page === totalPage}>{`>`}</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ProductQuestions
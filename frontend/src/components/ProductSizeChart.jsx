@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { BODY_MEASUREMENTS, formatRange, matchSize, measurementBounds } from '../lib/sizeChart';
+
+// ANIMATE
+import 'animate.css';
+
+import Slider from '@mui/material/Slider';
+
+// bang size cua san pham, co goi y size theo chieu cao / can nang neu bang co cac so do nay
+const ProductSizeChart = ({ chart }) => {
+
+    const bodyMeasurements = chart.measurements
+        .filter((measurement) => BODY_MEASUREMENTS.includes(measurement.key))
+        .map((measurement) => ({ ...measurement, bounds: measurementBounds(chart, measurement.key) }))
+        .filter((measurement) => measurement.bounds);
+
+    const [selectTableSize, setSelectTableSize] = useState(bodyMeasurements.length === 0);
+    const [values, setValues] = useState(
+        Object.fromEntries(bodyMeasurements.map((measurement) => [measurement.key, measurement.bounds.min]))
+    );
+    const [calculateDone, setCalculateDone] = useState(false);
+    const [suggestedSize, setSuggestedSize] = useState(null);
+
+    const calculateSize = () => {
+        setSuggestedSize(matchSize(chart, values));
+        setCalculateDone(true);
+    };
+
+    return (
+        <div className='flex flex-col gap-[20px]'>
+            <h3 className='text-[20px] font-semibold'>{chart.name}</h3>
+            {bodyMeasurements.length > 0 && (
+                <div className='border border-gray-300 rounded-[20px] flex items-center w-[300px] h-[40px] '>
+                    <div onClick={() => setSelectTableSize(false)} className={`${selectTableSize === false ? 'bg-gray-200' : ''} h-[40px] rounded-[20px] w-[200px] flex justify-center items-center cursor-pointer`}>
+                        <p>Hướng dẫn chọn size</p>
+                    </div>
+                    <div onClick={() => setSelectTableSize(true)} className={`${selectTableSize === true ? 'bg-gray-200' : ''} h-[40px] rounded-[20px] w-[100px] flex justify-center items-center cursor-pointer`}>
+                        <p>Bảng size</p>
+                    </div>
+                </div>
+            )}
+
+            <div>
+                {
+                    selectTableSize ? (
+                        <div className='flex flex-col gap-[20px] animate__animated animate__fadeInLeft'>
+                            {chart.description && <p className='text-gray-600'>{chart.description}</p>}
+                            <div className='overflow-x-auto'>
+                                <table className='w-full border-collapse'>
+                                    <thead>
+                                        <tr className="border border-gray-400">
+                                            <th className="p-[10px] border border-gray-400 text-left">Size</th>
+                                            {chart.rows.map((row) => (
+                                                <th key={row.size} className="p-[10px] border border-gray-400 text-left">{row.size}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {chart.measurements.map((measurement) => (
+                                            <tr key={measurement.key}>
+                                                <td className="p-[10px] border border-gray-400">
+                                                    {measurement.label}{measurement.unit && ` (${measurement.unit})`}
+                                                </td>
+                                                {chart.rows.map((row) => (
+                                                    <td key={row.size} className="p-[10px] border border-gray-400">{formatRange(row.values?.[measurement.key])}</td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {chart.image && <img src={chart.image} alt={chart.name} className='w-[300px] h-[300px] object-contain' />}
+                        </div>
+                    ) : (
+                        <div className='flex flex-col gap-[20px] animate__animated animate__fadeInRight'>
+                            {bodyMeasurements.map((measurement) => (
+                                <div key={measurement.key} className='flex items-center gap-[20px] w-full'>
+                                    <label className='w-[100px]'>{measurement.label}</label>
+                                    <Slider
+                                        size="medium"
+                                        value={values[measurement.key]}
+                                        onChange={(e, newValue) => setValues({ ...values, [measurement.key]: newValue })}
+                                        min={measurement.bounds.min}
+                                        max={measurement.bounds.max}
+                                        valueLabelDisplay="auto"
+                                    />
+                                    <p className='w-[100px]'>{values[measurement.key]} {measurement.unit}</p>
+                                </div>
+                            ))}
+                            <div onClick={calculateSize} className='bg-blue-400 rounded-[20px] w-[160px] h-[40px] flex justify-center items-center cursor-pointer hover:bg-blue-300'>Xác nhận</div>
+
+                            {
+                                calculateDone && (
+                                    <div className='border rounded-[20px] w-[400px] max-md:w-full h-[50px] py-[5px] px-[10px] flex items-center gap-[30px]'>
+                                        <p>Size phù hợp với bạn là: </p>
+                                        <p className='text-red-300'>{suggestedSize || 'Không tìm thấy size phù hợp'}</p>
+                                    </div>
+                                )
+                            }
+                        </div>
+                    )
+                }
+            </div>
+
+        </div>
+    )
+}
+
+export default ProductSizeChart
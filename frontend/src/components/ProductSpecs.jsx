@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react'
+import { fetchAttributeSchema, formatAttributeValue } from '../lib/attributes';
+import 'animate.css';
+
+// bang thong so tu thuoc tinh cua san pham, theo thu tu va nhan cua danh muc
+const ProductSpecs = ({ product }) => {
+
+    const [schema, setSchema] = useState([]);
+
+    // gop thanh chuoi de effect khong chay lai moi lan render vi mang moi
+    const categoryKey = (product?.categoryIds?.length > 0 ? product.categoryIds : product?.categories || []).join(',');
+
+    useEffect(() => {
+        fetchAttributeSchema(categoryKey.split(',').filter(Boolean))
+            .then(setSchema)
+            .catch((error) => console.log(error.message));
+    }, [categoryKey]);
+
+    const attributes = product?.attributes || {};
+    const labels = new Map(schema.map((definition) => [definition.key, definition.label]));
+    // thuoc tinh khong con trong schema van hien thi, dung key lam nhan
+    const keys = [
+        ...schema.map((definition) => definition.key),
+        ...Object.keys(attributes).filter((key) => !labels.has(key)),
+    ].filter((key) => attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '');
+
+    if (keys.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className='mt-[50px] animate__animated animate__fadeIn'>
+            <h3 className='text-[24px] font-semibold mb-[20px]'>Thông số sản phẩm</h3>
+            <table className='w-[600px] max-md:w-full border-collapse'>
+                <tbody>
+                    {keys.map((key) => (
+                        <tr key={key} className='border-b'>
+                            <td className='p-[10px] w-[200px] text-gray-500'>{labels.get(key) || key}</td>
+                            <td className='p-[10px]'>{formatAttributeValue(attributes[key])}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    )
+}
+
+export default ProductSpecs
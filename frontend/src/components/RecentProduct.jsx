@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react'
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
+import { getProductPath } from '../lib/paths';
+import ProductPrice from './ProductPrice';
 import Loader from './Loader';
 
 import "slick-carousel/slick/slick.css";
@@ -106,7 +108,7 @@ const RecentProduct = () => {
                             {recentProducts?.map((product, index) => (
                                 <div
                                     onClick={() => {
-                                        if (!isDragging) { navigate(`/productDetail/${product._id}`) }
+                                        if (!isDragging) { navigate(getProductPath(product)) }
                                     }}
                                     key={index}
                                     className='flex flex-col px-[10px] gap-[10px] animate__animated animate__fadeIn'>
@@ -115,7 +117,7 @@ const RecentProduct = () => {
                                     </div>
                                     <div className='flex flex-col w-[300px] my-[20px] gap-[10px]'>
                                         <span>{product.name}</span>
-                                        <span className='font-semibold text-[12px]'>{product.price}&#8363;</span>
+                                        <ProductPrice product={product} className='text-[12px]' />
                                     </div>
                                 </div>
                             ))}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react'
+import { toast } from 'react-toastify';
+import ProductCard from './ProductCard';
+import Loader from './Loader';
+import 'animate.css';
+
+// san pham khach da xem; o trang profile co nut xoa lich su
+const RecentlyViewed = ({ showClear = false }) => {
+
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const handleFetchRecentlyViewed = async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/recentlyViewed/getRecentlyViewed?limit=8`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setProducts(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        handleFetchRecentlyViewed();
+    }, []);
+
+    const handleClearHistory = async () => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/recentlyViewed/clear`, {
+                method: "DELETE",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                setProducts([]);
+                toast.success("Đã xóa lịch sử xem sản phẩm");
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    if (!showClear && products.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className='container mx-auto overflow-x-clip'>
+            <div className='p-[20px] flex flex-col gap-[20px]'>
+                <div className='flex justify-between items-center'>
+                    <div className='rounded-[20px] w-[200px] max-md:w-[150px] text-[20px] max-md:text-[14px] border border-black px-[10px] py-[5px] text-center font-semibold'>Sản phẩm đã xem</div>
+                    {showClear && products.length > 0 && (
+                        <div onClick={handleClearHistory} className='cursor-pointer hover:text-red-400'>Xóa lịch sử xem</div>
+                    )}
+                </div>
+                {loading ? (
+                    <Loader />
+                ) : products.length === 0 ? (
+                    <p>Bạn chưa xem sản phẩm nào</p>
+                ) : (
+                    <div className='flex flex-wrap gap-[20px] animate__animated animate__fadeIn'>
+                        {products.map((product) => (
+                            <ProductCard key={product._id} product={product} />
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default RecentlyViewed
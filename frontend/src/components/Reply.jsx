@@ -5,6 +5,7 @@ import 'animate.css'
 
 import StarIcon from '@mui/icons-material/Star';
 import Loader from './Loader';
+import { getReviewImage } from '../lib/imageUpload';
 
 const Reply = () => {
 
@@ -112,7 +113,7 @@ const Reply = () => {
                           {
                             review.image.map((item, index) => (
                               <div key={index} className=''>
-                                <img src={item} alt="image" className='w-[200px] h-[100px] object-cover rounded-[10px]' />
+                                <img src={getReviewImage(review, index, 'card')} alt="image" className='w-[200px] h-[100px] object-cover rounded-[10px]' />
                               </div>
                             ))
                           }
@@ -0,0 +1,63 @@
+import React, { useState } from 'react'
+import { useSelector } from 'react-redux';
+import { toast } from 'react-toastify';
+
+// dang ky nhan mail khi bien the dang chon het hang co hang lai
+const RestockAlert = ({ product, color, size }) => {
+
+    const { currentUser } = useSelector((state) => state.user);
+    const [email, setEmail] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const hasVariants = product?.variants?.length > 0;
+    const variant = product?.variants?.find((item) => item.color === color && item.size === size);
+    const isSoldOut = hasVariants ? variant && variant.stock <= 0 : product?.stock <= 0;
+
+    if (!product?._id || !isSoldOut) {
+        return null;
+    }
+
+    const handleSubscribe = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/stockAlert/subscribe/${product._id}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    color: hasVariants ? color : '',
+                    size: hasVariants ? size : '',
+                    email: email || undefined,
+                }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(data.message);
+                setEmail('');
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    return (
+        <form onSubmit={handleSubscribe} className='flex flex-col gap-[10px] border rounded-[20px] p-[10px] w-fit max-md:w-full'>
+            <p>Hết hàng{hasVariants && ` (${color} / ${size})`}. Nhận thông báo khi có hàng trở lại:</p>
+            <div className='flex items-center gap-[10px] max-md:flex-wrap'>
+                {!currentUser && (
+                    <input value={email} onChange={(e) => setEmail(e.target.value)} type='email' required placeholder='Email của bạn' className='border rounded-[10px] p-[5px] w-[250px]' />
+                )}
+                <button type='submit' disabled={loading} className='border rounded-[10px] px-[20px] py-[5px] bg-black text-white hover:opacity-70'>Báo khi có hàng</button>
+            </div>
+        </form>
+    )
+}
+
+export default RestockAlert
@@ -9,24 +9,35 @@ const SearchSidebar = ({
     selectCategory,
     handleCategoryCheckChange,
     loadingCategory,
-    setMinPrice,
-    setMaxPrice,
+    handleChangePriceRange,
     selectedPriceRange,
-    setSelectedPriceRange
+    setSelectedPriceRange,
+    facets,
+    selectedSizes,
+    selectedColors,
+    handleToggleFacet,
+    selectedAttributes,
+    handleToggleAttribute,
+    minRating,
+    handleChangeMinRating
 }) => {
 
+    // so san pham se tra ve neu chon them gia tri nay, vd: "Đen (12)"
+    const renderCount = (buckets, value) => {
+        if (!facets) return null;
+        const bucket = buckets?.find((item) => item.value === value || item.key === value);
+        return <span className='text-gray-500'> ({bucket ? bucket.count : 0})</span>;
+    }
+
     const handleCheckBoxChange = (range) => {
         setSelectedPriceRange(range);
         if (range === "below100000") {
-            setMinPrice(null);
-            setMaxPrice(100000);
+            handleChangePriceRange(null, 100000);
         } else if (range === "above2000000") {
-            setMinPrice(2000000);
-            setMaxPrice(null);
+            handleChangePriceRange(2000000, null);
         } else {
             const [min, max] = range.split("-").map(Number);
-            setMinPrice(min);
-            setMaxPrice(max);
+            handleChangePriceRange(min, max);
         }
     }
 
@@ -52,7 +63,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "below100000"}
                                     onChange={() => handleCheckBoxChange("below100000")}
                                 />
-                                <p>Giá dưới 100000</p>
+                                <p>Giá dưới 100000{renderCount(facets?.priceBands, "below100000")}</p>
                             </div>
                             <div className='flex items-center gap-[10px]'>
                                 <input
@@ -60,7 +71,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "100000-200000"}
                                     onChange={() => handleCheckBoxChange("100000-200000")}
                                 />
-                                <p>100000-200000</p>
+                                <p>100000-200000{renderCount(facets?.priceBands, "100000-200000")}</p>
                             </div>
                             <div className='flex items-center gap-[10px]'>
                                 <input
@@ -68,7 +79,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "200000-500000"}
                                     onChange={() => handleCheckBoxChange("200000-500000")}
                                 />
-                                <p>200000-500000</p>
+                                <p>200000-500000{renderCount(facets?.priceBands, "200000-500000")}</p>
 
                             </div>
                             <div className='flex items-center gap-[10px]'>
@@ -77,7 +88,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "500000-1000000"}
                                     onChange={() => handleCheckBoxChange("500000-1000000")}
                                 />
-                                <p>500000-1000000</p>
+                                <p>500000-1000000{renderCount(facets?.priceBands, "500000-1000000")}</p>
                             </div>
                             <div className='flex items-center gap-[10px]'>
                                 <input
@@ -85,7 +96,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "1000000-2000000"}
                                     onChange={() => handleCheckBoxChange("1000000-2000000")}
                                 />
-                                <p>1000000-2000000</p>
+                                <p>1000000-2000000{renderCount(facets?.priceBands, "1000000-2000000")}</p>
                             </div>
                             <div className='flex items-center gap-[10px]'>
                                 <input
@@ -93,7 +104,7 @@ const SearchSidebar = ({
                                     checked={selectedPriceRange === "above2000000"}
                                     onChange={() => handleCheckBoxChange("above2000000")}
                                 />
-                                <p>Giá trên 2000000</p>
+                                <p>Giá trên 2000000{renderCount(facets?.priceBands, "above2000000")}</p>
                             </div>
                         </div>
                     )
@@ -129,7 +140,7 @@ const SearchSidebar = ({
                                             checked={selectCategory === category.name}
                                             onChange={() => handleCategoryCheckChange(category.name)}
                                         />
-                                        <p>{category.title}</p>
+                                        <p>{category.title}{renderCount(facets?.categories, category.name)}</p>
                                     </div>
                                 ))
                             }
@@ -138,6 +149,78 @@ const SearchSidebar = ({
                 }
             </div>
 
+            {facets?.sizes?.length > 0 && (
+                <div className='border rounded-[5px] animate__animated animate__fadeInUp p-[10px]'>
+                    <h3 className='text-[20px] font-semibold mb-[20px]'>Kích thước</h3>
+                    <div className='flex flex-col max-md:flex-row max-md:flex-wrap max-md:items-center gap-[20px]'>
+                        {facets.sizes.map((bucket) => (
+                            <div className="flex items-center gap-[10px]" key={bucket.value}>
+                                <input
+                                    type="checkbox"
+                                    checked={selectedSizes.includes(bucket.value)}
+                                    onChange={() => handleToggleFacet("sizes", bucket.value)}
+                                />
+                                <p>{bucket.value}{renderCount(facets.sizes, bucket.value)}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {facets?.colors?.length > 0 && (
+                <div className='border rounded-[5px] animate__animated animate__fadeInUp p-[10px]'>
+                    <h3 className='text-[20px] font-semibold mb-[20px]'>Màu sắc</h3>
+                    <div className='flex flex-col max-md:flex-row max-md:flex-wrap max-md:items-center gap-[20px]'>
+                        {facets.colors.map((bucket) => (
+                            <div className="flex items-center gap-[10px]" key={bucket.value}>
+                                <input
+                                    type="checkbox"
+                                    checked={selectedColors.includes(bucket.value)}
+                                    onChange={() => handleToggleFacet("colors", bucket.value)}
+                                />
+                                <p>{bucket.value}{renderCount(facets.colors, bucket.value)}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {facets?.attributes?.map((attribute) => (
+                <div key={attribute.key} className='border rounded-[5px] animate__animated animate__fadeInUp p-[10px]'>
+                    <h3 className='text-[20px] font-semibold mb-[20px]'>{attribute.label}</h3>
+                    <div className='flex flex-col max-md:flex-row max-md:flex-wrap max-md:items-center gap-[20px]'>
+                        {attribute.values.map((bucket) => (
+                            <div className="flex items-center gap-[10px]" key={bucket.value}>
+                                <input
+                                    type="checkbox"
+                                    checked={(selectedAttributes[attribute.key] || []).includes(String(bucket.value))}
+                                    onChange={() => handleToggleAttribute(attribute.key, String(bucket.value))}
+                                />
+                                <p>{bucket.value}{renderCount(attribute.values, bucket.value)}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+
+            {facets && (
+                <div className='border rounded-[5px] animate__animated animate__fadeInUp p-[10px]'>
+                    <h3 className='text-[20px] font-semibold mb-[20px]'>Đánh giá</h3>
+                    <div className='flex flex-col max-md:flex-row max-md:flex-wrap max-md:items-center gap-[20px]'>
+                        {[4, 3, 2, 1].map((rating) => (
+                            <div className="flex items-center gap-[10px]" key={rating}>
+                                <input
+                                    type="checkbox"
+                                    checked={minRating === rating}
+                                    onChange={() => handleChangeMinRating(rating)}
+                                />
+                                <p>Từ {rating} sao trở lên</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
         </div>
     )
 }
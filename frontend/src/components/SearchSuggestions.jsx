@@ -0,0 +1,53 @@
+import React from 'react'
+
+// dropdown goi y tim kiem, dung chung cho Navbar va Filter
+const SearchSuggestions = ({ items, activeIndex, setActiveIndex, selectItem }) => {
+
+    const renderGroupTitle = (item, index) => {
+        if (index > 0 && items[index - 1].type === item.type) {
+            return null;
+        }
+        const titles = {
+            query: 'Tìm kiếm phổ biến',
+            category: 'Danh mục',
+            product: 'Sản phẩm',
+        };
+        return <p className='px-[10px] pt-[10px] pb-[5px] text-[12px] uppercase text-gray-400'>{titles[item.type]}</p>
+    }
+
+    return (
+        <div className='absolute top-full left-0 mt-[5px] w-[320px] max-h-[400px] overflow-y-auto bg-white text-black border rounded-[10px] shadow-xl z-[60]'>
+            {items.map((item, index) => (
+                <div key={`${item.type}-${item._id || item.text}`}>
+                    {renderGroupTitle(item, index)}
+                    <div
+                        // onMouseDown de chay truoc khi input mat focus
+                        onMouseDown={(e) => { e.preventDefault(); selectItem(item); }}
+                        onMouseEnter={() => setActiveIndex(index)}
+                        className={`flex items-center gap-[10px] px-[10px] py-[5px] cursor-pointer ${activeIndex === index ? 'bg-gray-100' : ''}`}
+                    >
+                        {item.type === 'product' ? (
+                            <>
+                                <div className='w-[40px] h-[50px] flex-shrink-0 bg-gray-100 rounded-[5px] overflow-hidden'>
+                                    {item.thumbnail && (
+                                        <img src={item.thumbnail} alt={item.name} className='w-full h-full object-cover' />
+                                    )}
+                                </div>
+                                <div className='flex flex-col'>
+                                    <span className='text-[14px]'>{item.name}</span>
+                                    <span className='text-[12px] font-semibold'>{item.price}&#8363;</span>
+                                </div>
+                            </>
+                        ) : item.type === 'category' ? (
+                            <span className='text-[14px]'>{item.title}</span>
+                        ) : (
+                            <span className='text-[14px]'>{item.text}</span>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default SearchSuggestions
@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react'
+import { toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { BiTrash } from 'react-icons/bi';
+import { CiCirclePlus } from "react-icons/ci";
+import Loader from '../Loader';
+import 'animate.css'
+
+const emptyItem = { productId: '', color: '', size: '', quantity: 1 };
+const emptyForm = { name: '', price: '', description: '', image: '', isActive: true, items: [{ ...emptyItem }] };
+
+const Bundle = () => {
+
+    const [bundles, setBundles] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [openForm, setOpenForm] = useState(false);
+
+    const handleFetchBundles = async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/bundle/getAllBundles`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setBundles(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const handleFetchProducts = async () => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getAllProduct`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (res.ok) {
+                setProducts(data.allProducts || []);
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    useEffect(() => {
+        handleFetchBundles();
+        handleFetchProducts();
+    }, []);
+
+    const handleChange = (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setForm({ ...form, [e.target.id]: value });
+    }
+
+    const handleChangeItem = (index, field, value) => {
+        setForm({
+            ...form,
+            items: form.items.map((item, id) => id === index ? { ...item, [field]: value } : item),
+        });
+    }
+
+    const handleAddItem = () => {
+        setForm({ ...form, items: [...form.items, { ...emptyItem }] });
+    }
+
+    const handleRemoveItem = (index) => {
+        setForm({ ...form, items: form.items.filter((_, id) => id !== index) });
+    }
+
+    const handleOpenCreate = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setOpenForm(true);
+    }
+
+    const handleOpenEdit = (bundle) => {
+        setForm({
+            name: bundle.name,
+            price: bundle.price,
+            description: bundle.description || '',
+            image: bundle.image || '',
+            isActive: bundle.isActive,
+            items: bundle.items.map((item) => ({
+                productId: item.productId,
+                color: item.color || '',
+                size: item.size || '',
+                quantity: item.quantity,
+            })),
+        });
+        setEditingId(bundle._id);
+        setOpenForm(true);
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const url = editingId
+            ? `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/bundle/update/${editingId}`
+            : `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/bundle/create`;
+        try {
+            const res = await fetch(url, {
+                method: editingId ? "PUT" : "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(form),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(editingId ? 'Bundle updated' : 'Bundle created');
+                setOpenForm(false);
+                handleFetchBundles();
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    const handleDelete = async (bundleId) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/bundle/delete/${bundleId}`, {
+                method: "DELETE",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(data.message);
+                setBundles(bundles.filter((bundle) => bundle._id !== bundleId));
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    const findProduct = (productId) => products.find((product) => product._id === productId);
+
+    return (
+        <div className='p-[20px] max-md:p-[10px] flex flex-col gap-[20px] animate__animated animate__fadeInUp'>
+            <div className='flex justify-between items-center'>
+                <h3 className='text-[24px] font-semibold'>Bundles</h3>
+                <div onClick={handleOpenCreate} className='flex items-center gap-[10px] border rounded-[10px] px-[10px] py-[5px] cursor-pointer hover:bg-gray-100'>
+                    <CiCirclePlus className='text-[20px]' />
+                    <span>Create Bundle</span>
+                </div>
+            </div>
+
+            {openForm && (
+                <form onSubmit={handleSubmit} className='border shadow-md p-[20px] max-md:p-[10px] flex flex-col gap-[20px]'>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Name: </span>
+                        <input onChange={handleChange} id='name' value={form.name} type='text' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Price: </span>
+                        <input onChange={handleChange} id='price' value={form.price} type='number' min='0' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Description: </span>
+                        <textarea onChange={handleChange} id='description' value={form.description} className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Image URL: </span>
+                        <input onChange={handleChange} id='image' value={form.image} type='text' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Active: </span>
+                        <input onChange={handleChange} id='isActive' checked={form.isActive} type='checkbox' className='w-[20px] h-[20px]' />
+                    </div>
+
+                    <div className='flex flex-col gap-[10px]'>
+                        <span>Products in bundle: </span>
+                        {form.items.map((item, index) => {
+                            const product = findProduct(item.productId);
+                            return (
+                                <div key={index} className='flex items-center gap-[10px] max-md:flex-wrap'>
+                                    <select value={item.productId} onChange={(e) => handleChangeItem(index, 'productId', e.target.value)} className='border w-[250px] rounded-[5px] p-[10px]'>
+                                        <option value=''>Choose product</option>
+                                        {products.map((option) => (
+                                            <option key={option._id} value={option._id}>{option.name}</option>
+                                        ))}
+                                    </select>
+                                    <select value={item.color} onChange={(e) => handleChangeItem(index, 'color', e.target.value)} className='border w-[120px] rounded-[5px] p-[10px]'>
+                                        <option value=''>Color</option>
+                                        {product?.colors?.map((color) => (
+                                            <option key={color} value={color}>{color}</option>
+                                        ))}
+                                    </select>
+                                    <select value={item.size} onChange={(e) => handleChangeItem(index, 'size', e.target.value)} className='border w-[100px] rounded-[5px] p-[10px]'>
+                                        <option value=''>Size</option>
+                                        {product?.sizes?.map((size) => (
+                                            <option key={size} value={size}>{size}</option>
+                                        ))}
+                                    </select>
+                                    <input type='number' min='1' value={item.quantity} onChange={(e) => handleChangeItem(index, 'quantity', e.target.value)} className='border w-[80px] rounded-[5px] p-[10px]' />
+                                    <BiTrash onClick={() => handleRemoveItem(index)} className='text-[20px] cursor-pointer hover:text-red-500' />
+                                </div>
+                            )
+                        })}
+                        <div onClick={handleAddItem} className='flex items-center gap-[5px] cursor-pointer hover:text-red-400 w-fit'>
+                            <CiCirclePlus className='text-[20px]' />
+                            <span>Add product</span>
+                        </div>
+                    </div>
+
+                    <div className='flex gap-[10px]'>
+                        <button type='submit' className='border rounded-[10px] px-[20px] py-[5px] bg-black text-white hover:opacity-70'>{editingId ? 'Update' : 'Create'}</button>
+                        <button type='button' onClick={() => setOpenForm(false)} className='border rounded-[10px] px-[20px] py-[5px] hover:bg-gray-100'>Close</button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <Loader />
+            ) : bundles.length === 0 ? (
+                <p>No bundles yet</p>
+            ) : (
+                <table className='w-full border-collapse'>
+                    <thead>
+                        <tr className='border-b-[2px]'>
+                            <th className='p-[10px] text-left'>Name</th>
+                            <th className='p-[10px] text-left'>Price</th>
+                            <th className='p-[10px] text-left'>Products</th>
+                            <th className='p-[10px] text-left'>Stock</th>
+                            <th className='p-[10px] text-left'>Active</th>
+                            <th className='p-[10px] text-left'>Option</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {bundles.map((bundle) => (
+                            <tr key={bundle._id} onClick={() => handleOpenEdit(bundle)} className='border-b-[2px] cursor-pointer hover:bg-gray-100'>
+                                <td className='p-[10px]'>{bundle.name}</td>
+                                <td className='p-[10px]'>{bundle.price}&#8363;</td>
+                                <td className='p-[10px]'>{bundle.items.length}</td>
+                                <td className='p-[10px]'>{bundle.availableStock}</td>
+                                <td className='p-[10px]'>{bundle.isActive ? 'Yes' : 'No'}</td>
+                                <td className='p-[10px]'>
+                                    <BiTrash onClick={(e) => { e.stopPropagation(); handleDelete(bundle._id) }} className='text-[18px] hover:text-red-500' />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    )
+}
+
+export default Bundle
@@ -6,8 +6,7 @@ import 'react-toastify/dist/ReactToastify.css';
 import { BiTrash } from 'react-icons/bi';
 import Loader from '../Loader';
 
-import { getDownloadURL, getStorage, ref, uploadBytesResumable } from 'firebase/storage';
-import { app } from '../../firebase';
+import { uploadImage } from '../../lib/imageUpload';
 
 import Modal from '@mui/material/Modal';
 import { IoIosCloseCircleOutline } from "react-icons/io";
@@ -100,29 +99,14 @@ const Category = () => {
     const [formDataImage, setFormDataImage] = useState('');
 
     const handleFileUploadImage = async (image) => {
-        const storage = getStorage(app);
-        const fileName = new Date().getTime() + image.name;
-        const storageRef = ref(storage, fileName);
-        const uploadTask = uploadBytesResumable(storageRef, image);
-
-        uploadTask.on(
-            'state_changed',
-            (snapshot) => {
-                const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                setImageFileUploadProgress(progress.toFixed(0));
-            },
-            (error) => {
-                setImageFileUploadError('Could not upload image (File must be less than 2MB)');
-                console.log(error)
-            },
-            () => {
-                getDownloadURL(uploadTask.snapshot.ref)
-                    .then((downloadURL) => {
-                        setFormDataImage(downloadURL)
-                    })
-                console.log("Image upload completed")
-            }
-        )
+        try {
+            const uploaded = await uploadImage(image, 'category', setImageFileUploadProgress);
+            setFormDataImage(uploaded.url)
+            console.log("Image upload completed")
+        } catch (error) {
+            setImageFileUploadError(error.message);
+            console.log(error)
+        }
     }
 
     const handleClickSave = () => {
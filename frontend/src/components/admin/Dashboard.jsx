@@ -6,6 +6,7 @@ import { Chart as ChartJS, defaults } from 'chart.js/auto';
 import { Bar, Doughnut, Line, Pie } from 'react-chartjs-2';
 
 import 'animate.css';
+import LowStock from './LowStock';
 
 defaults.maintainAspectRatio = false;
 defaults.responsive = true;
@@ -391,6 +392,9 @@ const Dashboard = () => {
 
                 </div>
             </div>
+
+            {/* LOW STOCK */}
+            <LowStock />
         </div>
     )
 }
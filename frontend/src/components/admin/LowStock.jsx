@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom';
+import Loader from '../Loader';
+import { getProductPath } from '../../lib/paths';
+import 'animate.css'
+
+// san pham sap het hang, ban nhanh nhat truoc
+const LowStock = () => {
+
+    const [report, setReport] = useState({ days: 30, globalThreshold: 0, products: [] });
+    const [days, setDays] = useState(30);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const handleFetchLowStock = async () => {
+            setLoading(true);
+            try {
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getLowStock?days=${days}`, {
+                    method: "GET",
+                    credentials: 'include',
+                });
+                const data = await res.json();
+                if (!res.ok) {
+                    console.log(data.message);
+                } else {
+                    setReport(data);
+                }
+            } catch (error) {
+                console.log(error.message);
+            } finally {
+                setLoading(false);
+            }
+        }
+        handleFetchLowStock();
+    }, [days]);
+
+    const handleExportExcel = async () => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/exportLowStock?days=${days}`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            if (res.ok) {
+                const blob = await res.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement("a");
+                a.href = url;
+                a.download = 'low-stock.xlsx';
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+            } else {
+                console.log("export low stock failed");
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <div className='mt-[20px]'>
+            <div className='flex max-md:flex-col justify-between md:items-center gap-[10px] mb-[20px]'>
+                <h2 className='font-semibold text-[20px] uppercase'>Low Stock</h2>
+                <div className='flex items-center gap-[10px]'>
+                    <select value={days} onChange={(e) => setDays(Number(e.target.value))} className='border rounded-[5px] p-[5px]'>
+                        <option value={7}>Last 7 days</option>
+                        <option value={30}>Last 30 days</option>
+                        <option value={90}>Last 90 days</option>
+                    </select>
+                    <button onClick={handleExportExcel} className='bg-green-600 text-white rounded-[5px] px-[15px] py-[5px] hover:bg-green-700'>Export Excel</button>
+                </div>
+            </div>
+            <div className='border rounded-[10px] p-[20px] animate__animated animate__fadeInRight w-full overflow-x-auto'>
+                {loading ? (
+                    <Loader />
+                ) : report.products.length === 0 ? (
+                    <p>No products are below their stock threshold</p>
+                ) : (
+                    <table className='w-full border-collapse'>
+                        <thead>
+                            <tr className='border-b-[2px]'>
+                                <th className='p-[10px] text-left'>Product</th>
+                                <th className='p-[10px] text-left'>Stock</th>
+                                <th className='p-[10px] text-left'>Threshold</th>
+                                <th className='p-[10px] text-left'>Sold / Day</th>
+                                <th className='p-[10px] text-left'>Days Left</th>
+                                <th className='p-[10px] text-left'>Out Of Stock</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.products.map((item) => (
+                                <tr key={item.productId} className='border-b-[2px]'>
+                                    <td className='p-[10px]'>
+                                        <Link to={getProductPath({ _id: item.productId, slug: item.slug })} className='hover:underline'>{item.name}</Link>
+                                    </td>
+                                    <td className={`p-[10px] font-semibold ${item.stock <= 0 ? 'text-red-500' : ''}`}>{item.stock}</td>
+                                    <td className='p-[10px]'>{item.threshold}</td>
+                                    <td className='p-[10px]'>{item.velocity}</td>
+                                    <td className='p-[10px]'>{item.daysLeft ?? '-'}</td>
+                                    <td className='p-[10px]'>{item.outOfStockVariants.join(', ') || '-'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default LowStock
@@ -1,10 +1,13 @@
-import React, { useEffect, useRef, useState } from 'react'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
 import styled from 'styled-components'
 import { CiCirclePlus } from "react-icons/ci";
 import { CiCircleMinus } from "react-icons/ci";
 import CreateProduct from './product/CreateProduct';
 import ShowProduct from './product/ShowProduct';
 import EditProduct from './product/EditProduct';
+import ImportProduct from './product/ImportProduct';
+import StockReconcile from './product/StockReconcile';
+import { PRODUCT_STATES } from '../../lib/productStatus';
 
 import { MdDashboard } from "react-icons/md";
 import { IoIosPrint } from "react-icons/io";
@@ -16,6 +19,8 @@ import { SiVirustotal } from "react-icons/si";
 import { FaGripLinesVertical } from "react-icons/fa";
 import { IoIosArrowDropdown } from "react-icons/io";
 import { GoSearch } from "react-icons/go";
+import { FaFileImport } from "react-icons/fa";
+import { FaBalanceScale } from "react-icons/fa";
 
 import 'animate.css';
 
@@ -24,6 +29,8 @@ const Products = () => {
     const [openCreate, setOpenCreate] = useState(false);
     const [openShow, setOpenShow] = useState(true);
     const [openEdit, setOpenEdit] = useState(false);
+    const [openImport, setOpenImport] = useState(false);
+    const [openReconcile, setOpenReconcile] = useState(false);
 
     const [productId, setProductId] = useState('');
 
@@ -33,17 +40,19 @@ const Products = () => {
 
     const [allProducts, setAllProducts] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('all');
 
-    const handleFetchProductsDashboard = async () => {
+    const handleFetchProductsDashboard = useCallback(async () => {
         setLoading(true);
         try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getAllProduct`, {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getAllProduct?status=${statusFilter}`, {
                 method: "GET",
                 credentials: 'include',
             });
             const data = await res.json();
             if (!res.ok) {
                 console.log(data.message);
+                setAllProducts([]);
                 return;
             } else {
                 setAllProducts(data.allProducts);
@@ -56,11 +65,12 @@ const Products = () => {
         } finally {
             setLoading(false);
         }
-    }
+    }, [statusFilter]);
 
+    // doi bo loc trang thai thi callback doi theo nen effect tu tai lai
     useEffect(() => {
         handleFetchProductsDashboard();
-    }, [])
+    }, [handleFetchProductsDashboard])
 
     const handleExportExcel = async () => {
         try {
@@ -108,6 +118,10 @@ const Products = () => {
         }
     }
 
+    const handleChangeStatusFilter = (e) => {
+        setStatusFilter(e.target.value);
+    }
+
     const handleClickSearch = () => {
         if (searchKey === null || searchKey === "" || searchKey === undefined) {
             handleFetchProductsDashboard();
@@ -135,6 +149,14 @@ const Products = () => {
                         <IoIosPrint className='text-[20px]' />
                         <p className='text-[16px]'>Print Excel</p>
                     </div>
+                    <div onClick={() => setOpenImport(true)} className='flex gap-[10px] rounded-[10px] p-[10px] items-center border bg-white w-[250px] mt-[20px] justify-center shadow-lg cursor-pointer hover:bg-red-400'>
+                        <FaFileImport className='text-[20px]' />
+                        <p className='text-[16px]'>Import Excel/CSV</p>
+                    </div>
+                    <div onClick={() => setOpenReconcile(true)} className='flex gap-[10px] rounded-[10px] p-[10px] items-center border bg-white w-[250px] mt-[20px] justify-center shadow-lg cursor-pointer hover:bg-red-400'>
+                        <FaBalanceScale className='text-[20px]' />
+                        <p className='text-[16px]'>Reconcile stock</p>
+                    </div>
                 </div>
             </div>
             {/* OVERVIEW */}
@@ -187,6 +209,31 @@ const Products = () => {
 
             <hr className='my-[20px] border-gray-400' />
 
+            <div className='flex items-center gap-[10px] py-[20px] animate__animated animate__fadeInRight '>
+                <h1 className='ml-[10px] text-[16px]'>Import Products</h1>
+                {openImport ? (
+                    <div onClick={() => setOpenImport(false)}><CiCircleMinus className='text-[20px] text-blue-500' /></div>
+                ) : (
+                    <div onClick={() => setOpenImport(true)}><IoIosArrowDropdown className='text-[20px] text-blue-500' /></div>
+                )}
+            </div>
+            {openImport && (
+                <ImportProduct setOpenImport={setOpenImport} handleFetchProductsDashboard={handleFetchProductsDashboard} />
+            )}
+
+            {openReconcile && (
+                <>
+                    <hr className='my-[20px] border-gray-400' />
+                    <div className='flex items-center gap-[10px] py-[20px] animate__animated animate__fadeInRight '>
+                        <h1 className='ml-[10px] text-[16px]'>Reconcile Stock</h1>
+                        <div onClick={() => setOpenReconcile(false)}><CiCircleMinus className='text-[20px] text-blue-500' /></div>
+                    </div>
+                    <StockReconcile setOpenReconcile={setOpenReconcile} />
+                </>
+            )}
+
+            <hr className='my-[20px] border-gray-400' />
+
             <div className='flex items-center gap-[10px] py-[20px] animate__animated animate__fadeInUp'>
                 <h1 className='ml-[10px] text-[16px]'>Show All Products</h1>
                 {openShow ? (
@@ -206,6 +253,11 @@ const Products = () => {
                                 <div onClick={handleClickSearch} className='w-[50px] h-[30px] bg-white rounded-[10px] flex justify-center items-center cursor-pointer hover:bg-gray-200'>
                                     <GoSearch className='text-[20px]' />
                                 </div>
+                                <select value={statusFilter} onChange={handleChangeStatusFilter} className='h-[30px] border bg-white rounded-[5px] px-[10px] capitalize'>
+                                    {PRODUCT_STATES.map((state) => (
+                                        <option key={state} value={state}>{state}</option>
+                                    ))}
+                                </select>
                             </div>
                             <ShowProduct loading={loading} allProducts={allProducts} setOpenShow={setOpenShow} setOpenEdit={setOpenEdit} setProductId={setProductId} />
                         </div>
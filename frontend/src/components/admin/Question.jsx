@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react'
+import { toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { BiTrash } from 'react-icons/bi';
+import { FiSend } from "react-icons/fi";
+import { getProductPath } from '../../lib/paths';
+import Loader from '../Loader';
+import 'animate.css'
+
+// hang doi cau hoi chua tra loi, cu nhat truoc
+const Question = () => {
+
+    const [questions, setQuestions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [page, setPage] = useState(1);
+    const [totalPage, setTotalPage] = useState(0);
+    const [totalNumber, setTotalNumber] = useState(0);
+    const [answerTexts, setAnswerTexts] = useState({});
+
+    const handleFetchQuestions = async (page) => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/getUnansweredQuestions?page=${page}&limit=10`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setQuestions(data.questions);
+                setTotalPage(data.totalPages);
+                setTotalNumber(data.totalNumber);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        handleFetchQuestions(page);
+    }, [page]);
+
+    // cau cuoi cung cua trang vua duoc xu ly thi lui ve trang truoc
+    const handleRefresh = () => {
+        if (questions.length === 1 && page > 1) {
+            setPage(page - 1);
+        } else {
+            handleFetchQuestions(page);
+        }
+    }
+
+    const handleAnswer = async (questionId) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/answer/${questionId}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ text: answerTexts[questionId] || '' }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success('Answer sent');
+                handleRefresh();
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    const handleDelete = async (questionId) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/question/delete/${questionId}`, {
+                method: "DELETE",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(data.message);
+                handleRefresh();
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <div className='p-[20px] max-md:p-[10px] flex flex-col gap-[20px] animate__animated animate__fadeInUp'>
+            <h3 className='text-[24px] font-semibold'>Unanswered questions ({totalNumber})</h3>
+
+            {loading ? (
+                <Loader />
+            ) : questions.length === 0 ? (
+                <p>No questions waiting for an answer</p>
+            ) : (
+                <div className='flex flex-col gap-[20px]'>
+                    {questions.map((question) => (
+                        <div key={question._id} className='flex flex-col gap-[10px] border shadow-md rounded-[10px] p-[10px]'>
+                            <div className='flex justify-between items-center gap-[10px]'>
+                                <a href={question.product ? getProductPath(question.product) : '#'} target='_blank' rel='noreferrer' className='font-semibold hover:text-red-400'>
+                                    {question.product?.name || 'Deleted product'}
+                                </a>
+                                <BiTrash onClick={() => handleDelete(question._id)} className='text-[18px] cursor-pointer hover:text-red-500' />
+                            </div>
+                            <p>{question.text}</p>
+                            <p className='text-[12px] text-gray-400'>{question.creator?.username} ({question.creator?.email}) - {new Date(question.createdAt).toLocaleString()}</p>
+                            <div className='flex items-center gap-[10px] border rounded-[10px] py-[5px] px-[10px] w-[500px] max-md:w-full'>
+                                <input onChange={(e) => setAnswerTexts({ ...answerTexts, [question._id]: e.target.value })} value={answerTexts[question._id] || ''} type="text" placeholder='Answer...' className='bg-transparent flex-1' />
+                                <FiSend onClick={() => handleAnswer(question._id)} className='text-[18px] cursor-pointer hover:text-blue-400' />
+                            </div>
+                        </div>
+                    ))}
+                    <div className='flex justify-center mx-auto items-center gap-[10px]'>
+                        <button onClick={() => setPage(page - 1)} disabled={page === 1}>{`<`}</button>
+                        <p>{page}/{totalPage}</p>
+                        <button onClick={() => setPage(page + 1)} disabled={page === totalPage}>{`>`}</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default Question
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react'
+import { toast } from 'react-toastify';
+import 'react-toastify/dist/ReactToastify.css';
+import { BiTrash } from 'react-icons/bi';
+import { CiCirclePlus } from "react-icons/ci";
+import Loader from '../Loader';
+import { toSizeChartForm } from '../../lib/sizeChart';
+import 'animate.css'
+
+const emptyMeasurement = { key: '', label: '', unit: '' };
+const emptyForm = {
+    name: '',
+    description: '',
+    image: '',
+    measurements: [{ key: 'height', label: 'Chiều cao', unit: 'cm' }, { key: 'weight', label: 'Cân nặng', unit: 'kg' }],
+    rows: [{ size: '', values: {} }],
+    categories: [],
+    products: [],
+};
+
+const SizeChart = () => {
+
+    const [sizeCharts, setSizeCharts] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [openForm, setOpenForm] = useState(false);
+
+    const handleFetchSizeCharts = async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/getAllSizeCharts`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setSizeCharts(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    const handleFetchOptions = async () => {
+        try {
+            const [categoryRes, productRes] = await Promise.all([
+                fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getAllCategories`, {
+                    method: "GET",
+                    credentials: 'include',
+                }),
+                fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getAllProduct`, {
+                    method: "GET",
+                    credentials: 'include',
+                }),
+            ]);
+            const categoryData = await categoryRes.json();
+            const productData = await productRes.json();
+            if (categoryRes.ok) {
+                setCategories(categoryData.allCategories || []);
+            }
+            if (productRes.ok) {
+                setProducts(productData.allProducts || []);
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    useEffect(() => {
+        handleFetchSizeCharts();
+        handleFetchOptions();
+    }, []);
+
+    const handleChange = (e) => {
+        setForm({ ...form, [e.target.id]: e.target.value });
+    }
+
+    const handleChangeMeasurement = (index, field, value) => {
+        setForm({
+            ...form,
+            measurements: form.measurements.map((measurement, id) => id === index ? { ...measurement, [field]: value } : measurement),
+        });
+    }
+
+    // xoa cot thi xoa luon gia tri cua cot do o moi dong
+    const handleRemoveMeasurement = (index) => {
+        const key = form.measurements[index].key;
+        setForm({
+            ...form,
+            measurements: form.measurements.filter((_, id) => id !== index),
+            rows: form.rows.map((row) => {
+                const values = { ...row.values };
+                delete values[key];
+                return { ...row, values };
+            }),
+        });
+    }
+
+    const handleChangeRow = (index, field, value) => {
+        setForm({
+            ...form,
+            rows: form.rows.map((row, id) => id === index ? { ...row, [field]: value } : row),
+        });
+    }
+
+    const handleChangeValue = (index, key, value) => {
+        setForm({
+            ...form,
+            rows: form.rows.map((row, id) => id === index ? { ...row, values: { ...row.values, [key]: value } } : row),
+        });
+    }
+
+    const handleToggle = (field, id) => {
+        setForm({
+            ...form,
+            [field]: form[field].includes(id) ? form[field].filter((item) => item !== id) : [...form[field], id],
+        });
+    }
+
+    const handleOpenCreate = () => {
+        setForm(emptyForm);
+        setEditingId(null);
+        setOpenForm(true);
+    }
+
+    const handleOpenEdit = (sizeChart) => {
+        setForm(toSizeChartForm(sizeChart));
+        setEditingId(sizeChart._id);
+        setOpenForm(true);
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const url = editingId
+            ? `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/update/${editingId}`
+            : `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/create`;
+        // chi gui gia tri cua cac cot con ton tai
+        const body = {
+            ...form,
+            rows: form.rows.map((row) => ({
+                size: row.size,
+                values: Object.fromEntries(form.measurements.map((measurement) => [measurement.key, row.values[measurement.key] ?? ''])),
+            })),
+        };
+        try {
+            const res = await fetch(url, {
+                method: editingId ? "PUT" : "POST",
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(editingId ? 'Size chart updated' : 'Size chart created');
+                setOpenForm(false);
+                handleFetchSizeCharts();
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    const handleDelete = async (sizeChartId) => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/delete/${sizeChartId}`, {
+                method: "DELETE",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+            } else {
+                toast.success(data.message);
+                setSizeCharts(sizeCharts.filter((sizeChart) => sizeChart._id !== sizeChartId));
+            }
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <div className='p-[20px] max-md:p-[10px] flex flex-col gap-[20px] animate__animated animate__fadeInUp'>
+            <div className='flex justify-between items-center'>
+                <h3 className='text-[24px] font-semibold'>Size Charts</h3>
+                <div onClick={handleOpenCreate} className='flex items-center gap-[10px] border rounded-[10px] px-[10px] py-[5px] cursor-pointer hover:bg-gray-100'>
+                    <CiCirclePlus className='text-[20px]' />
+                    <span>Create Size Chart</span>
+                </div>
+            </div>
+
+            {openForm && (
+                <form onSubmit={handleSubmit} className='border shadow-md p-[20px] max-md:p-[10px] flex flex-col gap-[20px]'>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Name: </span>
+                        <input onChange={handleChange} id='name' value={form.name} type='text' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Description: </span>
+                        <textarea onChange={handleChange} id='description' value={form.description} className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+                    <div className='flex items-center'>
+                        <span className='w-[150px]'>Image URL: </span>
+                        <input onChange={handleChange} id='image' value={form.image} type='text' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    </div>
+
+                    <div className='flex flex-col gap-[10px]'>
+                        <span>Measurements: </span>
+                        {form.measurements.map((measurement, index) => (
+                            <div key={index} className='flex items-center gap-[10px] max-md:flex-wrap'>
+                                <input value={measurement.key} onChange={(e) => handleChangeMeasurement(index, 'key', e.target.value)} type='text' placeholder='key (waist)' className='border w-[140px] rounded-[5px] p-[10px]' />
+                                <input value={measurement.label} onChange={(e) => handleChangeMeasurement(index, 'label', e.target.value)} type='text' placeholder='Label' className='border w-[180px] rounded-[5px] p-[10px]' />
+                                <input value={measurement.unit} onChange={(e) => handleChangeMeasurement(index, 'unit', e.target.value)} type='text' placeholder='Unit' className='border w-[80px] rounded-[5px] p-[10px]' />
+                                <BiTrash onClick={() => handleRemoveMeasurement(index)} className='text-[20px] cursor-pointer hover:text-red-500' />
+                            </div>
+                        ))}
+                        <div onClick={() => setForm({ ...form, measurements: [...form.measurements, { ...emptyMeasurement }] })} className='flex items-center gap-[5px] cursor-pointer hover:text-red-400 w-fit'>
+                            <CiCirclePlus className='text-[20px]' />
+                            <span>Add measurement</span>
+                        </div>
+                    </div>
+
+                    <div className='flex flex-col gap-[10px] overflow-x-auto'>
+                        <span>Sizes (nhập 155-162 hoặc 94): </span>
+                        <table className='border-collapse'>
+                            <thead>
+                                <tr>
+                                    <th className='p-[5px] text-left'>Size</th>
+                                    {form.measurements.map((measurement, index) => (
+                                        <th key={index} className='p-[5px] text-left'>{measurement.label || measurement.key}</th>
+                                    ))}
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {form.rows.map((row, index) => (
+                                    <tr key={index}>
+                                        <td className='p-[5px]'>
+                                            <input value={row.size} onChange={(e) => handleChangeRow(index, 'size', e.target.value)} type='text' placeholder='M' className='border w-[80px] rounded-[5px] p-[10px]' />
+                                        </td>
+                                        {form.measurements.map((measurement, id) => (
+                                            <td key={id} className='p-[5px]'>
+                                                <input value={row.values[measurement.key] ?? ''} onChange={(e) => handleChangeValue(index, measurement.key, e.target.value)} type='text' className='border w-[110px] rounded-[5px] p-[10px]' />
+                                            </td>
+                                        ))}
+                                        <td className='p-[5px]'>
+                                            <BiTrash onClick={() => setForm({ ...form, rows: form.rows.filter((_, id) => id !== index) })} className='text-[20px] cursor-pointer hover:text-red-500' />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div onClick={() => setForm({ ...form, rows: [...form.rows, { size: '', values: {} }] })} className='flex items-center gap-[5px] cursor-pointer hover:text-red-400 w-fit'>
+                            <CiCirclePlus className='text-[20px]' />
+                            <span>Add size</span>
+                        </div>
+                    </div>
+
+                    <div className='flex flex-col gap-[10px]'>
+                        <span>Categories: </span>
+                        <div className='flex flex-wrap gap-[20px]'>
+                            {categories.map((category) => (
+                                <label key={category._id} className='flex items-center gap-[5px]'>
+                                    <input type='checkbox' checked={form.categories.includes(category._id)} onChange={() => handleToggle('categories', category._id)} />
+                                    {category.name}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className='flex flex-col gap-[10px]'>
+                        <span>Products (ưu tiên hơn danh mục): </span>
+                        <select value='' onChange={(e) => e.target.value && handleToggle('products', e.target.value)} className='border w-[300px] rounded-[5px] p-[10px]'>
+                            <option value=''>Add product</option>
+                            {products.filter((product) => !form.products.includes(product._id)).map((product) => (
+                                <option key={product._id} value={product._id}>{product.name}</option>
+                            ))}
+                        </select>
+                        <div className='flex flex-wrap gap-[10px]'>
+                            {form.products.map((productId) => (
+                                <div key={productId} className='flex items-center gap-[5px] border rounded-[10px] px-[10px] py-[5px]'>
+                                    <span>{products.find((product) => product._id === productId)?.name || productId}</span>
+                                    <BiTrash onClick={() => handleToggle('products', productId)} className='cursor-pointer hover:text-red-500' />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className='flex gap-[10px]'>
+                        <button type='submit' className='border rounded-[10px] px-[20px] py-[5px] bg-black text-white hover:opacity-70'>{editingId ? 'Update' : 'Create'}</button>
+                        <button type='button' onClick={() => setOpenForm(false)} className='border rounded-[10px] px-[20px] py-[5px] hover:bg-gray-100'>Close</button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <Loader />
+            ) : sizeCharts.length === 0 ? (
+                <p>No size charts yet</p>
+            ) : (
+                <table className='w-full border-collapse'>
+                    <thead>
+                        <tr className='border-b-[2px]'>
+                            <th className='p-[10px] text-left'>Name</th>
+                            <th className='p-[10px] text-left'>Sizes</th>
+                            <th className='p-[10px] text-left'>Categories</th>
+                            <th className='p-[10px] text-left'>Products</th>
+                            <th className='p-[10px] text-left'>Option</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sizeCharts.map((sizeChart) => (
+                            <tr key={sizeChart._id} onClick={() => handleOpenEdit(sizeChart)} className='border-b-[2px] cursor-pointer hover:bg-gray-100'>
+                                <td className='p-[10px]'>{sizeChart.name}</td>
+                                <td className='p-[10px]'>{sizeChart.rows.map((row) => row.size).join(', ')}</td>
+                                <td className='p-[10px]'>{sizeChart.categories.map((category) => category.name).join(', ')}</td>
+                                <td className='p-[10px]'>{sizeChart.products.length}</td>
+                                <td className='p-[10px]'>
+                                    <BiTrash onClick={(e) => { e.stopPropagation(); handleDelete(sizeChart._id) }} className='text-[18px] hover:text-red-500' />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    )
+}
+
+export default SizeChart
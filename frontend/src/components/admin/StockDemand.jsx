@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom';
+import Loader from '../Loader';
+import { getProductPath } from '../../lib/paths';
+import 'animate.css'
+
+// so khach dang cho tung bien the co hang lai
+const StockDemand = () => {
+
+    const [demand, setDemand] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const handleFetchDemand = async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/stockAlert/demand`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setDemand(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        handleFetchDemand();
+    }, []);
+
+    return (
+        <div className='p-[20px] max-md:p-[10px] flex flex-col gap-[20px] animate__animated animate__fadeInUp'>
+            <h3 className='text-[24px] font-semibold'>Restock Demand</h3>
+            {loading ? (
+                <Loader />
+            ) : demand.length === 0 ? (
+                <p>No shoppers are waiting for a restock</p>
+            ) : (
+                <table className='w-full border-collapse'>
+                    <thead>
+                        <tr className='border-b-[2px]'>
+                            <th className='p-[10px] text-left'>Product</th>
+                            <th className='p-[10px] text-left'>Variant</th>
+                            <th className='p-[10px] text-left'>Waiting</th>
+                            <th className='p-[10px] text-left'>Stock</th>
+                            <th className='p-[10px] text-left'>Since</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {demand.map((item) => (
+                            <tr key={`${item.productId}-${item.color}-${item.size}`} className='border-b-[2px]'>
+                                <td className='p-[10px]'>
+                                    <Link to={getProductPath({ _id: item.productId, slug: item.slug })} className='hover:underline'>{item.name}</Link>
+                                </td>
+                                <td className='p-[10px]'>{[item.color, item.size].filter(Boolean).join(' / ') || '-'}</td>
+                                <td className='p-[10px] font-semibold'>{item.count}</td>
+                                <td className='p-[10px]'>{item.stock}</td>
+                                <td className='p-[10px]'>{new Date(item.since).toLocaleDateString('vi-VN')}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    )
+}
+
+export default StockDemand
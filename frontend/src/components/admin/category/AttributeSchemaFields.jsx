@@ -0,0 +1,45 @@
+import React from 'react'
+import { BiTrash } from 'react-icons/bi';
+import { CiCirclePlus } from "react-icons/ci";
+import { ATTRIBUTE_TYPES, hasAttributeOptions } from '../../../lib/attributes';
+
+const emptyRow = { key: '', label: '', type: 'text', optionsText: '', required: false };
+
+// thuoc tinh san pham cua danh muc: key, nhan, kieu, gia tri cho phep, bat buoc
+const AttributeSchemaFields = ({ rows, setRows }) => {
+
+    const handleChangeRow = (index, field, value) => {
+        setRows(rows.map((row, id) => id === index ? { ...row, [field]: value } : row));
+    }
+
+    return (
+        <div className='flex flex-col gap-[10px]'>
+            <p className='w-[160px] font-semibold'>Attributes: </p>
+            {rows.map((row, index) => (
+                <div key={index} className='flex items-center gap-[10px] max-md:flex-wrap'>
+                    <input value={row.key} onChange={(e) => handleChangeRow(index, 'key', e.target.value)} type="text" placeholder='key (material)' className='border-gray-400 border rounded-[10px] py-[5px] px-[10px] w-[140px]' />
+                    <input value={row.label} onChange={(e) => handleChangeRow(index, 'label', e.target.value)} type="text" placeholder='Label' className='border-gray-400 border rounded-[10px] py-[5px] px-[10px] w-[140px]' />
+                    <select value={row.type} onChange={(e) => handleChangeRow(index, 'type', e.target.value)} className='border-gray-400 border rounded-[10px] py-[5px] px-[10px]'>
+                        {ATTRIBUTE_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    {hasAttributeOptions(row.type) && (
+                        <input value={row.optionsText} onChange={(e) => handleChangeRow(index, 'optionsText', e.target.value)} type="text" placeholder='cotton, linen' className='border-gray-400 border rounded-[10px] py-[5px] px-[10px] w-[200px]' />
+                    )}
+                    <label className='flex items-center gap-[5px]'>
+                        <input type='checkbox' checked={row.required} onChange={(e) => handleChangeRow(index, 'required', e.target.checked)} />
+                        Required
+                    </label>
+                    <BiTrash onClick={() => setRows(rows.filter((_, id) => id !== index))} className='text-[18px] cursor-pointer hover:text-red-400' />
+                </div>
+            ))}
+            <div onClick={() => setRows([...rows, { ...emptyRow }])} className='flex items-center gap-[5px] cursor-pointer hover:text-red-400 w-fit'>
+                <CiCirclePlus className='text-[20px]' />
+                <span>Add attribute</span>
+            </div>
+        </div>
+    )
+}
+
+export default AttributeSchemaFields
@@ -5,9 +5,10 @@ import 'react-toastify/dist/ReactToastify.css';
 
 import { BiTrash } from 'react-icons/bi';
 import Loader from '../../Loader';
+import AttributeSchemaFields from './AttributeSchemaFields';
+import { toAttributeDefinitions, toAttributeRows } from '../../../lib/attributes';
 
-import { getDownloadURL, getStorage, ref, uploadBytesResumable, deleteObject } from 'firebase/storage';
-import { app } from '../../../firebase';
+import { deleteImage, getImageUrl, uploadImage } from '../../../lib/imageUpload';
 
 import Modal from '@mui/material/Modal';
 import { IoIosCloseCircleOutline } from "react-icons/io";
@@ -29,6 +30,7 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
     const [title, setTitle] = useState('');
     const [description, setDescription] = useState([]);
     const [heroImage, setHeroImage] = useState('');
+    const [attributeRows, setAttributeRows] = useState([]);
     const [loading, setLoading] = useState(true);
 
     const handleFetchSingleCategory = async (categoryId) => {
@@ -63,6 +65,7 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
             setTitle(eachCategory.title);
             setDescription(eachCategory.description);
             setHeroImage(eachCategory.heroImage)
+            setAttributeRows(toAttributeRows(eachCategory.attributes));
         }
     }, [eachCategory])
 
@@ -107,29 +110,14 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
     const [imageFileUploadError, setImageFileUploadError] = useState(null);
 
     const handleFileUploadImage = async (image) => {
-        const storage = getStorage(app);
-        const fileName = new Date().getTime() + image.name;
-        const storageRef = ref(storage, fileName);
-        const uploadTask = uploadBytesResumable(storageRef, image);
-
-        uploadTask.on(
-            'state_changed',
-            (snapshot) => {
-                const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                setImageFileUploadProgress(progress.toFixed(0));
-            },
-            (error) => {
-                setImageFileUploadError('Could not upload image (File must be less than 2MB)');
-                console.log(error)
-            },
-            () => {
-                getDownloadURL(uploadTask.snapshot.ref)
-                    .then((downloadURL) => {
-                        setFormDataImage(downloadURL)
-                    })
-                console.log("Image upload completed")
-            }
-        )
+        try {
+            const uploaded = await uploadImage(image, 'category', setImageFileUploadProgress);
+            setFormDataImage(uploaded.url)
+            console.log("Image upload completed")
+        } catch (error) {
+            setImageFileUploadError(error.message);
+            console.log(error)
+        }
     }
 
     const handleRemovePhoto = (imageToDelete) => {
@@ -141,11 +129,7 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
         setUploadSuccess(true);
 
         try {
-            const storage = getStorage(app);
-            const deletePromises = imageToDelete.map((url) => {
-                const imageRef = ref(storage, url);
-                return deleteObject(imageRef);
-            });
+            const deletePromises = imageToDelete.map((url) => deleteImage(url));
             await Promise.all(deletePromises);
             setImageToDelete([]);
         } catch (error) {
@@ -162,6 +146,7 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
         if (formData?.title) updateForm.title = formData.title;
         if (description.length > 0) updateForm.description = description;
         if (formDataImage.length > 0) updateForm.heroImage = formDataImage;
+        updateForm.attributes = toAttributeDefinitions(attributeRows);
 
         try {
             const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/update/${categoryId}`, {
@@ -174,7 +159,8 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
             });
             const data = await res.json();
             if (!res.ok) {
-                handleShowErrorMessage("Update category failed");
+                handleShowErrorMessage(data.message || "Update category failed");
+                setLoadingUpdate(false);
                 return;
             } else {
                 setLoadingUpdate(false);
@@ -246,12 +232,19 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
                         </div>
                     </div>
 
+                    {category.attributes?.length > 0 && (
+                        <div className='flex gap-[20px]'>
+                            <p className='font-semibold w-[100px]'>Attributes:</p>
+                            <p>{category.attributes.map((attribute) => `${attribute.label}${attribute.required ? ' *' : ''}`).join(', ')}</p>
+                        </div>
+                    )}
+
                     {/* hero image */}
                     <div className='flex flex-col gap-[20px]'>
                         <p className='font-semibold w-[100px]'>Hero Image: </p>
                         {
                             category.heroImage ? (
-                                <img src={category?.heroImage} alt="hero image" className='w-[300px] h-[100px] object-cover rounded-[10px]' />
+                                <img src={getImageUrl(category?.heroImage, category?.heroImageVariants, 'card')} alt="hero image" className='w-[300px] h-[100px] object-cover rounded-[10px]' />
                             ) : (
                                 <div className='text-gray-500'>this product doesnt have hero image</div>
                             )
@@ -326,6 +319,7 @@ const EditCategory = ({ categories, handleFetchCategories }) => {
                                                 <div onClick={handleClickSave} className='rounded-[20px] bg-blue-400 w-[120px] text-[12px] p-[5px] text-center hover:bg-opacity-70 hover:text-white cursor-pointer'>Save Image</div>
                                             )}
                                         </div>
+                                        <AttributeSchemaFields rows={attributeRows} setRows={setAttributeRows} />
                                         <button type='submit' className='rounded-[30px] w-[200px] text-center p-[10px] bg-red-400 text-white hover:opacity-70'>Save</button>
                                     </div>
                                 )}
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react'
+import { fetchAttributeSchema } from '../../../lib/attributes';
+
+// o nhap thuoc tinh theo schema cua cac danh muc da chon
+const AttributeFields = ({ categories, attributes, setAttributes, className = '' }) => {
+
+    const [schema, setSchema] = useState([]);
+
+    // gop thanh chuoi de effect khong chay lai moi lan render vi mang moi
+    const categoryKey = categories.join(',');
+
+    useEffect(() => {
+        fetchAttributeSchema(categoryKey.split(',').filter(Boolean))
+            .then(setSchema)
+            .catch((error) => console.log(error.message));
+    }, [categoryKey]);
+
+    const handleChange = (key, value) => {
+        setAttributes({ ...attributes, [key]: value });
+    }
+
+    const handleToggleOption = (key, option) => {
+        const current = attributes[key] || [];
+        handleChange(key, current.includes(option)
+            ? current.filter((item) => item !== option)
+            : [...current, option]);
+    }
+
+    if (schema.length === 0) {
+        return null;
+    }
+
+    return (
+        <>
+            {schema.map((definition) => (
+                <div key={definition.key} className={`flex items-center ${className}`}>
+                    <span className='w-[150px]'>{definition.label}{definition.required && ' *'}: </span>
+                    {definition.type === 'select' ? (
+                        <select value={attributes[definition.key] ?? ''} onChange={(e) => handleChange(definition.key, e.target.value)} className='border w-[500px] rounded-[5px] p-[10px]'>
+                            <option value=''>Choose {definition.label}</option>
+                            {definition.options.map((option) => (
+                                <option key={option} value={option}>{option}</option>
+                            ))}
+                        </select>
+                    ) : definition.type === 'multiselect' ? (
+                        <div className='flex flex-wrap gap-[20px]'>
+                            {definition.options.map((option) => (
+                                <label key={option} className='flex items-center gap-[5px]'>
+                                    <input type='checkbox' checked={(attributes[definition.key] || []).includes(option)} onChange={() => handleToggleOption(definition.key, option)} />
+                                    {option}
+                                </label>
+                            ))}
+                        </div>
+                    ) : (
+                        <input value={attributes[definition.key] ?? ''} onChange={(e) => handleChange(definition.key, e.target.value)} type={definition.type === 'number' ? 'number' : 'text'} className='border w-[500px] rounded-[5px] p-[10px] ' />
+                    )}
+                </div>
+            ))}
+        </>
+    )
+}
+
+export default AttributeFields
@@ -1,19 +1,25 @@
 import React, { useRef, useState, useEffect } from 'react'
+import ProductStatusFields from './ProductStatusFields';
+import SalePriceFields from './SalePriceFields';
+import AttributeFields from './AttributeFields';
+import { toScheduleDate } from '../../../lib/productStatus';
 import styled from 'styled-components'
 import { useNavigate } from 'react-router-dom';
 // IMAGE UPLOAD
-import { app } from '../../../firebase';
-import { getDownloadURL, getStorage, ref, uploadBytesResumable } from 'firebase/storage';
+import { uploadImage } from '../../../lib/imageUpload';
 // TOAST
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { BiTrash } from 'react-icons/bi';
 import 'animate.css';
+import VariantTable from './VariantTable';
+import { getSubmittedVariants } from '../../../lib/variants';
 
 const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboard }) => {
     // category
     const [categoryInput, setCategoryInput] = useState('');
     const [categories, setCategories] = useState([]);
+    const [attributes, setAttributes] = useState({});
 
     const handleInputCategory = (e) => {
         setCategoryInput(e.target.value)
@@ -56,6 +62,10 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
         }
     }
 
+    // variants
+    const [variants, setVariants] = useState([]);
+    const submittedVariants = getSubmittedVariants(variants);
+
     // handle upload image
     const fileRef = useRef(null);
 
@@ -81,39 +91,22 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
     }
 
     const handleFileUploadImages = async (images) => {
-        const storage = getStorage(app);
         const uploadPromises = images.map((image) => {
             const fileName = new Date().getTime() + image.name;
-            const storageRef = ref(storage, fileName);
-            const uploadTask = uploadBytesResumable(storageRef, image);
-
-            return new Promise((resolve, reject) => {
-                uploadTask.on(
-                    'state_changed',
-                    (snapshot) => {
-                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                        setImageFileUploadProgress((prevProgress) => ({
-                            ...prevProgress,
-                            [fileName]: progress.toFixed(0),
-                        }));
-                    },
-                    (error) => {
-                        setImageFileUploadError((prevError) => ({
-                            ...prevError,
-                            [fileName]: 'Could not upload image (File must be less than 2MB)',
-                        }));
-                        console.log(error);
-                        reject(error);
-                    },
-                    () => {
-                        getDownloadURL(uploadTask.snapshot.ref)
-                            .then((downloadURL) => {
-                                resolve({ fileName, downloadURL });
-                            })
-                            .catch((error) => reject(error));
-                    }
-                );
-            });
+            return uploadImage(image, 'product', (progress) => {
+                setImageFileUploadProgress((prevProgress) => ({
+                    ...prevProgress,
+                    [fileName]: progress,
+                }));
+            })
+                .then((uploaded) => ({ fileName, downloadURL: uploaded.url }))
+                .catch((error) => {
+                    setImageFileUploadError((prevError) => ({
+                        ...prevError,
+                        [fileName]: error.message,
+                    }));
+                    throw error;
+                });
         });
 
         try {
@@ -158,13 +151,26 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
             description: formData.description,
             price: formData.price,
             stock: formData.stock,
+            lowStockThreshold: formData.lowStockThreshold || null,
             categories: categories,
             sizes: sizes,
             colors: colors,
-            listingPhotoPaths: formDataImage.listingPhotoPaths
+            listingPhotoPaths: formDataImage.listingPhotoPaths,
+            status: formData.status || 'published',
+            publishAt: toScheduleDate(formData.publishAt),
+            unpublishAt: toScheduleDate(formData.unpublishAt),
+            compareAtPrice: formData.compareAtPrice || null,
+            salePrice: formData.salePrice || null,
+            saleStartsAt: toScheduleDate(formData.saleStartsAt),
+            saleEndsAt: toScheduleDate(formData.saleEndsAt),
+            attributes: attributes,
+        }
+        if (submittedVariants.length > 0) {
+            productForm.variants = submittedVariants;
+            productForm.stock = submittedVariants.reduce((total, variant) => total + Number(variant.stock || 0), 0);
         }
 
-        if (!productForm.name || !productForm.description || !productForm.price || !productForm.stock || !productForm.stock || !productForm.categories || !productForm.sizes || !productForm.colors || !productForm.listingPhotoPaths) {
+        if (!productForm.name || !productForm.description || !productForm.price || (!productForm.stock && submittedVariants.length === 0) || !productForm.categories || !productForm.sizes || !productForm.colors || !productForm.listingPhotoPaths) {
             handleShowErrorMessage("All fields are required");
             console.log(productForm)
         }
@@ -179,7 +185,7 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
         });
         const data = await res.json();
         if (!res.ok) {
-            handleShowErrorMessage("Create product failed");
+            handleShowErrorMessage(data.message || "Create product failed");
             return;
         } else {
             handleShowSucccessMessage("Create product sucessfully");
@@ -205,9 +211,17 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
                 <span className='w-[150px]'>Price: </span>
                 <input onChange={handleChange} id='price' type='number' placeholder='Enter price' className='border w-[500px] rounded-[5px] p-[10px] ' />
             </div>
+            <ProductStatusFields handleChange={handleChange} />
+            <SalePriceFields handleChange={handleChange} />
+            {submittedVariants.length === 0 && (
+                <div className='flex items-center'>
+                    <span className='w-[150px]'>Stock: </span>
+                    <input onChange={handleChange} id='stock' type='number' placeholder='Enter number of stock' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                </div>
+            )}
             <div className='flex items-center'>
-                <span className='w-[150px]'>Stock: </span>
-                <input onChange={handleChange} id='stock' type='number' placeholder='Enter number of stock' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                <span className='w-[150px]'>Low stock at: </span>
+                <input onChange={handleChange} id='lowStockThreshold' type='number' min={0} placeholder='Leave empty to use the store default' className='border w-[500px] rounded-[5px] p-[10px] ' />
             </div>
             <div className='flex items-center'>
                 <span className='w-[150px]'>Categories: </span>
@@ -221,6 +235,7 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
                     </div>
                 ))}
             </div>
+            <AttributeFields categories={categories} attributes={attributes} setAttributes={setAttributes} />
             <div className='flex items-center'>
                 <span className='w-[150px]'>Sizes: </span>
                 <input onChange={handleInputSize} value={sizeInput} id='categories' type='text' placeholder='Enter sizes' className='border w-[500px] rounded-[5px] p-[10px] ' />
@@ -245,6 +260,10 @@ const CreateProduct = ({ setOpenCreate, setOpenShow, handleFetchProductsDashboar
                     </div>
                 ))}
             </div>
+            <div className='flex items-start'>
+                <span className='w-[150px] shrink-0'>Variants: </span>
+                <VariantTable sizes={sizes} colors={colors} variants={variants} setVariants={setVariants} />
+            </div>
             <div className='flex items-center'>
                 <span className='w-[150px]'>
                     Add some photos:
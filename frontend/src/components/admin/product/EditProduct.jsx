@@ -1,10 +1,13 @@
 import React, { useRef, useState, useEffect } from 'react'
+import ProductStatusFields from './ProductStatusFields';
+import SalePriceFields from './SalePriceFields';
+import AttributeFields from './AttributeFields';
+import { toScheduleDate } from '../../../lib/productStatus';
 import styled from 'styled-components'
 import { useNavigate } from 'react-router-dom';
 import Loader from '../../Loader';
 // IMAGE UPLOAD
-import { app } from '../../../firebase';
-import { getDownloadURL, getStorage, ref, uploadBytesResumable, deleteObject } from 'firebase/storage';
+import { deleteImage, uploadImage } from '../../../lib/imageUpload';
 // TOAST
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
@@ -13,6 +16,10 @@ import 'animate.css';
 
 import Modal from '@mui/material/Modal';
 import { IoIosCloseCircleOutline } from "react-icons/io";
+import VariantTable from './VariantTable';
+import { getSubmittedVariants, markStoredVariants } from '../../../lib/variants';
+import StockHistory from './StockHistory';
+import ProductHistory from './ProductHistory';
 
 const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsDashboard }) => {
 
@@ -23,7 +30,10 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
     const [categories, setCategories] = useState([]);
     const [sizes, setSizes] = useState([]);
     const [colors, setColors] = useState([]);
-
+    const [variants, setVariants] = useState([]);
+    const submittedVariants = getSubmittedVariants(variants);
+    const [attributes, setAttributes] = useState({});
+    const [tab, setTab] = useState('details');
 
     const handleFetchProduct = async () => {
         setProduct({});
@@ -57,6 +67,8 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
             setCategories(product?.categories);
             setSizes(product?.sizes);
             setColors(product?.colors);
+            setVariants(markStoredVariants(product?.variants));
+            setAttributes(product?.attributes || {});
         }
     }, [product])
 
@@ -122,43 +134,25 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
 
 
     const handleFileUploadImages = async (images) => {
-        const storage = getStorage(app);
-
         // Filter out URLs and process only File objects
         const filesToUpload = images.filter(image => image instanceof File);
 
         const uploadPromises = filesToUpload.map((file) => {
             const fileName = new Date().getTime() + file.name;
-            const storageRef = ref(storage, fileName);
-            const uploadTask = uploadBytesResumable(storageRef, file);
-
-            return new Promise((resolve, reject) => {
-                uploadTask.on(
-                    'state_changed',
-                    (snapshot) => {
-                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                        setImageFileUploadProgress((prevProgress) => ({
-                            ...prevProgress,
-                            [fileName]: progress.toFixed(0),
-                        }));
-                    },
-                    (error) => {
-                        setImageFileUploadError((prevError) => ({
-                            ...prevError,
-                            [fileName]: 'Could not upload image (File must be less than 2MB)',
-                        }));
-                        console.log(error);
-                        reject(error);
-                    },
-                    () => {
-                        getDownloadURL(uploadTask.snapshot.ref)
-                            .then((downloadURL) => {
-                                resolve({ fileName, downloadURL });
-                            })
-                            .catch((error) => reject(error));
-                    }
-                );
-            });
+            return uploadImage(file, 'product', (progress) => {
+                setImageFileUploadProgress((prevProgress) => ({
+                    ...prevProgress,
+                    [fileName]: progress,
+                }));
+            })
+                .then((uploaded) => ({ fileName, downloadURL: uploaded.url }))
+                .catch((error) => {
+                    setImageFileUploadError((prevError) => ({
+                        ...prevError,
+                        [fileName]: error.message,
+                    }));
+                    throw error;
+                });
         });
 
         try {
@@ -181,11 +175,7 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
 
         // Handle deletions first
         try {
-            const storage = getStorage(app);
-            const deletePromises = imagesToDelete.map((url) => {
-                const imageRef = ref(storage, url);
-                return deleteObject(imageRef);
-            });
+            const deletePromises = imagesToDelete.map((url) => deleteImage(url));
 
             await Promise.all(deletePromises);
 
@@ -283,11 +273,20 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
         if (formData?.name) listingForm.name = formData.name;
         if (formData?.description) listingForm.description = formData.description;
         if (formData?.price) listingForm.price = formData.price;
-        if (formData?.stock) listingForm.stock = formData.stock;
+        if (formData?.lowStockThreshold !== undefined) listingForm.lowStockThreshold = formData.lowStockThreshold;
         if (categories.length > 0) listingForm.categories = categories;
         if (sizes.length > 0) listingForm.sizes = sizes;
         if (colors.length > 0) listingForm.colors = colors;
+        if (submittedVariants.length > 0) listingForm.variants = submittedVariants;
         if (formDataImage.listingPhotoPaths) listingForm.listingPhotoPaths = formDataImage.listingPhotoPaths;
+        if (formData?.status) listingForm.status = formData.status;
+        if (formData?.publishAt !== undefined) listingForm.publishAt = toScheduleDate(formData.publishAt);
+        if (formData?.unpublishAt !== undefined) listingForm.unpublishAt = toScheduleDate(formData.unpublishAt);
+        if (formData?.compareAtPrice !== undefined) listingForm.compareAtPrice = formData.compareAtPrice || null;
+        if (formData?.salePrice !== undefined) listingForm.salePrice = formData.salePrice || null;
+        if (formData?.saleStartsAt !== undefined) listingForm.saleStartsAt = toScheduleDate(formData.saleStartsAt);
+        if (formData?.saleEndsAt !== undefined) listingForm.saleEndsAt = toScheduleDate(formData.saleEndsAt);
+        if (JSON.stringify(attributes) !== JSON.stringify(product.attributes || {})) listingForm.attributes = attributes;
 
         try {
             const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/update/${product._id}`, {
@@ -300,7 +299,7 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
             });
             const data = await res.json();
             if (!res.ok) {
-                handleShowErrorMessage("Update product failed! Try again.");
+                handleShowErrorMessage(data.message || "Update product failed! Try again.");
                 setLoading(false);
                 return;
             } else {
@@ -324,10 +323,10 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                 credentials: 'include',
             });
             if (!res.ok) {
-                handleShowErrorMessage("Delete product failed! Try again.");
+                handleShowErrorMessage("Archive product failed! Try again.");
                 return;
             } else {
-                handleShowSucccessMessage("Delete product successfully!")
+                handleShowSucccessMessage("Archive product successfully!")
                 setDeleteModal(false);
                 setOpenEdit(false);
                 setOpenShow(true);
@@ -349,8 +348,17 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                 </h3>
             ) : (
                 <>
+                    {!loading && (
+                        <div className='flex gap-[10px] mb-[10px]'>
+                            {[['details', 'Details'], ['history', 'History']].map(([value, label]) => (
+                                <button key={value} type='button' onClick={() => setTab(value)} className={`border rounded-[10px] py-[5px] px-[20px] ${tab === value ? 'bg-blue-400' : 'hover:bg-gray-100'}`}>{label}</button>
+                            ))}
+                        </div>
+                    )}
                     {loading ? (
                         <Loader />
+                    ) : tab === 'history' ? (
+                        <ProductHistory product={product} onReverted={(updated) => setProduct(updated)} />
                     ) : (
                         <form onSubmit={handleSubmitForm} className=' border shadow-md p-[20px] max-md:p-[10px] flex flex-col gap-[20px] '>
                             <h2 className='text-center font-semibold text-[20px]'>General Information</h2>
@@ -413,9 +421,18 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                                         <span className='w-[150px]'>Price: </span>
                                         <input onChange={handleChange} id='price' type='number' defaultValue={product?.price} placeholder='Enter price' className='border w-[500px] rounded-[5px] p-[10px] ' />
                                     </div>
+                                    <ProductStatusFields product={product} handleChange={handleChange} className='pb-[20px]' />
+                                    <SalePriceFields product={product} handleChange={handleChange} className='pb-[20px]' />
+                                    {submittedVariants.length === 0 && (
+                                        <div className='flex items-center pb-[20px]'>
+                                            <span className='w-[150px]'>Stock: </span>
+                                            {/* ton kho chi doi qua dieu chinh kho ($inc) de khong ghi de don hang moi */}
+                                            <span>{product?.stock} (adjust in the stock history below)</span>
+                                        </div>
+                                    )}
                                     <div className='flex items-center pb-[20px]'>
-                                        <span className='w-[150px]'>Stock: </span>
-                                        <input onChange={handleChange} id='stock' type='number' defaultValue={product?.stock} placeholder='Enter number of stock' className='border w-[500px] rounded-[5px] p-[10px] ' />
+                                        <span className='w-[150px]'>Low stock at: </span>
+                                        <input onChange={handleChange} id='lowStockThreshold' type='number' min={0} defaultValue={product?.lowStockThreshold ?? ''} placeholder='Leave empty to use the store default' className='border w-[500px] rounded-[5px] p-[10px] ' />
                                     </div>
                                     <div className='flex items-center pb-[20px]'>
                                         <span className='w-[150px]'>Categories: </span>
@@ -434,6 +451,7 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                                             </div>
                                         ))}
                                     </div>
+                                    <AttributeFields categories={categories || []} attributes={attributes} setAttributes={setAttributes} className='pb-[20px]' />
                                     <div className='flex items-center pb-[20px]'>
                                         <span className='w-[150px]'>Sizes: </span>
                                         <input onChange={handleInputSize} value={sizeInput} id='categories' type='text' placeholder='Enter sizes' className='border w-[500px] rounded-[5px] p-[10px] ' />
@@ -468,15 +486,22 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                                             </div>
                                         ))}
                                     </div>
+                                    <div className='flex items-start pb-[20px]'>
+                                        <span className='w-[150px] shrink-0'>Variants: </span>
+                                        <VariantTable sizes={sizes} colors={colors} variants={variants} setVariants={setVariants} />
+                                    </div>
                                 </div>
 
                             </div>
                             <div className='flex gap-[40px]'>
                                 <button type='submit' className='border rounded-[20px] py-[5px] px-[10px] w-[200px] bg-blue-400 hover:bg-opacity-70'>Save</button>
-                                <div onClick={() => setDeleteModal(true)} className='border rounded-[20px] py-[5px] px-[10px] w-[200px] bg-red-400 hover:bg-opacity-70 text-center cursor-pointer'>Delete</div>
+                                <div onClick={() => setDeleteModal(true)} className='border rounded-[20px] py-[5px] px-[10px] w-[200px] bg-red-400 hover:bg-opacity-70 text-center cursor-pointer'>Archive</div>
                             </div>
                         </form>
                     )}
+                    {!loading && tab === 'details' && (
+                        <StockHistory product={product} onAdjusted={(updated) => setProduct(updated)} />
+                    )}
                     {/* DELETE */}
                     <Modal open={deleteModal} onClose={() => setDeleteModal(false)}>
                         <div className='absolute top-[50%] left-[50%] transform translate-x-[-50%] translate-y-[-50%] shadow-lg w-[400px] p-[20px] bg-white text-black h-[200px] max-md:h-[200px] rounded-[20px] flex flex-col gap-[20px] justify-center items-center '>
@@ -486,7 +511,7 @@ const EditProduct = ({ productId, setOpenEdit, setOpenShow, handleFetchProductsD
                                 ) : (
                                     <>
                                         <IoIosCloseCircleOutline onClick={() => setDeleteModal(false)} className='absolute top-[10px] right-[10px] text-[30px] cursor-pointer hover:text-red-[400]' />
-                                        <h3 className='text-center text-[16px]'>Are you sure to delete this product ?</h3>
+                                        <h3 className='text-center text-[16px]'>Archive this product? It will be hidden from the store but kept for old orders and reviews.</h3>
                                         <div className='flex justify-evenly w-full'>
                                             <div onClick={handleDeleteProduct} className='rounded-[20px] p-[10px] text-center bg-red-400 hover:opacity-70 w-[100px] cursor-pointer'>YES</div>
                                             <div onClick={() => setDeleteModal(false)} className='rounded-[20px] p-[10px] text-center bg-blue-400 hover:opacity-70 w-[100px] cursor-pointer'>CANCEL</div>
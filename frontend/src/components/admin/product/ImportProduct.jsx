@@ -0,0 +1,102 @@
+import React, { useRef, useState } from 'react'
+import { toast } from 'react-toastify';
+import 'animate.css';
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// nhap san pham tu file xlsx (cung cot voi file export) hoac csv
+const ImportProduct = ({ setOpenImport, handleFetchProductsDashboard }) => {
+    const fileRef = useRef(null);
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleChooseFile = (e) => {
+        setFile(e.target.files[0] || null);
+        setReport(null);
+    }
+
+    const handleImport = async (dryRun) => {
+        if (!file) {
+            toast.error("Please choose an xlsx or csv file");
+            return;
+        }
+        setLoading(true);
+        try {
+            const isCsv = file.name.toLowerCase().endsWith('.csv');
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/importProducts?dryRun=${dryRun}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': isCsv ? 'text/csv' : XLSX_TYPE,
+                },
+                body: file,
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message || "Import products failed");
+                return;
+            }
+            setReport(data);
+            if (!dryRun) {
+                toast.success(`Imported ${data.created + data.updated} products, ${data.failed} failed`);
+                handleFetchProductsDashboard();
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    return (
+        <div className='bg-white border w-[1200px] max-md:w-full p-[30px] max-md:p-[5px] flex flex-col gap-[20px] shadow-lg mx-[10px] max-md:mx-[5px] animate__animated animate__fadeInUp'>
+            <p className='text-gray-500'>
+                Use the same columns as the exported Excel file (Name and Price are required). Rows with an ID, or with variant SKUs that already exist, update the matching product.
+            </p>
+            <div className='flex items-center gap-[20px] max-md:flex-col max-md:items-start'>
+                <input onChange={handleChooseFile} ref={fileRef} type="file" accept='.xlsx,.csv' className='hidden' />
+                <div onClick={() => fileRef.current.click()} className='border rounded-[10px] p-[10px] bg-black text-white hover:bg-opacity-75 cursor-pointer'>
+                    Choose file
+                </div>
+                <span>{file ? file.name : 'No file chosen'}</span>
+                <button disabled={loading} onClick={() => handleImport(true)} className='border rounded-[10px] p-[10px] w-[150px] hover:bg-gray-100'>Preview</button>
+                <button disabled={loading} onClick={() => handleImport(false)} className='border rounded-[10px] p-[10px] w-[150px] bg-red-400 hover:bg-opacity-70'>Import</button>
+                <button onClick={() => setOpenImport(false)} className='border rounded-[10px] p-[10px] w-[100px] hover:bg-gray-100'>Close</button>
+            </div>
+
+            {report && (
+                <div className='flex flex-col gap-[10px]'>
+                    <p className='font-semibold'>
+                        {report.dryRun ? 'Preview: ' : 'Result: '}
+                        {report.created} to create, {report.updated} to update, {report.failed} with errors (total {report.total})
+                    </p>
+                    <div className='max-h-[400px] overflow-y-scroll border rounded-[10px]'>
+                        <table className='w-full text-left'>
+                            <thead>
+                                <tr className='bg-gray-100'>
+                                    <th className='p-[5px]'>Row</th>
+                                    <th className='p-[5px]'>Name</th>
+                                    <th className='p-[5px]'>Action</th>
+                                    <th className='p-[5px]'>Errors</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.rows.map((row) => (
+                                    <tr key={row.row} className={`border-t ${row.action === 'error' ? 'text-red-500' : ''}`}>
+                                        <td className='p-[5px]'>{row.row}</td>
+                                        <td className='p-[5px]'>{row.name}</td>
+                                        <td className='p-[5px]'>{row.action}</td>
+                                        <td className='p-[5px]'>{row.errors.join('; ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ImportProduct
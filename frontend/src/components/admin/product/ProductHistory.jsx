@@ -0,0 +1,137 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { toast } from 'react-toastify';
+import Loader from '../../Loader';
+
+const SOURCE_LABELS = {
+    update: 'Edit',
+    import: 'Import',
+    revert: 'Revert',
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+
+// gia tri truoc / sau cua mot truong, mo ta dai thi cat bot
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'string' && ISO_DATE.test(value)) return new Date(value).toLocaleString('vi-VN');
+    const text = String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}...` : text;
+}
+
+// lich su sua san pham, moi phien ban co the khoi phuc lai
+const ProductHistory = ({ product, onReverted }) => {
+    const [history, setHistory] = useState({ versions: [], currentPage: 1, totalPages: 0, totalNumber: 0 });
+    const [loading, setLoading] = useState(false);
+    const [reverting, setReverting] = useState(false);
+
+    const handleFetchHistory = useCallback(async (page = 1) => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getProductVersions/${product._id}?page=${page}`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setHistory(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [product._id]);
+
+    useEffect(() => {
+        handleFetchHistory();
+    }, [handleFetchHistory]);
+
+    const handleRevert = async (version) => {
+        setReverting(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/revertProduct/${product._id}/${version}`, {
+                method: "POST",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+                return;
+            }
+            toast.success(version === 0 ? "Restored the original product" : `Restored version ${version}`);
+            onReverted(data);
+            handleFetchHistory();
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setReverting(false);
+        }
+    }
+
+    const latestVersion = history.totalNumber;
+
+    return (
+        <div className='border shadow-md p-[20px] max-md:p-[10px] flex flex-col gap-[20px]'>
+            <div className='flex items-center justify-between'>
+                <h3 className='text-[18px] font-semibold'>Change history</h3>
+                {latestVersion > 0 && (
+                    <button type='button' disabled={reverting} onClick={() => handleRevert(0)} className='border rounded-[10px] p-[10px] bg-red-400 hover:bg-opacity-70 disabled:opacity-50'>Restore original</button>
+                )}
+            </div>
+            {loading ? (
+                <Loader />
+            ) : history.versions.length === 0 ? (
+                <p className='text-gray-500'>No changes yet</p>
+            ) : (
+                <>
+                    {history.versions.map((version) => (
+                        <div key={version._id} className='border rounded-[10px] p-[10px] flex flex-col gap-[10px]'>
+                            <div className='flex flex-wrap items-center justify-between gap-[10px]'>
+                                <div>
+                                    <span className='font-semibold'>Version {version.version}</span>
+                                    <span className='text-gray-500'> · {SOURCE_LABELS[version.source]}{version.source === 'revert' ? ` to version ${version.revertedTo}` : ''} · {version.actor?.username || 'System'} · {new Date(version.createdAt).toLocaleString('vi-VN')}</span>
+                                </div>
+                                {version.version === latestVersion ? (
+                                    <span className='text-green-600 text-[14px]'>Current</span>
+                                ) : (
+                                    <button type='button' disabled={reverting} onClick={() => handleRevert(version.version)} className='border rounded-[5px] px-[10px] py-[5px] hover:bg-gray-100 disabled:opacity-50'>Restore</button>
+                                )}
+                            </div>
+                            <table className='w-full text-left'>
+                                <thead>
+                                    <tr className='bg-gray-100'>
+                                        <th className='p-[5px] w-[180px]'>Field</th>
+                                        <th className='p-[5px]'>Before</th>
+                                        <th className='p-[5px]'>After</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {version.changes.map((change) => (
+                                        <tr key={change.field} className='border-t'>
+                                            <td className='p-[5px]'>{change.field}</td>
+                                            <td className='p-[5px] text-red-500 break-all'>{formatValue(change.from)}</td>
+                                            <td className='p-[5px] text-green-600 break-all'>{formatValue(change.to)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                    {history.totalPages > 1 && (
+                        <div className='flex items-center gap-[10px] justify-end'>
+                            <button type='button' disabled={history.currentPage <= 1} onClick={() => handleFetchHistory(history.currentPage - 1)} className='border rounded-[5px] px-[10px] py-[5px] disabled:opacity-50'>Prev</button>
+                            <span>{history.currentPage} / {history.totalPages}</span>
+                            <button type='button' disabled={history.currentPage >= history.totalPages} onClick={() => handleFetchHistory(history.currentPage + 1)} className='border rounded-[5px] px-[10px] py-[5px] disabled:opacity-50'>Next</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+export default ProductHistory
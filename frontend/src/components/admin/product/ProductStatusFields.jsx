@@ -0,0 +1,27 @@
+import React from 'react'
+import { toInputValue } from '../../../lib/productStatus';
+
+const ProductStatusFields = ({ product, handleChange, className = '' }) => {
+    return (
+        <>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Status: </span>
+                <select onChange={handleChange} id='status' defaultValue={product?.status || 'published'} className='border w-[500px] rounded-[5px] p-[10px] '>
+                    <option value='draft'>Draft</option>
+                    <option value='published'>Published</option>
+                    <option value='archived'>Archived</option>
+                </select>
+            </div>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Publish at: </span>
+                <input onChange={handleChange} id='publishAt' type='datetime-local' defaultValue={toInputValue(product?.publishAt)} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Unpublish at: </span>
+                <input onChange={handleChange} id='unpublishAt' type='datetime-local' defaultValue={toInputValue(product?.unpublishAt)} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+        </>
+    )
+}
+
+export default ProductStatusFields
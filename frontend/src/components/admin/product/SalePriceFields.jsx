@@ -0,0 +1,28 @@
+import React from 'react'
+import { toInputValue } from '../../../lib/productStatus';
+
+// gia goc / gia sale va lich sale, de trong la khong sale
+const SalePriceFields = ({ product, handleChange, className = '' }) => {
+    return (
+        <>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Compare at price: </span>
+                <input onChange={handleChange} id='compareAtPrice' type='number' min='0' defaultValue={product?.compareAtPrice ?? ''} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Sale price: </span>
+                <input onChange={handleChange} id='salePrice' type='number' min='0' defaultValue={product?.salePrice ?? ''} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Sale starts at: </span>
+                <input onChange={handleChange} id='saleStartsAt' type='datetime-local' defaultValue={toInputValue(product?.saleStartsAt)} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+            <div className={`flex items-center ${className}`}>
+                <span className='w-[150px]'>Sale ends at: </span>
+                <input onChange={handleChange} id='saleEndsAt' type='datetime-local' defaultValue={toInputValue(product?.saleEndsAt)} className='border w-[500px] rounded-[5px] p-[10px] ' />
+            </div>
+        </>
+    )
+}
+
+export default SalePriceFields
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import DataTable from 'react-data-table-component';
 import Loader from '../../Loader';
 import 'animate.css';
+import { getProductState } from '../../../lib/productStatus';
 
 const ShowProduct = ({ allProducts, setOpenShow, setOpenEdit, setProductId, loading }) => {
 
@@ -13,6 +14,7 @@ const ShowProduct = ({ allProducts, setOpenShow, setOpenEdit, setProductId, load
         { name: 'Description', selector: row => row.description },
         { name: 'Price', selector: row => row.price, sortable: true },
         { name: 'Stock', selector: row => row.stock },
+        { name: 'Status', selector: row => getProductState(row), sortable: true },
         { name: 'Categories', selector: row => row.categories.join(', '), sortable: true },
         { name: 'Sizes', selector: row => row.sizes.join(', ') },
         { name: 'Colors', selector: row => row.colors.join(', ') },
@@ -0,0 +1,138 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { toast } from 'react-toastify';
+import Loader from '../../Loader';
+
+const REASON_LABELS = {
+    sale: 'Sale',
+    cancellation: 'Cancellation',
+    manual: 'Manual',
+    import: 'Import',
+    return: 'Return',
+};
+
+// lich su ton kho cua san pham va form nhap them / tra hang
+const StockHistory = ({ product, onAdjusted }) => {
+    const [history, setHistory] = useState({ movements: [], currentPage: 1, totalPages: 0 });
+    const [loading, setLoading] = useState(false);
+    const [adjustment, setAdjustment] = useState({ delta: '', reason: 'manual', variant: '', note: '' });
+    const hasVariants = product.variants?.length > 0;
+
+    const handleFetchHistory = useCallback(async (page = 1) => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getStockHistory/${product._id}?page=${page}`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setHistory(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [product._id]);
+
+    useEffect(() => {
+        handleFetchHistory();
+    }, [handleFetchHistory]);
+
+    const handleChange = (e) => {
+        setAdjustment({ ...adjustment, [e.target.id]: e.target.value });
+    }
+
+    const handleAdjustStock = async () => {
+        const [color, size] = adjustment.variant ? adjustment.variant.split('|') : ['', ''];
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/adjustStock/${product._id}`, {
+                method: "POST",
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ delta: adjustment.delta, reason: adjustment.reason, color, size, note: adjustment.note }),
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                toast.error(data.message);
+                return;
+            }
+            toast.success("Stock adjusted");
+            setAdjustment({ ...adjustment, delta: '', note: '' });
+            onAdjusted(data);
+            handleFetchHistory();
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <div className='border shadow-md p-[20px] max-md:p-[10px] mt-[20px] flex flex-col gap-[20px]'>
+            <h3 className='text-[18px] font-semibold'>Stock history</h3>
+            <div className='flex flex-wrap items-center gap-[10px]'>
+                {hasVariants && (
+                    <select id='variant' value={adjustment.variant} onChange={handleChange} className='border rounded-[5px] p-[10px]'>
+                        <option value=''>Choose variant</option>
+                        {product.variants.map((variant) => (
+                            <option key={variant.sku} value={`${variant.color}|${variant.size}`}>{variant.color} / {variant.size} ({variant.stock})</option>
+                        ))}
+                    </select>
+                )}
+                <input id='delta' type='number' value={adjustment.delta} onChange={handleChange} placeholder='+ / - quantity' className='border rounded-[5px] p-[10px] w-[150px]' />
+                <select id='reason' value={adjustment.reason} onChange={handleChange} className='border rounded-[5px] p-[10px]'>
+                    <option value='manual'>Manual adjustment</option>
+                    <option value='return'>Return</option>
+                </select>
+                <input id='note' type='text' value={adjustment.note} onChange={handleChange} placeholder='Note' className='border rounded-[5px] p-[10px] flex-1 min-w-[200px]' />
+                <button type='button' onClick={handleAdjustStock} className='border rounded-[10px] p-[10px] w-[150px] bg-red-400 hover:bg-opacity-70'>Adjust</button>
+            </div>
+            {loading ? (
+                <Loader />
+            ) : history.movements.length === 0 ? (
+                <p className='text-gray-500'>No stock movements yet</p>
+            ) : (
+                <>
+                    <table className='w-full text-left'>
+                        <thead>
+                            <tr className='bg-gray-100'>
+                                <th className='p-[5px]'>Date</th>
+                                <th className='p-[5px]'>Variant</th>
+                                <th className='p-[5px]'>Change</th>
+                                <th className='p-[5px]'>Reason</th>
+                                <th className='p-[5px]'>By</th>
+                                <th className='p-[5px]'>Order</th>
+                                <th className='p-[5px]'>Note</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {history.movements.map((movement) => (
+                                <tr key={movement._id} className='border-t'>
+                                    <td className='p-[5px]'>{new Date(movement.createdAt).toLocaleString('vi-VN')}</td>
+                                    <td className='p-[5px]'>{[movement.color, movement.size].filter(Boolean).join(' / ') || '-'}</td>
+                                    <td className={`p-[5px] font-semibold ${movement.delta > 0 ? 'text-green-600' : 'text-red-500'}`}>{movement.delta > 0 ? `+${movement.delta}` : movement.delta}</td>
+                                    <td className='p-[5px]'>{REASON_LABELS[movement.reason]}</td>
+                                    <td className='p-[5px]'>{movement.actor?.username || 'System'}</td>
+                                    <td className='p-[5px]'>{movement.order ? `#${movement.order.slice(-6)}` : '-'}</td>
+                                    <td className='p-[5px]'>{movement.note || '-'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {history.totalPages > 1 && (
+                        <div className='flex items-center gap-[10px] justify-end'>
+                            <button type='button' disabled={history.currentPage <= 1} onClick={() => handleFetchHistory(history.currentPage - 1)} className='border rounded-[5px] px-[10px] py-[5px] disabled:opacity-50'>Prev</button>
+                            <span>{history.currentPage} / {history.totalPages}</span>
+                            <button type='button' disabled={history.currentPage >= history.totalPages} onClick={() => handleFetchHistory(history.currentPage + 1)} className='border rounded-[5px] px-[10px] py-[5px] disabled:opacity-50'>Next</button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+export default StockHistory
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react'
+import Loader from '../../Loader';
+import 'animate.css';
+
+// so sanh ton kho hien tai voi so cai, chi hien cac dong bi lech
+const StockReconcile = ({ setOpenReconcile }) => {
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleReconcile = async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/reconcileStock`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.log(data.message);
+            } else {
+                setReport(data);
+            }
+        } catch (error) {
+            console.log(error.message);
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        handleReconcile();
+    }, []);
+
+    return (
+        <div className='bg-white border w-[1200px] max-md:w-full p-[30px] max-md:p-[5px] flex flex-col gap-[20px] shadow-lg mx-[10px] max-md:mx-[5px] animate__animated animate__fadeInUp'>
+            <div className='flex items-center gap-[20px] max-md:flex-col max-md:items-start'>
+                <p className='text-gray-500 flex-1'>
+                    Stock is recomputed from the inventory ledger. Rows below differ from the ledger and need to be checked.
+                </p>
+                <button disabled={loading} onClick={handleReconcile} className='border rounded-[10px] p-[10px] w-[150px] hover:bg-gray-100'>Run again</button>
+                <button onClick={() => setOpenReconcile(false)} className='border rounded-[10px] p-[10px] w-[100px] hover:bg-gray-100'>Close</button>
+            </div>
+            {loading ? (
+                <Loader />
+            ) : report && (
+                <div className='flex flex-col gap-[10px]'>
+                    <p className='font-semibold'>
+                        Checked {report.checked} products, {report.driftCount} rows drifted
+                    </p>
+                    {report.drift.length > 0 && (
+                        <div className='max-h-[400px] overflow-y-scroll border rounded-[10px]'>
+                            <table className='w-full text-left'>
+                                <thead>
+                                    <tr className='bg-gray-100'>
+                                        <th className='p-[5px]'>Product</th>
+                                        <th className='p-[5px]'>Variant</th>
+                                        <th className='p-[5px]'>Stock</th>
+                                        <th className='p-[5px]'>Ledger</th>
+                                        <th className='p-[5px]'>Drift</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.drift.map((row) => (
+                                        <tr key={`${row.productId}-${row.color}-${row.size}`} className='border-t'>
+                                            <td className='p-[5px]'>{row.name}</td>
+                                            <td className='p-[5px]'>{[row.color, row.size].filter(Boolean).join(' / ') || 'Total'}</td>
+                                            <td className='p-[5px]'>{row.stock}</td>
+                                            <td className='p-[5px]'>{row.ledgerStock}</td>
+                                            <td className={`p-[5px] font-semibold ${row.drift > 0 ? 'text-green-600' : 'text-red-500'}`}>{row.drift > 0 ? `+${row.drift}` : row.drift}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default StockReconcile
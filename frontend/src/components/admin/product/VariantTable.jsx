@@ -0,0 +1,66 @@
+import React, { useEffect } from 'react'
+
+// moi cap color x size la mot bien the co SKU, ton kho va gia rieng
+const VariantTable = ({ sizes, colors, variants, setVariants }) => {
+
+    useEffect(() => {
+        setVariants((prevVariants) => (colors || []).flatMap((color) => (sizes || []).map((size) => {
+            const existing = prevVariants.find((variant) => variant.color === color && variant.size === size);
+            return existing || { color, size, sku: '', stock: 0, price: '', isDraft: true };
+        })));
+    }, [sizes, colors, setVariants]);
+
+    const handleChangeVariant = (color, size, field, value) => {
+        setVariants((prevVariants) => prevVariants.map((variant) => (
+            variant.color === color && variant.size === size ? { ...variant, [field]: value, isDraft: false } : variant
+        )));
+    }
+
+    if (variants.length === 0) {
+        return (
+            <p className='text-gray-500'>Add sizes and colors to manage stock per variant.</p>
+        )
+    }
+
+    return (
+        <div className='border rounded-[10px] p-[10px] w-full overflow-x-scroll'>
+            <table className='w-full text-left'>
+                <thead>
+                    <tr>
+                        <th className='p-[5px]'>Color</th>
+                        <th className='p-[5px]'>Size</th>
+                        <th className='p-[5px]'>SKU</th>
+                        <th className='p-[5px]'>Stock</th>
+                        <th className='p-[5px]'>Price (optional)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {variants.map((variant) => (
+                        <tr key={`${variant.color}-${variant.size}`} className='border-t'>
+                            <td className='p-[5px]'>{variant.color}</td>
+                            <td className='p-[5px]'>{variant.size}</td>
+                            <td className='p-[5px]'>
+                                <input onChange={(e) => handleChangeVariant(variant.color, variant.size, 'sku', e.target.value)} value={variant.sku} type='text' placeholder='Auto' className='border rounded-[5px] p-[5px] w-[180px]' />
+                            </td>
+                            <td className='p-[5px]'>
+                                {variant.isStored ? (
+                                    <span title='Adjust stock in the stock history below'>{variant.stock}</span>
+                                ) : (
+                                    <input onChange={(e) => handleChangeVariant(variant.color, variant.size, 'stock', e.target.value)} value={variant.stock} type='number' min={0} className='border rounded-[5px] p-[5px] w-[100px]' />
+                                )}
+                            </td>
+                            <td className='p-[5px]'>
+                                <input onChange={(e) => handleChangeVariant(variant.color, variant.size, 'price', e.target.value)} value={variant.price ?? ''} type='number' min={0} placeholder='Product price' className='border rounded-[5px] p-[5px] w-[150px]' />
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className='pt-[10px] font-semibold'>
+                Total stock: {variants.reduce((total, variant) => total + Number(variant.stock || 0), 0)}
+            </p>
+        </div>
+    )
+}
+
+export default VariantTable
@@ -9,6 +9,7 @@ import { FaSackDollar } from "react-icons/fa6";
 import { LiaBirthdayCakeSolid } from "react-icons/lia";
 import { FaRegAddressCard } from "react-icons/fa6";
 import StarIcon from '@mui/icons-material/Star';
+import { getImageUrl, getReviewImage } from '../../../lib/imageUpload';
 
 
 import 'animate.css'
@@ -146,7 +147,7 @@ const EachUser = ({ userId }) => {
             <div className='flex flex-col gap-[20px] animate__animated animate__fadeInUp'>
                 <h3 className='font-semibold text-[16px]'>Detail Information </h3>
                 <div className='border border-b-[1px] flex flex-col gap-[20px] p-[20px] w-full overflow-x-scroll shadow-md '>
-                    <img src={userData?.profilePic} alt="avatar" className='w-[200px] h-[200px] object-cover border rounded-[10px] p-[10px]' />
+                    <img src={getImageUrl(userData?.profilePic, userData?.profilePicVariants, 'card')} alt="avatar" className='w-[200px] h-[200px] object-cover border rounded-[10px] p-[10px]' />
                     <div className='flex max-md:flex-col items-center gap-[40px] max-md:gap-[20px]'>
                         <div className='flex items-center gap-[10px] w-[400px] max-md:w-full'>
                             <MdDriveFileRenameOutline className='text-blue-500 text-[18px]' />
@@ -289,7 +290,7 @@ const EachUser = ({ userId }) => {
                                                             {
                                                                 review.image.map((item, index) => (
                                                                     <div key={index} className=''>
-                                                                        <img src={item} alt="image" className='w-[200px] h-[100px] object-cover rounded-[10px]' />
+                                                                        <img src={getReviewImage(review, index, 'card')} alt="image" className='w-[200px] h-[100px] object-cover rounded-[10px]' />
                                                                     </div>
                                                                 ))
                                                             }
@@ -20,8 +20,7 @@ import { IoCloseCircleOutline } from "react-icons/io5";
 import Modal from '@mui/material/Modal';
 
 import { BiTrash } from 'react-icons/bi';
-import { getDownloadURL, getStorage, ref, uploadBytesResumable, deleteObject } from 'firebase/storage';
-import { app } from '../../firebase';
+import { deleteImage, getImageUrl, uploadImage } from '../../lib/imageUpload';
 
 import Stack from '@mui/material/Stack';
 import CircularProgress from '@mui/material/CircularProgress';
@@ -73,29 +72,14 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
     const [imageFileUploadError, setImageFileUploadError] = useState(null);
 
     const handleFileUploadImage = async (image) => {
-        const storage = getStorage(app);
-        const fileName = new Date().getTime() + image.name;
-        const storageRef = ref(storage, fileName);
-        const uploadTask = uploadBytesResumable(storageRef, image);
-
-        uploadTask.on(
-            'state_changed',
-            (snapshot) => {
-                const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                setImageFileUploadProgress(progress.toFixed(0));
-            },
-            (error) => {
-                setImageFileUploadError('Could not upload image (File must be less than 2MB)');
-                console.log(error)
-            },
-            () => {
-                getDownloadURL(uploadTask.snapshot.ref)
-                    .then((downloadURL) => {
-                        setFormDataImage(downloadURL)
-                    })
-                console.log("Image upload completed")
-            }
-        )
+        try {
+            const uploaded = await uploadImage(image, 'chat', setImageFileUploadProgress);
+            setFormDataImage(uploaded.url)
+            console.log("Image upload completed")
+        } catch (error) {
+            setImageFileUploadError(error.message);
+            console.log(error)
+        }
     }
 
     const handleRemovePhoto = (imageToDelete) => {
@@ -106,15 +90,11 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
     const handleClickSave = async () => {
         setUploadSuccess(true);
         try {
-            const storage = getStorage(app);
-            const deletePromises = imageToDelete.map((url) => {
-                const imageRef = ref(storage, url);
-                return deleteObject(imageRef)
-            })
+            const deletePromises = imageToDelete.map((url) => deleteImage(url));
             await Promise.all(deletePromises);
             setImageToDelete([]);
         } catch (error) {
-            console.log("Cant find the photo in the firebase ", error);
+            console.log("Cant delete the photo ", error);
         }
         await handleFileUploadImage(groupImage);
     }
@@ -303,7 +283,7 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
     return (
         <div className='flex flex-col gap-[20px] p-[20px] border-l-[1px] border-[#383939] h-[calc(100vh-60px)] overflow-y-scroll '>
             <div className='flex flex-col gap-[10px] items-center justify-center'>
-                <img src={singleGroupChat?.groupPhoto} alt="" className='w-[60px] h-[60px] rounded-[50%] object-cover' />
+                <img src={getImageUrl(singleGroupChat?.groupPhoto, singleGroupChat?.groupPhotoVariants, 'thumbnail')} alt="" className='w-[60px] h-[60px] rounded-[50%] object-cover' />
                 <p className='font-semibold text-[14px]'>{singleGroupChat?.chatName}</p>
             </div>
             <div className='flex justify-between items-center'>
@@ -347,7 +327,7 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
                             singleGroupChat?.members.map((user, index) => (
                                 <div key={index} className="relative flex justify-between items-center gap-[10px]">
                                     <div className="flex items-center gap-[10px]">
-                                        <img src={user?.profilePic} alt="" className="w-[35px] h-[35px] rounded-[50%] object-cover" />
+                                        <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="" className="w-[35px] h-[35px] rounded-[50%] object-cover" />
                                         <p>{user?.username}</p>
                                     </div>
 
@@ -511,7 +491,7 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
                                                     selectedUser?.map((user, index) => (
                                                         <div key={index} className="relative">
                                                             <div className=" flex flex-col gap-[5px] items-center text-white">
-                                                                <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                                <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                                 <p className="text-[10px]">{user?.username}</p>
                                                             </div>
                                                             <IoCloseCircleOutline onClick={() => removeUser(user)} className="absolute top-0 right-0 text-white bg-gray-800 rounded-[50%] text-[16px] cursor-pointer" />
@@ -534,7 +514,7 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
                                                         <>
                                                             {Array.isArray(searchUser) && searchUser.map((user, index) => (
                                                                 <div onClick={() => handleToggleUser(user)} key={index} className={`flex gap-[10px] items-center text-white justify-start cursor-pointer hover:bg-[#292929] p-[10px] rounded-[10px] ${selectedUser.some((selected) => selected._id === user._id) ? 'bg-[#292929]' : ''} `}>
-                                                                    <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                                    <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                                     <p className="text-[14px]">{user?.username}</p>
                                                                 </div>
                                                             ))}
@@ -557,7 +537,7 @@ const ChatInformation = ({ setSingleGroupChat, singleGroupChat, handleAccessGrou
                                                         <>
                                                             {allUsers?.map((user, index) => (
                                                                 <div onClick={() => handleToggleUser(user)} key={index} className={`flex gap-[10px] items-center text-white justify-start cursor-pointer hover:bg-[#292929] p-[10px] rounded-[10px] ${selectedUser.some((selected) => selected._id === user._id) ? 'bg-[#292929]' : ''} `}>
-                                                                    <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                                    <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                                     <p className="text-[14px]">{user?.username}</p>
                                                                 </div>
                                                             ))}
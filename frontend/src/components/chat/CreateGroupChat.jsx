@@ -8,6 +8,7 @@ import { CiSearch } from "react-icons/ci";
 import Skeleton from '@mui/material/Skeleton';
 import { IoCloseCircleSharp } from "react-icons/io5";
 import { IoCloseCircleOutline } from "react-icons/io5";
+import { getImageUrl } from "../../lib/imageUpload";
 
 const CreateGroupChat = ({ setOpenModal, setSingleGroupChat, handleFetchAllChats, setSelectId, setChatId, setLoadingChatBox, setOpenMainSidebar }) => {
 
@@ -175,7 +176,7 @@ const CreateGroupChat = ({ setOpenModal, setSingleGroupChat, handleFetchAllChats
                                         selectedUser?.map((user, index) => (
                                             <div key={index} className="relative">
                                                 <div className=" flex flex-col gap-[5px] items-center text-white">
-                                                    <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                    <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                     <p className="text-[10px]">{user?.username}</p>
                                                 </div>
                                                 <IoCloseCircleOutline onClick={() => removeUser(user)} className="absolute top-0 right-0 text-white bg-gray-800 rounded-[50%] text-[16px] cursor-pointer" />
@@ -198,7 +199,7 @@ const CreateGroupChat = ({ setOpenModal, setSingleGroupChat, handleFetchAllChats
                                             <>
                                                 {Array.isArray(searchUser) && searchUser.map((user, index) => (
                                                     <div onClick={() => handleToggleUser(user)} key={index} className={`flex gap-[10px] items-center text-white justify-start cursor-pointer hover:bg-[#292929] p-[10px] rounded-[10px] ${selectedUser.some((selected) => selected._id === user._id) ? 'bg-[#292929]' : ''} `}>
-                                                        <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                        <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                         <p className="text-[14px]">{user?.username}</p>
                                                     </div>
                                                 ))}
@@ -221,7 +222,7 @@ const CreateGroupChat = ({ setOpenModal, setSingleGroupChat, handleFetchAllChats
                                             <>
                                                 {allUsers?.map((user, index) => (
                                                     <div onClick={() => handleToggleUser(user)} key={index} className={`flex gap-[10px] items-center text-white justify-start cursor-pointer hover:bg-[#292929] p-[10px] rounded-[10px] ${selectedUser.some((selected) => selected._id === user._id) ? 'bg-[#292929]' : ''} `}>
-                                                        <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                                        <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                                         <p className="text-[14px]">{user?.username}</p>
                                                     </div>
                                                 ))}
@@ -4,6 +4,7 @@ import { useNavigate } from "react-router-dom";
 
 import Skeleton from '@mui/material/Skeleton';
 import Tooltip from '@mui/material/Tooltip';
+import { getImageUrl } from "../../lib/imageUpload";
 
 const MessageBox = ({ currentUser, message, loadingChatBox }) => {
 
@@ -41,7 +42,7 @@ const MessageBox = ({ currentUser, message, loadingChatBox }) => {
                     <div className={`flex ${isCurrentUserChat ? 'justify-end' : 'justify-start items-center'} mb-[20px] gap-[10px] `}>
                         {
                             !isCurrentUserChat && (
-                                <img src={message?.sender?.profilePic} alt="" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                <img src={getImageUrl(message?.sender?.profilePic, message?.sender?.profilePicVariants, "thumbnail")} alt="" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                             )
                         }
                         <div className={`rounded-[20px] p-[10px] max-w-[60%]  ${isCurrentUserChat ? 'bg-blue-400' : 'bg-[#303030]'}`} style={{
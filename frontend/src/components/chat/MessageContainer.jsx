@@ -5,6 +5,7 @@ import { useNavigate } from "react-router-dom";
 import ChatInformation from "./ChatInformation";
 import MessageBox from "./MessageBox";
 import { pusherClient } from '../../lib/pusher';
+import { getImageUrl } from '../../lib/imageUpload';
 
 import { IoMdInformationCircleOutline } from "react-icons/io";
 import Skeleton from '@mui/material/Skeleton';
@@ -106,7 +107,7 @@ const MessageContainer = ({ currentUser, chatId, messages, setMessages, loadingC
                                                     <GrFormPrevious onClick={() => { setOpenMainSidebar(true); setSelectId(''); handleFetchAllChats() }} className="text-[26px] cursor-pointer hover:text-blue-400" />
                                                 )
                                             }
-                                            <img src={singleGroupChat?.groupPhoto} alt="" className="w-[40px] h-[40px] object-cover rounded-[50%]" />
+                                            <img src={getImageUrl(singleGroupChat?.groupPhoto, singleGroupChat?.groupPhotoVariants, "thumbnail")} alt="" className="w-[40px] h-[40px] object-cover rounded-[50%]" />
                                             <p>{singleGroupChat?.chatName}</p>
                                         </div>
                                         <IoMdInformationCircleOutline onClick={() => setOpenInformationBar(!openInformationBar)} className="text-[30px] text-gray-300 hover:text-gray-400 cursor-pointer" />
@@ -119,7 +120,7 @@ const MessageContainer = ({ currentUser, chatId, messages, setMessages, loadingC
                                                     <GrFormPrevious onClick={() => { setOpenMainSidebar(true); setSelectId(''); handleFetchAllChats() }} className="text-[26px] cursor-pointer hover:text-blue-400" />
                                                 )
                                             }
-                                            <img src={singleChat?.receiver?.profilePic} alt="" className="w-[40px] h-[40px] object-cover rounded-[50%]" />
+                                            <img src={getImageUrl(singleChat?.receiver?.profilePic, singleChat?.receiver?.profilePicVariants, "thumbnail")} alt="" className="w-[40px] h-[40px] object-cover rounded-[50%]" />
                                             <p>{singleChat?.receiver?.username}</p>
                                         </div>
                                         <IoMdInformationCircleOutline className="text-[30px] text-gray-300 hover:text-gray-400 cursor-pointer" />
@@ -5,6 +5,7 @@ import { useNavigate } from "react-router-dom";
 import { IoMdAddCircleOutline } from "react-icons/io";
 import { IoArrowBackOutline } from "react-icons/io5";
 import { CiSearch } from "react-icons/ci";
+import { getImageUrl } from "../../lib/imageUpload";
 
 const SearchChat = ({ setMessages, setSingleChat, setSelectId, setChatId, setIsSearch, searchKey, setSearchKey, searchUser, setSearchUser, setOpenMainSidebar }) => {
 
@@ -91,7 +92,7 @@ const SearchChat = ({ setMessages, setSingleChat, setSelectId, setChatId, setIsS
                         <>
                             {Array.isArray(searchUser) && searchUser.map((user, index) => (
                                 <div onClick={() => handleClickSearchResultChat(user?._id)} key={index} className="flex items-center justify-start gap-[10px] cursor-pointer hover:bg-gray-800 p-[10px] rounded-[5px]">
-                                    <img src={user?.profilePic} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
+                                    <img src={getImageUrl(user?.profilePic, user?.profilePicVariants, "thumbnail")} alt="ava" className="w-[30px] h-[30px] object-cover rounded-[50%]" />
                                     <p className="text-[14px]">{user?.username}</p>
                                 </div>
                             ))}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react'
 import { useSelector } from 'react-redux'
 import { useNavigate, Link } from 'react-router-dom'
+import { getProductPath } from '../../lib/paths';
+import ProductPrice from '../ProductPrice';
 import Loader from '../Loader';
 
 import "slick-carousel/slick/slick.css";
@@ -10,6 +12,7 @@ import Skeleton from '@mui/material/Skeleton';
 
 // ANIMATE
 import 'animate.css';
+import { getImageUrl } from '../../lib/imageUpload';
 
 const SportClothes = () => {
 
@@ -35,7 +38,7 @@ const SportClothes = () => {
                 console.log(data.message);
                 return;
             } else {
-                setHeroImage(data.heroImage);
+                setHeroImage(getImageUrl(data.heroImage, data.heroImageVariants, 'full'));
                 setLoadingImage(false);
             }
         } catch (error) {
@@ -146,7 +149,7 @@ const SportClothes = () => {
                                 {products?.map((product, index) => (
                                     <div onClick={() => {
                                         if (!isDragging) {
-                                            navigate(`/productDetail/${product._id}`)
+                                            navigate(getProductPath(product))
                                         }
                                     }}
                                         key={index}
@@ -156,7 +159,7 @@ const SportClothes = () => {
                                         </div>
                                         <div className='flex flex-col my-[10px]'>
                                             <span>{product.name}</span>
-                                            <span className='font-semibold text-[12px]'>{product.price}&#8363;</span>
+                                            <ProductPrice product={product} className='text-[12px]' />
                                         </div>
                                     </div>
                                 ))}
@@ -0,0 +1,103 @@
+import { useEffect, useState } from "react";
+import { getProductPath } from "../lib/paths";
+
+const emptySuggestions = { products: [], categories: [], queries: [] };
+
+// goi y khi go tu khoa: doi nguoi dung ngung go 300ms roi moi goi api
+export const useSearchSuggestions = (keyword, onSelect) => {
+  const [suggestions, setSuggestions] = useState(emptySuggestions);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const trimmed = keyword.trim();
+    if (trimmed.length < 2) {
+      setSuggestions(emptySuggestions);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(
+          `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getSearchSuggestions?q=${encodeURIComponent(trimmed)}`,
+          {
+            method: "GET",
+            credentials: "include",
+          }
+        );
+        const data = await res.json();
+        if (!res.ok) {
+          console.log(data.message);
+        } else if (!cancelled) {
+          setSuggestions(data);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.log(error.message);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [keyword]);
+
+  // thu tu giong voi thu tu hien thi trong dropdown
+  const items = [
+    ...suggestions.queries.map((query) => ({ type: "query", ...query })),
+    ...suggestions.categories.map((category) => ({ type: "category", ...category })),
+    ...suggestions.products.map((product) => ({ type: "product", ...product })),
+  ];
+
+  const selectItem = (item) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    onSelect(item);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" && items.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((prevIndex) => (prevIndex + 1) % items.length);
+    } else if (e.key === "ArrowUp" && items.length > 0) {
+      e.preventDefault();
+      setActiveIndex((prevIndex) => (prevIndex <= 0 ? items.length - 1 : prevIndex - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (open && activeIndex >= 0 && items[activeIndex]) {
+        selectItem(items[activeIndex]);
+      } else if (keyword.trim()) {
+        selectItem({ type: "query", text: keyword.trim() });
+      }
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return {
+    items,
+    activeIndex,
+    setActiveIndex,
+    open: open && items.length > 0,
+    setOpen,
+    selectItem,
+    handleKeyDown,
+  };
+};
+
+// duong dan tuong ung voi tung loai goi y
+export const getSuggestionPath = (item) => {
+  if (item.type === "product") {
+    return getProductPath(item);
+  }
+  if (item.type === "category") {
+    const key = item.slug || item.name;
+    const parentKey = item.parentSlug || item.parentName;
+    return parentKey ? `/collections/${parentKey}/${key}` : `/collections/${key}`;
+  }
+  return `/search/${item.text}`;
+};
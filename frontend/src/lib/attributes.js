@@ -0,0 +1,44 @@
+export const ATTRIBUTE_TYPES = ["text", "number", "select", "multiselect"];
+
+export function hasAttributeOptions(type) {
+  return type === "select" || type === "multiselect";
+}
+
+// dinh nghia thuoc tinh cua danh muc => dong trong form, options nhap cach nhau dau phay
+export function toAttributeRows(definitions = []) {
+  return definitions.map((definition) => ({
+    key: definition.key,
+    label: definition.label,
+    type: definition.type,
+    optionsText: (definition.options || []).join(", "),
+    required: Boolean(definition.required),
+  }));
+}
+
+export function toAttributeDefinitions(rows) {
+  return rows.map((row) => ({
+    key: row.key.trim(),
+    label: row.label.trim(),
+    type: row.type,
+    options: hasAttributeOptions(row.type)
+      ? row.optionsText.split(",").map((option) => option.trim()).filter(Boolean)
+      : [],
+    required: row.required,
+  }));
+}
+
+// "cotton" hoac ["summer", "winter"] => "summer, winter"
+export function formatAttributeValue(value) {
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+export async function fetchAttributeSchema(categories) {
+  if (!categories || categories.length === 0) return [];
+  const params = new URLSearchParams({ categories: categories.join(",") });
+  const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getAttributeSchema?${params}`);
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.message);
+  }
+  return data;
+}
@@ -0,0 +1,16 @@
+// dong combo so theo bundleId, dong san pham theo productId + color + size
+export function isSameCartItem(a, b) {
+  if (a.bundleId || b.bundleId) return a.bundleId === b.bundleId;
+  return a.productId === b.productId && a.color === b.color && a.size === b.size;
+}
+
+// "Shirt (Red / M) + 2 x Pants"
+export function describeComponents(components = []) {
+  return components
+    .map((component) => {
+      const variant = component.color || component.size ? ` (${[component.color, component.size].filter(Boolean).join(" / ")})` : "";
+      const quantity = component.quantity > 1 ? `${component.quantity} x ` : "";
+      return `${quantity}${component.name}${variant}`;
+    })
+    .join(" + ");
+}
@@ -0,0 +1,66 @@
+import { deleteObject, getStorage, ref } from "firebase/storage";
+import { app } from "../firebase";
+
+const IMAGE_API = `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/image`;
+
+// tai anh len server, onProgress nhan % da gui; tra ve anh kem cac kich thuoc
+export function uploadImage(file, kind, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", `${IMAGE_API}/upload/${kind}`);
+    xhr.withCredentials = true;
+    xhr.setRequestHeader("Content-Type", file.type || "application/octet-stream");
+    xhr.upload.onprogress = (event) => {
+      if (onProgress && event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (error) {
+        data = {};
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        reject(new Error(data.message || "Could not upload image"));
+      }
+    };
+    xhr.onerror = () => reject(new Error("Could not upload image"));
+    xhr.send(file);
+  });
+}
+
+// anh cu tren Firebase xoa bang SDK, anh moi xoa qua server
+export function deleteImage(url) {
+  if (url.includes("firebasestorage.googleapis.com")) {
+    return deleteObject(ref(getStorage(app), url));
+  }
+  return fetch(`${IMAGE_API}/delete`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    credentials: "include",
+    body: JSON.stringify({ url }),
+  }).then((res) => {
+    if (!res.ok && res.status !== 404) {
+      throw new Error("Could not delete image");
+    }
+  });
+}
+
+// link anh san pham theo kich thuoc (thumbnail, card, full), anh cu chi co link goc
+export function getProductImage(product, index = 0, size = "card") {
+  return product?.images?.[index]?.variants?.[size]?.url || product?.listingPhotoPaths?.[index];
+}
+
+// link anh le theo kich thuoc (anh danh muc, avatar, anh nhom chat), anh cu chi co link goc
+export function getImageUrl(url, variants, size = "card") {
+  return variants?.[size]?.url || url;
+}
+
+// link anh danh gia theo kich thuoc, giong getProductImage
+export function getReviewImage(review, index = 0, size = "card") {
+  return review?.images?.[index]?.variants?.[size]?.url || review?.image?.[index];
+}
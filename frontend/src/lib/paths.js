@@ -0,0 +1,9 @@
+// link san pham theo slug, san pham chua co slug thi dung id
+export function getProductPath(product) {
+  return product?.slug ? `/products/${product.slug}` : `/productDetail/${product?._id}`;
+}
+
+// danh muc tao truoc khi co slug van dung ten
+export function getCategoryKey(category) {
+  return category?.slug || category?.name;
+}
@@ -0,0 +1,30 @@
+// gia hien thi cua san pham hoac bien the, cung cach tinh voi server
+// (utils/pricing.js): bien the co gia rieng duoc giam cung ti le
+export function getDisplayPricing(product, variant) {
+  const pricing = product?.pricing;
+  const hasOwnPrice = variant?.price !== undefined && variant?.price !== null;
+  if (!pricing) {
+    return { currentPrice: hasOwnPrice ? variant.price : product?.price, compareAtPrice: null, discountPercent: 0 };
+  }
+  if (!hasOwnPrice) return pricing;
+
+  const currentPrice = pricing.onSale ? Math.round(variant.price * product.salePrice / product.price) : variant.price;
+  const compareAtPrice = pricing.onSale ? variant.price : null;
+  return {
+    ...pricing,
+    currentPrice,
+    compareAtPrice,
+    discountPercent: compareAtPrice ? Math.round((1 - currentPrice / compareAtPrice) * 100) : 0,
+  };
+}
+
+// gia thap nhat 30 ngay truoc do, bien the co gia rieng dung gia cua bien the
+export function getLowestPrice30Days(product, variant) {
+  const history = product?.priceHistory;
+  if (!history) return null;
+  const hasOwnPrice = variant?.price !== undefined && variant?.price !== null;
+  if (hasOwnPrice && history.variants?.[variant.sku] !== undefined) {
+    return history.variants[variant.sku];
+  }
+  return history.lowestPrice30Days ?? null;
+}
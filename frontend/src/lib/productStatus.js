@@ -0,0 +1,22 @@
+export const PRODUCT_STATES = ["all", "live", "draft", "scheduled", "expired", "archived"];
+
+// giong getLifecycleState o server
+export function getProductState(product) {
+  const now = new Date();
+  if (product.status === "draft" || product.status === "archived") return product.status;
+  if (product.publishAt && new Date(product.publishAt) > now) return "scheduled";
+  if (product.unpublishAt && new Date(product.unpublishAt) <= now) return "expired";
+  return "live";
+}
+
+// "2025-06-01T09:30" cho input datetime-local theo gio dia phuong
+export function toInputValue(date) {
+  if (!date) return "";
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// empty input clears the schedule
+export function toScheduleDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
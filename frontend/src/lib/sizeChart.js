@@ -0,0 +1,52 @@
+// so do cua co the, dung de goi y size trong bang size
+export const BODY_MEASUREMENTS = ["height", "weight"];
+
+// { min: 155, max: 162 } => "155 - 162", { min: 94, max: 94 } => "94"
+export function formatRange(range) {
+  if (!range) return "";
+  return range.min === range.max ? `${range.min}` : `${range.min} - ${range.max}`;
+}
+
+// size dau tien ma moi so do da nhap deu nam trong khoang cua size do
+export function matchSize(chart, values) {
+  const keys = Object.keys(values).filter((key) => values[key] !== undefined && values[key] !== null);
+  const row = chart?.rows?.find((item) => {
+    const ranges = keys.map((key) => item.values?.[key]).filter(Boolean);
+    return ranges.length > 0 && keys.every((key) => {
+      const range = item.values?.[key];
+      return !range || (values[key] >= range.min && values[key] <= range.max);
+    });
+  });
+  return row ? row.size : null;
+}
+
+// khoang nho nhat va lon nhat cua mot so do trong ca bang, de lam thanh truot
+export function measurementBounds(chart, key) {
+  const ranges = (chart?.rows || []).map((row) => row.values?.[key]).filter(Boolean);
+  if (ranges.length === 0) return null;
+  return {
+    min: Math.min(...ranges.map((range) => range.min)),
+    max: Math.max(...ranges.map((range) => range.max)),
+  };
+}
+
+// bang size => form admin, moi o nhap dang "155-162"
+export function toSizeChartForm(chart) {
+  return {
+    name: chart.name,
+    description: chart.description || "",
+    image: chart.image || "",
+    measurements: chart.measurements.map((measurement) => ({ ...measurement })),
+    rows: chart.rows.map((row) => ({
+      size: row.size,
+      values: Object.fromEntries(
+        chart.measurements.map((measurement) => [
+          measurement.key,
+          formatRange(row.values?.[measurement.key]).replace(/ /g, ""),
+        ])
+      ),
+    })),
+    categories: chart.categories.map((category) => category._id || category),
+    products: chart.products.map((product) => product._id || product),
+  };
+}
@@ -0,0 +1,22 @@
+// dong bien the tu sinh theo color x size ma admin chua sua thi khong gui len
+// server, tranh ghi de ton kho cua san pham chua co bien the bang 0
+export function getSubmittedVariants(variants) {
+  return variants
+    .filter((variant) => !variant.isDraft)
+    .map((variant) => {
+      const submitted = { ...variant };
+      delete submitted.isDraft;
+      delete submitted.isStored;
+      // bien the da luu khong gui stock: server giu ton kho hien tai, thay doi
+      // ton kho di qua form dieu chinh kho
+      if (variant.isStored) {
+        delete submitted.stock;
+      }
+      return submitted;
+    });
+}
+
+// bien the doc tu server, ton kho chi sua qua dieu chinh kho
+export function markStoredVariants(variants = []) {
+  return variants.map((variant) => ({ ...variant, isStored: true }));
+}
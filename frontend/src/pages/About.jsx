@@ -7,6 +7,7 @@ import { BackgroundLines } from "../components/ui/background-lines";
 import { AnimatePresence, motion } from "framer-motion";
 import { useOutsideClick } from "../hooks/use-outside-click";
 import { LampContainer } from "../components/ui/lamp";
+import { getImageUrl } from "../lib/imageUpload";
 
 // const World = React.lazy(() => import("../components/ui/globe"));
 
@@ -141,7 +142,7 @@ const About = () => {
                                 onClick={() => setActiveCategory(category)}
                             >
                                 <motion.img
-                                    src={category.heroImage}
+                                    src={getImageUrl(category.heroImage, category.heroImageVariants, "card")}
                                     alt={category.title}
                                     className="w-full h-40 object-cover"
                                 />
@@ -181,7 +182,7 @@ const About = () => {
                                         &times;
                                     </button>
                                     <motion.img
-                                        src={activeCategory.heroImage}
+                                        src={getImageUrl(activeCategory.heroImage, activeCategory.heroImageVariants, "full")}
                                         alt={activeCategory.title}
                                         className="w-full h-full object-cover rounded-lg"
                                     />
@@ -13,11 +13,14 @@ import Category from '../components/admin/Category';
 import Order from '../components/admin/Order';
 import Products from '../components/admin/Products';
 import Voucher from '../components/admin/Voucher';
+import Bundle from '../components/admin/Bundle';
+import Question from '../components/admin/Question';
+import SizeChart from '../components/admin/SizeChart';
+import StockDemand from '../components/admin/StockDemand';
 import Loader from '../components/Loader';
 import User from '../components/admin/User';
 
-import { getDownloadURL, getStorage, ref, uploadBytesResumable, deleteObject } from 'firebase/storage';
-import { app } from '../firebase';
+import { getImageUrl, uploadImage } from '../lib/imageUpload';
 
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
@@ -38,6 +41,10 @@ import { FcInTransit } from "react-icons/fc";
 import { FcConferenceCall } from "react-icons/fc";
 import { FcCurrencyExchange } from "react-icons/fc";
 import { FcDoughnutChart } from "react-icons/fc";
+import { FcPackage } from "react-icons/fc";
+import { FcFaq } from "react-icons/fc";
+import { FcRuler } from "react-icons/fc";
+import { FcAlarmClock } from "react-icons/fc";
 import { FcShop } from "react-icons/fc";
 import { FcTemplate } from "react-icons/fc";
 
@@ -79,29 +86,15 @@ const AdminDashboard = () => {
     const handleFileUploadImage = async (image) => {
         setImagePending(true);
 
-        const storage = getStorage(app);
-        const fileName = new Date().getTime() + image.name;
-        const storageRef = ref(storage, fileName);
-        const uploadTask = uploadBytesResumable(storageRef, image);
-
-        uploadTask.on(
-            'state_changed',
-            (snapshot) => {
-                const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                setImageFileUploadProgress(progress.toFixed(0));
-            },
-            (error) => {
-                setImageFileUploadError('Could not upload image (File must be less than 2MB)');
-                console.log(error)
-            },
-            () => {
-                getDownloadURL(uploadTask.snapshot.ref)
-                    .then((downloadURL) => {
-                        setFormData({ ...formData, profilePic: downloadURL })
-                    })
-                setImagePending(false);
-            }
-        )
+        try {
+            const uploaded = await uploadImage(image, 'avatar', setImageFileUploadProgress);
+            setFormData({ ...formData, profilePic: uploaded.url })
+            setImagePending(false);
+        } catch (error) {
+            setImageFileUploadError(error.message);
+            console.log(error)
+            setImagePending(false);
+        }
     }
 
     useEffect(() => {
@@ -162,7 +155,7 @@ const AdminDashboard = () => {
                 <div className='flex flex-col justify-between items-center p-[20px] gap-[20px] h-screen min-w-[200px] text-[18px] bg-black text-white max-md:hidden'>
                     <div className='flex flex-col justify-center items-center'>
                         <div onClick={() => setOpenModal(true)} className='w-[80px] h-[80px] cursor-pointer hover:opacity-70 my-[10px]'>
-                            <img src={currentUser?.profilePic} alt="" className='w-full h-full object-cover rounded-[50%]' />
+                            <img src={getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, 'thumbnail')} alt="" className='w-full h-full object-cover rounded-[50%]' />
                         </div>
                         <div className='flex flex-col gap-[40px] mt-[30px]'>
                             <div onClick={() => setActive('dashboard')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'dashboard' ? 'text-red-400' : 'text-white'}`}>
@@ -181,6 +174,22 @@ const AdminDashboard = () => {
                                 <FcInTransit />
                                 <p>Order</p>
                             </div>
+                            <div onClick={() => setActive('bundle')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'bundle' ? 'text-red-400' : 'text-white'}`}>
+                                <FcPackage />
+                                <p>Bundle</p>
+                            </div>
+                            <div onClick={() => setActive('question')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'question' ? 'text-red-400' : 'text-white'}`}>
+                                <FcFaq />
+                                <p>Q&amp;A</p>
+                            </div>
+                            <div onClick={() => setActive('sizeChart')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'sizeChart' ? 'text-red-400' : 'text-white'}`}>
+                                <FcRuler />
+                                <p>Size Chart</p>
+                            </div>
+                            <div onClick={() => setActive('stockDemand')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'stockDemand' ? 'text-red-400' : 'text-white'}`}>
+                                <FcAlarmClock />
+                                <p>Restock Demand</p>
+                            </div>
                             <div onClick={() => setActive('voucher')} className={`cursor-pointer flex items-center gap-[10px] hover:text-red-400 ${active === 'voucher' ? 'text-red-400' : 'text-white'}`}>
                                 <FcCurrencyExchange />
                                 <p>Voucher</p>
@@ -216,12 +225,16 @@ const AdminDashboard = () => {
                 >
                     <div className="w-[200px] h-screen flex flex-col gap-[20px] justify-between items-center bg-black  shadow-lg py-[50px] text-[16px] text-white ">
                         <div className='w-[60px] h-[60px]'>
-                            <img src={currentUser?.profilePic} alt="" className='w-full h-full object-cover rounded-[50%]' />
+                            <img src={getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, 'thumbnail')} alt="" className='w-full h-full object-cover rounded-[50%]' />
                         </div>
                         <div onClick={() => { setActive('dashboard'); setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'dashboard' ? 'text-red-400' : 'text-white'}`}>Dashboard</div>
                         <div onClick={() => { setActive('products'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'products' ? 'text-red-400' : 'text-white'}`}>Products</div>
                         <div onClick={() => { setActive('category'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'category' ? 'text-red-400' : 'text-white'}`}>Category</div>
                         <div onClick={() => { setActive('order'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'order' ? 'text-red-400' : 'text-white'}`}>Order</div>
+                        <div onClick={() => { setActive('bundle'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'bundle' ? 'text-red-400' : 'text-white'}`}>Bundle</div>
+                        <div onClick={() => { setActive('question'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'question' ? 'text-red-400' : 'text-white'}`}>Q&amp;A</div>
+                        <div onClick={() => { setActive('sizeChart'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'sizeChart' ? 'text-red-400' : 'text-white'}`}>Size Chart</div>
+                        <div onClick={() => { setActive('stockDemand'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'stockDemand' ? 'text-red-400' : 'text-white'}`}>Restock Demand</div>
                         <div onClick={() => { setActive('voucher'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'voucher' ? 'text-red-400' : 'text-white'}`}>Voucher</div>
                         <div onClick={() => { setActive('user'), setOpenSidebar(false) }} className={`cursor-pointer hover:text-red-400 ${active === 'user' ? 'text-red-400' : 'text-white'}`}>User</div>
                         <div onClick={() => navigate('/chat')} className={`cursor-pointer hover:text-red-400 ${active === 'chat' ? 'text-red-400' : 'text-white'}`}>Chat</div>
@@ -243,7 +256,7 @@ const AdminDashboard = () => {
                                 {imagePending ? (
                                     <Loader />
                                 ) : (
-                                    <img onClick={() => fileRef.current.click()} src={formData?.profilePic || currentUser.profilePic} alt="" className='w-[50px] h-[50px] rounded-[50%]' />
+                                    <img onClick={() => fileRef.current.click()} src={formData?.profilePic || getImageUrl(currentUser.profilePic, currentUser.profilePicVariants, 'thumbnail')} alt="" className='w-[50px] h-[50px] rounded-[50%]' />
                                 )}
                                 <div className='flex flex-col gap-[5px]'>
                                     <input onChange={handleChange} id='username' type="text" defaultValue={currentUser.username} />
@@ -272,6 +285,10 @@ const AdminDashboard = () => {
                     {active === 'products' && <Products />}
                     {active === 'category' && <Category />}
                     {active === 'order' && <Order />}
+                    {active === 'bundle' && <Bundle />}
+                    {active === 'question' && <Question />}
+                    {active === 'sizeChart' && <SizeChart />}
+                    {active === 'stockDemand' && <StockDemand />}
                     {active === 'voucher' && <Voucher />}
                     {active === 'user' && <User />}
                 </div>
@@ -17,6 +17,7 @@ import { IoIosCloseCircleOutline } from "react-icons/io";
 import Skeleton from "@mui/material/Skeleton";
 import "animate.css";
 import { pusherClient } from "../lib/pusher";
+import { getImageUrl } from "../lib/imageUpload";
 
 const Chat = () => {
     const navigate = useNavigate();
@@ -226,7 +227,7 @@ const Chat = () => {
                         />
                         <div className="flex items-center gap-[10px]">
                             <img
-                                src={currentUser?.profilePic}
+                                src={getImageUrl(currentUser?.profilePic, currentUser?.profilePicVariants, "thumbnail")}
                                 alt="avatar"
                                 className="w-[30px] h-[30px] object-cover rounded-[50%]"
                             />
@@ -337,7 +338,7 @@ const Chat = () => {
                                                                     <div className="w-[50px]">
                                                                         <img
                                                                             key={index}
-                                                                            src={chat?.groupPhoto}
+                                                                            src={getImageUrl(chat?.groupPhoto, chat?.groupPhotoVariants, "thumbnail")}
                                                                             alt="ava"
                                                                             className="w-[40px] h-[40px] object-cover rounded-[50%]"
                                                                         />
@@ -394,7 +395,7 @@ const Chat = () => {
                                                                         <div className="w-[50px]">
                                                                             <img
                                                                                 key={index}
-                                                                                src={chat?.receiver[0]?.profilePic}
+                                                                                src={getImageUrl(chat?.receiver[0]?.profilePic, chat?.receiver[0]?.profilePicVariants, "thumbnail")}
                                                                                 alt="ava"
                                                                                 className="w-[40px] h-[40px] object-cover rounded-[50%]"
                                                                             />
@@ -4,11 +4,14 @@ import Navigation from '../components/Navigation'
 import Footer from '../components/Footer'
 import { useSelector } from 'react-redux'
 import { useParams, useNavigate, Link } from 'react-router-dom'
+import { getCategoryKey, getProductPath } from '../lib/paths';
+import ProductPrice from '../components/ProductPrice';
 import Loader from '../components/Loader'
 import ProductCard from '../components/ProductCard'
 
 import 'animate.css'
 import Skeleton from '@mui/material/Skeleton';
+import { getImageUrl } from '../lib/imageUpload';
 
 const Collection = () => {
 
@@ -25,7 +28,7 @@ const Collection = () => {
     const handleFetchCategory = async () => {
         setLoadingCategory(true);
         try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getCategoryByName/${category}`, {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/category/getCategoryBySlug/${category}`, {
                 method: "GET",
                 credentials: 'include',
             });
@@ -35,6 +38,10 @@ const Collection = () => {
                 return;
             } else {
                 setCategoryInfo(data);
+                // slug cu hoac ten danh muc thi thay bang slug hien tai
+                if (data.slug && data.slug !== category) {
+                    navigate(subcategory ? `/collections/${data.slug}/${subcategory}` : `/collections/${data.slug}`, { replace: true });
+                }
             }
         } catch (error) {
             console.log(error.message);
@@ -43,13 +50,19 @@ const Collection = () => {
         }
     }
 
-    const [page, setPage] = useState(1);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
 
-    const handleFetchProductsByCategory = async (page) => {
-        setLoadingProduct(true);
+    // cursor rong la trang dau, co cursor thi noi them vao danh sach
+    const handleFetchProductsByCategory = async (cursor = '') => {
+        if (cursor) {
+            setLoadingMore(true);
+        } else {
+            setLoadingProduct(true);
+        }
 
         try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getByCategory/${category}?page=${page}&limit=10`, {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getByCategory/${category}?cursor=${encodeURIComponent(cursor)}&limit=10`, {
                 method: "GET",
                 credentials: 'include',
             });
@@ -59,15 +72,19 @@ const Collection = () => {
                 return;
             } else {
                 setProductsData(data);
-                setProductsByCategory(data.findProductByCategory);
-                setPage(data.currentPage);
+                setProductsByCategory(prev => cursor ? [...prev, ...data.findProductByCategory] : data.findProductByCategory);
+                setNextCursor(data.hasMore ? data.nextCursor : null);
             }
         } catch (error) {
             console.log(error.message);
         } finally {
-            setTimeout(() => {
-                setLoadingProduct(false);
-            }, 1000);
+            if (cursor) {
+                setLoadingMore(false);
+            } else {
+                setTimeout(() => {
+                    setLoadingProduct(false);
+                }, 1000);
+            }
         }
     }
 
@@ -100,7 +117,7 @@ const Collection = () => {
     }
 
     useEffect(() => {
-        handleFetchProductsByCategory(1);
+        handleFetchProductsByCategory();
         handleFetchCategory();
         handleFetchSubCategory();
     }, [category, subcategory])
@@ -109,33 +126,13 @@ const Collection = () => {
         navigate(`/collections/${category}/${item}`);
     }
 
-    const handleNextPage = () => {
-        if (page < productsData?.totalPages) {
-            setPage(prevPage => {
-                const newPage = prevPage + 1;
-                handleFetchProductsByCategory(newPage);
-                return newPage;
-            })
-        }
-    }
-
-    const handlePreviousPage = () => {
-        if (page > 1) {
-            setPage(prevPage => {
-                const newPage = prevPage - 1;
-                handleFetchProductsByCategory(newPage);
-                return newPage;
-            })
-        }
-    }
-
     return (
         <>
             <Navigation />
             <Navbar />
             <div className='container mx-auto overflow-x-clip'>
                 <div className='w-full'>
-                    <img src={categoryInfo.heroImage} alt="image" className='w-full h-full object-cover' />
+                    <img src={getImageUrl(categoryInfo.heroImage, categoryInfo.heroImageVariants, 'full')} alt="image" className='w-full h-full object-cover' />
                 </div>
                 <div className='p-[20px]'>
 
@@ -146,7 +143,13 @@ const Collection = () => {
                                 <Loader />
                             ) : (
                                 <>
-                                    {categoryInfo.description && categoryInfo.description.length > 0 && (
+                                    {categoryInfo.children && categoryInfo.children.length > 0 ? (
+                                        categoryInfo.children.map((child) => (
+                                            <div onClick={() => handleClickSubCategory(getCategoryKey(child))} key={child._id} className={`text-[18px] max-md:text-[12px] cursor-pointer bg-gray-50 max-md:bg-transparent hover:bg-opacity-70 hover:text-red-500 border rounded-[20px] max-md:rounded-[10px] p-[10px] min-w-[200px] text-center ${subcategory === getCategoryKey(child) ? 'text-red-500' : ''}`}>
+                                                {child.title}
+                                            </div>
+                                        ))
+                                    ) : categoryInfo.description && categoryInfo.description.length > 0 && (
                                         categoryInfo.description.map((item, index) => (
                                             <div onClick={() => handleClickSubCategory(item)} key={index} className='text-[18px] max-md:text-[12px] cursor-pointer bg-gray-50 max-md:bg-transparent hover:bg-opacity-70 hover:text-red-500 border rounded-[20px] max-md:rounded-[10px] p-[10px] min-w-[200px] text-center'>
                                                 {item}
@@ -178,7 +181,7 @@ const Collection = () => {
                                                     productsByCategory && productsByCategory.length > 0 && (
                                                         productsByCategory.map((product, index) => (
                                                             <div
-                                                                onClick={() => { navigate(`/productDetail/${product._id}`) }}
+                                                                onClick={() => { navigate(getProductPath(product)) }}
                                                                 key={index}
                                                                 className='flex flex-col px-[10px] gap-[10px] animate__animated animate__zoomIn'>
                                                                 <div className='w-[300px] h-[400px] overflow-hidden'>
@@ -186,18 +189,25 @@ const Collection = () => {
                                                                 </div>
                                                                 <div className='flex flex-col my-[20px] gap-[10px]'>
                                                                     <span>{product.name}</span>
-                                                                    <span className='font-semibold text-[12px]'>{product.price}&#8363;</span>
+                                                                    <ProductPrice product={product} className='text-[12px]' />
                                                                 </div>
                                                             </div>
                                                         ))
                                                     )
                                                 }
                                             </div>
-                                            <div className='flex justify-center mx-auto items-center gap-[10px] my-[40px]'>
-                                                <button onClick={handlePreviousPage} disabled={page === 1}>{`<`}</button>
-                                                <p>{productsData?.currentPage}/{productsData?.totalPages}</p>
-                                                <button onClick={handleNextPage} disabled={productsData?.currentPage === productsData?.totalPages}>{`>`}</button>
-                                            </div>
+                                            {
+                                                nextCursor && (
+                                                    <div className='flex justify-center mx-auto items-center my-[40px]'>
+                                                        <button
+                                                            onClick={() => handleFetchProductsByCategory(nextCursor)}
+                                                            disabled={loadingMore}
+                                                            className='border rounded-[20px] px-[30px] py-[10px] hover:bg-gray-50 disabled:opacity-50'>
+                                                            {loadingMore ? 'Đang tải...' : 'Xem thêm'}
+                                                        </button>
+                                                    </div>
+                                                )
+                                            }
                                         </>
                                     ) : (
                                         <>
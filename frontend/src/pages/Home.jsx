@@ -3,6 +3,7 @@ import Navbar from '../components/Navbar'
 import Navigation from '../components/Navigation'
 import Hero from '../components/Hero'
 import RecentProduct from '../components/RecentProduct'
+import RecentlyViewed from '../components/RecentlyViewed'
 import SportClothes from '../components/productLandingPage/SportClothes'
 import CasualClothes from '../components/productLandingPage/CasualClothes'
 import UnderwearClothes from '../components/productLandingPage/UnderwearClothes'
@@ -17,6 +18,7 @@ const Home = () => {
         <Navbar />
         <Hero />
         <RecentProduct />
+        <RecentlyViewed />
         <SportClothes />
         <CasualClothes />
         <UnderwearClothes />
@@ -6,6 +6,7 @@ import Navigation from '../components/Navigation';
 import Navbar from '../components/Navbar';
 import Loader from '../components/Loader';
 import Footer from '../components/Footer';
+import { describeComponents } from '../lib/cartItem';
 import { FiArrowDownCircle } from "react-icons/fi";
 import { MdOutlineArrowCircleRight } from "react-icons/md";
 // TOAST
@@ -164,7 +165,11 @@ const OrderDetail = () => {
                                                 <img src={product.image} alt="" className='w-[60px] h-[60px] object-cover rounded-[5px]' />
                                                 <div className='flex flex-col gap-[5px]'>
                                                     <p>{product.name}</p>
-                                                    <p><span className='uppercase'>{product.size}</span> | {product.color} | x{product.quantity}</p>
+                                                    {product.bundleId ? (
+                                                        <p>{describeComponents(product.components)} | x{product.quantity}</p>
+                                                    ) : (
+                                                        <p><span className='uppercase'>{product.size}</span> | {product.color} | x{product.quantity}</p>
+                                                    )}
                                                 </div>
                                             </div>
                                             <p className='text-red-500'>{product.price}&#8363;</p>
@@ -23,6 +23,7 @@ import { setVoucher } from '../redux/order/voucherSlice';
 import { setCartSuccess } from '../redux/cart/cartSlice';
 
 import 'animate.css'
+import { describeComponents } from '../lib/cartItem';
 
 import { loadStripe } from '@stripe/stripe-js';
 
@@ -77,7 +78,7 @@ const OrderPage = () => {
   const [availableVouchers, setAvailableVouchers] = useState([]);
 
   const fetchVoucherByProducts = async () => {
-    const productIds = products.map((item) => item.productId);
+    const productIds = products.filter((item) => item.productId).map((item) => item.productId);
     try {
       const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/voucher/getVoucherByProductIds/${productIds.join(',')}`, {
         method: "GET",
@@ -288,8 +289,14 @@ const OrderPage = () => {
                             <img src={product.image} alt="img" className='w-[150px] h-[200px] object-cover rounded-[10px]' />
                             <div className='flex flex-col gap-[10px]'>
                               <p className='uppercase'>{product.name}</p>
-                              <p className='uppercase'>màu sắc: {product.color} </p>
-                              <p className='uppercase'>size: {product.size}</p>
+                              {product.bundleId ? (
+                                <p className='uppercase'>combo: {describeComponents(product.components)}</p>
+                              ) : (
+                                <>
+                                  <p className='uppercase'>màu sắc: {product.color} </p>
+                                  <p className='uppercase'>size: {product.size}</p>
+                                </>
+                              )}
                               <p className='uppercase'>số lượng: {product.quantity}</p>
                               <p className='uppercase'> giá: {product.price}&#8363;</p>
                               <div onClick={() => handleRemoveItem(product)} className='flex gap-[10px] cursor-pointer hover:text-red-400'>
@@ -1,12 +1,19 @@
 import React, { useState, useEffect } from 'react'
 import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate, useParams } from 'react-router-dom';
+import { getProductPath } from '../lib/paths';
+import ProductPrice from '../components/ProductPrice';
+import LowestPrice from '../components/LowestPrice';
+import ProductBundles from '../components/ProductBundles';
+import ProductQuestions from '../components/ProductQuestions';
+import ProductSpecs from '../components/ProductSpecs';
 import Navigation from "../components/Navigation";
 import Navbar from "../components/Navbar";
 import Loader from '../components/Loader';
 import Comment from '../components/Comment';
 import Footer from '../components/Footer';
-import TableSize from '../components/TableSize';
+import ProductSizeChart from '../components/ProductSizeChart';
+import RestockAlert from '../components/RestockAlert';
 
 import "slick-carousel/slick/slick.css";
 import "slick-carousel/slick/slick-theme.css";
@@ -33,8 +40,9 @@ import 'animate.css';
 
 const ProductDetail = () => {
 
-    const { productId } = useParams();
+    const { productId: productIdParam, slug } = useParams();
     const [detailProduct, setDetailProduct] = useState({});
+    const productId = detailProduct._id || productIdParam;
 
     const [showImage, setShowImage] = useState('');
     const [showColor, setShowColor] = useState('');
@@ -46,22 +54,6 @@ const ProductDetail = () => {
 
     const navigate = useNavigate();
 
-    const fetchDetailProduct = async () => {
-        setLoading(true)
-        const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getEachProduct/${productId}`, {
-            method: "GET",
-            credentials: 'include',
-        });
-        const data = await res.json();
-        if (!res.ok) {
-            console.error(data.message);
-            return;
-        } else {
-            setDetailProduct(data);
-            setLoading(false);
-        }
-    }
-
     useEffect(() => {
         if (detailProduct.listingPhotoPaths && detailProduct.listingPhotoPaths.length > 0) {
             setShowImage(detailProduct.listingPhotoPaths[0]);
@@ -74,8 +66,21 @@ const ProductDetail = () => {
         }
     }
 
+    // ton kho theo bien the (mau sac + kich thuoc) neu san pham co bien the
+    const hasVariants = detailProduct?.variants?.length > 0;
+    const selectedVariant = detailProduct?.variants?.find((variant) => variant.color === showColor && variant.size === showSize);
+    const availableStock = hasVariants ? selectedVariant?.stock ?? 0 : detailProduct?.stock;
+
+    const isSizeSoldOut = (size) => {
+        if (!hasVariants || showColor === '') {
+            return false;
+        }
+        const variant = detailProduct.variants.find((item) => item.color === showColor && item.size === size);
+        return !variant || variant.stock === 0;
+    }
+
     const handleIncreaseQuantity = () => {
-        if (showQuantity < detailProduct?.stock) {
+        if (showQuantity < availableStock) {
             setShowQuantity(showQuantity + 1)
         }
     }
@@ -141,6 +146,9 @@ const ProductDetail = () => {
         } else if (addForm.size === '') {
             handleShowErrorMessage('Vui lòng chọn kích thước mong muốn');
             return;
+        } else if (availableStock < addForm.quantity) {
+            handleShowErrorMessage('Phiên bản này không đủ hàng trong kho');
+            return;
         }
         try {
             const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/cart/addToCart`, {
@@ -153,7 +161,7 @@ const ProductDetail = () => {
             });
             const data = await res.json();
             if (!res.ok) {
-                handleShowErrorMessage("Thêm vào giỏ hàng thất bại !")
+                handleShowErrorMessage(data.message === "Quantity exceeds available stock" ? "Phiên bản này không đủ hàng trong kho" : "Thêm vào giỏ hàng thất bại !")
             } else {
                 setOpenBox(false);
                 toast.success("Thêm vào giỏ hàng thành công !")
@@ -236,12 +244,94 @@ const ProductDetail = () => {
     }
 
     useEffect(() => {
-        if (productId) {
+        const fetchDetailProduct = async () => {
+            setLoading(true)
+            const path = slug ? `getBySlug/${slug}` : `getEachProduct/${productIdParam}`;
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/${path}`, {
+                method: "GET",
+                credentials: 'include',
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                console.error(data.message);
+                return;
+            } else {
+                setDetailProduct(data);
+                setLoading(false);
+                // link cu (id hoac slug da doi) thi thay bang link slug hien tai
+                if (data.slug && data.slug !== slug) {
+                    navigate(getProductPath(data), { replace: true });
+                }
+            }
+        }
+        if (slug && detailProduct.slug === slug) {
+            return;
+        }
+        if (slug || productIdParam) {
             fetchDetailProduct();
+        }
+    }, [slug, productIdParam, detailProduct.slug, navigate]);
+
+    // bang size gan cho san pham hoac danh muc cua san pham
+    const [sizeChart, setSizeChart] = useState(null);
+
+    // goi y size tu so do trong tai khoan va size da mua
+    const [recommendedSize, setRecommendedSize] = useState(null);
+
+    const userId = currentUser?._id;
+    const fitProfile = currentUser?.fitProfile || {};
+
+    useEffect(() => {
+        const fetchRecommendedSize = async () => {
+            try {
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/recommend/${detailProduct._id}`, {
+                    method: "GET",
+                    credentials: 'include',
+                });
+                const data = await res.json();
+                setRecommendedSize(res.ok ? data.size : null);
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+        if (detailProduct._id && userId) {
+            fetchRecommendedSize();
+        } else {
+            setRecommendedSize(null);
+        }
+    }, [detailProduct._id, userId, fitProfile.height, fitProfile.weight, fitProfile.fit]);
+
+    useEffect(() => {
+        const fetchSizeChart = async () => {
+            try {
+                const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/sizeChart/getByProduct/${detailProduct._id}`, {
+                    method: "GET",
+                    credentials: 'include',
+                });
+                const data = await res.json();
+                setSizeChart(res.ok ? data : null);
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+        // luu lich su xem (ca khi chua dang nhap, server dung cookie anonymous_id)
+        const recordProductView = async () => {
+            try {
+                await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/recentlyViewed/record/${detailProduct._id}`, {
+                    method: "POST",
+                    credentials: 'include',
+                });
+            } catch (error) {
+                console.log(error.message);
+            }
+        }
+        if (detailProduct._id) {
             fetchRecommendProduct();
             handleFetchComment();
+            recordProductView();
+            fetchSizeChart();
         }
-    }, [productId]);
+    }, [detailProduct._id]);
 
     const [openReply, setOpenReply] = useState({}); // only admin can open to create reply
     const [replyCommentIds, setReplyCommentIds] = useState([]);
@@ -292,7 +382,8 @@ const ProductDetail = () => {
                             <div className='flex flex-col max-md:p-[10px] h-[700px] max-md:h-screen overflow-y-scroll hide-scrollbar animate__animated animate__fadeInRight'>
                                 <h3 className='text-[30px] font-semibold '>{detailProduct?.name}</h3>
                                 <p className='text-gray-600 whitespace-pre-wrap'>{detailProduct?.description}</p>
-                                <p className='font-semibold py-[10px]'>{detailProduct?.price}&#8363;</p>
+                                <ProductPrice product={detailProduct} variant={selectedVariant} className='py-[10px]' />
+                                <LowestPrice product={detailProduct} variant={selectedVariant} />
                                 <p> Miễn phí giao hàng | Giao hàng 1-2 ngày - Hà Nội & TP. Hồ Chí Minh</p>
                                 <div className='flex flex-col gap-[10px] pt-[10px]'>
                                     <p>Màu sắc: {showColor}</p>
@@ -315,14 +406,20 @@ const ProductDetail = () => {
                                                 onClick={(e) => setShowSize(size)}
                                                 key={index}
                                                 id='sizes'
-                                                className="w-[100px] h-[40px] rounded-[10px] text-center border border-black py-[10px] px-[20px] cursor-pointer hover:bg-gray-100"
+                                                className={`w-[100px] h-[40px] rounded-[10px] text-center border py-[10px] px-[20px] cursor-pointer hover:bg-gray-100 ${showSize === size ? 'border-red-400' : 'border-black'} ${isSizeSoldOut(size) ? 'line-through text-gray-400' : ''}`}
                                             >
                                                 {size}
                                             </div>
                                         ))}
                                     </div>
-                                    <p onClick={() => setOpenSize(true)} className='underline hover:text-gray-600 cursor-pointer'>Hướng dẫn chọn size</p>
-                                    <p>Tồn kho: {detailProduct.stock}</p>
+                                    {recommendedSize && (
+                                        <p onClick={() => setShowSize(recommendedSize)} className='text-red-400 cursor-pointer'>Recommended: {recommendedSize}</p>
+                                    )}
+                                    {sizeChart && (
+                                        <p onClick={() => setOpenSize(true)} className='underline hover:text-gray-600 cursor-pointer'>Hướng dẫn chọn size</p>
+                                    )}
+                                    <p>Tồn kho: {hasVariants && !selectedVariant ? detailProduct.stock : availableStock}</p>
+                                    <RestockAlert product={detailProduct} color={showColor} size={showSize} />
                                     <div className='w-[100px] border border-black p-[10px] rounded-[20px] flex justify-between items-center text-center'>
                                         <CiCircleMinus className='text-[20px] cursor-pointer' onClick={handleDecreaseQuantity} />
                                         <p className='text-[18px]'>
@@ -354,6 +451,10 @@ const ProductDetail = () => {
                             </div>
                         </div>
 
+                        <ProductSpecs product={detailProduct} />
+
+                        <ProductBundles productId={detailProduct?._id} />
+
                         {/* RECOMMEND */}
                         <div className='mt-[100px] mb-[50px] animate__animated animate__fadeInDown'>
                             <h3 className='text-center text-[30px] uppercase font-semibold mb-[40px]'>Gợi ý sản phẩm</h3>
@@ -365,7 +466,7 @@ const ProductDetail = () => {
                                         {recommendProduct?.map((product, index) => (
                                             <div onClick={() => {
                                                 if (!isDragging) {
-                                                    navigate(`/productDetail/${product._id}`)
+                                                    navigate(getProductPath(product))
                                                 }
                                             }}
                                                 key={index}
@@ -375,7 +476,7 @@ const ProductDetail = () => {
                                                 </div>
                                                 <div className='flex flex-col my-[10px]'>
                                                     <span>{product.name}</span>
-                                                    <span className='font-semibold text-[12px]'>{product.price}&#8363;</span>
+                                                    <ProductPrice product={product} className='text-[12px]' />
                                                 </div>
                                             </div>
                                         ))}
@@ -437,15 +538,18 @@ const ProductDetail = () => {
                             setLoadingComment={setLoadingComment}
                         />
 
+                        {/* Q&A */}
+                        <ProductQuestions productId={detailProduct?._id} />
+
                         {
-                            openSize && (
+                            openSize && sizeChart && (
                                 <Modal
                                     open={openSize}
                                     onClose={() => setOpenSize(false)}
                                 >
                                     <div className='absolute top-[50%] left-[50%] transform translate-x-[-50%] translate-y-[-50%] shadow-lg w-[1000px] max-md:w-[400px] bg-white text-black h-[600px] overflow-y-scroll rounded-[20px] p-[20px] pt-[50px]'>
                                         <IoIosCloseCircleOutline onClick={() => setOpenSize(false)} className='absolute top-[10px] right-[10px] text-[30px] cursor-pointer hover:text-red-[400]' />
-                                        <TableSize />
+                                        <ProductSizeChart chart={sizeChart} />
                                     </div>
 
                                 </Modal>
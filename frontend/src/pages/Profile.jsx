@@ -8,6 +8,7 @@ import History from '../components/History';
 import Address from '../components/Address';
 import Reply from '../components/Reply';
 import Policy from '../components/Policy';
+import RecentlyViewed from '../components/RecentlyViewed';
 import { useParams } from "react-router-dom";
 import { useNavigate } from "react-router-dom";
 import { FaLongArrowAltRight } from "react-icons/fa";
@@ -43,6 +44,10 @@ const Profile = () => {
                             Lịch sử đơn hàng
                             <FaLongArrowAltRight className="text-[20px]" />
                         </div>
+                        <div onClick={handleSelectActive} id='viewed' className={`flex justify-between border p-[10px] ${active === 'viewed' ? 'bg-black text-white' : 'bg-white text-black'} cursor-pointer hover:bg-opacity-70`}>
+                            Sản phẩm đã xem
+                            <FaLongArrowAltRight className="text-[20px]" />
+                        </div>
                         <div onClick={handleSelectActive} id='address' className={`flex justify-between border p-[10px] ${active === 'address' ? 'bg-black text-white' : 'bg-white text-black'} cursor-pointer hover:bg-opacity-70`}>
                             Sổ địa chỉ
                             <FaLongArrowAltRight className="text-[20px]" />
@@ -61,6 +66,7 @@ const Profile = () => {
                     <div className="border rounded-[10px] animate__animated animate__fadeIn">
                         {active === 'account' && <Account />}
                         {active === 'history' && <History />}
+                        {active === 'viewed' && <RecentlyViewed showClear />}
                         {active === 'address' && <Address />}
                         {active === 'reply' && <Reply />}
                         {active === 'policy' && <Policy />}
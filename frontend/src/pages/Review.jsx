@@ -7,8 +7,7 @@ import Navbar from '../components/Navbar';
 import Loader from '../components/Loader';
 import Footer from '../components/Footer';
 // IMAGE UPLOAD
-import { app } from '../firebase';
-import { getDownloadURL, getStorage, ref, uploadBytesResumable } from 'firebase/storage';
+import { uploadImage } from '../lib/imageUpload';
 
 import StarIcon from '@mui/icons-material/Star';
 import { IoCameraOutline } from "react-icons/io5";
@@ -85,39 +84,22 @@ const Review = () => {
     }
 
     const handleFileUploadImages = async (images) => {
-        const storage = getStorage(app);
         const uploadPromises = images.map((image) => {
             const fileName = new Date().getTime() + image.name;
-            const storageRef = ref(storage, fileName);
-            const uploadTask = uploadBytesResumable(storageRef, image);
-
-            return new Promise((resolve, reject) => {
-                uploadTask.on(
-                    'state_changed',
-                    (snapshot) => {
-                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                        setImageFileUploadProgress((prevProgress) => ({
-                            ...prevProgress,
-                            [fileName]: progress.toFixed(0),
-                        }));
-                    },
-                    (error) => {
-                        setImageFileUploadError((prevError) => ({
-                            ...prevError,
-                            [fileName]: 'Could not upload image (File must be less than 2MB)',
-                        }));
-                        console.log(error);
-                        reject(error);
-                    },
-                    () => {
-                        getDownloadURL(uploadTask.snapshot.ref)
-                            .then((downloadURL) => {
-                                resolve({ fileName, downloadURL });
-                            })
-                            .catch((error) => reject(error));
-                    }
-                );
-            });
+            return uploadImage(image, 'review', (progress) => {
+                setImageFileUploadProgress((prevProgress) => ({
+                    ...prevProgress,
+                    [fileName]: progress,
+                }));
+            })
+                .then((uploaded) => ({ fileName, downloadURL: uploaded.url }))
+                .catch((error) => {
+                    setImageFileUploadError((prevError) => ({
+                        ...prevError,
+                        [fileName]: error.message,
+                    }));
+                    throw error;
+                });
         });
 
         try {
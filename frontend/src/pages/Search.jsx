@@ -4,6 +4,8 @@ import Navigation from "../components/Navigation";
 import Footer from "../components/Footer";
 import { useSelector } from "react-redux";
 import { useParams, useNavigate, Link } from "react-router-dom";
+import { getProductPath } from "../lib/paths";
+import ProductPrice from "../components/ProductPrice";
 import Loader from "../components/Loader";
 import Filter from "../components/Filter";
 import ProductCard from "../components/ProductCard";
@@ -12,6 +14,19 @@ import "animate.css";
 import Skeleton from "@mui/material/Skeleton";
 import SearchSidebar from "../components/SearchSidebar";
 
+// bo loc luc vua vao trang search
+const DEFAULT_FILTERS = {
+    keyword: "",
+    category: "all",
+    minPrice: null,
+    maxPrice: null,
+    sizes: [],
+    colors: [],
+    attributes: {},
+    minRating: null,
+    sort: "default",
+};
+
 const Search = () => {
     const { currentUser } = useSelector((state) => state.user);
     const { searchKey } = useParams();
@@ -35,39 +50,12 @@ const Search = () => {
     const [minPrice, setMinPrice] = useState(null);
     const [maxPrice, setMaxPrice] = useState(null);
     const [showType, setShowType] = useState("grid");
-    const [sortType, setSortType] = useState("");
-
-    // lay tat ca product (default vua vao trang search se goi ham nay luon)
-    const handleFetchProductsPagination = async (page) => {
-        setLoadingProduct(true);
-        setTotalPage(1);
-        setProductCount(0);
-        setAllProducts([]);
-        try {
-            const res = await fetch(
-                `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getProductPagination?page=${page}&limit=12`,
-                {
-                    method: "GET",
-                    credentials: 'include',
-                }
-            );
-            const data = await res.json();
-            if (!res.ok) {
-                console.log(data.message);
-                return;
-            } else {
-                setAllProducts(data.listProducts);
-                setTotalPage(data.totalPages);
-                setProductCount(data.totalNumber);
-            }
-        } catch (error) {
-            console.log(error.message);
-        } finally {
-            setTimeout(() => {
-                setLoadingProduct(false);
-            }, 1000);
-        }
-    };
+    const [sortType, setSortType] = useState("default");
+    const [selectedSizes, setSelectedSizes] = useState([]);
+    const [selectedColors, setSelectedColors] = useState([]);
+    const [selectedAttributes, setSelectedAttributes] = useState({});
+    const [minRating, setMinRating] = useState(null);
+    const [facets, setFacets] = useState(null);
 
     // lay tat ca category (default vua vao trang search se goi ham nay luon)
     const handleFetchAllCategories = async () => {
@@ -98,13 +86,7 @@ const Search = () => {
         if (page < totalPage) {
             setPage((prevPage) => {
                 const newPage = prevPage + 1;
-                if (selectCategory === "all") {
-                    handleFetchProductCombination(selectCategory, minPrice, maxPrice, newPage);
-                } else if (selectCategory && selectCategory !== "all") {
-                    handleFetchProductCombination(selectCategory, minPrice, maxPrice, newPage);
-                } else if (!selectCategory && newSearchKey) {
-                    handleFetchProductBySearchKey(newPage);
-                }
+                handleFetchProductCombination(newPage);
                 return newPage;
             });
         }
@@ -115,13 +97,7 @@ const Search = () => {
         if (page > 1) {
             setPage((prevPage) => {
                 const newPage = prevPage - 1;
-                if (selectCategory === "all") {
-                    handleFetchProductCombination(selectCategory, minPrice, maxPrice, newPage);
-                } else if (selectCategory && selectCategory !== "all") {
-                    handleFetchProductCombination(selectCategory, minPrice, maxPrice, newPage);
-                } else if (!selectCategory && newSearchKey) {
-                    handleFetchProductBySearchKey(newPage);
-                }
+                handleFetchProductCombination(newPage);
                 return newPage;
             });
         }
@@ -129,86 +105,102 @@ const Search = () => {
 
     // xu ly khi thay doi category
     const handleCategoryCheckChange = (categoryName) => {
-        setNewSearchKey("");
         setPage(1);
-        if (categoryName === "all") {
-            setSelectCategory("all");
-            handleFetchProductCombination(categoryName, minPrice, maxPrice, 1);
+        setSelectCategory(categoryName);
+        // thuoc tinh khac nhau theo danh muc nen bo chon khi doi danh muc
+        setSelectedAttributes({});
+        handleFetchProductCombination(1, { category: categoryName, attributes: {} });
+    };
+
+    // xu ly khi tick vao size/mau sac
+    const handleToggleFacet = (field, value) => {
+        const current = field === "sizes" ? selectedSizes : selectedColors;
+        const next = current.includes(value)
+            ? current.filter((item) => item !== value)
+            : [...current, value];
+        if (field === "sizes") {
+            setSelectedSizes(next);
         } else {
-            setSelectCategory(categoryName);
-            handleFetchProductCombination(categoryName, minPrice, maxPrice, 1);
+            setSelectedColors(next);
         }
+        setPage(1);
+        handleFetchProductCombination(1, { [field]: next });
     };
 
-    // xu ly khi co gia tri searchKey
-    const handleFetchProductBySearchKey = async (page, searchKey) => {
-        setLoadingProduct(true);
-        setTotalPage(1);
-        setProductCount(0);
-        setAllProducts([]);
-        try {
-            const res = await fetch(
-                `${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getProductBySearch/${searchKey}?page=${page}&limit=10`,
-                {
-                    method: "GET",
-                    credentials: 'include',
-                }
-            );
-            const data = await res.json();
-            if (!res.ok) {
-                console.log(data.message);
-                return;
-            } else {
-                setAllProducts(data.findProducts || []);
-                setTotalPage(data.totalPages || 1);
-                setProductCount(data.totalNumber || 0);
-            }
-        } catch (error) {
-            console.log(error.message);
-        } finally {
-            setTimeout(() => {
-                setLoadingProduct(false);
-            }, 1000);
-        }
+    // xu ly khi tick vao gia tri thuoc tinh (chat lieu, mua, ...)
+    const handleToggleAttribute = (key, value) => {
+        const current = selectedAttributes[key] || [];
+        const values = current.includes(value)
+            ? current.filter((item) => item !== value)
+            : [...current, value];
+        const next = { ...selectedAttributes, [key]: values };
+        setSelectedAttributes(next);
+        setPage(1);
+        handleFetchProductCombination(1, { attributes: next });
     };
 
-    // xu ly khi thay doi gia tri filter(sap xep theo sortType: gia/ten)
-    const handleFilterProduct = async () => {
-        setLoadingProduct(true);
-        try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getProductByFilter/${sortType}`, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                },
-                body: JSON.stringify({
-                    products: allProducts,
-                }),
-                credentials: 'include',
-            });
-            const data = await res.json();
-            if (!res.ok) {
-                console.log(data.message);
-                return;
-            } else {
-                setAllProducts(data);
-            }
-        } catch (error) {
-            console.log(error.message);
-        } finally {
-            setLoadingProduct(false);
-        }
+    // xu ly khi chon khoang gia
+    const handleChangePriceRange = (min, max) => {
+        setMinPrice(min);
+        setMaxPrice(max);
+        setPage(1);
+        handleFetchProductCombination(1, { minPrice: min, maxPrice: max });
     };
 
-    // xu ly khi tick vao o check box phan price hoac category
-    const handleFetchProductCombination = async (categoryName, minPrice, maxPrice, page) => {
+    // xu ly khi chon so sao toi thieu
+    const handleChangeMinRating = (rating) => {
+        const next = minRating === rating ? null : rating;
+        setMinRating(next);
+        setPage(1);
+        handleFetchProductCombination(1, { minRating: next });
+    };
+
+    // xu ly khi thay doi cach sap xep (gia/ten/moi nhat/ban chay/danh gia), server sap xep tren toan bo ket qua
+    const handleChangeSortType = (sort) => {
+        setSortType(sort);
+        setPage(1);
+        handleFetchProductCombination(1, { sort });
+    };
+
+    // xu ly khi tick vao o check box o sidebar (gia, danh muc, size, mau sac, so sao)
+    // overrides dung cho gia tri vua chon ma state chua kip cap nhat
+    // giu tu khoa tim kiem tren url khi loc them
+    const handleFetchProductCombination = (page, overrides = {}) => {
+        fetchProductCombination(page, {
+            keyword: searchKey || "",
+            category: selectCategory || "all",
+            minPrice,
+            maxPrice,
+            sizes: selectedSizes,
+            colors: selectedColors,
+            attributes: selectedAttributes,
+            minRating,
+            sort: sortType,
+            ...overrides,
+        });
+    }
+
+    // goi api search voi day du bo loc, khong doc state nen effect goi duoc
+    const fetchProductCombination = async (page, filters) => {
         setLoadingProduct(true);
         setTotalPage(1);
         setProductCount(0);
         setAllProducts([]);
 
+        const params = new URLSearchParams({ page, limit: 8, sort: filters.sort });
+        if (filters.keyword) params.append("keyword", filters.keyword);
+        params.append("category", filters.category);
+        if (filters.minPrice) params.append("minPrice", filters.minPrice);
+        if (filters.maxPrice) params.append("maxPrice", filters.maxPrice);
+        if (filters.sizes.length > 0) params.append("sizes", filters.sizes.join(","));
+        if (filters.colors.length > 0) params.append("colors", filters.colors.join(","));
+        if (filters.minRating) params.append("minRating", filters.minRating);
+        Object.entries(filters.attributes).forEach(([key, values]) => {
+            if (values.length > 0) params.append(`attributes[${key}]`, values.join(","));
+        });
+
         try {
-            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/getProductCombination/${categoryName}?minPrice=${minPrice}&maxPrice=${maxPrice}&page=${page}&limit=8`, {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/product/search?${params.toString()}`, {
                 method: "GET",
                 credentials: 'include',
             });
@@ -218,8 +210,9 @@ const Search = () => {
                 return;
             } else {
                 setAllProducts(data.products);
-                setTotalPage(data.totalPages);
+                setTotalPage(data.totalPages || 1);
                 setProductCount(data.totalNumber);
+                setFacets(data.facets);
             }
         } catch (error) {
             console.log(error.message);
@@ -234,43 +227,22 @@ const Search = () => {
     useEffect(() => {
         setSelectCategory("all");
         handleFetchAllCategories();
-        if (!searchKey || searchKey === null || searchKey === undefined) {
-            if (!selectCategory || selectCategory === 'all') {
-                handleFetchProductsPagination(1);
-            }
-        }
     }, []);
 
-    // ham nay duoc goi khi thay doi gia tri searchKey hoac thay doi gia tri sortType(sap xep theo ten/gia)
+    // ham nay duoc goi khi vua vao trang va khi thay doi gia tri searchKey, bo loc ve mac dinh
     useEffect(() => {
-        if (searchKey) {
-            setPage(1);
-            setSelectCategory("");
-            setMinPrice(null);
-            setMaxPrice(null);
-            setSelectedPriceRange("")
-            handleFetchProductBySearchKey(1, searchKey);
-        }
-        if (sortType && sortType !== "default") {
-            handleFilterProduct();
-        }
-    }, [searchKey, sortType]);
-
-    // ham nay duoc goi khi gia tri minPrice hoac maxPrice thay doi
-    useEffect(() => {
-        let tempCategory = '';
-        if (selectCategory) {
-            tempCategory = selectCategory;
-            if (minPrice > 0 || maxPrice > 0) {
-                handleFetchProductCombination(tempCategory, minPrice, maxPrice, 1);
-            }
-        } else {
-            tempCategory = 'all';
-            if (minPrice > 0 || maxPrice > 0) {
-                handleFetchProductCombination(tempCategory, minPrice, maxPrice, 1);
-            }
-        }
-    }, [minPrice, maxPrice])
+        setPage(1);
+        setSelectCategory("all");
+        setMinPrice(null);
+        setMaxPrice(null);
+        setSelectedPriceRange("")
+        setSelectedSizes([]);
+        setSelectedColors([]);
+        setSelectedAttributes({});
+        setMinRating(null);
+        setSortType("default");
+        fetchProductCombination(1, { ...DEFAULT_FILTERS, keyword: searchKey || "" });
+    }, [searchKey]);
 
     return (
         <>
@@ -279,15 +251,13 @@ const Search = () => {
             <div className="container mx-auto overflow-x-clip">
                 <div className="h-screen overflow-y-scroll w-full p-[20px] flex flex-col gap-[40px]">
                     <Filter
-                        selectCategory={selectCategory}
                         newSearchKey={newSearchKey}
                         setNewSearchKey={setNewSearchKey}
                         showType={showType}
                         setShowType={setShowType}
                         sortType={sortType}
-                        setSortType={setSortType}
+                        setSortType={handleChangeSortType}
                         productCount={productCount}
-                        handleFetchProductBySearchKey={handleFetchProductBySearchKey}
                     />
                     <div className="flex max-md:flex-col gap-[30px]">
                         {/* SIDE BAR */}
@@ -296,11 +266,18 @@ const Search = () => {
                             selectCategory={selectCategory}
                             handleCategoryCheckChange={handleCategoryCheckChange}
                             loadingCategory={loadingCategory}
-                            setMinPrice={setMinPrice}
-                            setMaxPrice={setMaxPrice}
+                            handleChangePriceRange={handleChangePriceRange}
                             selectedPriceRange={selectedPriceRange}
                             setSelectedPriceRange={setSelectedPriceRange}
                             setSelectCategory={setSelectCategory}
+                            facets={facets}
+                            selectedSizes={selectedSizes}
+                            selectedColors={selectedColors}
+                            handleToggleFacet={handleToggleFacet}
+                            selectedAttributes={selectedAttributes}
+                            handleToggleAttribute={handleToggleAttribute}
+                            minRating={minRating}
+                            handleChangeMinRating={handleChangeMinRating}
                         />
 
                         {/* SHOW PRODUCTS */}
@@ -354,7 +331,7 @@ const Search = () => {
                                                 <div
                                                     key={index}
                                                     onClick={() => {
-                                                        navigate(`/productDetail/${product._id}`);
+                                                        navigate(getProductPath(product));
                                                     }}
                                                     className="flex gap-[10px] animate__animated animate__fadeIn cursor-pointer border rounded-[20px] p-[10px] bg-gray-50"
                                                 >
@@ -367,9 +344,7 @@ const Search = () => {
                                                     </div>
                                                     <div className="flex flex-col w-[300px] gap-[10px]">
                                                         <span>{product.name}</span>
-                                                        <span className="font-semibold text-[12px]">
-                                                            {product.price}&#8363;
-                                                        </span>
+                                                        <ProductPrice product={product} className="text-[12px]" />
                                                     </div>
                                                 </div>
                                             ))}
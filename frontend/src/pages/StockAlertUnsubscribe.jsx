@@ -0,0 +1,54 @@
+import React, { useState } from 'react'
+import { Link, useParams } from 'react-router-dom';
+import Navigation from '../components/Navigation';
+import Navbar from '../components/Navbar';
+
+import { FcCancel } from "react-icons/fc";
+
+// link huy dang ky trong mail bao co hang lai
+const StockAlertUnsubscribe = () => {
+
+    const { token } = useParams();
+    const [status, setStatus] = useState('');
+
+    const handleUnsubscribe = async () => {
+        try {
+            const res = await fetch(`${import.meta.env.VITE_REACT_APP_BACKEND_BASEURL}/api/stockAlert/unsubscribe/${token}`, {
+                method: "DELETE",
+                credentials: 'include',
+            });
+            setStatus(res.ok ? 'done' : 'notFound');
+        } catch (error) {
+            console.log(error.message);
+        }
+    }
+
+    return (
+        <>
+            <Navigation />
+            <Navbar />
+            <div className='container mx-auto overflow-x-clip'>
+                <div className='w-full flex justify-center items-center'>
+                    <div className='w-[500px] max-md:w-full flex flex-col gap-[20px] border shadow-xl p-[10px] mt-[100px] rounded-[10px] '>
+                        <FcCancel className='text-[40px]' />
+                        {status === 'done' ? (
+                            <p>Bạn đã hủy nhận thông báo có hàng trở lại.</p>
+                        ) : status === 'notFound' ? (
+                            <p>Đăng ký không tồn tại hoặc đã được hủy.</p>
+                        ) : (
+                            <>
+                                <p>Bạn sẽ không nhận mail khi sản phẩm này có hàng trở lại.</p>
+                                <div onClick={handleUnsubscribe} className='w-[150px] h-[30px] border rounded-[10px] flex justify-center items-center cursor-pointer bg-blue-400 hover:bg-blue-500 text-white hover:text-white'>
+                                    <p className='text-[14px] '>Hủy đăng ký</p>
+                                </div>
+                            </>
+                        )}
+                        <Link to='/' className='underline text-[14px]'>Về trang chủ</Link>
+                    </div>
+                </div>
+            </div>
+        </>
+    )
+}
+
+export default StockAlertUnsubscribe
@@ -14,6 +14,7 @@ import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { FaTrashAlt } from "react-icons/fa";
 import 'animate.css'
+import { describeComponents, isSameCartItem } from '../lib/cartItem';
 
 const UserCart = () => {
 
@@ -55,6 +56,7 @@ const UserCart = () => {
         if (item) {
             const formToggle = {
                 productId: item.productId,
+                bundleId: item.bundleId,
                 color: item.color,
                 size: item.size,
                 quantity: 1,
@@ -90,6 +92,7 @@ const UserCart = () => {
         if (item) {
             const formToggle = {
                 productId: item.productId,
+                bundleId: item.bundleId,
                 color: item.color,
                 size: item.size,
                 quantity: 1,
@@ -125,6 +128,7 @@ const UserCart = () => {
             const formRemove = {
                 userId: currentUser._id,
                 productId: item.productId,
+                bundleId: item.bundleId,
                 color: item.color,
                 size: item.size
             };
@@ -163,11 +167,11 @@ const UserCart = () => {
 
         setChooseItems(prevItems => {
             if (isChecked) {
-                if (!prevItems.find(i => i.productId === item.productId && i.color === item.color && i.size === item.size)) {
+                if (!prevItems.find(i => isSameCartItem(i, item))) {
                     return [...prevItems, item];
                 }
             } else {
-                return prevItems.filter(i => !(i.productId === item.productId && i.color === item.color && i.size === item.size));
+                return prevItems.filter(i => !isSameCartItem(i, item));
             }
             return prevItems;
         })
@@ -237,14 +241,14 @@ const UserCart = () => {
                                         </thead>
                                         <tbody>
                                             {items.map((item, index) => (
-                                                <tr onClick={() => navigate(`/productDetail/${item?.productId}`)} key={index} className="border-b-[2px] cursor-pointer">
+                                                <tr onClick={() => item.productId && navigate(`/productDetail/${item.productId}`)} key={index} className="border-b-[2px] cursor-pointer">
                                                     <td className="p-[10px]">
                                                         <input
                                                             type="checkbox"
                                                             className='w-[20px] h-[20px]'
                                                             onClick={(e) => e.stopPropagation()}
                                                             onChange={(e) => handleChooseItem(e, item)}
-                                                            checked={chooseItems.some(i => i.productId === item.productId && i.color === item.color && i.size === item.size)}
+                                                            checked={chooseItems.some(i => isSameCartItem(i, item))}
                                                         />
                                                     </td>
                                                     <td className="p-[10px]">{index + 1}</td>
@@ -252,8 +256,14 @@ const UserCart = () => {
                                                     <td className="p-[10px]">
                                                         <img src={item.image} alt="" className="w-[50px] h-[50px] object-cover" />
                                                     </td>
-                                                    <td className="p-[10px]">{item.color}</td>
-                                                    <td className="p-[10px]">{item.size}</td>
+                                                    {item.bundleId ? (
+                                                        <td colSpan={2} className="p-[10px] text-[14px] text-gray-500">{describeComponents(item.components)}</td>
+                                                    ) : (
+                                                        <>
+                                                            <td className="p-[10px]">{item.color}</td>
+                                                            <td className="p-[10px]">{item.size}</td>
+                                                        </>
+                                                    )}
                                                     <td className="p-[10px]">{item.price}</td>
                                                     <td className="p-[10px]">
                                                         <div className='flex gap-[5px] items-center'>
@@ -283,7 +293,7 @@ const UserCart = () => {
                                 <p className='w-[40px]'>{`${index + 1})`}</p>
                                 <div className='flex flex-col gap-[10px] w-[400px]'>
                                     <p className='uppercase'>{chooseItem.name}</p>
-                                    <p className='uppercase'>{chooseItem.color} / {chooseItem.size}</p>
+                                    <p className='uppercase'>{chooseItem.bundleId ? describeComponents(chooseItem.components) : `${chooseItem.color} / ${chooseItem.size}`}</p>
                                 </div>
                             </div>
                             <div className='flex gap-[10px] w-[100px]'>
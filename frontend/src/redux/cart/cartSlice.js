@@ -113,6 +113,8 @@ const cartSlice = createSlice({
     setCartSuccess: (state, action) => {
       state.items = action.payload.cart.products.map((product) => ({
         productId: product.productId,
+        bundleId: product.bundleId,
+        components: product.components,
         name: product.name,
         quantity: product.quantity,
         price: product.price,
@@ -1,4 +1,5 @@
 import { createSlice } from "@reduxjs/toolkit";
+import { isSameCartItem } from "../../lib/cartItem";
 
 const initialState = {
   products: [],
@@ -18,15 +19,8 @@ const orderSlice = createSlice({
       state.totalPrice = action.payload.totalPrice;
     },
     removeSingleItemInOrder: (state, action) => {
-      const { productId, color, size } = action.payload;
-
       state.products = state.products.filter(
-        (item) =>
-          !(
-            item.productId === productId &&
-            item.color === color &&
-            item.size === size
-          )
+        (item) => !isSameCartItem(item, action.payload)
       );
 
       state.totalPrice = state.products.reduce(
@@ -2,7 +2,11 @@ import User from "../models/userModel.js";
 import bcryptjs from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
-import nodemailer from "nodemailer";
+import { sendMail } from "../utils/mail.js";
+import {
+  ANONYMOUS_ID_COOKIE,
+  mergeAnonymousViews,
+} from "../utils/recentlyViewed.js";
 
 export const signUp = async (req, res, next) => {
   const { username, email, password } = req.body;
@@ -64,6 +68,12 @@ export const signIn = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid password" });
     }
 
+    // san pham da xem truoc khi dang nhap
+    await mergeAnonymousViews(
+      req.cookies?.[ANONYMOUS_ID_COOKIE],
+      validUser._id
+    );
+
     // Generate Access Token
     const accessToken = jwt.sign(
       {
@@ -131,6 +141,8 @@ export const google = async (req, res, next) => {
   try {
     const user = await User.findOne({ email });
     if (user) {
+      await mergeAnonymousViews(req.cookies?.[ANONYMOUS_ID_COOKIE], user._id);
+
       // Generate Access Token
       const accessToken = jwt.sign(
         {
@@ -185,6 +197,10 @@ export const google = async (req, res, next) => {
       });
 
       await newUser.save();
+      await mergeAnonymousViews(
+        req.cookies?.[ANONYMOUS_ID_COOKIE],
+        newUser._id
+      );
 
       // Generate Access Token
       const accessToken = jwt.sign(
@@ -284,23 +300,12 @@ export const forgotPassword = async (req, res, next) => {
     findUser.resetPasswordExpires = Date.now() + 10 * 60 * 1000;
     await findUser.save();
 
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-
     const resetLink = `http://localhost:5173/newPassword/${resetToken}`;
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
+    await sendMail({
       to: findUser.email,
       subject: "Password Reset Request",
       text: `Click the link to reset your password: ${resetLink}`,
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
 
     res.status(200).json({
       message: "Password reset email sent successfully. Check your inbox.",
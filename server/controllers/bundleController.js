@@ -0,0 +1,175 @@
+import Bundle from "../models/bundleModel.js";
+import {
+  BUNDLE_NOT_FOUND_MESSAGE,
+  checkBundleProducts,
+  findBundleProducts,
+  getBundleComponents,
+  getBundleStock,
+  validateBundleItems,
+} from "../utils/bundle.js";
+
+// kiem tra body khi tao / sua combo, tra ve { updates } hoac { error }
+const parseBundle = async (body, isNew) => {
+  const updates = {};
+
+  if (isNew || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: "Bundle name is required" };
+    }
+    updates.name = String(body.name).trim();
+  }
+  if (isNew || body.price !== undefined) {
+    const price = Number(body.price);
+    if (body.price === null || body.price === "" || isNaN(price) || price < 0) {
+      return { error: "Bundle price must be a number of at least 0" };
+    }
+    updates.price = price;
+  }
+  if (isNew || body.items !== undefined) {
+    const itemsError = validateBundleItems(body.items);
+    if (itemsError) {
+      return { error: itemsError };
+    }
+    updates.items = body.items.map((item) => ({
+      productId: item.productId,
+      color: item.color || undefined,
+      size: item.size || undefined,
+      quantity: Number(item.quantity ?? 1),
+    }));
+    const products = await findBundleProducts([updates]);
+    const productError = checkBundleProducts(updates.items, products);
+    if (productError) {
+      return { error: productError };
+    }
+  }
+  ["description", "image", "isActive"].forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  });
+
+  return { updates };
+};
+
+// them ten thanh phan va so combo con ban duoc vao tung combo
+const withBundleStock = async (bundles) => {
+  const products = await findBundleProducts(bundles);
+  return bundles.map((bundle) => ({
+    ...bundle.toObject(),
+    components: getBundleComponents(bundle, products),
+    availableStock: getBundleStock(bundle, products),
+  }));
+};
+
+export const createBundle = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to create bundle" });
+  }
+  try {
+    const { updates, error } = await parseBundle(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const newBundle = await Bundle.create(updates);
+    res.status(201).json(newBundle);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// admin thay ca combo da tat, khach chi thay combo dang ban
+export const getAllBundles = async (req, res, next) => {
+  try {
+    const query = req.user?.isAdmin ? {} : { isActive: true };
+    const bundles = await Bundle.find(query).sort({ createdAt: -1 });
+    res.status(200).json(await withBundleStock(bundles));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getBundle = async (req, res, next) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle || (!bundle.isActive && !req.user?.isAdmin)) {
+      return res.status(404).json({ message: BUNDLE_NOT_FOUND_MESSAGE });
+    }
+    const products = await findBundleProducts([bundle]);
+    const bundleObject = bundle.toObject();
+    res.status(200).json({
+      ...bundleObject,
+      items: bundleObject.items.map((item) => {
+        const product = products.find((doc) => doc._id.equals(item.productId));
+        return {
+          ...item,
+          product: product && {
+            _id: product._id,
+            name: product.name,
+            slug: product.slug,
+            listingPhotoPaths: product.listingPhotoPaths,
+          },
+        };
+      }),
+      availableStock: getBundleStock(bundle, products),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// cac combo co chua san pham nay, hien o trang chi tiet san pham
+export const getBundlesByProduct = async (req, res, next) => {
+  try {
+    const bundles = await Bundle.find({
+      isActive: true,
+      "items.productId": req.params.productId,
+    });
+    res.status(200).json(await withBundleStock(bundles));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateBundle = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to update bundle" });
+  }
+  try {
+    const { updates, error } = await parseBundle(req.body, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const updatedBundle = await Bundle.findByIdAndUpdate(
+      req.params.bundleId,
+      { $set: updates },
+      { new: true }
+    );
+    if (!updatedBundle) {
+      return res.status(404).json({ message: BUNDLE_NOT_FOUND_MESSAGE });
+    }
+    res.status(200).json(updatedBundle);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteBundle = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to delete bundle" });
+  }
+  try {
+    const deletedBundle = await Bundle.findByIdAndDelete(req.params.bundleId);
+    if (!deletedBundle) {
+      return res.status(404).json({ message: BUNDLE_NOT_FOUND_MESSAGE });
+    }
+    res.status(200).json({ message: "Bundle deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,68 @@
 import Cart from "../models/cartModel.js";
 import User from "../models/userModel.js";
 import Product from "../models/productModel.js";
+import Bundle from "../models/bundleModel.js";
+import {
+  findVariant,
+  getAvailableStock,
+  hasVariants,
+} from "../utils/variant.js";
+import { getCurrentPrice } from "../utils/pricing.js";
+import { isProductLive } from "../utils/productStatus.js";
+import {
+  BUNDLE_NOT_FOUND_MESSAGE,
+  findBundleProducts,
+  getBundleComponents,
+  getBundleStock,
+  isBundleLine,
+} from "../utils/bundle.js";
+
+// dong combo so theo bundleId, dong san pham theo productId + color + size
+const isSameLine = (item, { productId, bundleId, color, size }) => {
+  if (bundleId || isBundleLine(item)) {
+    return String(item.bundleId) === String(bundleId);
+  }
+  return (
+    item.productId.toString() === productId &&
+    item.color === color &&
+    item.size === size
+  );
+};
+
+// gia trong gio duoc luu luc them vao, cap nhat lai theo gia hien tai khi
+// xem gio hang de khuyen mai bat dau hoac ket thuc van dung
+const refreshCartPrices = async (cart) => {
+  const bundleLines = cart.products.filter(isBundleLine);
+  const productLines = cart.products.filter((item) => !isBundleLine(item));
+  const [products, bundles] = await Promise.all([
+    Product.find({ _id: { $in: productLines.map((item) => item.productId) } }),
+    Bundle.find({ _id: { $in: bundleLines.map((item) => item.bundleId) } }),
+  ]);
+
+  let changed = false;
+  cart.products.forEach((item) => {
+    let price;
+    if (isBundleLine(item)) {
+      price = bundles.find((doc) => doc._id.equals(item.bundleId))?.price;
+    } else {
+      const product = products.find((doc) => doc._id.equals(item.productId));
+      price = product && getCurrentPrice(product, item.color, item.size);
+    }
+    if (price !== undefined && price !== item.price) {
+      item.price = price;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    cart.subtotal = cart.products.reduce(
+      (total, item) => total + item.quantity * item.price,
+      0
+    );
+    await cart.save();
+  }
+  return cart;
+};
 
 export const addToCart = async (req, res, next) => {
   const { userId, productId, quantity, color, size } = req.body;
@@ -18,17 +80,29 @@ export const addToCart = async (req, res, next) => {
     }
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !isProductLive(product)) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    const productIndex = cart.products.findIndex(
-      (item) =>
-        item.productId.toString() === productId &&
-        item.color === color &&
-        item.size === size
+    const variant = findVariant(product, color, size);
+    if (hasVariants(product) && !variant) {
+      return res
+        .status(400)
+        .json({ message: "This color and size is not available" });
+    }
+
+    const productIndex = cart.products.findIndex((item) =>
+      isSameLine(item, { productId, color, size })
     );
 
+    const quantityInCart =
+      productIndex !== -1 ? cart.products[productIndex].quantity : 0;
+    if (getAvailableStock(product, color, size) < quantityInCart + quantity) {
+      return res
+        .status(400)
+        .json({ message: "Quantity exceeds available stock" });
+    }
+
     if (productIndex !== -1) {
       cart.products[productIndex].quantity += quantity;
     } else {
@@ -36,9 +110,10 @@ export const addToCart = async (req, res, next) => {
         productId,
         name: product.name,
         quantity,
-        price: product.price,
+        price: getCurrentPrice(product, color, size),
         color,
         size,
+        sku: variant?.sku,
         image: product.listingPhotoPaths[0],
       });
     }
@@ -58,9 +133,66 @@ export const addToCart = async (req, res, next) => {
   }
 };
 
+// combo la mot dong trong gio hang, ton kho tinh theo tung thanh phan
+export const addBundleToCart = async (req, res, next) => {
+  const { userId, bundleId, quantity } = req.body;
+
+  if (req.user.id !== userId) {
+    return res.status(401).json({
+      message: "You are not allowed to add this bundle to cart",
+    });
+  }
+
+  try {
+    const bundle = await Bundle.findById(bundleId);
+    if (!bundle || !bundle.isActive) {
+      return res.status(404).json({ message: BUNDLE_NOT_FOUND_MESSAGE });
+    }
+
+    let cart = await Cart.findOne({ userId });
+    if (!cart) {
+      cart = new Cart({ userId, products: [] });
+    }
+
+    const products = await findBundleProducts([bundle]);
+    const existingItem = cart.products.find((item) =>
+      isSameLine(item, { bundleId })
+    );
+    const quantityInCart = existingItem ? existingItem.quantity : 0;
+    if (getBundleStock(bundle, products) < quantityInCart + quantity) {
+      return res
+        .status(400)
+        .json({ message: "Quantity exceeds available stock" });
+    }
+
+    if (existingItem) {
+      existingItem.quantity += quantity;
+    } else {
+      cart.products.push({
+        bundleId,
+        name: bundle.name,
+        quantity,
+        price: bundle.price,
+        image: bundle.image || products[0]?.listingPhotoPaths[0],
+        components: getBundleComponents(bundle, products),
+      });
+    }
+
+    cart.subtotal = cart.products.reduce(
+      (total, item) => total + item.quantity * item.price,
+      0
+    );
+
+    const updatedCart = await cart.save();
+    res.status(200).json(updatedCart);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // xoa san pham theo productId trong gio hang
 export const removeFromCart = async (req, res, next) => {
-  const { userId, productId, color, size } = req.body;
+  const { userId, productId, bundleId, color, size } = req.body;
   try {
     // Find the cart for the user
     const cart = await Cart.findOne({ userId });
@@ -70,11 +202,8 @@ export const removeFromCart = async (req, res, next) => {
     }
 
     // Find the index of the product in the cart
-    const productIndex = cart.products.findIndex(
-      (item) =>
-        item.productId.toString() === productId &&
-        item.color === color &&
-        item.size === size
+    const productIndex = cart.products.findIndex((item) =>
+      isSameLine(item, { productId, bundleId, color, size })
     );
     if (productIndex === -1) {
       return res.status(404).json({ message: "Product not found in cart" });
@@ -121,6 +250,7 @@ export const getUserCart = async (req, res, next) => {
     if (!cart) {
       return res.json({ message: "This user don't have any items in cart" });
     }
+    await refreshCartPrices(cart);
 
     const uniqueProductCount = cart.products.length;
 
@@ -140,7 +270,7 @@ export const getUserCart = async (req, res, next) => {
 };
 
 export const updateUserCart = async (req, res, next) => {
-  const { productId, color, size, quantity, actionType } = req.body;
+  const { productId, bundleId, color, size, quantity, actionType } = req.body;
   const userId = req.params.userId;
   if (req.user.id !== userId) {
     return res
@@ -153,26 +283,45 @@ export const updateUserCart = async (req, res, next) => {
       cart = new Cart({ userId, products: [] });
     }
 
-    const existingItem = cart.products.find(
-      (item) =>
-        item.productId.toString() === productId &&
-        item.color === color &&
-        item.size === size
+    const existingItem = cart.products.find((item) =>
+      isSameLine(item, { productId, bundleId, color, size })
     );
 
     if (existingItem) {
-      if (actionType === "inc") {
+      if (actionType === "inc" && isBundleLine(existingItem)) {
+        const bundle = await Bundle.findById(existingItem.bundleId);
+        if (!bundle || !bundle.isActive) {
+          return res.status(404).json({ message: BUNDLE_NOT_FOUND_MESSAGE });
+        }
+        const products = await findBundleProducts([bundle]);
+        if (
+          getBundleStock(bundle, products) <
+          existingItem.quantity + quantity
+        ) {
+          return res
+            .status(400)
+            .json({ message: "Quantity exceeds available stock" });
+        }
+        existingItem.quantity += quantity;
+      } else if (actionType === "inc") {
+        const product = await Product.findById(productId);
+        if (!product) {
+          return res.status(404).json({ message: "Product not found" });
+        }
+        if (
+          getAvailableStock(product, color, size) <
+          existingItem.quantity + quantity
+        ) {
+          return res
+            .status(400)
+            .json({ message: "Quantity exceeds available stock" });
+        }
         existingItem.quantity += quantity;
       } else if (actionType === "dec") {
         existingItem.quantity -= quantity;
         if (existingItem.quantity <= 0) {
           cart.products = cart.products.filter(
-            (item) =>
-              !(
-                item.productId.toString() === productId &&
-                item.color === color &&
-                item.size === size
-              )
+            (item) => !isSameLine(item, { productId, bundleId, color, size })
           );
         }
       }
@@ -215,14 +364,10 @@ export const getItemsInCart = async (req, res, next) => {
     if (!cart) {
       return res.status(404).json({ message: "Cart not found" });
     }
+    await refreshCartPrices(cart);
 
     const foundItems = cart.products.filter((item) =>
-      chooseItems.some(
-        (searchItem) =>
-          item.productId.toString() === searchItem.productId &&
-          item.size === searchItem.size &&
-          item.color === searchItem.color
-      )
+      chooseItems.some((searchItem) => isSameLine(item, searchItem))
     );
 
     if (foundItems.length === 0) {
@@ -249,12 +394,9 @@ export const removeItemsFromCart = async (req, res, next) => {
       return res.status(404).json({ message: "Cart not found" });
     }
 
-    productsRemove.forEach(({ productId, color, size }) => {
-      const productIndex = userCart.products.findIndex(
-        (item) =>
-          item.productId.toString() === productId &&
-          item.color === color &&
-          item.size === size
+    productsRemove.forEach((productRemove) => {
+      const productIndex = userCart.products.findIndex((item) =>
+        isSameLine(item, productRemove)
       );
 
       if (productIndex === -1) {
@@ -1,6 +1,20 @@
 import Product from "../models/productModel.js";
 import Category from "../models/categoryModel.js";
 import ExcelJS from "exceljs";
+import {
+  buildCategoryTree,
+  getDescendants,
+  removeProductCategory,
+  renameProductCategory,
+} from "../utils/categoryTree.js";
+import { resolveImageVariants } from "../utils/imageUpload.js";
+import { findBySlug } from "../utils/slug.js";
+import { parseList } from "../utils/productSearch.js";
+import {
+  getAttributeSchemaByKeys,
+  normalizeAttributeDefinitions,
+  validateAttributeDefinitions,
+} from "../utils/productAttributes.js";
 
 export const createCategory = async (req, res, next) => {
   if (!req.user.isAdmin) {
@@ -9,15 +23,34 @@ export const createCategory = async (req, res, next) => {
       .json({ message: "You are not allowed to create category" });
   }
 
-  const { name, title, description, heroImage } = req.body;
+  const { name, title, description, heroImage, parent, slug, attributes } =
+    req.body;
+  if (attributes !== undefined) {
+    const attributeError = validateAttributeDefinitions(attributes);
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
+  }
   const newCategory = new Category({
     name,
     title,
     description,
     heroImage,
+    slug,
+    attributes: attributes && normalizeAttributeDefinitions(attributes),
   });
 
   try {
+    if (parent) {
+      const parentCategory = await Category.findById(parent);
+      if (!parentCategory) {
+        return res.status(404).json({ message: "Parent category not found" });
+      }
+      newCategory.parent = parentCategory._id;
+      newCategory.ancestors = [...parentCategory.ancestors, parentCategory._id];
+    }
+    newCategory.heroImageVariants = await resolveImageVariants(heroImage);
+
     const savedCategory = await newCategory.save();
     return res.status(201).json(savedCategory);
   } catch (error) {
@@ -79,7 +112,20 @@ export const deleteCategory = async (req, res, next) => {
   }
   try {
     const categoryId = req.params.categoryId;
+    const findCategory = await Category.findById(categoryId);
+    if (!findCategory) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const childCount = await Category.countDocuments({ parent: categoryId });
+    if (childCount > 0) {
+      return res
+        .status(400)
+        .json({ message: "Delete or move the sub categories first" });
+    }
+
     await Category.findByIdAndDelete(categoryId);
+    await removeProductCategory(findCategory);
     return res.status(200).json({ message: "Category deleted successfully" });
   } catch (error) {
     next(error);
@@ -94,18 +140,78 @@ export const updateCategory = async (req, res, next) => {
   }
   const categoryId = req.params.categoryId;
   try {
+    const findCategory = await Category.findById(categoryId);
+    if (!findCategory) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const updates = {
+      name: req.body.name,
+      title: req.body.title,
+      description: req.body.description,
+      heroImage: req.body.heroImage,
+      slug: req.body.slug,
+    };
+    if (req.body.heroImage !== undefined) {
+      updates.heroImageVariants = await resolveImageVariants(
+        req.body.heroImage
+      );
+    }
+
+    if (req.body.attributes !== undefined) {
+      const attributeError = validateAttributeDefinitions(req.body.attributes);
+      if (attributeError) {
+        return res.status(400).json({ message: attributeError });
+      }
+      updates.attributes = normalizeAttributeDefinitions(req.body.attributes);
+    }
+
+    // doi danh muc cha: cap nhat lai ancestors cho ca cac danh muc con
+    if (req.body.parent !== undefined) {
+      let newAncestors = [];
+      if (req.body.parent) {
+        const parentCategory = await Category.findById(req.body.parent);
+        if (!parentCategory) {
+          return res.status(404).json({ message: "Parent category not found" });
+        }
+        if (
+          parentCategory._id.equals(findCategory._id) ||
+          parentCategory.ancestors.some((id) => id.equals(findCategory._id))
+        ) {
+          return res.status(400).json({
+            message: "A category can not be moved under itself",
+          });
+        }
+        newAncestors = [...parentCategory.ancestors, parentCategory._id];
+      }
+      updates.parent = req.body.parent || null;
+      updates.ancestors = newAncestors;
+
+      const descendants = await getDescendants(findCategory._id);
+      await Promise.all(
+        descendants.map((descendant) => {
+          const index = descendant.ancestors.findIndex((id) =>
+            id.equals(findCategory._id)
+          );
+          descendant.ancestors = [
+            ...newAncestors,
+            ...descendant.ancestors.slice(index),
+          ];
+          return descendant.save();
+        })
+      );
+    }
+
     const updatedCategory = await Category.findByIdAndUpdate(
       categoryId,
       {
-        $set: {
-          name: req.body.name,
-          title: req.body.title,
-          description: req.body.description,
-          heroImage: req.body.heroImage,
-        },
+        $set: updates,
       },
       { new: true }
     );
+    if (updates.name && updates.name !== findCategory.name) {
+      await renameProductCategory(findCategory, updates.name);
+    }
     res.status(200).json(updatedCategory);
   } catch (error) {
     next(error);
@@ -181,12 +287,65 @@ export const getCategoryByName = async (req, res, next) => {
   const { name } = req.params;
   try {
     const findCategory = await Category.findOne({ name: name });
-    if (findCategory.length === 0) {
+    if (!findCategory) {
       return res
         .status(404)
         .json({ message: "No category found with this name" });
     }
-    res.status(200).json(findCategory);
+    const children = await Category.find({ parent: findCategory._id }).sort({
+      createdAt: 1,
+    });
+    res.status(200).json({ ...findCategory.toObject(), children });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// links made before slugs existed use the category name, slug cu thi chuyen
+// huong sang slug moi
+export const getCategoryBySlug = async (req, res, next) => {
+  const { slug } = req.params;
+  try {
+    let { doc: findCategory, redirect } = await findBySlug(Category, slug);
+    if (!findCategory) {
+      findCategory = await Category.findOne({ name: slug });
+    }
+    if (!findCategory) {
+      return res
+        .status(404)
+        .json({ message: "No category found with this slug" });
+    }
+    if (redirect) {
+      return res.redirect(301, findCategory.slug);
+    }
+    const children = await Category.find({ parent: findCategory._id }).sort({
+      createdAt: 1,
+    });
+    res.status(200).json({ ...findCategory.toObject(), children });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const allCategories = await Category.find().sort({ createdAt: 1 });
+    if (allCategories.length === 0) {
+      return res.status(404).json({ message: "No category found" });
+    }
+    res.status(200).json(buildCategoryTree(allCategories));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// thuoc tinh cua san pham thuoc cac danh muc, gom ca thuoc tinh ke thua
+export const getAttributeSchema = async (req, res, next) => {
+  try {
+    const schema = await getAttributeSchemaByKeys(
+      parseList(req.query.categories)
+    );
+    res.status(200).json(schema);
   } catch (error) {
     next(error);
   }
@@ -209,6 +368,7 @@ export const exportCategories = async (req, res, next) => {
     { header: "Title", key: "title", width: 30 },
     { header: "Description", key: "description", width: 60 },
     { header: "Hero Image", key: "heroImage", width: 60 },
+    { header: "Parent ID", key: "parent", width: 20 },
     { header: "Created At", key: "createdAt", width: 20 },
     { header: "Updated At", key: "updatedAt", width: 20 },
   ];
@@ -226,6 +386,7 @@ export const exportCategories = async (req, res, next) => {
         title: category.title,
         description: description,
         heroImage: category.heroImage,
+        parent: category.parent?.toString() || "",
         createdAt: category.createdAt.toLocaleDateString(),
         updatedAt: category.updatedAt.toLocaleDateString(),
       });
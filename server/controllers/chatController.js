@@ -2,6 +2,7 @@ import Chat from "../models/chatModel.js";
 import User from "../models/userModel.js";
 import Message from "../models/messageModel.js";
 import { pusherServer } from "../lib/pusher.js";
+import { resolveImageVariants } from "../utils/imageUpload.js";
 
 export const accessSingleChat = async (req, res, next) => {
   const { receiverId } = req.body;
@@ -26,14 +27,14 @@ export const accessSingleChat = async (req, res, next) => {
         path: "messages",
         populate: {
           path: "sender",
-          select: "username profilePic",
+          select: "username profilePic profilePicVariants",
         },
       })
       .populate({
         path: "latestMessage",
         populate: {
           path: "sender",
-          select: "username profilePic",
+          select: "username profilePic profilePicVariants",
         },
       });
 
@@ -121,14 +122,14 @@ export const accessGroupChat = async (req, res, next) => {
         path: "messages",
         populate: {
           path: "sender",
-          select: "username profilePic",
+          select: "username profilePic profilePicVariants",
         },
       })
       .populate({
         path: "latestMessage",
         populate: {
           path: "sender",
-          select: "username profilePic",
+          select: "username profilePic profilePicVariants",
         },
       });
 
@@ -169,7 +170,7 @@ export const getAllChatsOfUser = async (req, res, next) => {
 
     const populatedChats = await User.populate(allChats, {
       path: "latestMessage.sender",
-      select: "username email profilePic",
+      select: "username email profilePic profilePicVariants",
     });
 
     const chatsWithReceiver = populatedChats.map((chat) => {
@@ -217,6 +218,7 @@ export const createGroupChat = async (req, res, next) => {
     const newGroupChat = await Chat.create({
       chatName: chatName,
       groupPhoto: image,
+      groupPhotoVariants: await resolveImageVariants(groupPhoto),
       members: members,
       isGroupChat: true,
       groupAdmin: userId,
@@ -261,6 +263,10 @@ export const updateGroupChat = async (req, res, next) => {
         $set: {
           chatName: chatName,
           groupPhoto: groupPhoto,
+          groupPhotoVariants:
+            groupPhoto === undefined
+              ? undefined
+              : await resolveImageVariants(groupPhoto),
         },
       },
       { new: true }
@@ -0,0 +1,68 @@
+import Image from "../models/imageModel.js";
+import { getImageStorage } from "../utils/imageStorage.js";
+import {
+  ADMIN_IMAGE_KINDS,
+  IMAGE_KINDS,
+  detectImageType,
+  resizeImage,
+  storeImage,
+  validateImage,
+} from "../utils/imageUpload.js";
+
+// body la file anh (express.raw), tra ve anh kem cac kich thuoc
+export const uploadImage = async (req, res, next) => {
+  const { kind } = req.params;
+  if (!IMAGE_KINDS.includes(kind)) {
+    return res.status(400).json({ message: "Invalid image kind" });
+  }
+  if (ADMIN_IMAGE_KINDS.includes(kind) && !req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to upload this image" });
+  }
+  const error = validateImage(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  let resized;
+  try {
+    resized = await resizeImage(req.body);
+  } catch (error) {
+    return res.status(400).json({ message: "Could not read the image" });
+  }
+
+  try {
+    const newImage = await Image.create({
+      kind,
+      ...(await storeImage(resized, { kind })),
+      mimeType: detectImageType(req.body),
+      size: req.body.length,
+      uploadedBy: req.user.id,
+    });
+    res.status(201).json(newImage);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// admin xoa duoc moi anh, nguoi dung chi xoa anh minh tai len
+export const deleteImage = async (req, res, next) => {
+  try {
+    const image = await Image.findOne({ url: req.body.url });
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    if (!req.user.isAdmin && String(image.uploadedBy) !== req.user.id) {
+      return res
+        .status(401)
+        .json({ message: "You are not allowed to delete this image" });
+    }
+    const storage = getImageStorage(image.storage);
+    await Promise.all(image.keys.map((key) => storage.remove(key)));
+    await image.deleteOne();
+    res.status(200).json({ message: "Image deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
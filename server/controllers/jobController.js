@@ -0,0 +1,21 @@
+import { JOB_TASKS } from "../utils/jobs.js";
+
+// Vercel cron gui header Authorization: Bearer <CRON_SECRET>
+export const runJob = async (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to run this job" });
+  }
+  const { name } = req.params;
+  if (!Object.prototype.hasOwnProperty.call(JOB_TASKS, name)) {
+    return res.status(404).json({ message: "Job not found" });
+  }
+  try {
+    const summary = await JOB_TASKS[name]();
+    res.status(200).json({ job: name, summary });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -13,7 +13,7 @@ export const getAllMessages = async (req, res, next) => {
   try {
     const messages = await Message.find({ chat: chatId }).populate(
       "sender",
-      "username profilePic"
+      "username profilePic profilePicVariants"
     );
     // .populate({
     //   path: "chat",
@@ -64,11 +64,11 @@ export const sendMessage = async (req, res, next) => {
         populate: [
           {
             path: "sender",
-            select: "username profilePic",
+            select: "username profilePic profilePicVariants",
           },
           {
             path: "seenBy",
-            select: "username profilePic",
+            select: "username profilePic profilePicVariants",
           },
         ],
       })
@@ -0,0 +1,29 @@
+import Notification from "../models/notificationModel.js";
+
+const NOTIFICATION_LIMIT = 20;
+
+export const getNotifications = async (req, res, next) => {
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find({ user: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(NOTIFICATION_LIMIT),
+      Notification.countDocuments({ user: req.user.id, isRead: false }),
+    ]);
+    res.status(200).json({ notifications, unreadCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const markNotificationsRead = async (req, res, next) => {
+  try {
+    await Notification.updateMany(
+      { user: req.user.id, isRead: false },
+      { $set: { isRead: true } }
+    );
+    res.status(200).json({ message: "Notifications marked as read" });
+  } catch (error) {
+    next(error);
+  }
+};
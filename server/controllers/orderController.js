@@ -1,6 +1,21 @@
 import Order from "../models/orderModel.js";
 import User from "../models/userModel.js";
-import Product from "../models/productModel.js";
+import { isBundleLine } from "../utils/bundle.js";
+import { prepareOrderLines } from "../utils/orderLines.js";
+import {
+  isCursorRequest,
+  parseCursor,
+  parseCursorLimit,
+  toCursorPage,
+} from "../utils/cursor.js";
+import {
+  confirmReservation,
+  createReservation,
+  hasConfirmedReservation,
+  releaseReservation,
+  takeUnreservedStock,
+} from "../utils/stockReservation.js";
+import { buildStockItems, restockOrder } from "../utils/inventory.js";
 import Stripe from "stripe";
 import dotenv from "dotenv";
 dotenv.config();
@@ -31,17 +46,12 @@ export const createOrder = async (req, res, next) => {
         .json({ message: "Other function are not supported" });
     }
 
-    for (const product of products) {
-      const findProduct = await Product.findById(product.productId);
-      if (!findProduct) {
-        return res.status(404).json({ message: "Product not found" });
-      }
-      if (findProduct.stock < product.quantity) {
-        return res.status(400).json({ message: "Not enough stock" });
-      }
-
-      findProduct.stock -= product.quantity;
-      await findProduct.save();
+    // kiem tra gia va ton kho cua tat ca san pham truoc khi tru kho
+    const { foundProducts, stockLines, error } = await prepareOrderLines(
+      products
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
 
     const newOrder = new Order({
@@ -55,7 +65,26 @@ export const createOrder = async (req, res, next) => {
       paymentMethod,
     });
 
-    await newOrder.save();
+    // tru kho co dieu kien, don dat cung luc da lay het hang thi bao het hang
+    const taken = await takeUnreservedStock(
+      buildStockItems(stockLines, foundProducts),
+      {
+        reason: "sale",
+        actor: req.user.id,
+        order: newOrder._id,
+      }
+    );
+    if (!taken) {
+      return res.status(400).json({ message: "Not enough stock" });
+    }
+
+    try {
+      await newOrder.save();
+    } catch (error) {
+      // don khong luu duoc thi tra lai hang vua tru
+      await restockOrder(newOrder, req.user.id);
+      throw error;
+    }
     res.status(200).json(newOrder);
   } catch (error) {
     console.error("❌ Failed to create order:", error.message, error.stack);
@@ -65,12 +94,19 @@ export const createOrder = async (req, res, next) => {
   }
 };
 
+// moi nhat truoc, _id giu thu tu on dinh giua cac trang
+const ORDER_SORT = { createdAt: -1, _id: -1 };
+
 export const getAllOrder = async (req, res, next) => {
   if (!req.user.isAdmin) {
     return res
       .status(401)
       .json({ message: "You are not admin to do this action" });
   }
+  const cursor = parseCursor(req.query.cursor, ORDER_SORT);
+  if (cursor.error) {
+    return res.status(400).json({ message: cursor.error });
+  }
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 5;
@@ -91,27 +127,47 @@ export const getAllOrder = async (req, res, next) => {
     );
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
-    const allOrders = await Order.find();
-    const totalOrders = await Order.countDocuments();
+    // Count orders for specific timeframes
+    const [totalOrders, todayOrder, lastWeekOrder, lastMonthOrder] =
+      await Promise.all([
+        Order.countDocuments(),
+        Order.countDocuments({ createdAt: { $gte: today } }),
+        Order.countDocuments({ createdAt: { $gte: oneWeekAgo } }),
+        Order.countDocuments({ createdAt: { $gte: oneMonthAgo } }),
+      ]);
+
+    if (isCursorRequest(req.query)) {
+      const cursorLimit = parseCursorLimit(req.query.limit, 5);
+      const { items, hasMore, nextCursor } = toCursorPage(
+        await Order.find(cursor.filter)
+          .populate("userId products.productId")
+          .sort(ORDER_SORT)
+          .limit(cursorLimit + 1),
+        cursorLimit,
+        ORDER_SORT
+      );
+      return res.status(200).json({
+        numberOfOrder: totalOrders,
+        hasMore,
+        nextCursor,
+        todayOrder,
+        lastWeekOrder,
+        lastMonthOrder,
+        findOrder: items,
+      });
+    }
 
     const totalPages = Math.ceil(totalOrders / limit);
 
     const findOrder = await Order.find()
       .populate("userId products.productId")
-      .sort({ createdAt: -1 })
+      .sort(ORDER_SORT)
       .skip(skip)
       .limit(limit);
     if (findOrder.length === 0) {
       return res.status(404).json({ message: "No order found" });
     }
 
-    // Count orders for specific timeframes
-    const [todayOrder, lastWeekOrder, lastMonthOrder] = await Promise.all([
-      Order.find({ createdAt: { $gte: today } }).countDocuments(),
-      Order.find({ createdAt: { $gte: oneWeekAgo } }).countDocuments(),
-      Order.find({ createdAt: { $gte: oneMonthAgo } }).countDocuments(),
-    ]);
-
     res.status(200).json({
       numberOfOrder: totalOrders,
       currentPage: page,
@@ -208,6 +264,14 @@ export const cancelOrder = async (req, res, next) => {
         .json({ message: "Order is in processing, can not be cancel!" });
     }
     await Order.findByIdAndDelete(orderId);
+    await releaseReservation(orderId, "cancelled");
+    // COD da tru kho luc dat, don online chi tru kho khi da thanh toan
+    if (
+      findOrder.paymentMethod === "COD" ||
+      (await hasConfirmedReservation(orderId))
+    ) {
+      await restockOrder(findOrder, req.user.id);
+    }
     res.status(200).json({ message: "Order canceled successfully" });
   } catch (error) {
     next(error);
@@ -290,24 +354,35 @@ export const paymentWithStripe = async (req, res, next) => {
       .json({ message: "This method does not need to pay by Stripe" });
   }
 
-  const lineItems = products.map((product) => ({
-    price_data: {
-      currency: "vnd",
-      product_data: {
-        name: `${product.name} - ${product.size} - ${product.color}`,
-        images: [product.image],
-        metadata: {
-          color: product.color,
-          size: product.size,
+  let newOrder;
+  try {
+    const { foundProducts, stockLines, error } = await prepareOrderLines(
+      products
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const lineItems = products.map((product) => ({
+      price_data: {
+        currency: "vnd",
+        product_data: {
+          name: isBundleLine(product)
+            ? product.name
+            : `${product.name} - ${product.size} - ${product.color}`,
+          images: [product.image],
+          metadata: {
+            color: product.color,
+            size: product.size,
+          },
         },
+        unit_amount: product.price,
       },
-      unit_amount: product.price,
-    },
-    quantity: product.quantity,
-  }));
-  try {
+      quantity: product.quantity,
+    }));
+
     // tuong tu nhu new Order({}) + await newOrder.save()
-    const newOrder = await Order.create({
+    newOrder = await Order.create({
       userId,
       receiverName,
       receiverPhone,
@@ -318,6 +393,12 @@ export const paymentWithStripe = async (req, res, next) => {
       paymentMethod,
       paymentCheck: false,
     });
+    // giu hang den khi thanh toan xong, session het han cung luc voi giu hang
+    const reservation = await createReservation(
+      newOrder,
+      stockLines,
+      foundProducts
+    );
 
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
@@ -335,6 +416,7 @@ export const paymentWithStripe = async (req, res, next) => {
       client_reference_id: userId,
       success_url: `${process.env.ECOMMERCE_STORE_URL}/paymentSuccess/${newOrder._id}`,
       cancel_url: `${process.env.ECOMMERCE_STORE_URL}/cart`,
+      expires_at: Math.floor(reservation.expiresAt.getTime() / 1000),
       metadata: {
         receiverName,
         receiverPhone,
@@ -346,6 +428,9 @@ export const paymentWithStripe = async (req, res, next) => {
 
     res.status(200).json({ id: session.id });
   } catch (error) {
+    if (newOrder) {
+      await releaseReservation(newOrder._id, "failed");
+    }
     next(error);
   }
 };
@@ -358,8 +443,15 @@ export const updateOrderPaymentCheck = async (req, res, next) => {
     if (!findOrder) {
       return res.status(404).json({ message: "Order not found" });
     }
+    if (!req.user.isAdmin && String(findOrder.userId) !== req.user.id) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to update this order" });
+    }
     findOrder.paymentCheck = true;
     await findOrder.save();
+    // thanh toan xong thi hang dang giu thanh tru kho
+    await confirmReservation(findOrder._id);
     res.status(200).json(findOrder);
   } catch (error) {
     next(error);
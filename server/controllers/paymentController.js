@@ -3,8 +3,15 @@ import moment from "moment";
 import CryptoJS from "crypto-js";
 import Order from "../models/orderModel.js";
 import axios from "axios";
+import { prepareOrderLines } from "../utils/orderLines.js";
+import {
+  confirmReservation,
+  createReservation,
+  releaseReservation,
+} from "../utils/stockReservation.js";
 
 export const createPaymentZaloPay = async (req, res, next) => {
+  let newOrder;
   try {
     const {
       userId,
@@ -17,7 +24,14 @@ export const createPaymentZaloPay = async (req, res, next) => {
       paymentMethod,
     } = req.body;
 
-    const newOrder = await Order.create({
+    const { foundProducts, stockLines, error } = await prepareOrderLines(
+      products
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    newOrder = await Order.create({
       userId,
       receiverName,
       receiverPhone,
@@ -28,13 +42,15 @@ export const createPaymentZaloPay = async (req, res, next) => {
       paymentMethod,
       paymentCheck: false,
     });
+    // giu hang den khi ZaloPay goi callback
+    await createReservation(newOrder, stockLines, foundProducts);
 
     const embed_data = {
       redirecturl: `${process.env.ECOMMERCE_STORE_URL}/paymentSuccess/${newOrder._id}`,
     };
 
     const items = products.map((product) => ({
-      itemid: product.productId,
+      itemid: product.productId || product.bundleId,
       itemname: product.name,
       itemquantity: product.quantity,
       itemprice: product.price,
@@ -93,6 +109,7 @@ export const createPaymentZaloPay = async (req, res, next) => {
         },
       });
     } else {
+      await releaseReservation(newOrder._id, "failed");
       res.status(400).json({
         success: false,
         message: responseData.return_message || "Payment failed",
@@ -100,6 +117,9 @@ export const createPaymentZaloPay = async (req, res, next) => {
     }
   } catch (error) {
     console.error("Error in createPaymentZaloPay:", error);
+    if (newOrder) {
+      await releaseReservation(newOrder._id, "failed");
+    }
     next(error);
   }
 };
@@ -177,6 +197,7 @@ export const paymentZaloPaySuccess = async (req, res, next) => {
           return_message: "Order not found",
         });
       }
+      await confirmReservation(updatedOrder._id);
 
       // try {
       //   const { totalProducts, cart } = await removeItemsFromCartAfterPaySuccess(
@@ -194,6 +215,7 @@ export const paymentZaloPaySuccess = async (req, res, next) => {
       });
     } else {
       console.log("Payment failed with return_code:", return_code);
+      await releaseReservation(order_id, "failed");
       return res.json({
         return_code: 1,
         return_message: "Payment failed, but callback acknowledged",
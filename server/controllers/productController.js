@@ -1,5 +1,99 @@
 import Product from "../models/productModel.js";
+import InventoryMovement from "../models/inventoryMovementModel.js";
+import ProductVersion from "../models/productVersionModel.js";
+import Recommendation from "../models/recommendationModel.js";
 import ExcelJS from "exceljs";
+import {
+  keepStoredStock,
+  normalizeVariants,
+  sumVariantStock,
+  validateVariants,
+} from "../utils/variant.js";
+import {
+  buildCategoryFilter,
+  resolveProductCategories,
+} from "../utils/categoryTree.js";
+import {
+  buildResultsPipeline,
+  buildSearchPipeline,
+  findMatchingProducts,
+  findProductsInOrder,
+  formatFacets,
+  getSuggestions,
+  parseSearchFilters,
+  recordSearchQuery,
+  resolveSearchSort,
+} from "../utils/productSearch.js";
+import {
+  SORT_OPTIONS,
+  currentPriceFilter,
+  findSortedProducts,
+  getSortCollation,
+  resolveSort,
+} from "../utils/productSort.js";
+import {
+  isCursorRequest,
+  parseCursor,
+  parseCursorLimit,
+  parsePageQuery,
+  toCursorPage,
+} from "../utils/cursor.js";
+import { normalizeText } from "../utils/searchIndex.js";
+import {
+  parseProductRow,
+  PRODUCT_COLUMNS,
+  productToRow,
+  readProductRows,
+} from "../utils/productSheet.js";
+import {
+  buildStatusFilter,
+  isProductLive,
+  liveProductFilter,
+  parseLifecycle,
+  withLiveFilter,
+} from "../utils/productStatus.js";
+import { findBySlug } from "../utils/slug.js";
+import { resolveImages } from "../utils/imageUpload.js";
+import {
+  getPriceHistory,
+  getPriceSnapshot,
+  recordPriceChange,
+} from "../utils/priceHistory.js";
+import {
+  buildRevertUpdates,
+  diffProduct,
+  getHistorySnapshot,
+  recordProductVersion,
+} from "../utils/productHistory.js";
+import {
+  getStockSnapshot,
+  notifyRestockInBackground,
+} from "../utils/stockAlert.js";
+import {
+  LOW_STOCK_COLUMNS,
+  findLowStockProducts,
+  getGlobalLowStockThreshold,
+  lowStockToRow,
+  parseLowStockThreshold,
+  parseVelocityDays,
+} from "../utils/lowStock.js";
+import {
+  applyStockChanges,
+  diffStock,
+  findStockDrift,
+  getLedgerStock,
+  parseStockAdjustment,
+  recordMovements,
+} from "../utils/inventory.js";
+import { parseSalePricing, withPricing } from "../utils/pricing.js";
+import { RECOMMENDATION_LIMIT } from "../utils/recommendation.js";
+import {
+  describeAttributeFacets,
+  getAttributeSchema,
+  parseProductAttributes,
+} from "../utils/productAttributes.js";
+
+const uniqueValues = (values) => [...new Set(values)];
 
 export const createProduct = async (req, res, next) => {
   if (!req.user.isAdmin) {
@@ -17,10 +111,76 @@ export const createProduct = async (req, res, next) => {
     sizes: req.body.sizes,
     colors: req.body.colors,
     listingPhotoPaths: req.body.listingPhotoPaths,
+    slug: req.body.slug,
   });
 
+  const lifecycle = parseLifecycle(req.body);
+  if (lifecycle.error) {
+    return res.status(400).json({ message: lifecycle.error });
+  }
+  newProduct.set(lifecycle.updates);
+
+  const salePricing = parseSalePricing(req.body, req.body.price);
+  if (salePricing.error) {
+    return res.status(400).json({ message: salePricing.error });
+  }
+  newProduct.set(salePricing.updates);
+
+  if (req.body.lowStockThreshold !== undefined) {
+    const { threshold, error } = parseLowStockThreshold(
+      req.body.lowStockThreshold
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    newProduct.lowStockThreshold = threshold;
+  }
+
+  if (req.body.variants !== undefined) {
+    const variantError = validateVariants(req.body.variants);
+    if (variantError) {
+      return res.status(400).json({ message: variantError });
+    }
+    const variants = normalizeVariants(req.body.variants, newProduct._id);
+    newProduct.variants = variants;
+    newProduct.stock = sumVariantStock(variants);
+    if (!req.body.sizes) {
+      newProduct.sizes = uniqueValues(variants.map((variant) => variant.size));
+    }
+    if (!req.body.colors) {
+      newProduct.colors = uniqueValues(
+        variants.map((variant) => variant.color)
+      );
+    }
+  }
+
   try {
+    const productCategories = await resolveProductCategories(req.body);
+    if (productCategories.categoryIds) {
+      newProduct.categories = productCategories.categories;
+      newProduct.categoryIds = productCategories.categoryIds;
+    }
+
+    const productAttributes = parseProductAttributes(
+      req.body.attributes ?? {},
+      await getAttributeSchema(newProduct.categoryIds)
+    );
+    if (productAttributes.error) {
+      return res.status(400).json({ message: productAttributes.error });
+    }
+    newProduct.attributes = productAttributes.attributes;
+
+    if (Array.isArray(req.body.listingPhotoPaths)) {
+      newProduct.images = await resolveImages(req.body.listingPhotoPaths);
+    }
+
     const savedProduct = await newProduct.save();
+    await recordMovements(savedProduct._id, diffStock(null, savedProduct), {
+      reason: "manual",
+      actor: req.user.id,
+      note: "Initial stock",
+    });
+    await recordPriceChange(null, savedProduct);
     res.status(201).json(savedProduct);
   } catch (error) {
     next(error);
@@ -31,7 +191,7 @@ export const getRecentProduct = async (req, res, next) => {
   try {
     const limitNumber = req.params.limitNumber;
     const limitListing = parseInt(limitNumber);
-    const listProduct = await Product.find()
+    const listProduct = await Product.find(liveProductFilter())
       .limit(limitListing)
       .sort({ createdAt: -1 });
     if (listProduct.length === 0) {
@@ -43,10 +203,19 @@ export const getRecentProduct = async (req, res, next) => {
   }
 };
 
+// khach chi thay san pham dang ban, admin loc duoc theo trang thai
 export const getAllProduct = async (req, res, next) => {
+  const query =
+    req.user && req.user.isAdmin
+      ? buildStatusFilter(req.query.status)
+      : liveProductFilter();
+  if (!query) {
+    return res.status(400).json({ message: "Invalid status filter!" });
+  }
+
   try {
-    const allProducts = await Product.find();
-    const totalNumber = await Product.countDocuments();
+    const allProducts = await Product.find(query);
+    const totalNumber = await Product.countDocuments(query);
 
     if (allProducts.length === 0) {
       return res.status(404).json({ message: "No product found" });
@@ -67,11 +236,11 @@ export const getAllProduct = async (req, res, next) => {
     );
 
     const lastWeekProduct = await Product.find({
-      createdAt: { $gte: oneWeekAgo },
+      $and: [query, { createdAt: { $gte: oneWeekAgo } }],
     });
 
     const lastMonthProduct = await Product.find({
-      createdAt: { $gte: oneMonthAgo },
+      $and: [query, { createdAt: { $gte: oneMonthAgo } }],
     });
 
     res.status(200).json({
@@ -88,18 +257,43 @@ export const getAllProduct = async (req, res, next) => {
 };
 
 export const getProductPagination = async (req, res, next) => {
+  const sort = resolveSort(req.query.sort);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
+  }
+
+  const cursor = parseCursor(req.query.cursor, SORT_OPTIONS[sort]);
+  if (cursor.error) {
+    return res.status(400).json({ message: cursor.error });
+  }
+
   try {
-    const totalNumber = await Product.countDocuments();
+    const query = liveProductFilter();
+    const totalNumber = await Product.countDocuments(query);
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    if (isCursorRequest(req.query)) {
+      const limit = parseCursorLimit(req.query.limit, 10);
+      const { items, hasMore, nextCursor } = toCursorPage(
+        await findSortedProducts(query, {
+          sort,
+          limit: limit + 1,
+          after: cursor.filter,
+        }),
+        limit,
+        SORT_OPTIONS[sort]
+      );
+      return res
+        .status(200)
+        .json({ totalNumber, hasMore, nextCursor, listProducts: items });
+    }
 
-    const skip = (page - 1) * limit;
+    const { page, limit, skip } = parsePageQuery(req.query, 10);
 
-    const listProducts = await Product.find()
-      .skip(skip)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    const listProducts = await findSortedProducts(query, {
+      sort,
+      skip,
+      limit,
+    });
 
     if (listProducts.length === 0) {
       return res.status(404).json({ message: "No product found" });
@@ -124,28 +318,125 @@ export const updateProduct = async (req, res, next) => {
   }
   try {
     const productId = req.params.productId;
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
+    const updates = {
+      name: req.body.name,
+      description: req.body.description,
+      price: req.body.price,
+      stock: req.body.stock,
+      categories: req.body.categories,
+      sizes: req.body.sizes,
+      colors: req.body.colors,
+      listingPhotoPaths: req.body.listingPhotoPaths,
+      slug: req.body.slug,
+    };
+
+    const lifecycle = parseLifecycle(req.body);
+    if (lifecycle.error) {
+      return res.status(400).json({ message: lifecycle.error });
+    }
+    Object.assign(updates, lifecycle.updates);
+
+    // gia dang luu cho gia khuyen mai khi khong doi gia, danh muc dang luu
+    // cho thuoc tinh, ton kho dang luu de bao co hang lai, ca san pham de
+    // ghi lich su sua
+    const currentProduct = await Product.findById(productId);
+    const salePricing = parseSalePricing(req.body, currentProduct?.price);
+    if (salePricing.error) {
+      return res.status(400).json({ message: salePricing.error });
+    }
+    Object.assign(updates, salePricing.updates);
+
+    if (req.body.lowStockThreshold !== undefined) {
+      const { threshold, error } = parseLowStockThreshold(
+        req.body.lowStockThreshold
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      updates.lowStockThreshold = threshold;
+    }
+
+    const productCategories = await resolveProductCategories(req.body);
+    if (productCategories.categoryIds) {
+      updates.categories = productCategories.categories;
+      updates.categoryIds = productCategories.categoryIds;
+    }
+
+    // thuoc tinh kiem tra theo danh muc moi neu danh muc cung thay doi
+    if (req.body.attributes !== undefined) {
+      const productAttributes = parseProductAttributes(
+        req.body.attributes ?? {},
+        await getAttributeSchema(
+          updates.categoryIds || currentProduct?.categoryIds
+        )
+      );
+      if (productAttributes.error) {
+        return res.status(400).json({ message: productAttributes.error });
+      }
+      updates.attributes = productAttributes.attributes;
+    }
+
+    if (Array.isArray(req.body.listingPhotoPaths)) {
+      updates.images = await resolveImages(req.body.listingPhotoPaths);
+    }
+
+    if (req.body.variants !== undefined) {
+      const variants = Array.isArray(req.body.variants)
+        ? keepStoredStock(req.body.variants, currentProduct)
+        : req.body.variants;
+      const variantError = validateVariants(variants);
+      if (variantError) {
+        return res.status(400).json({ message: variantError });
+      }
+      updates.variants = normalizeVariants(variants, productId);
+      if (updates.variants.length > 0) {
+        updates.stock = sumVariantStock(updates.variants);
+      }
+    }
+
+    // ton kho ghi bang $set nen chi ghi khi san pham chua doi tu luc doc o
+    // tren: don hang, giu hang va dieu chinh kho deu cap nhat updatedAt
+    const writesStock =
+      updates.stock !== undefined || updates.variants !== undefined;
+    const updatedProduct = await Product.findOneAndUpdate(
+      writesStock && currentProduct
+        ? { _id: productId, updatedAt: currentProduct.updatedAt }
+        : { _id: productId },
       {
-        $set: {
-          name: req.body.name,
-          description: req.body.description,
-          price: req.body.price,
-          stock: req.body.stock,
-          categories: req.body.categories,
-          sizes: req.body.sizes,
-          colors: req.body.colors,
-          listingPhotoPaths: req.body.listingPhotoPaths,
-        },
+        $set: updates,
       },
       { new: true }
     );
+    if (writesStock && currentProduct && !updatedProduct) {
+      return res.status(409).json({
+        message: "Product stock changed while editing, please reload",
+      });
+    }
+    if (currentProduct && updatedProduct) {
+      await recordProductVersion(
+        updatedProduct._id,
+        diffProduct(currentProduct, updatedProduct),
+        { actor: req.user.id }
+      );
+      await recordPriceChange(currentProduct, updatedProduct);
+      await recordMovements(
+        updatedProduct._id,
+        diffStock(currentProduct, updatedProduct),
+        { reason: "manual", actor: req.user.id }
+      );
+      notifyRestockInBackground(
+        getStockSnapshot(currentProduct),
+        updatedProduct
+      );
+    }
     res.status(200).json(updatedProduct);
   } catch (error) {
     next(error);
   }
 };
 
+// don hang, danh gia va voucher cu van tro toi san pham nen chi luu tru,
+// khong xoa han
 export const deleteProduct = async (req, res, next) => {
   if (!req.user.isAdmin) {
     return res
@@ -154,8 +445,15 @@ export const deleteProduct = async (req, res, next) => {
   }
   try {
     const productId = req.params.productId;
-    await Product.findByIdAndDelete(productId);
-    res.status(200).json({ message: "Product delete successfully" });
+    const archivedProduct = await Product.findByIdAndUpdate(
+      productId,
+      { $set: { status: "archived" } },
+      { new: true }
+    );
+    if (!archivedProduct) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    res.status(200).json({ message: "Product archived successfully" });
   } catch (error) {
     next(error);
   }
@@ -165,10 +463,35 @@ export const getEachProduct = async (req, res, next) => {
   const { productId } = req.params;
   try {
     const findProduct = await Product.findById(productId);
-    if (!findProduct) {
+    const isAdmin = req.user && req.user.isAdmin;
+    if (!findProduct || (!isAdmin && !isProductLive(findProduct))) {
       return res.status(404).json({ message: "No product found!" });
     }
-    res.status(200).json(findProduct);
+    res.status(200).json({
+      ...findProduct.toJSON(),
+      priceHistory: await getPriceHistory(findProduct),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// slug cu chuyen huong (301) sang slug moi
+export const getProductBySlug = async (req, res, next) => {
+  const { slug } = req.params;
+  try {
+    const { doc: findProduct, redirect } = await findBySlug(Product, slug);
+    const isAdmin = req.user && req.user.isAdmin;
+    if (!findProduct || (!isAdmin && !isProductLive(findProduct))) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    if (redirect) {
+      return res.redirect(301, findProduct.slug);
+    }
+    res.status(200).json({
+      ...findProduct.toJSON(),
+      priceHistory: await getPriceHistory(findProduct),
+    });
   } catch (error) {
     next(error);
   }
@@ -176,34 +499,37 @@ export const getEachProduct = async (req, res, next) => {
 
 export const getProductBySearch = async (req, res, next) => {
   const { searchKey } = req.params;
+  const sort = resolveSearchSort(req.query.sort, searchKey);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
+  }
 
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    const skip = (page - 1) * limit;
-
-    const allProducts = await Product.find({
-      name: {
-        $regex: searchKey,
-        $options: "i",
-      },
-    });
-
-    const findProducts = await Product.find({
-      name: {
-        $regex: searchKey,
-        $options: "i",
-      },
-    })
-      .skip(skip)
-      .limit(limit);
+    const { page, limit, skip } = parsePageQuery(req.query, 10);
+
+    const matches = await findMatchingProducts(searchKey, liveProductFilter());
+
+    let findProducts = [];
+    if (sort === "relevance") {
+      findProducts = await findProductsInOrder(
+        matches.slice(skip, skip + limit).map((match) => match._id)
+      );
+    } else if (matches.length > 0) {
+      findProducts = await findSortedProducts(
+        { _id: { $in: matches.map((match) => match._id) } },
+        { sort, skip, limit }
+      );
+    }
 
     if (findProducts.length === 0) {
       return res.json({ message: "No product found with this name" });
     }
 
-    const totalNumber = allProducts.length;
+    if (page === 1) {
+      await recordSearchQuery(searchKey);
+    }
+
+    const totalNumber = matches.length;
 
     res.status(200).json({
       totalNumber: totalNumber,
@@ -216,6 +542,23 @@ export const getProductBySearch = async (req, res, next) => {
   }
 };
 
+export const getSearchSuggestions = async (req, res, next) => {
+  const keyword = req.query.q || "";
+  const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+  // mot ky tu thi goi y qua nhieu, cho nguoi dung go them
+  if (normalizeText(keyword).length < 2) {
+    return res.status(200).json({ products: [], categories: [], queries: [] });
+  }
+
+  try {
+    const suggestions = await getSuggestions(keyword, limit);
+    res.status(200).json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const exportProducts = async (req, res, next) => {
   if (!req.user.isAdmin) {
     return res
@@ -225,36 +568,12 @@ export const exportProducts = async (req, res, next) => {
   const workbook = new ExcelJS.Workbook();
   const worksheet = workbook.addWorksheet("Products");
 
-  worksheet.columns = [
-    { header: "ID", key: "_id", width: 10 },
-    { header: "Name", key: "name", width: 30 },
-    { header: "Description", key: "description", width: 60 },
-    { header: "Price", key: "price", width: 15 },
-    { header: "Stock", key: "stock", width: 10 },
-    { header: "Categories", key: "categories", width: 30 },
-    { header: "Sizes", key: "sizes", width: 15 },
-    { header: "Colors", key: "colors", width: 20 },
-    { header: "Listing Photo Paths", key: "listingPhotoPaths", width: 60 },
-    { header: "Created At", key: "createdAt", width: 20 },
-    { header: "Updated At", key: "updatedAt", width: 20 },
-  ];
+  worksheet.columns = PRODUCT_COLUMNS;
   try {
     const products = await Product.find();
 
     products.forEach((product) => {
-      worksheet.addRow({
-        _id: product._id.toString(),
-        name: product.name,
-        description: product.description,
-        price: product.price,
-        stock: product.stock,
-        categories: product.categories.join(", "),
-        sizes: product.sizes.join(", "),
-        colors: product.colors.join(", "),
-        listingPhotoPaths: product.listingPhotoPaths.join(", "),
-        createdAt: new Date(product.createdAt).toLocaleDateString(),
-        updatedAt: new Date(product.updatedAt).toLocaleDateString(),
-      });
+      worksheet.addRow(productToRow(product));
     });
 
     res.setHeader(
@@ -274,168 +593,540 @@ export const exportProducts = async (req, res, next) => {
   }
 };
 
-export const getRecommendProducts = async (req, res, next) => {
-  const { productId } = req.params;
+// san pham sap het hang, ban nhanh nhat truoc de uu tien nhap hang
+export const getLowStockProducts = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to see low stock products" });
+  }
   try {
-    const findProduct = await Product.findById(productId);
+    const days = parseVelocityDays(req.query.days);
+    const products = await findLowStockProducts({ days });
+    res.status(200).json({
+      days,
+      globalThreshold: getGlobalLowStockThreshold(),
+      totalNumber: products.length,
+      products,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (findProduct.length === 0) {
-      return res.json({ message: "No products found" });
-    }
+export const exportLowStockProducts = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to export low stock products" });
+  }
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Low Stock");
 
-    const productCategories = findProduct.categories;
+  worksheet.columns = LOW_STOCK_COLUMNS;
+  try {
+    const products = await findLowStockProducts({
+      days: parseVelocityDays(req.query.days),
+    });
+
+    products.forEach((product) => {
+      worksheet.addRow(lowStockToRow(product));
+    });
 
-    let findCategory = "";
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="low-stock.xlsx"'
+    );
 
-    const categoryPairs = {
-      shirt: "pants",
-      pants: "shirt",
-      underwear: "sport",
-      sport: "underwear",
-      accessory: "accessory",
-    };
+    await workbook.xlsx.write(res);
+    res.end(); // End the response
+  } catch (error) {
+    console.error("Error exporting low stock products to Excel:", error);
+    res.status(500).send("Failed to export low stock products to Excel");
+  }
+};
 
-    const matchedCategory = productCategories.find(
-      (category) => category in categoryPairs
+// nhap them hang, tra hang hoac sua lech kho bang tay, moi lan ghi vao so cai
+export const adjustProductStock = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to adjust stock" });
+  }
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    const { change, reason, note, error } = parseStockAdjustment(
+      product,
+      req.body
     );
-    if (matchedCategory) {
-      findCategory = categoryPairs[matchedCategory];
+    if (error) {
+      return res.status(400).json({ message: error });
     }
+    await applyStockChanges([{ product: product._id, ...change }], {
+      reason,
+      actor: req.user.id,
+      note,
+    });
+    const updatedProduct = await Product.findById(product._id);
+    notifyRestockInBackground(getStockSnapshot(product), updatedProduct);
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const findProductsByCategory = await Product.find({
-      categories: findCategory,
-    })
-      .limit(8)
-      .sort({ createdAt: -1 });
+export const getStockHistory = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to see stock history" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  try {
+    const query = { product: req.params.productId };
+    const [movements, totalNumber] = await Promise.all([
+      InventoryMovement.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "username email"),
+      InventoryMovement.countDocuments(query),
+    ]);
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      movements,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (findProductsByCategory.length === 0) {
-      return res.json({ message: "No product match in this category" });
+export const getProductVersions = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to see product history" });
+  }
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  try {
+    const query = { product: req.params.productId };
+    const [versions, totalNumber] = await Promise.all([
+      ProductVersion.find(query)
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "username email"),
+      ProductVersion.countDocuments(query),
+    ]);
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      versions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// dua san pham ve trang thai ngay sau mot phien ban (0 la truoc lan sua dau
+// tien), lan khoi phuc cung ghi thanh mot phien ban moi
+export const revertProduct = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to revert product" });
+  }
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 0) {
+    return res.status(400).json({ message: "Invalid version" });
+  }
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    if (
+      version > 0 &&
+      !(await ProductVersion.exists({ product: product._id, version }))
+    ) {
+      return res.status(404).json({ message: "No version found!" });
+    }
+    const laterVersions = await ProductVersion.find({
+      product: product._id,
+      version: { $gt: version },
+    });
+    if (laterVersions.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Product is already at this version" });
     }
 
-    res.status(200).json(findProductsByCategory);
+    const updates = buildRevertUpdates(laterVersions);
+    if (updates.listingPhotoPaths) {
+      updates.images = await resolveImages(updates.listingPhotoPaths);
+    }
+    const revertedProduct = await Product.findByIdAndUpdate(
+      product._id,
+      { $set: updates },
+      { new: true }
+    );
+    await recordProductVersion(
+      product._id,
+      diffProduct(product, revertedProduct),
+      { source: "revert", actor: req.user.id, revertedTo: version }
+    );
+    await recordPriceChange(product, revertedProduct);
+    res.status(200).json(revertedProduct);
   } catch (error) {
     next(error);
   }
 };
 
-export const getProductByCategory = async (req, res, next) => {
-  const category = req.params.category;
+// tinh lai ton kho tu so cai, bao cac san pham / bien the bi lech
+export const reconcileStock = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to reconcile stock" });
+  }
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const query = req.query.productId ? { _id: req.query.productId } : {};
+    const products = await Product.find(query)
+      .select("name stock variants")
+      .lean();
+    const ledger = await getLedgerStock(
+      req.query.productId ? [req.query.productId] : null
+    );
+    const drift = findStockDrift(products, ledger);
+    res.status(200).json({
+      checked: products.length,
+      driftCount: drift.length,
+      drift,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const skip = (page - 1) * limit;
+// cap nhat san pham theo ID, neu khong co ID thi theo SKU cua bien the,
+// khong tim thay thi tao moi
+const importProductRow = async (row, { dryRun, seenKeys, actor }) => {
+  const { data, errors } = parseProductRow(row);
+  const result = {
+    row: row.rowNumber,
+    name: row.values.name || "",
+    action: "error",
+    errors,
+  };
+  if (errors.length > 0) {
+    return result;
+  }
 
-    const allProducts = await Product.find({ categories: category });
+  const { _id, variants, ...fields } = data;
+  const skus = (variants || []).map((variant) => variant.sku).filter(Boolean);
 
-    const findProductByCategory = await Product.find({ categories: category })
-      .skip(skip)
-      .limit(limit);
+  let product = null;
+  if (_id) {
+    product = await Product.findById(_id);
+    if (!product) {
+      errors.push(`No product found with ID ${_id}`);
+      return result;
+    }
+  }
+  if (skus.length > 0) {
+    const owners = await Product.find({ "variants.sku": { $in: skus } });
+    const others = owners.filter(
+      (owner) => !product || !owner._id.equals(product._id)
+    );
+    if (product && others.length > 0) {
+      errors.push("Some SKUs already belong to another product");
+      return result;
+    }
+    if (!product && others.length > 1) {
+      errors.push("The SKUs of this row belong to different products");
+      return result;
+    }
+    product = product || others[0] || null;
+  }
 
-    const totalNumber = allProducts.length;
+  const keys = [product ? product._id.toString() : null, ...skus].filter(
+    Boolean
+  );
+  if (keys.some((key) => seenKeys.has(key))) {
+    errors.push("This product appears more than once in the file");
+    return result;
+  }
+  keys.forEach((key) => seenKeys.add(key));
 
-    if (findProductByCategory.length === 0) {
-      return res.json({ message: "No product match in this category" });
+  const productCategories = await resolveProductCategories(fields);
+  if (productCategories.categoryIds) {
+    fields.categories = productCategories.categories;
+    fields.categoryIds = productCategories.categoryIds;
+  }
+
+  result.action = product ? "update" : "create";
+  const before = product ? getStockSnapshot(product) : null;
+  const previous = product ? getHistorySnapshot(product) : null;
+  const previousPrice = product
+    ? { ...getPriceSnapshot(product), updatedAt: product.updatedAt }
+    : null;
+  product = product || new Product();
+  product.set(fields);
+  if (fields.listingPhotoPaths) {
+    product.images = await resolveImages(fields.listingPhotoPaths);
+  }
+  if (variants) {
+    product.variants = normalizeVariants(variants, product._id);
+    product.stock = sumVariantStock(product.variants);
+    if (!fields.sizes) {
+      product.sizes = uniqueValues(variants.map((variant) => variant.size));
     }
-    res.status(200).json({
-      totalNumber,
-      currentPage: page,
-      totalPages: Math.ceil(totalNumber / limit),
-      findProductByCategory,
-    });
+    if (!fields.colors) {
+      product.colors = uniqueValues(variants.map((variant) => variant.color));
+    }
+  }
+
+  try {
+    if (dryRun) {
+      await product.validate();
+    } else {
+      await product.save();
+      await recordMovements(product._id, diffStock(before, product), {
+        reason: "import",
+        actor,
+      });
+      await recordPriceChange(previousPrice, product);
+      if (before) {
+        await recordProductVersion(
+          product._id,
+          diffProduct(previous, product),
+          { source: "import", actor }
+        );
+        notifyRestockInBackground(before, product);
+      }
+    }
+    result.productId = product._id;
   } catch (error) {
-    next(error);
+    result.action = "error";
+    errors.push(error.message);
   }
+  return result;
 };
 
-export const getProductByPriceRange = async (req, res, next) => {
+export const importProducts = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to import products" });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res
+      .status(400)
+      .json({ message: "Please upload an xlsx or csv file" });
+  }
+
+  const dryRun = req.query.dryRun === "true";
+  const format =
+    req.query.format === "csv" || req.is("text/csv") ? "csv" : "xlsx";
+
+  let sheet;
   try {
-    const { minPrice, maxPrice } = req.query;
+    sheet = await readProductRows(req.body, format);
+  } catch (error) {
+    return res.status(400).json({ message: "Could not read the file" });
+  }
+  if (sheet.missingColumns.length > 0) {
+    return res.status(400).json({
+      message: `Missing columns: ${sheet.missingColumns.join(", ")}`,
+    });
+  }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+  try {
+    const report = {
+      dryRun,
+      total: sheet.rows.length,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      rows: [],
+    };
+    const seenKeys = new Set();
 
-    const skip = (page - 1) * limit;
+    for (const row of sheet.rows) {
+      const result = await importProductRow(row, {
+        dryRun,
+        seenKeys,
+        actor: req.user.id,
+      });
+      if (result.action === "create") {
+        report.created++;
+      } else if (result.action === "update") {
+        report.updated++;
+      } else {
+        report.failed++;
+      }
+      report.rows.push(result);
+    }
 
-    const query = {};
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (minPrice) {
-      query.price = {
-        ...query.price,
-        $gte: Number(minPrice),
-      };
+// goi y tinh san boi job (utils/recommendation.js); san pham moi chua co goi y
+// hoac goi y da het hang thi bu bang san pham ban chay cung danh muc
+export const getRecommendProducts = async (req, res, next) => {
+  const { productId } = req.params;
+  try {
+    const findProduct = await Product.findById(productId);
+
+    if (!findProduct) {
+      return res.status(404).json({ message: "No product found!" });
     }
 
-    if (maxPrice) {
-      query.price = {
-        ...query.price,
-        $lte: Number(maxPrice),
-      };
+    const stored = await Recommendation.findOne({ product: productId });
+    const storedIds = stored ? stored.items.map((item) => item.product) : [];
+    const recommendProducts = (
+      await findProductsInOrder(storedIds, withLiveFilter({}))
+    ).slice(0, RECOMMENDATION_LIMIT);
+
+    // san pham moi hoac goi y cu da ngung ban: bu bang san pham ban chay cung
+    // danh muc theo soldCount ma job da tinh, khong quet don hang moi request
+    if (recommendProducts.length < RECOMMENDATION_LIMIT) {
+      const bestSellers = await Product.find(
+        withLiveFilter({
+          categories: { $in: findProduct.categories },
+          _id: {
+            $nin: [
+              findProduct._id,
+              ...recommendProducts.map((product) => product._id),
+            ],
+          },
+        })
+      )
+        .sort(SORT_OPTIONS.bestSelling)
+        .limit(RECOMMENDATION_LIMIT - recommendProducts.length);
+      recommendProducts.push(...bestSellers);
     }
 
+    if (recommendProducts.length === 0) {
+      return res.json({ message: "No product match in this category" });
+    }
+
+    res.status(200).json(recommendProducts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getProductByCategory = async (req, res, next) => {
+  const category = req.params.category;
+  const sort = resolveSort(req.query.sort);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
+  }
+
+  const cursor = parseCursor(req.query.cursor, SORT_OPTIONS[sort]);
+  if (cursor.error) {
+    return res.status(400).json({ message: cursor.error });
+  }
+
+  try {
+    const { page, limit, skip } = parsePageQuery(req.query, 10);
+
+    const query = withLiveFilter(
+      await buildCategoryFilter(
+        category,
+        req.query.includeDescendants !== "false"
+      )
+    );
+
     const totalNumber = await Product.countDocuments(query);
 
-    const products = await Product.find(query).skip(skip).limit(limit);
+    if (isCursorRequest(req.query)) {
+      const cursorLimit = parseCursorLimit(req.query.limit, 10);
+      const { items, hasMore, nextCursor } = toCursorPage(
+        await findSortedProducts(query, {
+          sort,
+          limit: cursorLimit + 1,
+          after: cursor.filter,
+        }),
+        cursorLimit,
+        SORT_OPTIONS[sort]
+      );
+      return res.status(200).json({
+        totalNumber,
+        hasMore,
+        nextCursor,
+        findProductByCategory: items,
+      });
+    }
+
+    const findProductByCategory = await findSortedProducts(query, {
+      sort,
+      skip,
+      limit,
+    });
 
+    if (findProductByCategory.length === 0) {
+      return res.json({ message: "No product match in this category" });
+    }
     res.status(200).json({
       totalNumber,
       currentPage: page,
       totalPages: Math.ceil(totalNumber / limit),
-      products,
+      findProductByCategory,
     });
   } catch (error) {
     next(error);
   }
 };
 
-export const getProductByFilter = async (req, res, next) => {
-  const { filterType } = req.params;
-  const { products } = req.body;
-
-  if (!Array.isArray(products)) {
-    return res.status(400).json({ message: "Invalid products data!" });
+export const getProductByPriceRange = async (req, res, next) => {
+  const sort = resolveSort(req.query.sort);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
   }
 
-  let sortOption = {};
-
-  switch (filterType) {
-    case "priceLowToHigh":
-      sortOption = (a, b) => a.price - b.price; // ascending
-      break;
-
-    case "priceHighToLow":
-      sortOption = (a, b) => b.price - a.price; // descending
-      break;
-
-    case "nameAZ":
-      sortOption = (a, b) =>
-        new Intl.Collator("vi", { sensitivity: "base" }).compare(
-          a.name,
-          b.name
-        ); // ascending
-      break;
+  try {
+    const { minPrice, maxPrice } = req.query;
 
-    case "nameZA":
-      sortOption = (a, b) =>
-        new Intl.Collator("vi", { sensitivity: "base" }).compare(
-          b.name,
-          a.name
-        ); // descending
-      break;
+    const { page, limit, skip } = parsePageQuery(req.query, 10);
 
-    default:
-      return res.status(400).json({ message: "Invalid filter type!" });
-  }
+    // loc theo gia dang ban (gia khuyen mai neu dang giam gia)
+    const query = currentPriceFilter(
+      minPrice ? Number(minPrice) : null,
+      maxPrice ? Number(maxPrice) : null
+    );
 
-  try {
-    // Sort the products array based on the sortOption
-    const sortedProducts = products.sort(sortOption);
+    const liveQuery = withLiveFilter(query);
+    const totalNumber = await Product.countDocuments(liveQuery);
 
-    if (sortedProducts.length === 0) {
-      return res.json({ message: "No product found!" });
-    }
+    const products = await findSortedProducts(liveQuery, {
+      sort,
+      skip,
+      limit,
+    });
 
-    res.status(200).json(sortedProducts);
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      products,
+    });
   } catch (error) {
     next(error);
   }
@@ -444,31 +1135,36 @@ export const getProductByFilter = async (req, res, next) => {
 export const getProductCombination = async (req, res, next) => {
   const { category } = req.params;
   const { minPrice, maxPrice } = req.query;
+  const sort = resolveSort(req.query.sort);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
+  }
 
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-
-    const skip = (page - 1) * limit;
+    const { page, limit, skip } = parsePageQuery(req.query, 10);
 
-    const query = {};
+    let query = {};
 
     if (category && category !== "all") {
-      query.categories = category;
+      query = await buildCategoryFilter(
+        category,
+        req.query.includeDescendants !== "false"
+      );
     }
 
-    if (minPrice !== null && !isNaN(Number(minPrice))) {
-      query.price = query.price || {};
-      query.price.$gte = Number(minPrice);
-    }
-    if (maxPrice !== null && !isNaN(Number(maxPrice))) {
-      query.price = query.price || {};
-      query.price.$lte = Number(maxPrice);
-    }
+    const priceFilter = currentPriceFilter(
+      minPrice !== null && !isNaN(Number(minPrice)) ? Number(minPrice) : null,
+      maxPrice !== null && !isNaN(Number(maxPrice)) ? Number(maxPrice) : null
+    );
 
-    const totalNumber = await Product.countDocuments(query);
+    const liveQuery = withLiveFilter({ $and: [query, priceFilter] });
+    const totalNumber = await Product.countDocuments(liveQuery);
 
-    const products = await Product.find(query).skip(skip).limit(limit);
+    const products = await findSortedProducts(liveQuery, {
+      sort,
+      skip,
+      limit,
+    });
 
     if (products.length === 0) {
       return res
@@ -487,6 +1183,59 @@ export const getProductCombination = async (req, res, next) => {
   }
 };
 
+export const searchProducts = async (req, res, next) => {
+  const filters = parseSearchFilters(req.query);
+  const sort = resolveSearchSort(req.query.sort, filters.keyword);
+  if (!sort) {
+    return res.status(400).json({ message: "Invalid sort option!" });
+  }
+
+  try {
+    const { page, limit, skip } = parsePageQuery(req.query, 12);
+
+    if (filters.keyword) {
+      const matches = await findMatchingProducts(
+        filters.keyword,
+        liveProductFilter()
+      );
+      filters.productIds = matches.map((match) => match._id);
+    }
+    const categoryFilter = filters.category
+      ? await buildCategoryFilter(
+          filters.category,
+          req.query.includeDescendants !== "false"
+        )
+      : null;
+
+    filters.live = liveProductFilter();
+    const [result] = await Product.aggregate(
+      buildSearchPipeline(filters, categoryFilter)
+    );
+
+    const results = Product.aggregate(
+      buildResultsPipeline(filters, categoryFilter, { sort, skip, limit })
+    );
+    const collation = getSortCollation(sort);
+    const products = (
+      collation ? await results.collation(collation) : await results
+    ).map(withPricing);
+
+    const totalNumber = result.total.length > 0 ? result.total[0].count : 0;
+    const facets = formatFacets(result);
+    facets.attributes = await describeAttributeFacets(facets.attributes);
+
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      products,
+      facets,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const searchProductAdmin = async (req, res, next) => {
   const { searchKey } = req.params;
 
@@ -497,12 +1246,10 @@ export const searchProductAdmin = async (req, res, next) => {
   }
 
   try {
-    const findProducts = await Product.find({
-      name: {
-        $regex: searchKey,
-        $options: "i",
-      },
-    });
+    const matches = await findMatchingProducts(searchKey);
+    const findProducts = await findProductsInOrder(
+      matches.map((match) => match._id)
+    );
 
     if (findProducts.length === 0) {
       return res.json({ message: "No product found with this name" });
@@ -0,0 +1,159 @@
+import Product from "../models/productModel.js";
+import Question from "../models/questionModel.js";
+import { isProductLive } from "../utils/productStatus.js";
+import {
+  buildQuestionSearchFilter,
+  buildQuestionSearchText,
+  isVerifiedBuyer,
+  QUESTION_NOT_FOUND_MESSAGE,
+} from "../utils/question.js";
+
+const QUESTION_POPULATE = [
+  { path: "creator", select: "username profilePic profilePicVariants" },
+  { path: "answers.author", select: "username profilePic profilePicVariants" },
+];
+
+const readText = (value) => (typeof value === "string" ? value.trim() : "");
+
+export const askQuestion = async (req, res, next) => {
+  const text = readText(req.body.text);
+  if (!text) {
+    return res.status(400).json({ message: "Question text is required" });
+  }
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product || !isProductLive(product)) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    const question = await Question.create({
+      product: product._id,
+      creator: req.user.id,
+      text,
+      searchText: buildQuestionSearchText({ text }),
+    });
+    res.status(201).json(question);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const answerQuestion = async (req, res, next) => {
+  const text = readText(req.body.text);
+  if (!text) {
+    return res.status(400).json({ message: "Answer text is required" });
+  }
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: QUESTION_NOT_FOUND_MESSAGE });
+    }
+    const isAdmin = Boolean(req.user.isAdmin);
+    const verifiedBuyer = await isVerifiedBuyer(req.user.id, question.product);
+    if (!isAdmin && !verifiedBuyer) {
+      return res.status(403).json({
+        message: "Only admins and verified buyers can answer this question",
+      });
+    }
+
+    question.answers.push({
+      author: req.user.id,
+      text,
+      isAdmin,
+      isVerifiedBuyer: verifiedBuyer,
+    });
+    if (!question.answeredAt) {
+      question.answeredAt = new Date();
+    }
+    question.searchText = buildQuestionSearchText(question);
+    await question.save();
+    await question.populate(QUESTION_POPULATE);
+
+    res.status(200).json(question);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// chi hien cau hoi da co tra loi, phan trang nhu getProductReview
+export const getProductQuestions = async (req, res, next) => {
+  const { productId } = req.params;
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 6;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      product: productId,
+      answeredAt: { $ne: null },
+      ...buildQuestionSearchFilter(req.query.search),
+    };
+
+    const totalNumber = await Question.countDocuments(filter);
+    const questions = await Question.find(filter)
+      .sort({ answeredAt: -1, _id: -1 })
+      .populate(QUESTION_POPULATE)
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      questions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// hang doi cho admin, cau hoi cu nhat truoc
+export const getUnansweredQuestions = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to view unanswered questions" });
+  }
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { answeredAt: null };
+    const totalNumber = await Question.countDocuments(filter);
+    const questions = await Question.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .populate([
+        { path: "creator", select: "username email" },
+        { path: "product", select: "name slug listingPhotoPaths" },
+      ])
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      totalNumber,
+      currentPage: page,
+      totalPages: Math.ceil(totalNumber / limit),
+      questions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteQuestion = async (req, res, next) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: QUESTION_NOT_FOUND_MESSAGE });
+    }
+    if (question.creator.toString() !== req.user.id && !req.user.isAdmin) {
+      return res
+        .status(403)
+        .json({ message: "You are not allowed to delete this question" });
+    }
+    await Question.findByIdAndDelete(question._id);
+    res.status(200).json({ message: "Question deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
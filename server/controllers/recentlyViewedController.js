@@ -0,0 +1,62 @@
+import Product from "../models/productModel.js";
+import ProductView from "../models/productViewModel.js";
+import { isProductLive, withLiveFilter } from "../utils/productStatus.js";
+import { findProductsInOrder } from "../utils/productSearch.js";
+import {
+  getViewer,
+  RECENTLY_VIEWED_LIMIT,
+  recordProductView,
+} from "../utils/recentlyViewed.js";
+
+export const recordView = async (req, res, next) => {
+  const viewer = getViewer(req);
+  if (!viewer) {
+    return res.status(400).json({ message: "Cannot identify viewer" });
+  }
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product || !isProductLive(product)) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    await recordProductView(viewer, product._id);
+    res.status(200).json({ message: "Product view recorded" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// san pham da xem, moi san pham mot lan, moi nhat truoc
+export const getRecentlyViewed = async (req, res, next) => {
+  const viewer = getViewer(req);
+  if (!viewer) {
+    return res.status(200).json([]);
+  }
+  const limit = Math.min(
+    parseInt(req.query.limit) || RECENTLY_VIEWED_LIMIT,
+    RECENTLY_VIEWED_LIMIT
+  );
+  try {
+    const views = await ProductView.find(viewer)
+      .sort({ viewedAt: -1, _id: -1 })
+      .limit(RECENTLY_VIEWED_LIMIT);
+    const products = await findProductsInOrder(
+      views.map((view) => view.product),
+      withLiveFilter({})
+    );
+    res.status(200).json(products.slice(0, limit));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const clearRecentlyViewed = async (req, res, next) => {
+  const viewer = getViewer(req);
+  try {
+    if (viewer) {
+      await ProductView.deleteMany(viewer);
+    }
+    res.status(200).json({ message: "Recently viewed history cleared" });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,13 @@ import Order from "../models/orderModel.js";
 import User from "../models/userModel.js";
 import Product from "../models/productModel.js";
 import Review from "../models/reviewModel.js";
+import {
+  isCursorRequest,
+  parseCursor,
+  parseCursorLimit,
+  toCursorPage,
+} from "../utils/cursor.js";
+import { resolveImages } from "../utils/imageUpload.js";
 
 export const createReview = async (req, res, next) => {
   const { userId } = req.params;
@@ -17,6 +24,7 @@ export const createReview = async (req, res, next) => {
     if (!Array.isArray(productIds)) {
       productIds = [productIds];
     }
+    const images = Array.isArray(image) ? await resolveImages(image) : [];
 
     const reviews = await Promise.all(
       productIds.map(async (productId) => {
@@ -27,6 +35,7 @@ export const createReview = async (req, res, next) => {
           rating,
           comment,
           image,
+          images,
         });
 
         return await newReview.save();
@@ -38,22 +47,54 @@ export const createReview = async (req, res, next) => {
   }
 };
 
+// moi nhat truoc, _id giu thu tu on dinh giua cac trang
+const REVIEW_SORT = { createdAt: -1, _id: -1 };
+
 export const getProductReview = async (req, res, next) => {
   const { productId } = req.params;
+  const cursor = parseCursor(req.query.cursor, REVIEW_SORT);
+  if (cursor.error) {
+    return res.status(400).json({ message: cursor.error });
+  }
   try {
+    const query = Review.castObject({ product: productId });
+
+    // dem va tinh diem trung binh tren database, khong tai het danh gia
+    const [totalNumber, [rating]] = await Promise.all([
+      Review.countDocuments(query),
+      Review.aggregate([
+        { $match: query },
+        { $group: { _id: null, averageRating: { $avg: "$rating" } } },
+      ]),
+    ]);
+    const averageRating = (rating?.averageRating || 0).toFixed(1);
+
+    if (isCursorRequest(req.query)) {
+      const limit = parseCursorLimit(req.query.limit, 6);
+      const { items, hasMore, nextCursor } = toCursorPage(
+        await Review.find({ $and: [query, cursor.filter] })
+          .sort(REVIEW_SORT)
+          .populate("creator product order")
+          .limit(limit + 1),
+        limit,
+        REVIEW_SORT
+      );
+      return res.status(200).json({
+        totalNumber,
+        averageRating,
+        hasMore,
+        nextCursor,
+        reviews: items,
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 6;
 
     const skip = (page - 1) * limit;
 
-    const allProductsReview = await Review.find({ product: productId })
-      .sort({ createdAt: -1 })
-      .populate("creator product order");
-
-    const totalNumber = allProductsReview.length;
-
-    const findProductReview = await Review.find({ product: productId })
-      .sort({ createdAt: -1 })
+    const findProductReview = await Review.find(query)
+      .sort(REVIEW_SORT)
       .populate("creator product order")
       .skip(skip)
       .limit(limit);
@@ -62,15 +103,9 @@ export const getProductReview = async (req, res, next) => {
       return res.json({ message: "This product doesnt have any review" });
     }
 
-    const totalRating = allProductsReview.reduce(
-      (sum, review) => sum + review.rating,
-      0
-    );
-    const averageRating = totalRating / totalNumber;
-
     res.status(200).json({
       totalNumber,
-      averageRating: averageRating.toFixed(1),
+      averageRating,
       currentPage: page,
       totalPages: Math.ceil(totalNumber / limit),
       reviews: findProductReview,
@@ -124,6 +159,9 @@ export const editReview = async (req, res, next) => {
           rating: req.body.rating,
           comment: req.body.comment,
           image: req.body.image,
+          images: Array.isArray(req.body.image)
+            ? await resolveImages(req.body.image)
+            : undefined,
         },
       },
       {
@@ -0,0 +1,43 @@
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+import { getStoreUrl } from "../utils/mail.js";
+import { liveProductFilter } from "../utils/productStatus.js";
+import {
+  buildRobots,
+  buildSitemap,
+  categoryPath,
+  productPath,
+} from "../utils/sitemap.js";
+
+export const getSitemap = async (req, res, next) => {
+  try {
+    const categories = await Category.find(
+      { slug: { $exists: true } },
+      { slug: 1, updatedAt: 1 }
+    ).sort({ createdAt: 1 });
+    const products = await Product.find(
+      { $and: [liveProductFilter(), { slug: { $exists: true } }] },
+      { slug: 1, updatedAt: 1 }
+    ).sort({ createdAt: -1 });
+
+    const entries = [
+      { path: "/" },
+      ...categories.map((category) => ({
+        path: categoryPath(category),
+        lastmod: category.updatedAt,
+      })),
+      ...products.map((product) => ({
+        path: productPath(product),
+        lastmod: product.updatedAt,
+      })),
+    ];
+
+    res.type("application/xml").send(buildSitemap(getStoreUrl(), entries));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getRobots = (req, res) => {
+  res.type("text/plain").send(buildRobots(getStoreUrl()));
+};
@@ -0,0 +1,196 @@
+import Category from "../models/categoryModel.js";
+import Product from "../models/productModel.js";
+import SizeChart from "../models/sizeChartModel.js";
+import User from "../models/userModel.js";
+import {
+  SIZE_CHART_NOT_FOUND_MESSAGE,
+  findProductSizeChart,
+  isObjectIdList,
+  parseSizeChartTable,
+  releaseAssignments,
+} from "../utils/sizeChart.js";
+import { recommendSize } from "../utils/sizeRecommendation.js";
+
+// kiem tra body khi tao / sua bang size, tra ve { updates } hoac { error }
+// current la bang size dang sua, de kiem tra rows theo measurements cu
+const parseSizeChart = async (body, current) => {
+  const updates = {};
+
+  if (!current || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      return { error: "Size chart name is required" };
+    }
+    updates.name = String(body.name).trim();
+  }
+  if (!current || body.measurements !== undefined || body.rows !== undefined) {
+    const table = parseSizeChartTable(
+      body.measurements ?? current?.measurements,
+      body.rows ??
+        current?.rows.map((row) => ({
+          size: row.size,
+          values: Object.fromEntries(row.values),
+        }))
+    );
+    if (table.error) {
+      return { error: table.error };
+    }
+    updates.measurements = table.measurements;
+    updates.rows = table.rows;
+  }
+  if (body.categories !== undefined) {
+    if (!isObjectIdList(body.categories)) {
+      return { error: "Categories must be a list of category ids" };
+    }
+    const count = await Category.countDocuments({
+      _id: { $in: body.categories },
+    });
+    if (count !== new Set(body.categories.map(String)).size) {
+      return { error: "No category found!" };
+    }
+    updates.categories = [...new Set(body.categories.map(String))];
+  }
+  if (body.products !== undefined) {
+    if (!isObjectIdList(body.products)) {
+      return { error: "Products must be a list of product ids" };
+    }
+    const count = await Product.countDocuments({ _id: { $in: body.products } });
+    if (count !== new Set(body.products.map(String)).size) {
+      return { error: "No product found!" };
+    }
+    updates.products = [...new Set(body.products.map(String))];
+  }
+  ["description", "image"].forEach((field) => {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  });
+
+  return { updates };
+};
+
+export const createSizeChart = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to create size chart" });
+  }
+  try {
+    const { updates, error } = await parseSizeChart(req.body, null);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const newSizeChart = await SizeChart.create(updates);
+    await releaseAssignments(newSizeChart);
+    res.status(201).json(newSizeChart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getAllSizeCharts = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to see all size charts" });
+  }
+  try {
+    const sizeCharts = await SizeChart.find()
+      .sort({ createdAt: -1 })
+      .populate("categories", "name slug")
+      .populate("products", "name slug");
+    res.status(200).json(sizeCharts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSizeChart = async (req, res, next) => {
+  try {
+    const sizeChart = await SizeChart.findById(req.params.sizeChartId);
+    if (!sizeChart) {
+      return res.status(404).json({ message: SIZE_CHART_NOT_FOUND_MESSAGE });
+    }
+    res.status(200).json(sizeChart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// bang size hien o trang chi tiet san pham
+export const getProductSizeChart = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    const sizeChart = await findProductSizeChart(product);
+    if (!sizeChart) {
+      return res
+        .status(404)
+        .json({ message: "This product doesnt have a size chart" });
+    }
+    res.status(200).json(sizeChart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// goi y size cho khach dang nhap tu so do trong tai khoan va size da mua
+export const getSizeRecommendation = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json(await recommendSize(user, product));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateSizeChart = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to update size chart" });
+  }
+  try {
+    const sizeChart = await SizeChart.findById(req.params.sizeChartId);
+    if (!sizeChart) {
+      return res.status(404).json({ message: SIZE_CHART_NOT_FOUND_MESSAGE });
+    }
+    const { updates, error } = await parseSizeChart(req.body, sizeChart);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    sizeChart.set(updates);
+    const updatedSizeChart = await sizeChart.save();
+    await releaseAssignments(updatedSizeChart);
+    res.status(200).json(updatedSizeChart);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteSizeChart = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to delete size chart" });
+  }
+  try {
+    const deletedSizeChart = await SizeChart.findByIdAndDelete(
+      req.params.sizeChartId
+    );
+    if (!deletedSizeChart) {
+      return res.status(404).json({ message: SIZE_CHART_NOT_FOUND_MESSAGE });
+    }
+    res.status(200).json({ message: "Size chart deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
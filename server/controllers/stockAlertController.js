@@ -0,0 +1,142 @@
+import Product from "../models/productModel.js";
+import StockSubscription from "../models/stockSubscriptionModel.js";
+import User from "../models/userModel.js";
+import { isProductLive } from "../utils/productStatus.js";
+import {
+  STOCK_SUBSCRIPTION_NOT_FOUND_MESSAGE,
+  createSubscriptionToken,
+  validateStockSubscription,
+} from "../utils/stockAlert.js";
+
+// khach chua dang nhap nhap email, da dang nhap thi mac dinh email tai khoan
+export const subscribeStockAlert = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product || !isProductLive(product)) {
+      return res.status(404).json({ message: "No product found!" });
+    }
+    const user = req.user ? await User.findById(req.user.id) : null;
+    const email = String(req.body.email || user?.email || "")
+      .trim()
+      .toLowerCase();
+    const color = req.body.color || "";
+    const size = req.body.size || "";
+
+    const error = validateStockSubscription(product, { color, size, email });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await StockSubscription.findOne({
+      product: product._id,
+      color,
+      size,
+      email,
+    });
+    if (existing) {
+      return res
+        .status(200)
+        .json({
+          message: "You are already subscribed",
+          subscription: existing,
+        });
+    }
+    const subscription = await StockSubscription.create({
+      product: product._id,
+      color,
+      size,
+      email,
+      user: user?._id || null,
+      token: createSubscriptionToken(),
+    });
+    res.status(201).json({
+      message: "We will email you when this product is back in stock",
+      subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMyStockAlerts = async (req, res, next) => {
+  try {
+    const subscriptions = await StockSubscription.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .populate("product", "name slug listingPhotoPaths");
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// huy bang token trong mail, khong can dang nhap
+export const unsubscribeStockAlert = async (req, res, next) => {
+  try {
+    const deletedSubscription = await StockSubscription.findOneAndDelete({
+      token: req.params.token,
+    });
+    if (!deletedSubscription) {
+      return res
+        .status(404)
+        .json({ message: STOCK_SUBSCRIPTION_NOT_FOUND_MESSAGE });
+    }
+    res.status(200).json({ message: "Unsubscribed successfully" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// so khach dang cho tung bien the, nhieu nhat truoc
+export const getStockDemand = async (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res
+      .status(401)
+      .json({ message: "You are not allowed to see stock demand" });
+  }
+  try {
+    const demand = await StockSubscription.aggregate([
+      {
+        $group: {
+          _id: { product: "$product", color: "$color", size: "$size" },
+          count: { $sum: 1 },
+          since: { $min: "$createdAt" },
+        },
+      },
+      { $sort: { count: -1, since: 1 } },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id.product",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: "$product" },
+      {
+        $project: {
+          _id: 0,
+          productId: "$_id.product",
+          color: "$_id.color",
+          size: "$_id.size",
+          count: 1,
+          since: 1,
+          name: "$product.name",
+          slug: "$product.slug",
+          stock: "$product.stock",
+          variants: "$product.variants",
+        },
+      },
+    ]);
+
+    res.status(200).json(
+      demand.map(({ variants, stock, ...item }) => {
+        const variant = (variants || []).find(
+          (entry) => entry.color === item.color && entry.size === item.size
+        );
+        return { ...item, stock: variant ? variant.stock : stock };
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,8 @@ import bcryptjs from "bcryptjs";
 import ExcelJS from "exceljs";
 import Chat from "../models/chatModel.js";
 import mongoose from "mongoose";
+import { parseFitProfile } from "../utils/sizeRecommendation.js";
+import { resolveImageVariants } from "../utils/imageUpload.js";
 
 export const getAllUsers = async (req, res, next) => {
   if (!req.user.isAdmin) {
@@ -142,7 +144,22 @@ export const updateUser = async (req, res, next) => {
     updateFields.profilePic = req.body.profilePic;
   }
 
+  if (req.body.fitProfile !== undefined) {
+    const { fitProfile, error } = parseFitProfile(req.body.fitProfile);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    Object.entries(fitProfile).forEach(([key, value]) => {
+      updateFields[`fitProfile.${key}`] = value;
+    });
+  }
+
   try {
+    if (updateFields.profilePic) {
+      updateFields.profilePicVariants = await resolveImageVariants(
+        updateFields.profilePic
+      );
+    }
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { $set: updateFields },
@@ -15,6 +15,22 @@ import reviewRoute from "./routes/reviewRoute.js";
 import chatRoute from "./routes/chatRoute.js";
 import messageRoute from "./routes/messageRoute.js";
 import paymentRoute from "./routes/paymentRoute.js";
+import seoRoute from "./routes/seoRoute.js";
+import bundleRoute from "./routes/bundleRoute.js";
+import recentlyViewedRoute from "./routes/recentlyViewedRoute.js";
+import questionRoute from "./routes/questionRoute.js";
+import sizeChartRoute from "./routes/sizeChartRoute.js";
+import stockAlertRoute from "./routes/stockAlertRoute.js";
+import notificationRoute from "./routes/notificationRoute.js";
+import imageRoute from "./routes/imageRoute.js";
+import jobRoute from "./routes/jobRoute.js";
+import {
+  JOB_TASKS,
+  hoursToMs,
+  minutesToMs,
+  scheduleJob,
+} from "./utils/jobs.js";
+import { getUploadDir } from "./utils/imageStorage.js";
 
 dotenv.config();
 
@@ -22,6 +38,23 @@ mongoose
   .connect(process.env.MONGO)
   .then(() => {
     console.log("MongoDb is connected");
+    // function serverless tren Vercel khong giu duoc setInterval, cac job do
+    // Vercel cron goi (vercel.json)
+    if (process.env.VERCEL) {
+      return;
+    }
+    scheduleJob(
+      "recommendations",
+      JOB_TASKS.recommendations,
+      hoursToMs(process.env.RECOMMENDATION_JOB_HOURS || 6)
+    );
+    scheduleJob("lowStockDigest", JOB_TASKS.lowStockDigest, hoursToMs(24));
+    scheduleJob(
+      "stockReservations",
+      JOB_TASKS.stockReservations,
+      minutesToMs(1),
+      (summary) => summary.released > 0
+    );
   })
   .catch((err) => {
     console.log(err);
@@ -54,3 +87,14 @@ app.use("/api/review", reviewRoute);
 app.use("/api/chat", chatRoute);
 app.use("/api/message", messageRoute);
 app.use("/api/payment", paymentRoute);
+app.use("/api/bundle", bundleRoute);
+app.use("/api/recentlyViewed", recentlyViewedRoute);
+app.use("/api/question", questionRoute);
+app.use("/api/sizeChart", sizeChartRoute);
+app.use("/api/stockAlert", stockAlertRoute);
+app.use("/api/notification", notificationRoute);
+app.use("/api/image", imageRoute);
+app.use("/api/jobs", jobRoute);
+// anh tai len bang backend "local", ten file khong doi nen cache lau
+app.use("/uploads", express.static(getUploadDir(), { maxAge: "30d" }));
+app.use("/", seoRoute);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// combo nhieu san pham (hoac bien the) ban voi gia rieng
+const bundleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    image: {
+      type: String,
+    },
+    items: [
+      {
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        color: {
+          type: String,
+        },
+        size: {
+          type: String,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bundleSchema.index({ "items.productId": 1 });
+
+const Bundle = mongoose.model("Bundle", bundleSchema);
+
+export default Bundle;
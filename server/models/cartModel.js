@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+function isProductLine() {
+  return !this.bundleId;
+}
+
 const cartSchema = new mongoose.Schema(
   {
     userId: {
@@ -9,10 +13,15 @@ const cartSchema = new mongoose.Schema(
     },
     products: [
       {
+        // dong combo co bundleId thay cho productId / color / size
         productId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
-          required: true,
+          required: isProductLine,
+        },
+        bundleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Bundle",
         },
         name: {
           type: String,
@@ -29,16 +38,32 @@ const cartSchema = new mongoose.Schema(
         },
         color: {
           type: String,
-          required: true,
+          required: isProductLine,
         },
         size: {
           type: String,
-          required: true,
+          required: isProductLine,
+        },
+        sku: {
+          type: String,
         },
         image: {
           type: String,
           // required: true,
         },
+        components: [
+          {
+            productId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            name: String,
+            color: String,
+            size: String,
+            quantity: Number,
+            sku: String,
+          },
+        ],
       },
     ],
     subtotal: {
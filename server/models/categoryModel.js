@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { imageVariantsSchema } from "./imageModel.js";
+import { slugPlugin } from "../utils/slug.js";
+import { buildCategorySearchNames } from "../utils/searchIndex.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -19,10 +22,86 @@ const categorySchema = new mongoose.Schema(
     heroImage: {
       type: String,
     },
+    // cac kich thuoc cua heroImage khi anh tai len qua server
+    heroImageVariants: {
+      type: imageVariantsSchema,
+      default: null,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    }, // null la danh muc goc
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ], // tu danh muc goc den danh muc cha truc tiep
+    // thuoc tinh san pham trong danh muc, danh muc con ke thua cua danh muc cha
+    attributes: [
+      {
+        key: {
+          type: String,
+          required: true,
+        },
+        label: {
+          type: String,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["text", "number", "select", "multiselect"],
+          default: "text",
+        },
+        options: [
+          {
+            type: String,
+          },
+        ], // gia tri cho phep cua select / multiselect
+        required: {
+          type: Boolean,
+          default: false,
+        },
+      },
+    ],
+    // ten va tieu de khong dau, goi y danh muc theo tien to
+    searchNames: {
+      type: [String],
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+categorySchema.plugin(slugPlugin, { source: "name" });
+
+categorySchema.index({ searchNames: 1 });
+
+categorySchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("name") || this.isModified("title")) {
+    this.searchNames = buildCategorySearchNames(this);
+  }
+  next();
+});
+
+// findByIdAndUpdate khong chay hook save nen cap nhat searchNames o day
+categorySchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const changes = update.$set || update;
+  if (changes.name === undefined && changes.title === undefined) {
+    return;
+  }
+  const current = await this.model.findOne(this.getQuery()).lean();
+  if (!current) {
+    return;
+  }
+  changes.searchNames = buildCategorySearchNames({
+    name: changes.name ?? current.name,
+    title: changes.title ?? current.title,
+  });
+});
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { imageVariantsSchema } from "./imageModel.js";
 
 const chatSchema = new mongoose.Schema(
   {
@@ -13,6 +14,11 @@ const chatSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // cac kich thuoc cua groupPhoto khi anh tai len qua server
+    groupPhotoVariants: {
+      type: imageVariantsSchema,
+      default: null,
+    },
     members: [
       {
         type: mongoose.Schema.Types.ObjectId,
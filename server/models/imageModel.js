@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+// cac kich thuoc tao khi tai anh len, dung chung cho model khac (vd. Product)
+export const imageVariantsSchema = new mongoose.Schema(
+  {
+    thumbnail: imageVariantSchema,
+    card: imageVariantSchema,
+    full: imageVariantSchema,
+  },
+  { _id: false }
+);
+
+// anh tai len qua server, url la ban full
+const imageSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["product", "category", "review", "avatar", "chat"],
+      required: true,
+    },
+    // ten backend luu tru (utils/imageStorage.js) va key cua tung file
+    storage: {
+      type: String,
+      required: true,
+    },
+    keys: [
+      {
+        type: String,
+      },
+    ],
+    url: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    // dinh dang va dung luong cua file goc
+    mimeType: String,
+    size: Number,
+    variants: imageVariantsSchema,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+imageSchema.index({ url: 1 }, { unique: true });
+
+const Image = mongoose.model("Image", imageSchema);
+
+export default Image;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// moi lan ton kho thay doi ghi mot dong, ton kho dung = tong delta
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // san pham khong co bien the thi sku la null, mau va size de trong
+    sku: {
+      type: String,
+      default: null,
+    },
+    color: {
+      type: String,
+      default: "",
+    },
+    size: {
+      type: String,
+      default: "",
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["sale", "cancellation", "manual", "import", "return"],
+      required: true,
+    },
+    // null khi do he thong thay doi
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+const InventoryMovement = mongoose.model(
+  "InventoryMovement",
+  inventoryMovementSchema
+);
+
+export default InventoryMovement;
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+function isProductLine() {
+  return !this.bundleId;
+}
+
 const orderSchema = new mongoose.Schema(
   {
     userId: {
@@ -19,10 +23,15 @@ const orderSchema = new mongoose.Schema(
     },
     products: [
       {
+        // dong combo co bundleId thay cho productId / color / size
         productId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
-          required: true,
+          required: isProductLine,
+        },
+        bundleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Bundle",
         },
         name: {
           type: String,
@@ -39,16 +48,32 @@ const orderSchema = new mongoose.Schema(
         },
         color: {
           type: String,
-          required: true,
+          required: isProductLine,
         },
         size: {
           type: String,
-          required: true,
+          required: isProductLine,
+        },
+        sku: {
+          type: String,
         },
         image: {
           type: String,
           // required: true,
         },
+        components: [
+          {
+            productId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+            },
+            name: String,
+            color: String,
+            size: String,
+            quantity: Number,
+            sku: String,
+          },
+        ],
       },
     ],
     totalAmount: {
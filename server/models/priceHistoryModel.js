@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// gia cua san pham tu thoi diem changedAt den lan doi gia tiep theo; luu ca
+// lich khuyen mai de tinh duoc gia ban tai moi thoi diem
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+  },
+  salePrice: {
+    type: Number,
+    default: null,
+  },
+  saleStartsAt: {
+    type: Date,
+    default: null,
+  },
+  saleEndsAt: {
+    type: Date,
+    default: null,
+  },
+  // chi cac bien the co gia rieng
+  variants: [
+    {
+      sku: String,
+      color: String,
+      size: String,
+      price: Number,
+      _id: false,
+    },
+  ],
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+priceHistorySchema.index({ product: 1, changedAt: 1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+export default PriceHistory;
@@ -1,4 +1,19 @@
 import mongoose from "mongoose";
+import { imageVariantsSchema } from "./imageModel.js";
+import { buildSearchIndex } from "../utils/searchIndex.js";
+import { slugPlugin } from "../utils/slug.js";
+import { resolvePricing } from "../utils/pricing.js";
+
+// ban khong dau cua ten, mo ta, danh muc dung cho tim kiem
+const searchIndexSchema = new mongoose.Schema(
+  {
+    name: String,
+    description: String,
+    categories: String,
+    grams: [String],
+  },
+  { _id: false }
+);
 
 const productSchema = new mongoose.Schema(
   {
@@ -14,10 +29,46 @@ const productSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // gia goc hien thi gach ngang, bo trong neu khong co
+    compareAtPrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // gia khuyen mai chi ap dung trong khoang saleStartsAt - saleEndsAt
+    salePrice: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    saleStartsAt: {
+      type: Date,
+      default: null,
+    },
+    saleEndsAt: {
+      type: Date,
+      default: null,
+    },
     stock: {
       type: Number,
       required: true,
     },
+    // null thi dung nguong chung LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // lan cuoi bao sap het hang trong mail tong hop, xoa khi ton kho len lai
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
+    // tong so luong da ban, job goi y tinh lai dinh ky de sap xep ban chay
+    soldCount: {
+      type: Number,
+      default: 0,
+    },
     sizes: [
       {
         type: String,
@@ -30,6 +81,12 @@ const productSchema = new mongoose.Schema(
         required: false,
       },
     ],
+    categoryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
 
     colors: [
       {
@@ -42,12 +99,140 @@ const productSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // cung thu tu voi listingPhotoPaths, kem cac kich thuoc khi anh tai len qua server
+    images: [
+      {
+        url: String,
+        variants: imageVariantsSchema,
+        _id: false,
+      },
+    ],
+    // thuoc tinh theo danh muc, vd { material: "cotton", season: ["summer"] }
+    attributes: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // moi cap size x color la mot SKU voi ton kho rieng
+    variants: [
+      {
+        sku: {
+          type: String,
+          required: true,
+        },
+        size: {
+          type: String,
+          required: true,
+        },
+        color: {
+          type: String,
+          required: true,
+        },
+        stock: {
+          type: Number,
+          required: true,
+          min: 0,
+          default: 0,
+        },
+        price: {
+          type: Number,
+          min: 0,
+        }, // bo trong thi dung gia cua san pham
+      },
+    ],
+    // draft va archived khong hien thi tren cua hang, publishAt/unpublishAt
+    // la lich dang cua san pham published
+    status: {
+      type: String,
+      enum: ["draft", "published", "archived"],
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    search: {
+      type: searchIndexSchema,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+productSchema.plugin(slugPlugin, { source: "name" });
+
+// the current price depends on the time of the request, so it is computed
+// every time a product is sent instead of being stored
+productSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.pricing = resolvePricing(ret);
+    return ret;
+  },
+});
+
+productSchema.index({ "search.grams": 1 });
+productSchema.index({ "search.name": 1 });
+productSchema.index({ soldCount: -1, _id: -1 });
+productSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+productSchema.index({ "attributes.$**": 1 });
+
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+// product stock is the total of its variants, the search index follows the
+// searchable fields
+productSchema.pre("save", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce(
+      (total, variant) => total + variant.stock,
+      0
+    );
+  }
+  if (
+    this.isNew ||
+    this.isModified("name") ||
+    this.isModified("description") ||
+    this.isModified("categories")
+  ) {
+    this.search = buildSearchIndex(this);
+  }
+  next();
+});
+
+// findByIdAndUpdate skips the save hook, so rebuild the index here when a
+// searchable field changes
+productSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+  const changes = update.$set || update;
+  const searchable = ["name", "description", "categories"];
+  if (!searchable.some((field) => changes[field] !== undefined)) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).lean();
+  if (!current) {
+    return;
+  }
+  const next = { ...current };
+  searchable.forEach((field) => {
+    if (changes[field] !== undefined) {
+      next[field] = changes[field];
+    }
+  });
+  changes.search = buildSearchIndex(next);
+});
+
 const Product = mongoose.model("Product", productSchema);
 
 export default Product;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// gia tri truoc / sau cua mot truong, luu dang JSON (ngay la chuoi ISO)
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// moi lan sua san pham ghi mot phien ban, version tang dan theo tung san pham
+const productVersionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    changes: [fieldChangeSchema],
+    source: {
+      type: String,
+      enum: ["update", "import", "revert"],
+      default: "update",
+    },
+    // phien ban da khoi phuc ve, chi co khi source la revert
+    revertedTo: {
+      type: Number,
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+productVersionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+const ProductVersion = mongoose.model("ProductVersion", productVersionSchema);
+
+export default ProductVersion;
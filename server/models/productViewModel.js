@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// san pham khach da xem, theo userId hoac anonymousId (cookie) khi chua dang nhap
+const productViewSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    anonymousId: {
+      type: String,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// moi nguoi xem chi co mot dong cho moi san pham
+productViewSchema.index(
+  { userId: 1, product: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+productViewSchema.index(
+  { anonymousId: 1, product: 1 },
+  { unique: true, partialFilterExpression: { anonymousId: { $exists: true } } }
+);
+productViewSchema.index({ userId: 1, viewedAt: -1 });
+productViewSchema.index({ anonymousId: 1, viewedAt: -1 });
+
+const ProductView = mongoose.model("ProductView", productViewSchema);
+
+export default ProductView;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+const questionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    answers: [
+      {
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 2000,
+        },
+        isAdmin: {
+          type: Boolean,
+          default: false,
+        },
+        isVerifiedBuyer: {
+          type: Boolean,
+          default: false,
+        },
+        timestamp: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // null cho den khi co cau tra loi dau tien
+    answeredAt: {
+      type: Date,
+      default: null,
+    },
+    // cau hoi + cau tra loi da bo dau, dung cho tim kiem
+    searchText: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+questionSchema.index({ product: 1, answeredAt: 1, createdAt: -1 });
+questionSchema.index({ answeredAt: 1, createdAt: 1 });
+
+const Question = mongoose.model("Question", questionSchema);
+
+export default Question;
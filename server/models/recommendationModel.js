@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// goi y "thuong duoc mua cung" tinh san boi job dinh ky
+const recommendationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        score: {
+          type: Number,
+          default: 0,
+        },
+        source: {
+          type: String,
+          enum: ["co-purchase", "best-seller"],
+          required: true,
+        },
+      },
+    ],
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+const Recommendation = mongoose.model("Recommendation", recommendationSchema);
+
+export default Recommendation;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { imageVariantsSchema } from "./imageModel.js";
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -32,6 +33,14 @@ const reviewSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // cung thu tu voi image, kem cac kich thuoc khi anh tai len qua server
+    images: [
+      {
+        url: String,
+        variants: imageVariantsSchema,
+        _id: false,
+      },
+    ],
     reply: [
       {
         adminId: {
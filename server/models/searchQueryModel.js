@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+    }, // tu khoa da bo dau, dung de goi y theo tien to
+    text: {
+      type: String,
+      required: true,
+    }, // tu khoa nguoi dung go gan nhat, de hien thi
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
+
+export default SearchQuery;
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// mot so do: min = max khi chi co mot gia tri
+const rangeSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      required: true,
+    },
+    max: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const sizeChartSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    image: {
+      type: String,
+    },
+    // cac cot cua bang, vd { key: "height", label: "Chiều cao", unit: "cm" }
+    measurements: [
+      {
+        key: {
+          type: String,
+          required: true,
+        },
+        label: {
+          type: String,
+          required: true,
+        },
+        unit: {
+          type: String,
+          default: "",
+        },
+        _id: false,
+      },
+    ],
+    // moi dong la mot size, values theo key cua measurements
+    rows: [
+      {
+        size: {
+          type: String,
+          required: true,
+        },
+        values: {
+          type: Map,
+          of: rangeSchema,
+          default: {},
+        },
+        _id: false,
+      },
+    ],
+    // bang size cua san pham uu tien hon bang size cua danh muc
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+sizeChartSchema.index({ categories: 1 });
+sizeChartSchema.index({ products: 1 });
+
+const SizeChart = mongoose.model("SizeChart", sizeChartSchema);
+
+export default SizeChart;
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// giu hang cho don thanh toan online (Stripe / ZaloPay) trong luc cho thanh toan
+// active: dang giu, confirmed: da thanh toan va tru kho, released: da tra lai
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        // san pham khong co bien the thi sku la null
+        sku: {
+          type: String,
+          default: null,
+        },
+        color: {
+          type: String,
+          default: "",
+        },
+        size: {
+          type: String,
+          default: "",
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["active", "confirmed", "released"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    releaseReason: {
+      type: String,
+      enum: ["expired", "failed", "cancelled", "outOfStock", null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+stockReservationSchema.index({ order: 1 }, { unique: true });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ "items.product": 1, status: 1 });
+
+const StockReservation = mongoose.model(
+  "StockReservation",
+  stockReservationSchema
+);
+
+export default StockReservation;
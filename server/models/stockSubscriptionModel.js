@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// dang ky nhan thong bao khi mot bien the co hang lai, xoa sau khi da bao
+const stockSubscriptionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // san pham khong co bien the de trong
+    color: {
+      type: String,
+      default: "",
+    },
+    size: {
+      type: String,
+      default: "",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // dung cho link huy dang ky trong mail, khach chua dang nhap cung huy duoc
+    token: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// moi email chi dang ky mot lan cho mot bien the
+stockSubscriptionSchema.index(
+  { product: 1, color: 1, size: 1, email: 1 },
+  { unique: true }
+);
+stockSubscriptionSchema.index({ token: 1 }, { unique: true });
+stockSubscriptionSchema.index({ user: 1 });
+
+const StockSubscription = mongoose.model(
+  "StockSubscription",
+  stockSubscriptionSchema
+);
+
+export default StockSubscription;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { imageVariantsSchema } from "./imageModel.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,6 +21,11 @@ const userSchema = new mongoose.Schema(
       default:
         "https://static.vecteezy.com/system/resources/thumbnails/009/292/244/small/default-avatar-icon-of-social-media-user-vector.jpg",
     },
+    // cac kich thuoc cua profilePic khi anh tai len qua server
+    profilePicVariants: {
+      type: imageVariantsSchema,
+      default: null,
+    },
     gender: {
       type: String,
       default: "",
@@ -36,6 +42,22 @@ const userSchema = new mongoose.Schema(
       type: Array,
       default: [],
     },
+    // so do de goi y size: chieu cao (cm), can nang (kg), kieu mac
+    fitProfile: {
+      height: {
+        type: Number,
+        default: null,
+      },
+      weight: {
+        type: Number,
+        default: null,
+      },
+      fit: {
+        type: String,
+        enum: ["slim", "regular", "loose"],
+        default: "regular",
+      },
+    },
     isAdmin: {
       type: Boolean,
       default: false,
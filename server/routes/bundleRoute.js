@@ -0,0 +1,21 @@
+import express from "express";
+import { readOptionalUser, verifyToken } from "../utils/verifyUser.js";
+import {
+  createBundle,
+  deleteBundle,
+  getAllBundles,
+  getBundle,
+  getBundlesByProduct,
+  updateBundle,
+} from "../controllers/bundleController.js";
+
+const router = express.Router();
+
+router.post("/create", verifyToken, createBundle);
+router.get("/getAllBundles", readOptionalUser, getAllBundles);
+router.get("/getBundle/:bundleId", readOptionalUser, getBundle);
+router.get("/getByProduct/:productId", getBundlesByProduct);
+router.put("/update/:bundleId", verifyToken, updateBundle);
+router.delete("/delete/:bundleId", verifyToken, deleteBundle);
+
+export default router;
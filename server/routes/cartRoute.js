@@ -1,6 +1,7 @@
 import express from "express";
 import { verifyToken } from "../utils/verifyUser.js";
 import {
+  addBundleToCart,
   addToCart,
   getItemsInCart,
   getUserCart,
@@ -12,6 +13,7 @@ import {
 const router = express.Router();
 
 router.post("/addToCart", verifyToken, addToCart);
+router.post("/addBundleToCart", verifyToken, addBundleToCart);
 router.delete("/removeFromCart", verifyToken, removeFromCart);
 router.get("/getUserCart/:userId", verifyToken, getUserCart);
 router.put("/updateUserCart/:userId", verifyToken, updateUserCart);
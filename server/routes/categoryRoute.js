@@ -5,8 +5,11 @@ import {
   deleteCategory,
   exportCategories,
   getAllCategories,
+  getAttributeSchema,
   getCategoriesFromNewest,
   getCategoryByName,
+  getCategoryBySlug,
+  getCategoryTree,
   getEachCategory,
   updateCategory,
 } from "../controllers/categoryController.js";
@@ -20,6 +23,9 @@ router.delete("/delete/:categoryId", verifyToken, deleteCategory);
 router.put("/update/:categoryId", verifyToken, updateCategory);
 router.get("/getEachCategory/:categoryId", verifyToken, getEachCategory);
 router.get("/getCategoryByName/:name", getCategoryByName);
+router.get("/getCategoryBySlug/:slug", getCategoryBySlug);
+router.get("/getCategoryTree", getCategoryTree);
+router.get("/getAttributeSchema", getAttributeSchema);
 router.get("/exportCategories", verifyToken, exportCategories);
 
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { verifyToken } from "../utils/verifyUser.js";
+import { deleteImage, uploadImage } from "../controllers/imageController.js";
+
+const router = express.Router();
+
+// gioi han o day rong hon IMAGE_MAX_BYTES de tra ve loi ro rang tu controller
+router.post(
+  "/upload/:kind",
+  verifyToken,
+  express.raw({ type: "image/*", limit: "20mb" }),
+  uploadImage
+);
+router.delete("/delete", verifyToken, deleteImage);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from "express";
+import { runJob } from "../controllers/jobController.js";
+
+const router = express.Router();
+
+router.get("/:name", runJob);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from "express";
+import { verifyToken } from "../utils/verifyUser.js";
+import {
+  getNotifications,
+  markNotificationsRead,
+} from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+router.get("/getNotifications", verifyToken, getNotifications);
+router.put("/markRead", verifyToken, markNotificationsRead);
+
+export default router;
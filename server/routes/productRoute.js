@@ -1,20 +1,30 @@
 import express from "express";
-import { verifyToken } from "../utils/verifyUser.js";
+import { readOptionalUser, verifyToken } from "../utils/verifyUser.js";
 import {
+  adjustProductStock,
   createProduct,
   deleteProduct,
+  exportLowStockProducts,
   exportProducts,
   getAllProduct,
   getEachProduct,
+  getLowStockProducts,
   getProductByCategory,
-  getProductByFilter,
   getProductByPriceRange,
   getProductBySearch,
+  getProductBySlug,
   getProductCombination,
   getProductPagination,
+  getProductVersions,
   getRecentProduct,
   getRecommendProducts,
+  getSearchSuggestions,
+  getStockHistory,
+  importProducts,
+  reconcileStock,
+  revertProduct,
   searchProductAdmin,
+  searchProducts,
   updateProduct,
 } from "../controllers/productController.js";
 
@@ -22,19 +32,41 @@ const router = express.Router();
 
 router.post("/create", verifyToken, createProduct);
 router.get("/getRecentProduct/:limitNumber", getRecentProduct);
-router.get("/getAllProduct", getAllProduct);
+router.get("/getAllProduct", readOptionalUser, getAllProduct);
 router.get("/getProductPagination", getProductPagination);
 router.put("/update/:productId", verifyToken, updateProduct);
 router.delete("/delete/:productId", verifyToken, deleteProduct);
-router.get("/getEachProduct/:productId", getEachProduct);
+router.get("/getEachProduct/:productId", readOptionalUser, getEachProduct);
+router.get("/getBySlug/:slug", readOptionalUser, getProductBySlug);
 router.get("/getProductBySearch/:searchKey", getProductBySearch);
+router.get("/getSearchSuggestions", getSearchSuggestions);
 router.get("/exportProducts", verifyToken, exportProducts);
+router.get("/getLowStock", verifyToken, getLowStockProducts);
+router.get("/exportLowStock", verifyToken, exportLowStockProducts);
+router.post("/adjustStock/:productId", verifyToken, adjustProductStock);
+router.get("/getStockHistory/:productId", verifyToken, getStockHistory);
+router.get("/reconcileStock", verifyToken, reconcileStock);
+router.get("/getProductVersions/:productId", verifyToken, getProductVersions);
+router.post("/revertProduct/:productId/:version", verifyToken, revertProduct);
+router.post(
+  "/importProducts",
+  verifyToken,
+  express.raw({
+    type: [
+      "text/csv",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/octet-stream",
+    ],
+    limit: "10mb",
+  }),
+  importProducts
+);
 router.get("/getRecommendProduct/:productId", getRecommendProducts);
 router.get("/getProductByPriceRange", getProductByPriceRange);
-router.post("/getProductByFilter/:filterType", getProductByFilter);
 
 router.get("/getByCategory/:category", getProductByCategory);
 router.get("/getProductCombination/:category", getProductCombination);
+router.get("/search", searchProducts);
 router.get("/searchProductAdmin/:searchKey", verifyToken, searchProductAdmin);
 
 export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import { verifyToken } from "../utils/verifyUser.js";
+import {
+  answerQuestion,
+  askQuestion,
+  deleteQuestion,
+  getProductQuestions,
+  getUnansweredQuestions,
+} from "../controllers/questionController.js";
+
+const router = express.Router();
+
+router.post("/ask/:productId", verifyToken, askQuestion);
+router.post("/answer/:questionId", verifyToken, answerQuestion);
+router.get("/getProductQuestions/:productId", getProductQuestions);
+router.get("/getUnansweredQuestions", verifyToken, getUnansweredQuestions);
+router.delete("/delete/:questionId", verifyToken, deleteQuestion);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import { readOptionalUser } from "../utils/verifyUser.js";
+import { readAnonymousId } from "../utils/recentlyViewed.js";
+import {
+  clearRecentlyViewed,
+  getRecentlyViewed,
+  recordView,
+} from "../controllers/recentlyViewedController.js";
+
+const router = express.Router();
+
+router.use(readOptionalUser, readAnonymousId);
+router.post("/record/:productId", recordView);
+router.get("/getRecentlyViewed", getRecentlyViewed);
+router.delete("/clear", clearRecentlyViewed);
+
+export default router;
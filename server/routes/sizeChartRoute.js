@@ -0,0 +1,23 @@
+import express from "express";
+import { verifyToken } from "../utils/verifyUser.js";
+import {
+  createSizeChart,
+  deleteSizeChart,
+  getAllSizeCharts,
+  getProductSizeChart,
+  getSizeChart,
+  getSizeRecommendation,
+  updateSizeChart,
+} from "../controllers/sizeChartController.js";
+
+const router = express.Router();
+
+router.post("/create", verifyToken, createSizeChart);
+router.get("/getAllSizeCharts", verifyToken, getAllSizeCharts);
+router.get("/getSizeChart/:sizeChartId", getSizeChart);
+router.get("/getByProduct/:productId", getProductSizeChart);
+router.get("/recommend/:productId", verifyToken, getSizeRecommendation);
+router.put("/update/:sizeChartId", verifyToken, updateSizeChart);
+router.delete("/delete/:sizeChartId", verifyToken, deleteSizeChart);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import { readOptionalUser, verifyToken } from "../utils/verifyUser.js";
+import {
+  getMyStockAlerts,
+  getStockDemand,
+  subscribeStockAlert,
+  unsubscribeStockAlert,
+} from "../controllers/stockAlertController.js";
+
+const router = express.Router();
+
+router.post("/subscribe/:productId", readOptionalUser, subscribeStockAlert);
+router.get("/mine", verifyToken, getMyStockAlerts);
+router.delete("/unsubscribe/:token", unsubscribeStockAlert);
+router.get("/demand", verifyToken, getStockDemand);
+
+export default router;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+import { generateUniqueSlug } from "../utils/slug.js";
+
+const backfill = async (Model) => {
+  const docs = await Model.find({ slug: { $exists: false } }, { name: 1 }).sort(
+    { createdAt: 1 }
+  );
+
+  for (const doc of docs) {
+    const slug = await generateUniqueSlug(Model, doc.name, doc._id);
+    await Model.updateOne({ _id: doc._id }, { $set: { slug } });
+  }
+  return docs.length;
+};
+
+// Tao slug cho san pham va danh muc duoc tao truoc khi co slug.
+// Chay lai nhieu lan van an toan.
+export const backfillSlugs = async () => ({
+  updatedCategories: await backfill(Category),
+  updatedProducts: await backfill(Product),
+});
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => backfillSlugs())
+    .then((summary) => {
+      console.log("Slugs generated:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import Order from "../models/orderModel.js";
+import Product from "../models/productModel.js";
+import Recommendation from "../models/recommendationModel.js";
+import { liveProductFilter } from "../utils/productStatus.js";
+import {
+  addOrderStats,
+  pickBestSellers,
+  pickCoPurchases,
+  SOLD_ORDER_FILTER,
+} from "../utils/recommendation.js";
+
+// Tinh goi y "thuong duoc mua cung" cho tung san pham va so luong da ban
+// (soldCount) tu lich su don hang.
+// Server chay ham nay dinh ky, chay tay bang `npm run recommendations:build`.
+export const buildRecommendations = async (now = new Date()) => {
+  // doc tung don hang qua cursor, khong nap ca collection vao bo nho
+  const stats = { coPurchases: new Map(), sales: new Map() };
+  let orderCount = 0;
+  for await (const order of Order.find(SOLD_ORDER_FILTER, { products: 1 })
+    .lean()
+    .cursor()) {
+    addOrderStats(stats, order);
+    orderCount += 1;
+  }
+
+  const products = await Product.find(liveProductFilter(now), {
+    categories: 1,
+  }).lean();
+  const liveIds = products.map((product) => String(product._id));
+
+  const productsByCategory = new Map();
+  products.forEach((product) =>
+    (product.categories || []).forEach((category) => {
+      if (!productsByCategory.has(category)) {
+        productsByCategory.set(category, []);
+      }
+      productsByCategory.get(category).push(String(product._id));
+    })
+  );
+
+  let withCoPurchases = 0;
+  const operations = products.map((product) => {
+    const picked = pickCoPurchases(product._id, stats.coPurchases, liveIds);
+    if (picked.length > 0) {
+      withCoPurchases += 1;
+    }
+    const sameCategory = [
+      ...new Set(
+        (product.categories || []).flatMap(
+          (category) => productsByCategory.get(category) || []
+        )
+      ),
+    ];
+    const items = [
+      ...picked,
+      ...pickBestSellers(product._id, stats.sales, sameCategory, picked),
+    ];
+
+    return {
+      updateOne: {
+        filter: { product: product._id },
+        update: { $set: { items, computedAt: now } },
+        upsert: true,
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await Recommendation.bulkWrite(operations);
+  }
+
+  const soldIds = [...stats.sales.keys()];
+  if (soldIds.length > 0) {
+    await Product.bulkWrite(
+      soldIds.map((id) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { soldCount: stats.sales.get(id) } },
+        },
+      }))
+    );
+  }
+  await Product.updateMany(
+    { _id: { $nin: soldIds }, soldCount: { $ne: 0 } },
+    { $set: { soldCount: 0 } }
+  );
+
+  return {
+    orders: orderCount,
+    products: products.length,
+    withCoPurchases,
+  };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => buildRecommendations())
+    .then((summary) => {
+      console.log("Recommendations rebuilt:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+import {
+  buildCategorySearchNames,
+  buildSearchIndex,
+} from "../utils/searchIndex.js";
+
+// Tao lai chi muc tim kiem (ban khong dau) cho tat ca san pham va ten khong
+// dau cua danh muc dung cho goi y. Chay lai nhieu lan van an toan.
+export const rebuildSearchIndex = async () => {
+  const products = await Product.find(
+    {},
+    { name: 1, description: 1, categories: 1 }
+  ).lean();
+
+  for (const product of products) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { search: buildSearchIndex(product) } }
+    );
+  }
+
+  const categories = await Category.find({}, { name: 1, title: 1 }).lean();
+  for (const category of categories) {
+    await Category.updateOne(
+      { _id: category._id },
+      {
+        $set: { searchNames: buildCategorySearchNames(category) },
+      }
+    );
+  }
+
+  return {
+    updatedProducts: products.length,
+    updatedCategories: categories.length,
+  };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => rebuildSearchIndex())
+    .then((summary) => {
+      console.log("Search index rebuilt:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
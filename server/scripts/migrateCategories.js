@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import Category from "../models/categoryModel.js";
+import Product from "../models/productModel.js";
+
+// Chuyen danh muc dang chuoi sang cay danh muc:
+// - cac muc trong description cua danh muc goc tro thanh danh muc con
+// - moi chuoi trong Product.categories duoc gan voi mot node trong cay
+// - chuoi khong khop voi node nao se tao thanh danh muc goc moi
+// Chay lai nhieu lan van an toan.
+export const migrateCategories = async () => {
+  const summary = { createdCategories: 0, updatedProducts: 0 };
+
+  await Category.updateMany(
+    { parent: { $exists: false } },
+    { $set: { parent: null, ancestors: [] } }
+  );
+
+  const roots = await Category.find({ parent: null });
+  for (const root of roots) {
+    for (const item of root.description || []) {
+      const existing = await Category.findOne({ name: item, parent: root._id });
+      if (!existing) {
+        await Category.create({
+          name: item,
+          title: item,
+          description: [],
+          heroImage: root.heroImage,
+          parent: root._id,
+          ancestors: [root._id],
+        });
+        summary.createdCategories++;
+      }
+    }
+  }
+
+  const products = await Product.find({ "categories.0": { $exists: true } });
+  for (const product of products) {
+    const categoryIds = [];
+
+    // root names first so a child can be picked under the matching parent
+    const matchedRoots = await Category.find({
+      parent: null,
+      name: { $in: product.categories },
+    });
+
+    for (const name of product.categories) {
+      let category = matchedRoots.find((root) => root.name === name);
+      if (!category) {
+        const children = await Category.find({
+          name,
+          parent: { $ne: null },
+        });
+        category =
+          children.find((child) =>
+            matchedRoots.some((root) => root._id.equals(child.parent))
+          ) || children[0];
+      }
+      if (!category) {
+        category = await Category.create({
+          name,
+          title: name,
+          description: [],
+          parent: null,
+          ancestors: [],
+        });
+        summary.createdCategories++;
+      }
+      if (!categoryIds.some((id) => id.equals(category._id))) {
+        categoryIds.push(category._id);
+      }
+    }
+
+    await Product.updateOne({ _id: product._id }, { $set: { categoryIds } });
+    summary.updatedProducts++;
+  }
+
+  return summary;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => migrateCategories())
+    .then((summary) => {
+      console.log("Category migration finished:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
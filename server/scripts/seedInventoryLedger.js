@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import InventoryMovement from "../models/inventoryMovementModel.js";
+import Product from "../models/productModel.js";
+import { diffStock, recordMovements } from "../utils/inventory.js";
+
+// Ghi ton kho hien tai lam so dau ky cho san pham tao truoc khi co so cai,
+// de doi soat khong bao lech. Chay lai nhieu lan van an toan.
+export const seedInventoryLedger = async () => {
+  const tracked = await InventoryMovement.distinct("product");
+  let seeded = 0;
+  for await (const product of Product.find({ _id: { $nin: tracked } })
+    .select("stock variants")
+    .cursor()) {
+    await recordMovements(product._id, diffStock(null, product), {
+      reason: "manual",
+      note: "Opening balance",
+    });
+    seeded++;
+  }
+  return { seeded };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => seedInventoryLedger())
+    .then((summary) => {
+      console.log("Inventory ledger seeded:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
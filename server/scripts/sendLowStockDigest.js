@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import Product from "../models/productModel.js";
+import User from "../models/userModel.js";
+import {
+  findLowStockProducts,
+  formatLowStockDigest,
+  getGlobalLowStockThreshold,
+} from "../utils/lowStock.js";
+import { getStoreUrl, sendMail } from "../utils/mail.js";
+
+// mail cho admin cac san pham vua xuong duoi nguong, moi san pham chi bao
+// mot lan cho toi khi ton kho len lai tren nguong.
+// Server chay ham nay moi ngay, chay tay bang `npm run lowStock:digest`.
+export const sendLowStockDigest = async (now = new Date()) => {
+  const globalThreshold = getGlobalLowStockThreshold();
+  const reset = await Product.updateMany(
+    {
+      lowStockAlertedAt: { $ne: null },
+      $expr: {
+        $gt: ["$stock", { $ifNull: ["$lowStockThreshold", globalThreshold] }],
+      },
+    },
+    { $set: { lowStockAlertedAt: null } }
+  );
+
+  const items = await findLowStockProducts({
+    now,
+    filter: { lowStockAlertedAt: null },
+  });
+  if (items.length === 0) {
+    return { alerted: 0, reset: reset.modifiedCount };
+  }
+
+  // LOW_STOCK_DIGEST_TO (cach nhau dau phay) hoac tat ca admin
+  const recipients = process.env.LOW_STOCK_DIGEST_TO
+    ? process.env.LOW_STOCK_DIGEST_TO.split(",").map((email) => email.trim())
+    : (await User.find({ isAdmin: true }, { email: 1 })).map(
+        (user) => user.email
+      );
+  if (recipients.length === 0) {
+    return { alerted: 0, reset: reset.modifiedCount, recipients: 0 };
+  }
+
+  await sendMail({
+    to: recipients.join(", "),
+    subject: `Cảnh báo tồn kho thấp: ${items.length} sản phẩm`,
+    text: formatLowStockDigest(items, getStoreUrl()),
+  });
+  await Product.updateMany(
+    { _id: { $in: items.map((item) => item.productId) } },
+    { $set: { lowStockAlertedAt: now } }
+  );
+
+  return {
+    alerted: items.length,
+    reset: reset.modifiedCount,
+    recipients: recipients.length,
+  };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  mongoose
+    .connect(process.env.MONGO)
+    .then(() => sendLowStockDigest())
+    .then((summary) => {
+      console.log("Low stock digest:", summary);
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
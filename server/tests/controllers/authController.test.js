@@ -339,4 +339,28 @@ describe("Auth Controller - Test", () => {
     const userInDb = await User.findOne({ email: "invalid-email-format" });
     expect(userInDb).toBeNull();
   });
+
+  test("#TC021 - sign in merges products viewed before login", async () => {
+    const mongoose = require("mongoose");
+    const ProductView = require("../../models/productViewModel").default;
+    const hashed = bcrypt.hashSync("TestPass123", 10);
+    const user = await createUser({
+      username: "viewer",
+      email: "viewer@example.com",
+      password: hashed,
+    });
+    const productId = new mongoose.Types.ObjectId();
+    await ProductView.create({ anonymousId: "anon-1", product: productId });
+
+    const res = await request(app)
+      .post("/auth/signin")
+      .set("Cookie", "anonymous_id=anon-1")
+      .send({ email: "viewer@example.com", password: "TestPass123" });
+
+    expect(res.status).toBe(200);
+    const views = await ProductView.find({ userId: user._id });
+    expect(views).toHaveLength(1);
+    expect(views[0].product.toString()).toBe(productId.toString());
+    expect(await ProductView.countDocuments({ anonymousId: "anon-1" })).toBe(0);
+  });
 });
@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Bundle = require("../../models/bundleModel").default;
+const bundleController = require("../../controllers/bundleController");
+const { createProduct } = require("../helpers/productHelper");
+
+const setupApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post("/bundles", bundleController.createBundle);
+  app.get("/bundles", bundleController.getAllBundles);
+  app.get("/bundles/:bundleId", bundleController.getBundle);
+  app.get("/bundles/product/:productId", bundleController.getBundlesByProduct);
+  app.put("/bundles/:bundleId", bundleController.updateBundle);
+  app.delete("/bundles/:bundleId", bundleController.deleteBundle);
+  return app;
+};
+
+const adminApp = setupApp({ id: "admin", isAdmin: true });
+const guestApp = setupApp(undefined);
+
+const createOutfit = async () => {
+  const shirt = await createProduct({
+    name: "Shirt",
+    stock: 5,
+    variants: [{ sku: "SHIRT-RED-M", color: "Red", size: "M", stock: 5 }],
+  });
+  const pants = await createProduct({ name: "Pants", stock: 4 });
+  return { shirt, pants };
+};
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Bundle Controller Tests", () => {
+  test("#TC001 - admin creates a bundle from products and variants", async () => {
+    const { shirt, pants } = await createOutfit();
+
+    const res = await request(adminApp)
+      .post("/bundles")
+      .send({
+        name: "Summer Outfit",
+        price: 150,
+        items: [
+          { productId: shirt._id, color: "Red", size: "M" },
+          { productId: pants._id, quantity: 2 },
+        ],
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.items).toHaveLength(2);
+    expect(res.body.items[1].quantity).toBe(2);
+  });
+
+  test("#TC002 - reject a bundle with a missing variant", async () => {
+    const { shirt } = await createOutfit();
+
+    const res = await request(adminApp)
+      .post("/bundles")
+      .send({
+        name: "Broken",
+        price: 100,
+        items: [{ productId: shirt._id, color: "Blue", size: "M" }],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Shirt is not available in Blue / M");
+  });
+
+  test("#TC003 - only admin can create bundles", async () => {
+    const app = setupApp({ id: "user", isAdmin: false });
+
+    const res = await request(app).post("/bundles").send({ name: "X" });
+
+    expect(res.status).toBe(401);
+  });
+
+  test("#TC004 - bundle stock is limited by its scarcest component", async () => {
+    const { shirt, pants } = await createOutfit();
+    const bundle = await Bundle.create({
+      name: "Outfit",
+      price: 150,
+      items: [
+        { productId: shirt._id, color: "Red", size: "M" },
+        { productId: pants._id, quantity: 2 },
+      ],
+    });
+
+    const res = await request(guestApp).get(`/bundles/${bundle._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.availableStock).toBe(2);
+    expect(res.body.items[0].product.name).toBe("Shirt");
+  });
+
+  test("#TC005 - inactive bundles are hidden from customers", async () => {
+    const { pants } = await createOutfit();
+    const bundle = await Bundle.create({
+      name: "Hidden",
+      price: 50,
+      isActive: false,
+      items: [{ productId: pants._id }],
+    });
+
+    const detail = await request(guestApp).get(`/bundles/${bundle._id}`);
+    const list = await request(guestApp).get("/bundles");
+    const adminList = await request(adminApp).get("/bundles");
+    const byProduct = await request(guestApp).get(
+      `/bundles/product/${pants._id}`
+    );
+
+    expect(detail.status).toBe(404);
+    expect(list.body).toHaveLength(0);
+    expect(adminList.body).toHaveLength(1);
+    expect(byProduct.body).toHaveLength(0);
+  });
+
+  test("#TC006 - admin updates and deletes a bundle", async () => {
+    const { pants } = await createOutfit();
+    const bundle = await Bundle.create({
+      name: "Pants Pack",
+      price: 80,
+      items: [{ productId: pants._id, quantity: 2 }],
+    });
+
+    const updated = await request(adminApp)
+      .put(`/bundles/${bundle._id}`)
+      .send({ price: 70 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.price).toBe(70);
+
+    const deleted = await request(adminApp).delete(`/bundles/${bundle._id}`);
+    expect(deleted.status).toBe(200);
+    expect(await Bundle.findById(bundle._id)).toBeNull();
+  });
+});
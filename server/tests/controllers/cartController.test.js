@@ -29,6 +29,7 @@ app.use((req, res, next) => {
 
 // Bind routes
 app.post("/cart/add", cartController.addToCart);
+app.post("/cart/addBundle", cartController.addBundleToCart);
 app.post("/cart/remove", cartController.removeFromCart);
 app.get("/cart/:userId", cartController.getUserCart);
 app.put("/cart/update/:userId", cartController.updateUserCart);
@@ -396,4 +397,153 @@ describe("CartController Integration", () => {
     expect(res.status).toBe(400);
     expect(res.body.message).toMatch(/quantity must be greater than zero/i);
   });
+
+  test("#TC018 - add to cart uses the variant price and SKU", async () => {
+    const newProduct = await createProduct({
+      price: 100,
+      variants: [
+        { sku: "TEE-BLACK-M", color: "Black", size: "M", stock: 3, price: 80 },
+      ],
+    });
+
+    const res = await request(app).post("/cart/add").send({
+      userId: userId.toString(),
+      productId: newProduct._id.toString(),
+      quantity: 2,
+      color: "Black",
+      size: "M",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products[0].sku).toBe("TEE-BLACK-M");
+    expect(res.body.products[0].price).toBe(80);
+    expect(res.body.subtotal).toBe(160);
+  });
+
+  test("#TC019 - add to cart with a sold out variant", async () => {
+    const newProduct = await createProduct({
+      variants: [
+        { sku: "TEE-BLACK-M", color: "Black", size: "M", stock: 0 },
+        { sku: "TEE-BLACK-L", color: "Black", size: "L", stock: 5 },
+      ],
+    });
+
+    const res = await request(app).post("/cart/add").send({
+      userId: userId.toString(),
+      productId: newProduct._id.toString(),
+      quantity: 1,
+      color: "Black",
+      size: "M",
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/exceeds available stock/i);
+  });
+
+  test("#TC020 - add to cart with a color and size that does not exist", async () => {
+    const newProduct = await createProduct({
+      variants: [{ sku: "TEE-BLACK-M", color: "Black", size: "M", stock: 5 }],
+    });
+
+    const res = await request(app).post("/cart/add").send({
+      userId: userId.toString(),
+      productId: newProduct._id.toString(),
+      quantity: 1,
+      color: "White",
+      size: "M",
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("This color and size is not available");
+  });
+
+  test("#TC021 - add to cart uses the sale price", async () => {
+    const newProduct = await createProduct({ price: 100, salePrice: 80 });
+
+    const res = await request(app).post("/cart/add").send({
+      userId: userId.toString(),
+      productId: newProduct._id.toString(),
+      quantity: 2,
+      color: "Red",
+      size: "M",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products[0].price).toBe(80);
+    expect(res.body.subtotal).toBe(160);
+  });
+
+  test("#TC022 - cart prices follow a sale that has ended", async () => {
+    const Product = require("../../models/productModel").default;
+    const newProduct = await createProduct({ price: 100, salePrice: 80 });
+    await request(app).post("/cart/add").send({
+      userId: userId.toString(),
+      productId: newProduct._id.toString(),
+      quantity: 1,
+      color: "Red",
+      size: "M",
+    });
+    await Product.updateOne(
+      { _id: newProduct._id },
+      { $set: { saleEndsAt: new Date(Date.now() - 1000) } }
+    );
+
+    const res = await request(app).get(`/cart/${userId.toString()}`);
+
+    expect(res.body.cart.products[0].price).toBe(100);
+    expect(res.body.cart.subtotal).toBe(100);
+  });
+
+  test("#TC023 - add a bundle to cart as a single line", async () => {
+    const Bundle = require("../../models/bundleModel").default;
+    const shirt = await createProduct({ name: "Shirt", stock: 5 });
+    const pants = await createProduct({ name: "Pants", stock: 1 });
+    const bundle = await Bundle.create({
+      name: "Outfit",
+      price: 150,
+      items: [{ productId: shirt._id }, { productId: pants._id }],
+    });
+
+    const res = await request(app).post("/cart/addBundle").send({
+      userId: userId.toString(),
+      bundleId: bundle._id.toString(),
+      quantity: 1,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.products).toHaveLength(1);
+    expect(res.body.products[0].price).toBe(150);
+    expect(res.body.products[0].components).toHaveLength(2);
+
+    const again = await request(app).post("/cart/addBundle").send({
+      userId: userId.toString(),
+      bundleId: bundle._id.toString(),
+      quantity: 1,
+    });
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe("Quantity exceeds available stock");
+  });
+
+  test("#TC024 - remove a bundle line from cart", async () => {
+    const Bundle = require("../../models/bundleModel").default;
+    const shirt = await createProduct({ name: "Shirt", stock: 5 });
+    const bundle = await Bundle.create({
+      name: "Two Shirts",
+      price: 180,
+      items: [{ productId: shirt._id, quantity: 2 }],
+    });
+    await request(app).post("/cart/addBundle").send({
+      userId: userId.toString(),
+      bundleId: bundle._id.toString(),
+      quantity: 1,
+    });
+
+    const res = await request(app).post("/cart/remove").send({
+      userId: userId.toString(),
+      bundleId: bundle._id.toString(),
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cart.products).toHaveLength(0);
+  });
 });
@@ -12,7 +12,10 @@ const {
 
 const Category = require("../../models/categoryModel").default;
 const categoryController = require("../../controllers/categoryController");
+const Product = require("../../models/productModel").default;
+const Image = require("../../models/imageModel").default;
 const { createCategory } = require("../helpers/categoryHelper");
+const { createProduct } = require("../helpers/productHelper");
 
 // Mock ExcelJS to prevent actual file creation during tests
 jest.mock("exceljs", () => {
@@ -50,7 +53,10 @@ const setupApp = (isAdmin = true) => {
   app.put("/update/:categoryId", categoryController.updateCategory);
   app.get("/getEachCategory/:categoryId", categoryController.getEachCategory);
   app.get("/getCategoryByName/:name", categoryController.getCategoryByName);
+  app.get("/getCategoryBySlug/:slug", categoryController.getCategoryBySlug);
   app.get("/exportCategories", categoryController.exportCategories);
+  app.get("/getCategoryTree", categoryController.getCategoryTree);
+  app.get("/getAttributeSchema", categoryController.getAttributeSchema);
 
   return app;
 };
@@ -532,4 +538,314 @@ describe("Category Controller Tests", () => {
       expect(res.body.message).toBe("You are not allowed to export categories");
     });
   });
-});
\ No newline at end of file
+
+  describe("9. Category tree", () => {
+    test("#TC032 - create a sub category stores parent and ancestors", async () => {
+      const app = setupApp();
+      const root = await createCategory({ name: "casual" });
+      const child = await createCategory({
+        name: "shirt",
+        parent: root._id,
+        ancestors: [root._id],
+      });
+
+      const res = await request(app)
+        .post("/create")
+        .send({ ...validCategory, name: "polo", parent: child._id.toString() });
+
+      expect(res.status).toBe(201);
+      expect(res.body.parent).toBe(child._id.toString());
+      expect(res.body.ancestors).toEqual([
+        root._id.toString(),
+        child._id.toString(),
+      ]);
+    });
+
+    test("#TC033 - create a sub category with a missing parent", async () => {
+      const app = setupApp();
+
+      const res = await request(app)
+        .post("/create")
+        .send({
+          ...validCategory,
+          parent: new mongoose.Types.ObjectId().toString(),
+        });
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe("Parent category not found");
+    });
+
+    test("#TC034 - get the full category tree", async () => {
+      const app = setupApp();
+      const root = await createCategory({ name: "casual" });
+      await createCategory({
+        name: "shirt",
+        parent: root._id,
+        ancestors: [root._id],
+      });
+      await createCategory({ name: "sport" });
+
+      const res = await request(app).get("/getCategoryTree");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      expect(res.body[0].name).toBe("casual");
+      expect(res.body[0].children[0].name).toBe("shirt");
+    });
+
+    test("#TC035 - moving a category rewrites the ancestors of its children", async () => {
+      const app = setupApp();
+      const casual = await createCategory({ name: "casual" });
+      const sport = await createCategory({ name: "sport" });
+      const shirt = await createCategory({
+        name: "shirt",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+      const polo = await createCategory({
+        name: "polo",
+        parent: shirt._id,
+        ancestors: [casual._id, shirt._id],
+      });
+
+      const res = await request(app)
+        .put(`/update/${shirt._id}`)
+        .send({ parent: sport._id.toString() });
+
+      expect(res.status).toBe(200);
+      const movedPolo = await Category.findById(polo._id);
+      expect(movedPolo.ancestors.map((id) => id.toString())).toEqual([
+        sport._id.toString(),
+        shirt._id.toString(),
+      ]);
+    });
+
+    test("#TC036 - a category can not be moved under its own child", async () => {
+      const app = setupApp();
+      const casual = await createCategory({ name: "casual" });
+      const shirt = await createCategory({
+        name: "shirt",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+
+      const res = await request(app)
+        .put(`/update/${casual._id}`)
+        .send({ parent: shirt._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("A category can not be moved under itself");
+    });
+
+    test("#TC037 - delete a category that still has children", async () => {
+      const app = setupApp();
+      const casual = await createCategory({ name: "casual" });
+      await createCategory({
+        name: "shirt",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+
+      const res = await request(app).delete(`/delete/${casual._id}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Delete or move the sub categories first");
+    });
+
+    test("#TC038 - get category by name returns its children", async () => {
+      const app = setupApp();
+      const casual = await createCategory({ name: "casual" });
+      await createCategory({
+        name: "shirt",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+
+      const res = await request(app).get("/getCategoryByName/casual");
+
+      expect(res.status).toBe(200);
+      expect(res.body.children.map((child) => child.name)).toEqual(["shirt"]);
+    });
+
+    test("#TC044 - renaming a category renames it on its products", async () => {
+      const app = setupApp();
+      const shirt = await createCategory({ name: "shirt" });
+      const linked = await createProduct({
+        categories: ["shirt", "sale"],
+        categoryIds: [shirt._id],
+      });
+      const legacy = await createProduct({ categories: ["shirt"] });
+
+      const res = await request(app)
+        .put(`/update/${shirt._id}`)
+        .send({ name: "tee" });
+
+      expect(res.status).toBe(200);
+      expect((await Product.findById(linked._id)).categories).toEqual([
+        "tee",
+        "sale",
+      ]);
+      const renamed = await Product.findById(legacy._id).select("+search");
+      expect(renamed.categories).toEqual(["tee"]);
+      expect(renamed.search.categories).toBe("tee");
+    });
+
+    test("#TC045 - deleting a category removes it from its products", async () => {
+      const app = setupApp();
+      const shirt = await createCategory({ name: "shirt" });
+      const product = await createProduct({
+        categories: ["shirt", "sale"],
+        categoryIds: [shirt._id],
+      });
+
+      const res = await request(app).delete(`/delete/${shirt._id}`);
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.categories).toEqual(["sale"]);
+      expect(updated.categoryIds).toEqual([]);
+    });
+  });
+
+  describe("10. Slugs", () => {
+    test("#TC039 - category slug is generated from its name", async () => {
+      const app = setupApp();
+
+      const res = await request(app)
+        .post("/create")
+        .send({ name: "Áo Sơ Mi", title: "Áo sơ mi", description: ["Sơ mi"] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.slug).toBe("ao-so-mi");
+    });
+
+    test("#TC040 - renamed category redirects from its old slug", async () => {
+      const app = setupApp();
+      const category = await createCategory({ name: "shirt" });
+
+      await request(app).put(`/update/${category._id}`).send({ name: "shirts" });
+      const current = await request(app).get("/getCategoryBySlug/shirts");
+      const old = await request(app).get("/getCategoryBySlug/shirt");
+
+      expect(current.status).toBe(200);
+      expect(current.body.previousSlugs).toEqual(["shirt"]);
+      expect(old.status).toBe(301);
+      expect(old.headers.location).toBe("shirts");
+    });
+
+    test("#TC041 - categories without a slug are found by name", async () => {
+      const app = setupApp();
+      const category = await createCategory({ name: "legacy" });
+      await Category.updateOne({ _id: category._id }, { $unset: { slug: 1 } });
+
+      const res = await request(app).get("/getCategoryBySlug/legacy");
+      const missing = await request(app).get("/getCategoryBySlug/nothing");
+
+      expect(res.status).toBe(200);
+      expect(missing.status).toBe(404);
+      expect(missing.body.message).toBe("No category found with this slug");
+    });
+  });
+
+  describe("11. Attribute schemas", () => {
+    test("#TC042 - category stores its attribute definitions", async () => {
+      const app = setupApp();
+
+      const res = await request(app)
+        .post("/create")
+        .send({
+          ...validCategory,
+          attributes: [
+            {
+              key: "material",
+              label: "Chất liệu",
+              type: "select",
+              options: ["cotton", " linen ", "cotton"],
+              required: true,
+            },
+          ],
+        });
+      const invalid = await request(app)
+        .post("/create")
+        .send({
+          ...validCategory,
+          attributes: [{ key: "fit", label: "Form", type: "select" }],
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.attributes[0]).toMatchObject({
+        key: "material",
+        options: ["cotton", "linen"],
+        required: true,
+      });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("Attribute fit needs allowed values");
+    });
+
+    test("#TC043 - sub categories inherit attributes from their parents", async () => {
+      const app = setupApp();
+      const clothes = await createCategory({
+        name: "clothes",
+        attributes: [
+          { key: "material", label: "Chất liệu", type: "text" },
+          { key: "care", label: "Bảo quản", type: "text" },
+        ],
+      });
+      await createCategory({
+        name: "shirt",
+        parent: clothes._id,
+        ancestors: [clothes._id],
+        attributes: [
+          {
+            key: "material",
+            label: "Chất liệu",
+            type: "select",
+            options: ["cotton"],
+            required: true,
+          },
+        ],
+      });
+
+      const res = await request(app).get(
+        "/getAttributeSchema?categories=shirt"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((attribute) => attribute.key)).toEqual([
+        "material",
+        "care",
+      ]);
+      expect(res.body[0]).toMatchObject({ type: "select", required: true });
+    });
+  });
+
+  describe("12. Uploaded images", () => {
+    test("#TC046 - stores the sizes of an uploaded hero image", async () => {
+      const app = setupApp();
+      const variants = {
+        thumbnail: { url: "http://cdn.test/c1-thumbnail.webp", width: 160 },
+        card: { url: "http://cdn.test/c1-card.webp", width: 480 },
+        full: { url: "http://cdn.test/c1-full.webp", width: 1200 },
+      };
+      await Image.create({
+        kind: "category",
+        storage: "local",
+        keys: ["category/c1-full.webp"],
+        url: variants.full.url,
+        variants,
+      });
+
+      const created = await request(app)
+        .post("/create")
+        .send({ ...validCategory, heroImage: variants.full.url });
+      const updated = await request(app)
+        .put(`/update/${created.body._id}`)
+        .send({ heroImage: "https://legacy.test/hero.jpg" });
+
+      expect(created.status).toBe(201);
+      expect(created.body.heroImageVariants.card.url).toBe(variants.card.url);
+      expect(updated.body.heroImage).toBe("https://legacy.test/hero.jpg");
+      expect(updated.body.heroImageVariants).toBeNull();
+    });
+  });
+});
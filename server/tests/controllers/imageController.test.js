@@ -0,0 +1,205 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Image = require("../../models/imageModel").default;
+const imageController = require("../../controllers/imageController");
+
+const adminId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId().toString();
+
+const setupApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post(
+    "/upload/:kind",
+    express.raw({ type: "image/*", limit: "20mb" }),
+    imageController.uploadImage
+  );
+  app.delete("/delete", imageController.deleteImage);
+  return app;
+};
+
+const adminApp = setupApp({ id: adminId, isAdmin: true });
+const userApp = setupApp({ id: userId, isAdmin: false });
+
+const createJpeg = (width = 1000, height = 500) =>
+  sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: { r: 10, g: 120, b: 200 },
+    },
+  })
+    .jpeg()
+    .toBuffer();
+
+const upload = (app, kind, buffer, type = "image/jpeg") =>
+  request(app).post(`/upload/${kind}`).set("Content-Type", type).send(buffer);
+
+let uploadDir;
+
+beforeAll(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+  process.env.UPLOAD_DIR = uploadDir;
+  process.env.UPLOAD_BASE_URL = "http://cdn.test/uploads";
+  await connect();
+});
+afterEach(async () => await clearDatabase());
+afterAll(async () => {
+  await closeDatabase();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+  delete process.env.UPLOAD_DIR;
+  delete process.env.UPLOAD_BASE_URL;
+});
+
+describe("Image Controller Tests", () => {
+  describe("1. Upload", () => {
+    test("#TC001 - admin uploads a product image with resized variants", async () => {
+      const res = await upload(adminApp, "product", await createJpeg());
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.kind).toBe("product");
+      expect(res.body.mimeType).toBe("image/jpeg");
+      expect(res.body.uploadedBy).toBe(adminId);
+      expect(res.body.url).toBe(res.body.variants.full.url);
+      expect(res.body.variants.thumbnail).toMatchObject({
+        width: 160,
+        height: 80,
+      });
+      expect(res.body.variants.card).toMatchObject({ width: 480, height: 240 });
+      expect(res.body.variants.full).toMatchObject({
+        width: 1000,
+        height: 500,
+      });
+      res.body.keys.forEach((key) =>
+        expect(fs.existsSync(path.join(uploadDir, key))).toBe(true)
+      );
+    });
+
+    test("#TC002 - user uploads a review image", async () => {
+      const res = await upload(userApp, "review", await createJpeg(300, 300));
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.uploadedBy).toBe(userId);
+      expect(await Image.countDocuments({ kind: "review" })).toBe(1);
+    });
+
+    test("#TC003 - user cannot upload a product image", async () => {
+      const res = await upload(userApp, "product", await createJpeg());
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe("You are not allowed to upload this image");
+      expect(await Image.countDocuments()).toBe(0);
+    });
+
+    test("#TC004 - rejects an unknown image kind", async () => {
+      const res = await upload(adminApp, "banner", await createJpeg());
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Invalid image kind");
+    });
+
+    test("#TC005 - rejects a file that is not an image", async () => {
+      const res = await upload(
+        userApp,
+        "avatar",
+        Buffer.from("<svg onload='alert(1)'></svg>"),
+        "image/svg+xml"
+      );
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe(
+        "Only JPEG, PNG, WebP and GIF images are allowed"
+      );
+    });
+
+    test("#TC006 - rejects an image over the size limit", async () => {
+      process.env.IMAGE_MAX_BYTES = "100";
+      const res = await upload(userApp, "avatar", await createJpeg());
+      delete process.env.IMAGE_MAX_BYTES;
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/^Image must be smaller than/);
+    });
+
+    test("#TC007 - rejects an empty upload", async () => {
+      const res = await request(userApp).post("/upload/avatar");
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Please upload an image");
+    });
+
+    test("#TC008 - rejects a corrupt image", async () => {
+      const image = await createJpeg();
+      const res = await upload(userApp, "avatar", image.subarray(0, 64));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Could not read the image");
+    });
+  });
+
+  describe("2. Delete", () => {
+    test("#TC009 - uploader deletes their image and its files", async () => {
+      const uploaded = await upload(userApp, "chat", await createJpeg());
+
+      const res = await request(userApp)
+        .delete("/delete")
+        .send({ url: uploaded.body.url });
+
+      expect(res.statusCode).toBe(200);
+      expect(await Image.countDocuments()).toBe(0);
+      uploaded.body.keys.forEach((key) =>
+        expect(fs.existsSync(path.join(uploadDir, key))).toBe(false)
+      );
+    });
+
+    test("#TC010 - user cannot delete another user's image", async () => {
+      const uploaded = await upload(adminApp, "product", await createJpeg());
+
+      const res = await request(userApp)
+        .delete("/delete")
+        .send({ url: uploaded.body.url });
+
+      expect(res.statusCode).toBe(401);
+      expect(await Image.countDocuments()).toBe(1);
+    });
+
+    test("#TC011 - admin deletes any image", async () => {
+      const uploaded = await upload(userApp, "review", await createJpeg());
+
+      const res = await request(adminApp)
+        .delete("/delete")
+        .send({ url: uploaded.body.url });
+
+      expect(res.statusCode).toBe(200);
+      expect(await Image.countDocuments()).toBe(0);
+    });
+
+    test("#TC012 - returns 404 for an unknown image", async () => {
+      const res = await request(adminApp)
+        .delete("/delete")
+        .send({ url: "http://cdn.test/uploads/product/missing.webp" });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe("Image not found");
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const jobController = require("../../controllers/jobController");
+const StockReservation = require("../../models/stockReservationModel").default;
+
+const setupApp = () => {
+  const app = express();
+  app.get("/jobs/:name", jobController.runJob);
+  return app;
+};
+
+beforeAll(async () => {
+  process.env.CRON_SECRET = "cron-secret";
+  await connect();
+});
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Job Controller Tests", () => {
+  test("#TC001 - runs a job for the cron secret", async () => {
+    await StockReservation.create({
+      order: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 1 }],
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const res = await request(setupApp())
+      .get("/jobs/stockReservations")
+      .set("Authorization", "Bearer cron-secret");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      job: "stockReservations",
+      summary: { released: 1 },
+    });
+  });
+
+  test("#TC002 - rejects requests without the cron secret", async () => {
+    const missing = await request(setupApp()).get("/jobs/stockReservations");
+    const wrong = await request(setupApp())
+      .get("/jobs/stockReservations")
+      .set("Authorization", "Bearer guess");
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+  });
+
+  test("#TC003 - unknown jobs are not found", async () => {
+    const res = await request(setupApp())
+      .get("/jobs/toString")
+      .set("Authorization", "Bearer cron-secret");
+
+    expect(res.status).toBe(404);
+  });
+});
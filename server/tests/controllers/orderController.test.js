@@ -15,6 +15,15 @@ const orderController = require("../../controllers/orderController");
 const Order = require("../../models/orderModel").default;
 const Product = require("../../models/productModel").default;
 const User = require("../../models/userModel").default;
+const StockReservation = require("../../models/stockReservationModel").default;
+const InventoryMovement =
+  require("../../models/inventoryMovementModel").default;
+const { releaseExpiredReservations } = require("../../utils/stockReservation");
+
+const mockCreateSession = jest.fn().mockResolvedValue({ id: "cs_test" });
+jest.mock("stripe", () =>
+  jest.fn(() => ({ checkout: { sessions: { create: mockCreateSession } } }))
+);
 
 // Setup express apps for different user roles
 const regularUserApp = express();
@@ -1186,4 +1195,589 @@ describe("OrderController", () => {
       expect(order).not.toBe(null);
     });
   });
+
+  // 11. Variant Stock Tests
+  describe("Variant Stock", () => {
+    const variantOrderPayload = (product, items) => ({
+      userId: regularUserId.toString(),
+      receiverName: "Variant User",
+      receiverPhone: "0123456789",
+      receiverNote: "",
+      products: items.map((item) => ({
+        productId: product._id.toString(),
+        name: product.name,
+        price: product.price,
+        image: "image.jpg",
+        ...item,
+      })),
+      totalAmount: 100000,
+      shippingAddress: "123 Variant St, City, Country",
+      paymentMethod: "COD",
+    });
+
+    test("#TC051 - create order decrements the variant stock", async () => {
+      const product = await Product.create({
+        name: "Variant Product",
+        price: 100000,
+        stock: 0,
+        variants: [
+          { sku: "VP-BLACK-M", color: "Black", size: "M", stock: 3 },
+          { sku: "VP-BLACK-L", color: "Black", size: "L", stock: 5 },
+        ],
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(
+          variantOrderPayload(product, [
+            { color: "Black", size: "M", quantity: 2 },
+          ])
+        );
+      expect(res.status).toBe(200);
+      expect(res.body.products[0].sku).toBe("VP-BLACK-M");
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.variants[0].stock).toBe(1);
+      expect(updatedProduct.variants[1].stock).toBe(5);
+      expect(updatedProduct.stock).toBe(6);
+    });
+
+    test("#TC052 - create order with a sold out variant", async () => {
+      const product = await Product.create({
+        name: "Variant Product",
+        price: 100000,
+        stock: 0,
+        variants: [
+          { sku: "VP-BLACK-M", color: "Black", size: "M", stock: 0 },
+          { sku: "VP-BLACK-L", color: "Black", size: "L", stock: 5 },
+        ],
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(
+          variantOrderPayload(product, [
+            { color: "Black", size: "L", quantity: 1 },
+            { color: "Black", size: "M", quantity: 1 },
+          ])
+        );
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Not enough stock");
+
+      // nothing is decremented when one line fails
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.variants[1].stock).toBe(5);
+    });
+
+    test("#TC053 - create order with an unknown variant", async () => {
+      const product = await Product.create({
+        name: "Variant Product",
+        price: 100000,
+        stock: 0,
+        variants: [{ sku: "VP-BLACK-M", color: "Black", size: "M", stock: 3 }],
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(
+          variantOrderPayload(product, [
+            { color: "White", size: "M", quantity: 1 },
+          ])
+        );
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("This color and size is not available");
+    });
+
+    test("#TC070 - concurrent orders can not oversell the last item", async () => {
+      const product = await Product.create({
+        name: "Variant Product",
+        price: 100000,
+        stock: 1,
+        variants: [{ sku: "VP-BLACK-M", color: "Black", size: "M", stock: 1 }],
+      });
+      const payload = variantOrderPayload(product, [
+        { color: "Black", size: "M", quantity: 1 },
+      ]);
+
+      const results = await Promise.all([
+        request(regularUserApp).post("/orders").send(payload),
+        request(regularUserApp).post("/orders").send(payload),
+      ]);
+
+      expect(results.map((res) => res.status).sort()).toEqual([200, 400]);
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(0);
+      expect(updatedProduct.variants[0].stock).toBe(0);
+      expect(await Order.countDocuments()).toBe(1);
+    });
+  });
+
+  describe("Sale Pricing", () => {
+    const salePayload = (product, price) => ({
+      userId: regularUserId.toString(),
+      receiverName: "Sale User",
+      receiverPhone: "0123456789",
+      receiverNote: "",
+      products: [
+        {
+          productId: product._id.toString(),
+          name: product.name,
+          quantity: 1,
+          price,
+          color: "Black",
+          size: "M",
+          image: "sale.jpg",
+        },
+      ],
+      totalAmount: price,
+      shippingAddress: "123 Sale Street, City, Country",
+      paymentMethod: "COD",
+    });
+
+    test("#TC054 - create order at the sale price", async () => {
+      const product = await Product.create({
+        name: "Sale Product",
+        price: 100000,
+        salePrice: 80000,
+        stock: 5,
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(salePayload(product, 80000));
+      expect(res.status).toBe(200);
+      expect(res.body.products[0].price).toBe(80000);
+    });
+
+    test("#TC055 - reject an order priced after the sale ended", async () => {
+      const product = await Product.create({
+        name: "Ended Sale",
+        price: 100000,
+        salePrice: 80000,
+        saleEndsAt: new Date(Date.now() - 1000),
+        stock: 5,
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(salePayload(product, 80000));
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe(
+        "Some prices have changed, please check your cart again"
+      );
+
+      const unchanged = await Product.findById(product._id);
+      expect(unchanged.stock).toBe(5);
+    });
+  });
+
+  describe("Bundles", () => {
+    const bundlePayload = (bundle, price) => ({
+      userId: regularUserId.toString(),
+      receiverName: "Bundle User",
+      receiverPhone: "0123456789",
+      receiverNote: "",
+      products: [
+        {
+          bundleId: bundle._id.toString(),
+          name: bundle.name,
+          quantity: 2,
+          price,
+          image: "bundle.jpg",
+        },
+      ],
+      totalAmount: price * 2,
+      shippingAddress: "123 Bundle Street, City, Country",
+      paymentMethod: "COD",
+    });
+
+    test("#TC056 - bundle order decrements every component", async () => {
+      const Bundle = require("../../models/bundleModel").default;
+      const shirt = await Product.create({
+        name: "Shirt",
+        price: 100,
+        stock: 5,
+        variants: [{ sku: "SHIRT-RED-M", color: "Red", size: "M", stock: 5 }],
+      });
+      const pants = await Product.create({
+        name: "Pants",
+        price: 80,
+        stock: 5,
+      });
+      const bundle = await Bundle.create({
+        name: "Outfit",
+        price: 150,
+        items: [
+          { productId: shirt._id, color: "Red", size: "M" },
+          { productId: pants._id, quantity: 2 },
+        ],
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(bundlePayload(bundle, 150));
+
+      expect(res.status).toBe(200);
+      expect(res.body.products).toHaveLength(1);
+      expect(res.body.products[0].components).toHaveLength(2);
+      const updatedShirt = await Product.findById(shirt._id);
+      const updatedPants = await Product.findById(pants._id);
+      expect(updatedShirt.variants[0].stock).toBe(3);
+      expect(updatedPants.stock).toBe(1);
+    });
+
+    test("#TC057 - reject a bundle order when a component runs out", async () => {
+      const Bundle = require("../../models/bundleModel").default;
+      const shirt = await Product.create({
+        name: "Shirt",
+        price: 100,
+        stock: 5,
+      });
+      const pants = await Product.create({
+        name: "Pants",
+        price: 80,
+        stock: 1,
+      });
+      const bundle = await Bundle.create({
+        name: "Outfit",
+        price: 150,
+        items: [{ productId: shirt._id }, { productId: pants._id }],
+      });
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(bundlePayload(bundle, 150));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Not enough stock");
+      const unchanged = await Product.findById(shirt._id);
+      expect(unchanged.stock).toBe(5);
+    });
+  });
+
+  describe("Stock Reservations", () => {
+    const reservationPayload = (product, quantity, paymentMethod) => ({
+      userId: regularUserId.toString(),
+      receiverName: "Card User",
+      receiverPhone: "0123456789",
+      receiverNote: "",
+      products: [
+        {
+          productId: product._id.toString(),
+          name: product.name,
+          quantity,
+          price: product.price,
+          color: "Black",
+          size: "M",
+          image: "card.jpg",
+        },
+      ],
+      totalAmount: product.price * quantity,
+      shippingAddress: "123 Card Street, City, Country",
+      paymentMethod,
+    });
+
+    test("#TC058 - Stripe checkout reserves stock without decrementing it", async () => {
+      const product = await createTestProduct("Card Product", 100000, 2);
+
+      const res = await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 2, "Stripe"));
+      const cod = await request(regularUserApp)
+        .post("/orders")
+        .send(reservationPayload(product, 1, "COD"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe("cs_test");
+      const reservation = await StockReservation.findOne({
+        "items.product": product._id,
+      });
+      expect(reservation.status).toBe("active");
+      expect(reservation.items[0].quantity).toBe(2);
+      expect(cod.status).toBe(400);
+      expect(cod.body.message).toBe("Not enough stock");
+      const unchanged = await Product.findById(product._id);
+      expect(unchanged.stock).toBe(2);
+    });
+
+    test("#TC059 - confirmed payment decrements the reserved stock once", async () => {
+      const product = await Product.create({
+        name: "Variant Card Product",
+        price: 100000,
+        stock: 5,
+        variants: [
+          { sku: "CARD-BLACK-M", color: "Black", size: "M", stock: 5 },
+        ],
+      });
+      await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 2, "Stripe"));
+      const order = await Order.findOne({ paymentMethod: "Stripe" });
+
+      await request(regularUserApp).put(`/orders/payment-check/${order._id}`);
+      const res = await request(regularUserApp).put(
+        `/orders/payment-check/${order._id}`
+      );
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.stock).toBe(3);
+      expect(updated.variants[0].stock).toBe(3);
+      const reservation = await StockReservation.findOne({ order: order._id });
+      expect(reservation.status).toBe("confirmed");
+    });
+
+    test("#TC060 - cancelling a pending card order releases its reservation", async () => {
+      const product = await createTestProduct("Cancel Card", 100000, 1);
+      await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 1, "Stripe"));
+      const order = await Order.findOne({ paymentMethod: "Stripe" });
+
+      await request(regularUserApp).delete(
+        `/orders/cancel/${regularUserId}/${order._id}`
+      );
+      const cod = await request(regularUserApp)
+        .post("/orders")
+        .send(reservationPayload(product, 1, "COD"));
+
+      const reservation = await StockReservation.findOne({ order: order._id });
+      expect(reservation.status).toBe("released");
+      expect(reservation.releaseReason).toBe("cancelled");
+      expect(cod.status).toBe(200);
+    });
+
+    test("#TC061 - expired reservations stop holding stock and are swept", async () => {
+      const product = await createTestProduct("Expired Card", 100000, 1);
+      await StockReservation.create({
+        order: new mongoose.Types.ObjectId(),
+        items: [{ product: product._id, quantity: 1 }],
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      const cod = await request(regularUserApp)
+        .post("/orders")
+        .send(reservationPayload(product, 1, "COD"));
+      const summary = await releaseExpiredReservations();
+
+      expect(cod.status).toBe(200);
+      expect(summary.released).toBe(1);
+      const reservation = await StockReservation.findOne();
+      expect(reservation.releaseReason).toBe("expired");
+    });
+
+    test("#TC062 - a failed Stripe checkout releases the reservation", async () => {
+      const product = await createTestProduct("Failed Card", 100000, 1);
+      mockCreateSession.mockRejectedValueOnce(new Error("Stripe is down"));
+
+      const res = await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 1, "Stripe"));
+
+      expect(res.status).toBe(500);
+      const reservation = await StockReservation.findOne();
+      expect(reservation.status).toBe("released");
+      expect(reservation.releaseReason).toBe("failed");
+    });
+
+    test("#TC067 - paying a released reservation does not decrement stock", async () => {
+      const product = await createTestProduct("Released Card", 100000, 2);
+      await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 2, "Stripe"));
+      const order = await Order.findOne({ paymentMethod: "Stripe" });
+      await releaseExpiredReservations(new Date(Date.now() + 60 * 60 * 1000));
+
+      const res = await request(regularUserApp).put(
+        `/orders/payment-check/${order._id}`
+      );
+
+      expect(res.status).toBe(200);
+      const unchanged = await Product.findById(product._id);
+      expect(unchanged.stock).toBe(2);
+      const reservation = await StockReservation.findOne({ order: order._id });
+      expect(reservation.status).toBe("released");
+    });
+
+    test("#TC068 - confirming never takes stock below zero", async () => {
+      const product = await createTestProduct("Sold Out Card", 100000, 2);
+      await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 2, "Stripe"));
+      const order = await Order.findOne({ paymentMethod: "Stripe" });
+      await Product.updateOne({ _id: product._id }, { stock: 1 });
+
+      await request(regularUserApp).put(`/orders/payment-check/${order._id}`);
+
+      const updated = await Product.findById(product._id);
+      expect(updated.stock).toBe(1);
+      const reservation = await StockReservation.findOne({ order: order._id });
+      expect(reservation.releaseReason).toBe("outOfStock");
+    });
+
+    test("#TC069 - only the owner can mark an order as paid", async () => {
+      const product = await createTestProduct();
+      const order = await createTestOrder(
+        new mongoose.Types.ObjectId(),
+        product._id
+      );
+
+      const res = await request(regularUserApp).put(
+        `/orders/payment-check/${order._id}`
+      );
+
+      expect(res.status).toBe(403);
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.paymentCheck).not.toBe(true);
+    });
+
+    test("#TC071 - confirming does not take stock held for another order", async () => {
+      const product = await createTestProduct("Held Card", 100000, 2);
+      await request(regularUserApp)
+        .post("/orders/stripe")
+        .send(reservationPayload(product, 1, "Stripe"));
+      const order = await Order.findOne({ paymentMethod: "Stripe" });
+      await StockReservation.create({
+        order: new mongoose.Types.ObjectId(),
+        items: [{ product: product._id, quantity: 1 }],
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      await Product.updateOne({ _id: product._id }, { stock: 1 });
+
+      await request(regularUserApp).put(`/orders/payment-check/${order._id}`);
+
+      const updated = await Product.findById(product._id);
+      expect(updated.stock).toBe(1);
+      const reservation = await StockReservation.findOne({ order: order._id });
+      expect(reservation.releaseReason).toBe("outOfStock");
+    });
+
+    test("#TC072 - a failed order save puts the stock back", async () => {
+      const product = await createTestProduct("Unsaved Card", 100000, 2);
+      const saveSpy = jest
+        .spyOn(Order.prototype, "save")
+        .mockRejectedValueOnce(new Error("Database is down"));
+
+      const res = await request(regularUserApp)
+        .post("/orders")
+        .send(reservationPayload(product, 2, "COD"));
+      saveSpy.mockRestore();
+
+      expect(res.status).toBe(500);
+      const unchanged = await Product.findById(product._id);
+      expect(unchanged.stock).toBe(2);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+  });
+
+  describe("Inventory Ledger", () => {
+    test("#TC063 - COD orders record sales and cancelling restocks them", async () => {
+      const product = await createTestProduct("Ledger Product", 100000, 3);
+
+      const created = await request(regularUserApp)
+        .post("/orders")
+        .send({
+          userId: regularUserId.toString(),
+          receiverName: "Ledger User",
+          receiverPhone: "0123456789",
+          receiverNote: "",
+          products: [
+            {
+              productId: product._id.toString(),
+              name: product.name,
+              quantity: 2,
+              price: 100000,
+              color: "Black",
+              size: "M",
+              image: "ledger.jpg",
+            },
+          ],
+          totalAmount: 200000,
+          shippingAddress: "123 Ledger Street, City, Country",
+          paymentMethod: "COD",
+        });
+      await request(regularUserApp).delete(
+        `/orders/cancel/${regularUserId}/${created.body._id}`
+      );
+
+      const movements = await InventoryMovement.find({
+        order: created.body._id,
+      }).sort({ createdAt: 1, _id: 1 });
+      expect(movements.map((movement) => movement.reason)).toEqual([
+        "sale",
+        "cancellation",
+      ]);
+      expect(movements.map((movement) => movement.delta)).toEqual([-2, 2]);
+      const restocked = await Product.findById(product._id);
+      expect(restocked.stock).toBe(3);
+    });
+
+    test("#TC064 - confirmed card payments record a sale", async () => {
+      const product = await createTestProduct("Card Ledger", 100000, 2);
+      const reservation = await StockReservation.create({
+        order: new mongoose.Types.ObjectId(),
+        user: regularUserId,
+        items: [{ product: product._id, quantity: 2 }],
+        expiresAt: new Date(Date.now() + 60000),
+      });
+      const order = await Order.create({
+        _id: reservation.order,
+        userId: regularUserId,
+        receiverName: "Card User",
+        receiverPhone: "0123456789",
+        products: [
+          {
+            productId: product._id,
+            name: product.name,
+            quantity: 2,
+            price: 100000,
+          },
+        ],
+        totalAmount: 200000,
+        shippingAddress: "123 Card Street, City, Country",
+        paymentMethod: "Stripe",
+      });
+
+      await request(regularUserApp).put(`/orders/payment-check/${order._id}`);
+
+      const movement = await InventoryMovement.findOne({ order: order._id });
+      expect(movement).toMatchObject({ delta: -2, reason: "sale" });
+      expect(movement.actor.toString()).toBe(regularUserId.toString());
+    });
+  });
+
+  describe("Cursor Pagination", () => {
+    test("#TC065 - admin pages through orders with a cursor", async () => {
+      const product = await createTestProduct();
+      for (let i = 0; i < 3; i++) {
+        await createTestOrder(regularUserId, product._id);
+      }
+
+      const first = await request(adminUserApp).get(
+        "/orders/all?cursor=&limit=2"
+      );
+      const second = await request(adminUserApp).get(
+        `/orders/all?cursor=${first.body.nextCursor}&limit=2`
+      );
+
+      expect(first.status).toBe(200);
+      expect(first.body.numberOfOrder).toBe(3);
+      expect(first.body.findOrder).toHaveLength(2);
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.currentPage).toBeUndefined();
+      expect(second.body.findOrder).toHaveLength(1);
+      expect(second.body.hasMore).toBe(false);
+      const ids = [...first.body.findOrder, ...second.body.findOrder].map(
+        (order) => order._id
+      );
+      expect(new Set(ids).size).toBe(3);
+    });
+
+    test("#TC066 - rejects an invalid order cursor", async () => {
+      const res = await request(adminUserApp).get("/orders/all?cursor=abc");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Invalid cursor");
+    });
+  });
 });
@@ -11,8 +11,22 @@ const {
 } = require("../setup/mongoMemoryServer");
 
 const Product = require("../../models/productModel").default;
+const Order = require("../../models/orderModel").default;
+const SearchQuery = require("../../models/searchQueryModel").default;
+const StockSubscription =
+  require("../../models/stockSubscriptionModel").default;
+const Notification = require("../../models/notificationModel").default;
+const InventoryMovement =
+  require("../../models/inventoryMovementModel").default;
+const Image = require("../../models/imageModel").default;
+const ProductVersion = require("../../models/productVersionModel").default;
+const PriceHistory = require("../../models/priceHistoryModel").default;
+const { sendMail } = require("../../utils/mail");
 const productController = require("../../controllers/productController");
+const { buildRecommendations } = require("../../scripts/buildRecommendations");
 const { createProduct } = require("../helpers/productHelper");
+const { createCategory } = require("../helpers/categoryHelper");
+const { createReview } = require("../helpers/reviewHelper");
 
 // Mock ExcelJS to prevent actual file creation during tests
 jest.mock("exceljs", () => {
@@ -31,6 +45,15 @@ jest.mock("exceljs", () => {
   };
 });
 
+jest.mock("../../utils/mail", () => ({
+  getStoreUrl: () => "http://localhost:5173",
+  sendMail: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock("../../lib/pusher", () => ({
+  pusherServer: { trigger: jest.fn().mockResolvedValue(true) },
+}));
+
 // Setup test app
 const setupApp = (isAdmin = true) => {
   const app = express();
@@ -48,16 +71,38 @@ const setupApp = (isAdmin = true) => {
   app.get("/product/all", productController.getAllProduct);
   app.get("/product/pagination", productController.getProductPagination);
   app.put("/product/update/:productId", productController.updateProduct);
+  app.get("/product/lowStock", productController.getLowStockProducts);
+  app.post(
+    "/product/adjustStock/:productId",
+    productController.adjustProductStock
+  );
+  app.get(
+    "/product/stockHistory/:productId",
+    productController.getStockHistory
+  );
+  app.get("/product/reconcileStock", productController.reconcileStock);
+  app.get("/product/versions/:productId", productController.getProductVersions);
+  app.post(
+    "/product/revert/:productId/:version",
+    productController.revertProduct
+  );
   app.delete("/product/delete/:productId", productController.deleteProduct);
   app.get("/product/each/:productId", productController.getEachProduct);
+  app.get("/product/slug/:slug", productController.getProductBySlug);
   app.get("/product/search/:searchKey", productController.getProductBySearch);
+  app.get("/product/suggestions", productController.getSearchSuggestions);
   app.get("/product/category/:category", productController.getProductByCategory);
   app.get("/product/price", productController.getProductByPriceRange);
-  app.post("/product/filter/:filterType", productController.getProductByFilter);
   app.get("/product/combination/:category", productController.getProductCombination);
+  app.get("/product/faceted-search", productController.searchProducts);
   app.get("/product/recommend/:productId", productController.getRecommendProducts);
   app.get("/product/search-admin/:searchKey", productController.searchProductAdmin);
   app.get("/product/export", productController.exportProducts);
+  app.post(
+    "/product/import",
+    express.raw({ type: () => true }),
+    productController.importProducts
+  );
 
   return app;
 };
@@ -151,7 +196,7 @@ describe("Product Controller Tests", () => {
       expect(updated.price).toBe(200);
     });
 
-    test("#TC006 - delete product and verify DB", async () => {
+    test("#TC006 - delete product archives it", async () => {
       const app = setupApp();
       const product = await createProduct({ name: "ToDelete" });
       
@@ -160,7 +205,7 @@ describe("Product Controller Tests", () => {
       expect(res.status).toBe(200);
 
       const inDb = await Product.findById(product._id);
-      expect(inDb).toBeNull();
+      expect(inDb.status).toBe("archived");
     });
 
     test("#TC007 - get specific product by ID", async () => {
@@ -207,17 +252,13 @@ describe("Product Controller Tests", () => {
 
     test("#TC011 - sort by nameAZ", async () => {
       const app = setupApp();
-      const products = [
-        { name: "Zeta", price: 100 },
-        { name: "Alpha", price: 50 },
-      ];
+      await createProduct({ name: "Zeta", price: 100 });
+      await createProduct({ name: "Alpha", price: 50 });
       
-      const res = await request(app)
-        .post("/product/filter/nameAZ")
-        .send({ products });
+      const res = await request(app).get("/product/pagination?sort=nameAZ");
       
       expect(res.status).toBe(200);
-      expect(res.body[0].name).toBe("Alpha");
+      expect(res.body.listProducts[0].name).toBe("Alpha");
     });
 
     test("#TC012 - filter by combination of category + price", async () => {
@@ -230,13 +271,13 @@ describe("Product Controller Tests", () => {
       expect(res.body.products.length).toBeGreaterThan(0);
     });
 
-    test("#TC013 - recommend products based on related category", async () => {
+    test("#TC013 - recommend best sellers from the same category", async () => {
       const app = setupApp();
       const main = await createProduct({
         name: "Recommender",
         categories: ["shirt"],
       });
-      await createProduct({ name: "Recommended", categories: ["pants"] });
+      await createProduct({ name: "Recommended", categories: ["shirt"] });
 
       const res = await request(app).get(`/product/recommend/${main._id}`);
       
@@ -430,26 +471,24 @@ describe("Product Controller Tests", () => {
       expect(res.status).toBe(500); // Model validation should reject invalid types
     });
 
-    test("#TC032 - filter - invalid payload", async () => {
+    test("#TC032 - sort - default sort is newest first", async () => {
       const app = setupApp();
+      await createProduct({ name: "Older" });
+      await createProduct({ name: "Newer" });
       
-      const res = await request(app)
-        .post("/product/filter/nameAZ")
-        .send({ products: "not-an-array" });
+      const res = await request(app).get("/product/pagination?sort=default");
 
-      expect(res.status).toBe(400);
-      expect(res.body.message).toBe("Invalid products data!");
+      expect(res.status).toBe(200);
+      expect(res.body.listProducts[0].name).toBe("Newer");
     });
 
-    test("#TC033 - filter - invalid filter type", async () => {
+    test("#TC033 - sort - invalid sort option", async () => {
       const app = setupApp();
       
-      const res = await request(app)
-        .post("/product/filter/invalidFilter")
-        .send({ products: [] });
+      const res = await request(app).get("/product/category/shirt?sort=invalidSort");
 
       expect(res.status).toBe(400);
-      expect(res.body.message).toBe("Invalid filter type!");
+      expect(res.body.message).toBe("Invalid sort option!");
     });
 
     test("#TC034 - get product with invalid ObjectId format", async () => {
@@ -615,4 +654,1785 @@ describe("Product Controller Tests", () => {
       expect(mockRes.end).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe("9. Variants", () => {
+    test("#TC047 - create product with variants sums stock and fills SKUs", async () => {
+      const app = setupApp();
+
+      const res = await request(app)
+        .post("/product/create")
+        .send({
+          ...validProduct,
+          stock: undefined,
+          sizes: undefined,
+          colors: undefined,
+          variants: [
+            { color: "Black", size: "M", stock: 3 },
+            { color: "Black", size: "L", stock: 4, price: 150 },
+          ],
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.stock).toBe(7);
+      expect(res.body.sizes).toEqual(["M", "L"]);
+      expect(res.body.colors).toEqual(["Black"]);
+      expect(res.body.variants[0].sku).toMatch(/-BLACK-M$/);
+      expect(res.body.variants[1].price).toBe(150);
+    });
+
+    test("#TC048 - create product with duplicate variants", async () => {
+      const app = setupApp();
+
+      const res = await request(app)
+        .post("/product/create")
+        .send({
+          ...validProduct,
+          variants: [
+            { color: "Black", size: "M", stock: 3 },
+            { color: "Black", size: "M", stock: 1 },
+          ],
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Duplicate variant Black / M");
+    });
+
+    test("#TC049 - update variants recomputes product stock", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        variants: [{ sku: "OLD-RED-M", color: "Red", size: "M", stock: 10 }],
+      });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({
+          variants: [
+            { sku: "OLD-RED-M", color: "Red", size: "M", stock: 2 },
+            { color: "Red", size: "L", stock: 6 },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.variants).toHaveLength(2);
+      expect(updated.stock).toBe(8);
+    });
+
+    test("#TC121 - update product without variants keeps its stock", async () => {
+      const app = setupApp();
+      const product = await createProduct({ stock: 12 });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ name: "Renamed shirt", sizes: ["M", "L"], colors: ["Red"] });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.variants).toHaveLength(0);
+      expect(updated.stock).toBe(12);
+    });
+
+    test("#TC126 - variants sent without stock keep the current stock", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        variants: [{ sku: "RED-M", color: "Red", size: "M", stock: 10 }],
+        stock: 10,
+      });
+      // don hang ban 3 cai trong luc form sua dang mo
+      await Product.updateOne(
+        { _id: product._id, "variants.sku": "RED-M" },
+        { $inc: { stock: -3, "variants.$.stock": -3 } }
+      );
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({
+          variants: [
+            { sku: "RED-M", color: "Red", size: "M", price: 120 },
+            { color: "Red", size: "L", stock: 4 },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      const updated = await Product.findById(product._id);
+      expect(updated.variants.map((variant) => variant.stock)).toEqual([7, 4]);
+      expect(updated.stock).toBe(11);
+    });
+
+    test("#TC127 - stock writes are rejected when the product changed meanwhile", async () => {
+      const app = setupApp();
+      const product = await createProduct({ stock: 10 });
+      // ban doc cua request sua truoc khi don hang tru kho
+      const stale = await Product.findById(product._id);
+      const spy = jest
+        .spyOn(Product, "findById")
+        .mockImplementationOnce(async () => stale);
+      await Product.updateOne({ _id: product._id }, { $inc: { stock: -3 } });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ stock: 10 });
+      spy.mockRestore();
+
+      expect(res.status).toBe(409);
+      const updated = await Product.findById(product._id);
+      expect(updated.stock).toBe(7);
+    });
+  });
+
+  describe("10. Category Tree", () => {
+    const createTree = async () => {
+      const casual = await createCategory({ name: "casual" });
+      const shirt = await createCategory({
+        name: "shirt",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+      return { casual, shirt };
+    };
+
+    test("#TC050 - create product resolves category names to references", async () => {
+      const app = setupApp();
+      const { shirt } = await createTree();
+
+      const res = await request(app)
+        .post("/product/create")
+        .send({ ...validProduct, categories: ["shirt"] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.categoryIds).toEqual([shirt._id.toString()]);
+    });
+
+    test("#TC051 - create product from category references fills the names", async () => {
+      const app = setupApp();
+      const { shirt } = await createTree();
+
+      const res = await request(app)
+        .post("/product/create")
+        .send({ ...validProduct, categories: undefined, categoryIds: [shirt._id] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.categories).toEqual(["shirt"]);
+    });
+
+    test("#TC052 - category listing includes products of sub categories", async () => {
+      const app = setupApp();
+      const { casual, shirt } = await createTree();
+      await createProduct({ name: "In Root", categoryIds: [casual._id] });
+      await createProduct({
+        name: "In Child",
+        categories: [],
+        categoryIds: [shirt._id],
+      });
+
+      const res = await request(app).get("/product/category/casual");
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(2);
+    });
+
+    test("#TC053 - category listing without descendants", async () => {
+      const app = setupApp();
+      const { casual, shirt } = await createTree();
+      await createProduct({
+        name: "In Root",
+        categories: [],
+        categoryIds: [casual._id],
+      });
+      await createProduct({
+        name: "In Child",
+        categories: [],
+        categoryIds: [shirt._id],
+      });
+
+      const res = await request(app).get(
+        "/product/category/casual?includeDescendants=false"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(1);
+      expect(res.body.findProductByCategory[0].name).toBe("In Root");
+    });
+
+    test("#TC054 - combination filter includes sub categories", async () => {
+      const app = setupApp();
+      const { shirt } = await createTree();
+      await createProduct({
+        name: "Child Combo",
+        price: 150,
+        categories: [],
+        categoryIds: [shirt._id],
+      });
+
+      const res = await request(app).get(
+        "/product/combination/casual?minPrice=100&maxPrice=200"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.products[0].name).toBe("Child Combo");
+    });
+
+    test("#TC124 - category names only match products without references", async () => {
+      const app = setupApp();
+      const { casual } = await createTree();
+      const other = await createCategory({ name: "other" });
+      await createProduct({ name: "Legacy", categories: ["casual"] });
+      await createProduct({
+        name: "Moved",
+        categories: ["casual"],
+        categoryIds: [other._id],
+      });
+      await createProduct({ name: "Linked", categoryIds: [casual._id] });
+
+      const res = await request(app).get("/product/category/casual");
+
+      expect(res.status).toBe(200);
+      expect(
+        res.body.findProductByCategory.map((product) => product.name).sort()
+      ).toEqual(["Legacy", "Linked"]);
+    });
+  });
+
+  describe("11. Faceted Search", () => {
+    const seedProducts = async () => {
+      const black = await createProduct({
+        name: "Ao thun den",
+        price: 150000,
+        sizes: ["M", "L"],
+        colors: ["Đen"],
+        categories: ["shirt"],
+      });
+      const white = await createProduct({
+        name: "Ao thun trang",
+        price: 250000,
+        sizes: ["L"],
+        colors: ["Trắng"],
+        categories: ["shirt"],
+      });
+      const jeans = await createProduct({
+        name: "Quan jean",
+        price: 2500000,
+        sizes: ["L"],
+        colors: ["Đen"],
+        categories: ["pants"],
+      });
+      return { black, white, jeans };
+    };
+
+    test("#TC055 - combines keyword, size, color and price filters", async () => {
+      const app = setupApp();
+      await seedProducts();
+
+      const res = await request(app)
+        .get("/product/faceted-search")
+        .query({
+          keyword: "ao",
+          sizes: "L",
+          colors: "Đen",
+          minPrice: 100000,
+          maxPrice: 200000,
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(1);
+      expect(res.body.products[0].name).toBe("Ao thun den");
+    });
+
+    test("#TC056 - returns counts per size, color, category and price band", async () => {
+      const app = setupApp();
+      await seedProducts();
+
+      const res = await request(app).get("/product/faceted-search");
+
+      expect(res.status).toBe(200);
+      expect(res.body.facets.sizes).toEqual([
+        { value: "L", count: 3 },
+        { value: "M", count: 1 },
+      ]);
+      expect(res.body.facets.colors).toContainEqual({ value: "Đen", count: 2 });
+      expect(res.body.facets.categories).toContainEqual({
+        value: "shirt",
+        count: 2,
+      });
+      const bands = Object.fromEntries(
+        res.body.facets.priceBands.map((band) => [band.key, band.count])
+      );
+      expect(bands["100000-200000"]).toBe(1);
+      expect(bands["200000-500000"]).toBe(1);
+      expect(bands["above2000000"]).toBe(1);
+    });
+
+    test("#TC057 - a facet ignores its own filter but keeps the others", async () => {
+      const app = setupApp();
+      await seedProducts();
+
+      const res = await request(app)
+        .get("/product/faceted-search")
+        .query({ colors: "Đen", category: "shirt" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(1);
+      // colors are counted within "shirt" only, without the color filter
+      expect(res.body.facets.colors).toEqual([
+        { value: "Trắng", count: 1 },
+        { value: "Đen", count: 1 },
+      ]);
+    });
+
+    test("#TC058 - filters by minimum average rating", async () => {
+      const app = setupApp();
+      const { black, white } = await seedProducts();
+      await createReview({ product: [black._id], rating: 5 });
+      await createReview({ product: [white._id], rating: 2 });
+
+      const res = await request(app).get("/product/faceted-search?minRating=4");
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(1);
+      expect(res.body.products[0].name).toBe("Ao thun den");
+      expect(res.body.products[0].averageRating).toBe(5);
+    });
+
+    test("#TC125 - clamps page and limit instead of failing", async () => {
+      const app = setupApp();
+      await seedProducts();
+
+      const negative = await request(app).get(
+        "/product/faceted-search?page=-2&limit=-5"
+      );
+      const large = await request(app).get(
+        "/product/faceted-search?limit=100000"
+      );
+
+      expect(negative.status).toBe(200);
+      expect(negative.body.currentPage).toBe(1);
+      expect(negative.body.products).toHaveLength(1);
+      expect(large.status).toBe(200);
+      expect(large.body.products).toHaveLength(3);
+      expect(large.body.totalPages).toBe(1);
+    });
+  });
+
+  describe("12. Sorting", () => {
+    const createOrderFor = (product, quantity) =>
+      Order.create({
+        receiverName: "Buyer",
+        receiverPhone: "0123456789",
+        shippingAddress: "HN",
+        paymentMethod: "COD",
+        totalAmount: product.price * quantity,
+        products: [
+          {
+            productId: product._id,
+            name: product.name,
+            quantity,
+            price: product.price,
+            color: "Red",
+            size: "M",
+          },
+        ],
+      });
+
+    test("#TC059 - sort by price keeps the same order across pages", async () => {
+      const app = setupApp();
+      for (let i = 0; i < 5; i++) {
+        await createProduct({ name: `Same price ${i}`, price: 100 });
+      }
+      await createProduct({ name: "Cheap", price: 50 });
+
+      const first = await request(app).get(
+        "/product/pagination?sort=priceLowToHigh&page=1&limit=3"
+      );
+      const second = await request(app).get(
+        "/product/pagination?sort=priceLowToHigh&page=2&limit=3"
+      );
+
+      expect(first.body.listProducts[0].name).toBe("Cheap");
+      const ids = [...first.body.listProducts, ...second.body.listProducts].map(
+        (product) => product._id
+      );
+      expect(new Set(ids).size).toBe(6);
+    });
+
+    test("#TC060 - sort by name uses Vietnamese collation", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Đầm dự tiệc" });
+      await createProduct({ name: "Ao khoác" });
+      await createProduct({ name: "Dây lưng" });
+      await createProduct({ name: "Áo thun" });
+
+      const res = await request(app).get("/product/pagination?sort=nameAZ");
+
+      expect(res.status).toBe(200);
+      expect(res.body.listProducts.map((product) => product.name)).toEqual([
+        "Ao khoác",
+        "Áo thun",
+        "Dây lưng",
+        "Đầm dự tiệc",
+      ]);
+    });
+
+    test("#TC061 - sort by best selling counts ordered quantities", async () => {
+      const app = setupApp();
+      const few = await createProduct({ name: "Few sales" });
+      const many = await createProduct({ name: "Many sales" });
+      await createProduct({ name: "No sales" });
+      await createOrderFor(few, 1);
+      await createOrderFor(many, 2);
+      await createOrderFor(many, 3);
+      await buildRecommendations();
+
+      const res = await request(app).get("/product/category/shirt?sort=bestSelling");
+
+      expect(res.status).toBe(200);
+      expect(res.body.findProductByCategory.map((product) => product.name)).toEqual([
+        "Many sales",
+        "Few sales",
+        "No sales",
+      ]);
+      expect(res.body.findProductByCategory[0].soldCount).toBe(5);
+    });
+
+    test("#TC062 - sort by top rated on the faceted search", async () => {
+      const app = setupApp();
+      const good = await createProduct({ name: "Good" });
+      const bad = await createProduct({ name: "Bad" });
+      await createReview({ product: [bad._id], rating: 2 });
+      await createReview({ product: [good._id], rating: 5 });
+
+      const res = await request(app).get("/product/faceted-search?sort=topRated");
+
+      expect(res.status).toBe(200);
+      expect(res.body.products.map((product) => product.name)).toEqual([
+        "Good",
+        "Bad",
+      ]);
+    });
+
+    test("#TC063 - sort applies to the search results", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Searchable cheap", price: 10 });
+      await createProduct({ name: "Searchable expensive", price: 500 });
+
+      const res = await request(app).get(
+        "/product/search/Searchable?sort=priceHighToLow"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.findProducts[0].name).toBe("Searchable expensive");
+    });
+  });
+
+  describe("13. Ranked Search", () => {
+    test("#TC064 - name matches rank above description matches", async () => {
+      const app = setupApp();
+      await createProduct({
+        name: "Quần jean",
+        description: "Mặc cùng áo polo rất hợp",
+      });
+      await createProduct({ name: "Áo Polo nam", description: "Cotton" });
+
+      const res = await request(app).get("/product/search/ao polo");
+
+      expect(res.status).toBe(200);
+      expect(res.body.totalNumber).toBe(2);
+      expect(res.body.findProducts[0].name).toBe("Áo Polo nam");
+      expect(res.body.findProducts[1].name).toBe("Quần jean");
+    });
+
+    test("#TC065 - search tolerates a typo", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Áo khoác gió" });
+
+      const res = await request(app).get("/product/search/ao khaoc");
+
+      expect(res.status).toBe(200);
+      expect(res.body.findProducts[0].name).toBe("Áo khoác gió");
+    });
+
+    test("#TC066 - regex characters in the key do not break the query", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Áo thun" });
+
+      const res = await request(app).get(
+        `/product/search/${encodeURIComponent("(ao[")}`
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.findProducts[0].name).toBe("Áo thun");
+    });
+
+    test("#TC067 - updating the name updates the search index", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Old name" });
+
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ name: "Váy hoa" });
+      const res = await request(app).get("/product/search/vay hoa");
+
+      expect(res.status).toBe(200);
+      expect(res.body.findProducts[0]._id).toBe(product._id.toString());
+      expect(res.body.findProducts[0].search).toBeUndefined();
+    });
+
+    test("#TC068 - faceted search ranks keyword matches by relevance", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Quần short", description: "Đi biển" });
+      await createProduct({ name: "Áo đi biển" });
+
+      const res = await request(app)
+        .get("/product/faceted-search")
+        .query({ keyword: "di bien" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.products.map((product) => product.name)).toEqual([
+        "Áo đi biển",
+        "Quần short",
+      ]);
+    });
+  });
+
+  describe("14. Search Suggestions", () => {
+    test("#TC069 - suggests products with thumbnails for a prefix", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Áo polo", listingPhotoPaths: ["polo.jpg"] });
+      await createProduct({ name: "Quần jean" });
+
+      const res = await request(app).get("/product/suggestions?q=ao po");
+
+      expect(res.status).toBe(200);
+      expect(res.body.products).toEqual([
+        expect.objectContaining({ name: "Áo polo", thumbnail: "polo.jpg" }),
+      ]);
+    });
+
+    test("#TC070 - suggests matching categories with their parent", async () => {
+      const app = setupApp();
+      const casual = await createCategory({ name: "casual", title: "Thường ngày" });
+      await createCategory({
+        name: "polo",
+        title: "Áo polo",
+        parent: casual._id,
+        ancestors: [casual._id],
+      });
+
+      const res = await request(app).get("/product/suggestions?q=ao p");
+
+      expect(res.status).toBe(200);
+      expect(res.body.categories).toEqual([
+        expect.objectContaining({ name: "polo", parentName: "casual" }),
+      ]);
+    });
+
+    test("#TC071 - popular past queries are suggested by prefix", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Áo thun" });
+      await request(app).get(`/product/search/${encodeURIComponent("Áo thun")}`);
+      await request(app).get("/product/search/ao thun");
+      const rare = await request(app).get("/product/suggestions?q=ao");
+      await request(app).get(
+        `/product/search/${encodeURIComponent("ao  thun!!")}`
+      );
+
+      const res = await request(app).get("/product/suggestions?q=ao");
+
+      expect(rare.body.queries).toEqual([]);
+      expect(res.status).toBe(200);
+      expect(res.body.queries).toEqual([{ text: "ao thun", count: 3 }]);
+      expect(await SearchQuery.countDocuments()).toBe(1);
+    });
+
+    test("#TC072 - a single character returns no suggestions", async () => {
+      const app = setupApp();
+      await createProduct({ name: "Áo thun" });
+
+      const res = await request(app).get("/product/suggestions?q=a");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ products: [], categories: [], queries: [] });
+    });
+  });
+
+  describe("15. Import", () => {
+    const header =
+      "ID,Name,Description,Price,Stock,Categories,Sizes,Colors,Listing Photo Paths,Variants";
+
+    const importCsv = (app, csv, query = "") =>
+      request(app)
+        .post(`/product/import${query}`)
+        .set("Content-Type", "text/csv")
+        .send(csv);
+
+    test("#TC073 - import creates products from a csv", async () => {
+      const app = setupApp();
+      const csv = `${header}\n,Áo thun,Cotton,150000,5,shirt,"M, L",Đen,a.jpg,\n`;
+
+      const res = await importCsv(app, csv);
+
+      expect(res.status).toBe(200);
+      expect(res.body.created).toBe(1);
+      const product = await Product.findOne({ name: "Áo thun" });
+      expect(product.sizes).toEqual(["M", "L"]);
+      expect(product.stock).toBe(5);
+    });
+
+    test("#TC074 - dry run reports rows without saving", async () => {
+      const app = setupApp();
+      const csv = `${header}\n,Áo thun,Cotton,150000,5,shirt,M,Đen,a.jpg,\n,,Cotton,abc,5,shirt,M,Đen,a.jpg,\n`;
+
+      const res = await importCsv(app, csv, "?dryRun=true");
+
+      expect(res.status).toBe(200);
+      expect(res.body.dryRun).toBe(true);
+      expect(res.body.created).toBe(1);
+      expect(res.body.failed).toBe(1);
+      expect(res.body.rows[1]).toEqual(
+        expect.objectContaining({
+          row: 3,
+          action: "error",
+          errors: ["Name is required", "Price must be a number"],
+        })
+      );
+      expect(await Product.countDocuments()).toBe(0);
+    });
+
+    test("#TC075 - import updates by ID and by SKU", async () => {
+      const app = setupApp();
+      const byId = await createProduct({ name: "By ID", price: 100 });
+      await createProduct({
+        name: "By SKU",
+        variants: [{ sku: "SKU-RED-M", color: "Red", size: "M", stock: 1 }],
+      });
+      const csv = `${header}\n${byId._id},By ID,,120,3,shirt,M,Red,,\n,By SKU renamed,,130,,shirt,M,Red,,SKU-RED-M|Red|M|7|\n`;
+
+      const res = await importCsv(app, csv);
+
+      expect(res.status).toBe(200);
+      expect(res.body.updated).toBe(2);
+      expect((await Product.findById(byId._id)).price).toBe(120);
+      const bySku = await Product.findOne({ "variants.sku": "SKU-RED-M" });
+      expect(bySku.name).toBe("By SKU renamed");
+      expect(bySku.stock).toBe(7);
+      expect(await Product.countDocuments()).toBe(2);
+    });
+
+    test("#TC076 - the same product twice in a file is rejected", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Twice" });
+      const csv = `${header}\n${product._id},Twice,,100,1,,,,,\n${product._id},Twice again,,100,1,,,,,\n`;
+
+      const res = await importCsv(app, csv);
+
+      expect(res.body.updated).toBe(1);
+      expect(res.body.rows[1].errors).toEqual([
+        "This product appears more than once in the file",
+      ]);
+    });
+
+    test("#TC077 - import without the required columns", async () => {
+      const app = setupApp();
+
+      const res = await importCsv(app, "Name,Stock\nÁo,1\n");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Missing columns: Price");
+    });
+
+    test("#TC078 - import - unauthorized", async () => {
+      const app = setupApp(false);
+
+      const res = await importCsv(app, `${header}\n`);
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe("16. Lifecycle", () => {
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const createLifecycleProducts = async () => {
+      await createProduct({ name: "Live" });
+      await createProduct({ name: "Draft", status: "draft" });
+      await createProduct({ name: "Archived", status: "archived" });
+      await createProduct({ name: "Scheduled", publishAt: future });
+      await createProduct({ name: "Expired", unpublishAt: past });
+    };
+
+    test("#TC079 - storefront endpoints only return live products", async () => {
+      const app = setupApp(false);
+      await createLifecycleProducts();
+
+      const recent = await request(app).get("/product/recent/10");
+      const all = await request(app).get("/product/all");
+      const page = await request(app).get("/product/pagination?limit=10");
+      const category = await request(app).get("/product/category/shirt");
+
+      expect(recent.body.map((product) => product.name)).toEqual(["Live"]);
+      expect(all.body.totalNumber).toBe(1);
+      expect(page.body.listProducts.map((product) => product.name)).toEqual([
+        "Live",
+      ]);
+      expect(category.body.totalNumber).toBe(1);
+    });
+
+    test("#TC080 - search skips products that are not live", async () => {
+      const app = setupApp(false);
+      await createProduct({ name: "Áo khoác live" });
+      await createProduct({ name: "Áo khoác draft", status: "draft" });
+
+      const res = await request(app).get(
+        `/product/search/${encodeURIComponent("áo khoác")}`
+      );
+      const faceted = await request(app).get(
+        "/product/faceted-search?category=shirt"
+      );
+
+      expect(res.body.totalNumber).toBe(1);
+      expect(res.body.findProducts[0].name).toBe("Áo khoác live");
+      expect(faceted.body.totalNumber).toBe(1);
+    });
+
+    test("#TC081 - admin filters products by state", async () => {
+      const app = setupApp();
+      await createLifecycleProducts();
+
+      const all = await request(app).get("/product/all");
+      const scheduled = await request(app).get("/product/all?status=scheduled");
+      const invalid = await request(app).get("/product/all?status=deleted");
+
+      expect(all.body.totalNumber).toBe(5);
+      expect(scheduled.body.allProducts.map((product) => product.name)).toEqual(
+        ["Scheduled"]
+      );
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("Invalid status filter!");
+    });
+
+    test("#TC082 - draft product detail is hidden from customers", async () => {
+      const product = await createProduct({ name: "Draft", status: "draft" });
+
+      const customer = await request(setupApp(false)).get(
+        `/product/each/${product._id}`
+      );
+      const admin = await request(setupApp()).get(
+        `/product/each/${product._id}`
+      );
+
+      expect(customer.status).toBe(404);
+      expect(admin.status).toBe(200);
+    });
+
+    test("#TC083 - create and update validate the schedule", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Launch" });
+
+      const created = await request(app)
+        .post("/product/create")
+        .send({ ...validProduct, status: "draft", publishAt: future });
+      const invalid = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ publishAt: future, unpublishAt: past });
+
+      expect(created.status).toBe(201);
+      expect(created.body.status).toBe("draft");
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("unpublishAt must be after publishAt");
+    });
+  });
+
+  describe("17. Slugs", () => {
+    test("#TC084 - slugs are accent free and unique", async () => {
+      const first = await createProduct({ name: "Áo Thun Đen" });
+      const second = await createProduct({ name: "áo thun đen" });
+
+      expect(first.slug).toBe("ao-thun-den");
+      expect(second.slug).toBe("ao-thun-den-2");
+    });
+
+    test("#TC085 - get product by slug", async () => {
+      const app = setupApp(false);
+      await createProduct({ name: "Quần Jean" });
+
+      const res = await request(app).get("/product/slug/quan-jean");
+      const missing = await request(app).get("/product/slug/khong-co");
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe("Quần Jean");
+      expect(missing.status).toBe(404);
+    });
+
+    test("#TC086 - renaming a product redirects its old slug", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Áo Polo" });
+
+      const updated = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ name: "Áo Polo Nam" });
+      const old = await request(app).get("/product/slug/ao-polo");
+
+      expect(updated.body.slug).toBe("ao-polo-nam");
+      expect(updated.body.previousSlugs).toEqual(["ao-polo"]);
+      expect(old.status).toBe(301);
+      expect(old.headers.location).toBe("ao-polo-nam");
+    });
+
+    test("#TC087 - an old slug is not given to another product", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Áo Polo" });
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ name: "Áo Polo Nam" });
+
+      const other = await createProduct({ name: "Áo Polo" });
+
+      expect(other.slug).toBe("ao-polo-2");
+    });
+
+    test("#TC088 - draft products are hidden by slug", async () => {
+      const app = setupApp(false);
+      await createProduct({ name: "Sắp ra mắt", status: "draft" });
+
+      const res = await request(app).get("/product/slug/sap-ra-mat");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("18. Sale Pricing", () => {
+    test("#TC089 - product responses include the resolved price", async () => {
+      const app = setupApp(false);
+      const product = await createProduct({
+        price: 200,
+        salePrice: 150,
+        compareAtPrice: 250,
+      });
+
+      const each = await request(app).get(`/product/each/${product._id}`);
+      const rated = await request(app).get("/product/pagination?sort=topRated");
+
+      expect(each.body.pricing).toMatchObject({
+        currentPrice: 150,
+        compareAtPrice: 250,
+        discountPercent: 40,
+        onSale: true,
+      });
+      expect(rated.body.listProducts[0].pricing.currentPrice).toBe(150);
+    });
+
+    test("#TC090 - a scheduled sale does not change the price yet", async () => {
+      const app = setupApp(false);
+      const product = await createProduct({
+        price: 200,
+        salePrice: 150,
+        saleStartsAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      const res = await request(app).get(`/product/each/${product._id}`);
+
+      expect(res.body.pricing.currentPrice).toBe(200);
+      expect(res.body.pricing.onSale).toBe(false);
+    });
+
+    test("#TC091 - sale price must be below the stored price", async () => {
+      const app = setupApp();
+      const product = await createProduct({ price: 200 });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ salePrice: 250 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Sale price must be lower than the price");
+    });
+
+    test("#TC123 - price sorts use the current sale price", async () => {
+      const app = setupApp(false);
+      await createProduct({ name: "Regular", price: 150 });
+      await createProduct({ name: "On sale", price: 200, salePrice: 100 });
+      await createProduct({
+        name: "Sale ended",
+        price: 120,
+        salePrice: 50,
+        saleEndsAt: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const res = await request(app).get(
+        "/product/pagination?sort=priceLowToHigh"
+      );
+
+      expect(res.body.listProducts.map((product) => product.name)).toEqual([
+        "On sale",
+        "Sale ended",
+        "Regular",
+      ]);
+    });
+
+    test("#TC128 - price filters and bands use the current sale price", async () => {
+      const app = setupApp(false);
+      await createProduct({
+        name: "Regular",
+        price: 150,
+        categories: ["shirt"],
+      });
+      await createProduct({
+        name: "On sale",
+        price: 600000,
+        salePrice: 100,
+        categories: ["shirt"],
+      });
+
+      const range = await request(app).get(
+        "/product/price?minPrice=100&maxPrice=200"
+      );
+      const combination = await request(app).get(
+        "/product/combination/shirt?minPrice=100&maxPrice=200"
+      );
+      const search = await request(app).get(
+        "/product/faceted-search?maxPrice=200"
+      );
+
+      expect(range.body.totalNumber).toBe(2);
+      expect(combination.body.totalNumber).toBe(2);
+      expect(search.body.totalNumber).toBe(2);
+      // both products fall below 100000 once the sale price is applied
+      expect(search.body.facets.priceBands[0]).toMatchObject({
+        key: "below100000",
+        count: 2,
+      });
+    });
+  });
+
+  describe("19. Recommendations", () => {
+    test("#TC092 - recommend stored co-purchases first", async () => {
+      const app = setupApp();
+      const Recommendation =
+        require("../../models/recommendationModel").default;
+      const shirt = await createProduct({
+        name: "Shirt",
+        categories: ["shirt"],
+      });
+      const pants = await createProduct({
+        name: "Pants",
+        categories: ["pants"],
+      });
+      const polo = await createProduct({ name: "Polo", categories: ["shirt"] });
+      await Recommendation.create({
+        product: shirt._id,
+        items: [{ product: pants._id, score: 3, source: "co-purchase" }],
+      });
+
+      const res = await request(app).get(`/product/recommend/${shirt._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((product) => product.name)).toEqual([
+        "Pants",
+        "Polo",
+      ]);
+      expect(res.body[1]._id).toBe(polo._id.toString());
+    });
+
+    test("#TC093 - skip stored recommendations that are no longer live", async () => {
+      const app = setupApp();
+      const Recommendation =
+        require("../../models/recommendationModel").default;
+      const shirt = await createProduct({
+        name: "Shirt",
+        categories: ["shirt"],
+      });
+      const pants = await createProduct({
+        name: "Pants",
+        categories: ["pants"],
+        status: "archived",
+      });
+      await Recommendation.create({
+        product: shirt._id,
+        items: [{ product: pants._id, score: 3, source: "co-purchase" }],
+      });
+
+      const res = await request(app).get(`/product/recommend/${shirt._id}`);
+
+      expect(res.body.message).toBe("No product match in this category");
+    });
+
+    test("#TC094 - recommend - unknown product", async () => {
+      const app = setupApp();
+
+      const res = await request(app).get(
+        `/product/recommend/${new mongoose.Types.ObjectId()}`
+      );
+
+      expect(res.status).toBe(404);
+    });
+
+    test("#TC122 - fall back to the stored sold count of the category", async () => {
+      const app = setupApp();
+      const shirt = await createProduct({
+        name: "Shirt",
+        categories: ["shirt"],
+      });
+      await createProduct({
+        name: "Slow",
+        categories: ["shirt"],
+        soldCount: 1,
+      });
+      await createProduct({
+        name: "Fast",
+        categories: ["shirt"],
+        soldCount: 9,
+      });
+
+      const res = await request(app).get(`/product/recommend/${shirt._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.map((product) => product.name)).toEqual(["Fast", "Slow"]);
+    });
+  });
+
+  describe("20. Attributes", () => {
+    const createShirtCategory = () =>
+      createCategory({
+        name: "shirt",
+        attributes: [
+          {
+            key: "material",
+            label: "Chất liệu",
+            type: "select",
+            options: ["cotton", "linen"],
+            required: true,
+          },
+          {
+            key: "season",
+            label: "Mùa",
+            type: "multiselect",
+            options: ["summer", "winter"],
+          },
+          { key: "care", label: "Bảo quản", type: "text" },
+        ],
+      });
+
+    test("#TC095 - create product validates attributes against its category", async () => {
+      const app = setupApp();
+      await createShirtCategory();
+      const product = {
+        name: "Linen Shirt",
+        description: "Shirt",
+        price: 300000,
+        stock: 5,
+        categories: ["shirt"],
+        sizes: ["M"],
+        colors: ["White"],
+      };
+
+      const missing = await request(app).post("/product/create").send(product);
+      const invalid = await request(app)
+        .post("/product/create")
+        .send({ ...product, attributes: { material: "silk" } });
+      const res = await request(app)
+        .post("/product/create")
+        .send({
+          ...product,
+          attributes: {
+            material: "linen",
+            season: "summer",
+            care: " Giặt tay ",
+          },
+        });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.message).toBe("Attribute Chất liệu is required");
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe(
+        "Invalid value for attribute Chất liệu"
+      );
+      expect(res.status).toBe(201);
+      expect(res.body.attributes).toEqual({
+        material: "linen",
+        season: ["summer"],
+        care: "Giặt tay",
+      });
+    });
+
+    test("#TC096 - update product rejects attributes outside its category", async () => {
+      const app = setupApp();
+      const category = await createShirtCategory();
+      const product = await createProduct({
+        categoryIds: [category._id],
+        attributes: { material: "cotton" },
+      });
+
+      const unknown = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ attributes: { material: "cotton", gender: "unisex" } });
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ attributes: { material: "linen", season: ["winter"] } });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toBe("Unknown attribute: gender");
+      expect(res.status).toBe(200);
+      expect(res.body.attributes).toEqual({
+        material: "linen",
+        season: ["winter"],
+      });
+    });
+
+    test("#TC097 - search filters by attribute and counts attribute values", async () => {
+      const app = setupApp();
+      await createShirtCategory();
+      await createProduct({
+        name: "Cotton Tee",
+        attributes: { material: "cotton", season: ["summer"] },
+      });
+      await createProduct({
+        name: "Linen Shirt",
+        attributes: { material: "linen", season: ["summer", "winter"] },
+      });
+      await createProduct({ name: "Plain Shirt" });
+
+      const res = await request(app).get(
+        "/product/faceted-search?attributes[season]=winter"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.products.map((product) => product.name)).toEqual([
+        "Linen Shirt",
+      ]);
+      const facets = Object.fromEntries(
+        res.body.facets.attributes.map((facet) => [facet.key, facet.values])
+      );
+      // season ignores its own filter, material is counted within winter
+      expect(facets.season).toEqual([
+        { value: "summer", count: 2 },
+        { value: "winter", count: 1 },
+      ]);
+      expect(facets.material).toEqual([{ value: "linen", count: 1 }]);
+      expect(facets.care).toBeUndefined();
+    });
+  });
+
+  describe("21. Restock alerts", () => {
+    const subscribe = (product, overrides = {}) =>
+      StockSubscription.create({
+        product: product._id,
+        color: "Red",
+        size: "M",
+        email: "buyer@example.com",
+        token: new mongoose.Types.ObjectId().toString(),
+        ...overrides,
+      });
+
+    beforeEach(() => sendMail.mockClear());
+
+    // restock mails go out after the response, wait until the sent
+    // subscriptions are removed
+    const waitForRestockMails = async (remaining) => {
+      for (let i = 0; i < 50; i++) {
+        if ((await StockSubscription.countDocuments()) <= remaining) {
+          return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    };
+
+    test("#TC098 - update product notifies subscribers of restocked variants", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        variants: [
+          { color: "Red", size: "M", stock: 0, sku: "RED-M" },
+          { color: "Red", size: "L", stock: 0, sku: "RED-L" },
+        ],
+        stock: 0,
+      });
+      const userId = new mongoose.Types.ObjectId();
+      await subscribe(product, { user: userId });
+      await subscribe(product, { size: "L", email: "other@example.com" });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({
+          variants: [
+            { color: "Red", size: "M", stock: 3, sku: "RED-M" },
+            { color: "Red", size: "L", stock: 0, sku: "RED-L" },
+          ],
+        });
+
+      expect(res.statusCode).toBe(200);
+      await waitForRestockMails(1);
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      expect(sendMail.mock.calls[0][0].to).toBe("buyer@example.com");
+      const remaining = await StockSubscription.find();
+      expect(remaining.map((item) => item.size)).toEqual(["L"]);
+      expect(await Notification.countDocuments({ user: userId })).toBe(1);
+    });
+
+    test("#TC099 - stock changes that stay in stock do not notify", async () => {
+      const app = setupApp();
+      const product = await createProduct({ stock: 2 });
+      await subscribe(product, { color: "", size: "" });
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ stock: 5 });
+
+      expect(res.statusCode).toBe(200);
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(await StockSubscription.countDocuments()).toBe(1);
+    });
+
+    test("#TC129 - stock adjustments do not wait for restock mails", async () => {
+      const app = setupApp();
+      const product = await createProduct({ stock: 0 });
+      await subscribe(product, { color: "", size: "" });
+      sendMail.mockReturnValueOnce(new Promise(() => {}));
+
+      const res = await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: 3 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stock).toBe(3);
+      expect(await StockSubscription.countDocuments()).toBe(1);
+    });
+  });
+
+  describe("22. Low stock", () => {
+    test("#TC100 - update product sets and clears its low stock threshold", async () => {
+      const app = setupApp();
+      const product = await createProduct();
+
+      const res = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ lowStockThreshold: 15 });
+      const invalid = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ lowStockThreshold: "many" });
+      const cleared = await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ lowStockThreshold: "" });
+
+      expect(res.body.lowStockThreshold).toBe(15);
+      expect(invalid.statusCode).toBe(400);
+      expect(cleared.body.lowStockThreshold).toBeNull();
+    });
+
+    test("#TC101 - lists low stock products by recent sales velocity", async () => {
+      const app = setupApp();
+      const slow = await createProduct({ name: "Slow", stock: 1 });
+      const fast = await createProduct({ name: "Fast", stock: 4 });
+      await createProduct({ name: "Plenty", stock: 100 });
+      await Order.create({
+        receiverName: "Buyer",
+        receiverPhone: "0123456789",
+        shippingAddress: "1 Street",
+        paymentMethod: "COD",
+        totalAmount: 100,
+        products: [
+          {
+            productId: fast._id,
+            name: fast.name,
+            quantity: 6,
+            price: 100,
+            color: "Red",
+            size: "M",
+          },
+        ],
+      });
+
+      // unpaid online orders are not sales
+      await Order.create({
+        receiverName: "Buyer",
+        receiverPhone: "0123456789",
+        shippingAddress: "1 Street",
+        paymentMethod: "Stripe",
+        paymentCheck: false,
+        totalAmount: 100,
+        products: [
+          {
+            productId: fast._id,
+            name: fast.name,
+            quantity: 30,
+            price: 100,
+            color: "Red",
+            size: "M",
+          },
+        ],
+      });
+
+      const res = await request(app).get("/product/lowStock?days=3");
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.days).toBe(3);
+      expect(res.body.products.map((item) => item.name)).toEqual([
+        "Fast",
+        "Slow",
+      ]);
+      expect(res.body.products[0]).toMatchObject({
+        productId: fast._id.toString(),
+        sold: 6,
+        velocity: 2,
+        daysLeft: 2,
+      });
+      expect(res.body.products[1].productId).toBe(slow._id.toString());
+    });
+
+    test("#TC102 - only admins can see low stock products", async () => {
+      const res = await request(setupApp(false)).get("/product/lowStock");
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe("23. Inventory ledger", () => {
+    test("#TC103 - creating and editing a product records manual movements", async () => {
+      const app = setupApp();
+      const created = await request(app).post("/product/create").send({
+        name: "Ledger Product",
+        description: "Tracked stock",
+        price: 100,
+        stock: 10,
+      });
+
+      await request(app)
+        .put(`/product/update/${created.body._id}`)
+        .send({ stock: 7 });
+
+      const movements = await InventoryMovement.find({
+        product: created.body._id,
+      }).sort({ createdAt: 1, _id: 1 });
+      expect(movements.map((movement) => movement.delta)).toEqual([10, -3]);
+      expect(movements[0]).toMatchObject({
+        reason: "manual",
+        note: "Initial stock",
+      });
+      expect(movements[1].actor).toBeNull();
+    });
+
+    test("#TC104 - adjusts variant stock for a return", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        stock: 2,
+        variants: [{ sku: "RET-RED-M", color: "Red", size: "M", stock: 2 }],
+      });
+
+      const res = await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: 3, reason: "return", color: "Red", size: "M" });
+      const invalid = await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: -10, color: "Red", size: "M" });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.stock).toBe(5);
+      expect(res.body.variants[0].stock).toBe(5);
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.message).toBe("Stock can not be negative");
+      const movement = await InventoryMovement.findOne({
+        product: product._id,
+      });
+      expect(movement).toMatchObject({
+        delta: 3,
+        reason: "return",
+        sku: "RET-RED-M",
+      });
+    });
+
+    test("#TC105 - lists the stock history of a product newest first", async () => {
+      const app = setupApp();
+      const product = await createProduct({ stock: 5 });
+      await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: 2 });
+      await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: -1, note: "Damaged" });
+
+      const res = await request(app).get(
+        `/product/stockHistory/${product._id}?limit=1`
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totalNumber).toBe(2);
+      expect(res.body.totalPages).toBe(2);
+      expect(res.body.movements[0]).toMatchObject({
+        delta: -1,
+        note: "Damaged",
+      });
+    });
+
+    test("#TC106 - reconciliation flags stock that drifted from the ledger", async () => {
+      const app = setupApp();
+      const tracked = await createProduct({ stock: 5 });
+      await request(app)
+        .post(`/product/adjustStock/${tracked._id}`)
+        .send({ delta: 5 });
+      await Product.updateOne({ _id: tracked._id }, { stock: 20 });
+
+      const res = await request(app).get(
+        `/product/reconcileStock?productId=${tracked._id}`
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.checked).toBe(1);
+      expect(res.body.drift).toEqual([
+        expect.objectContaining({ stock: 20, ledgerStock: 5, drift: 15 }),
+      ]);
+    });
+
+    test("#TC107 - only admins can adjust stock or see its history", async () => {
+      const app = setupApp(false);
+      const product = await createProduct();
+
+      const adjust = await request(app)
+        .post(`/product/adjustStock/${product._id}`)
+        .send({ delta: 1 });
+      const history = await request(app).get(
+        `/product/stockHistory/${product._id}`
+      );
+      const reconcile = await request(app).get("/product/reconcileStock");
+
+      expect(adjust.statusCode).toBe(401);
+      expect(history.statusCode).toBe(401);
+      expect(reconcile.statusCode).toBe(401);
+    });
+  });
+
+  describe("24. Uploaded images", () => {
+    test("#TC108 - resolves image variants from listingPhotoPaths", async () => {
+      const app = setupApp();
+      const variants = {
+        thumbnail: { url: "http://cdn.test/p1-thumbnail.webp", width: 160 },
+        card: { url: "http://cdn.test/p1-card.webp", width: 480 },
+        full: { url: "http://cdn.test/p1-full.webp", width: 1200 },
+      };
+      await Image.create({
+        kind: "product",
+        storage: "local",
+        keys: ["product/p1-full.webp"],
+        url: variants.full.url,
+        variants,
+      });
+
+      const created = await request(app)
+        .post("/product/create")
+        .send({
+          ...validProduct,
+          listingPhotoPaths: [variants.full.url, "https://legacy.test/a.jpg"],
+        });
+      const updated = await request(app)
+        .put(`/product/update/${created.body._id}`)
+        .send({ listingPhotoPaths: ["https://legacy.test/a.jpg"] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.images).toEqual([
+        {
+          url: variants.full.url,
+          variants: expect.objectContaining({
+            card: expect.objectContaining({ url: variants.card.url }),
+          }),
+        },
+        { url: "https://legacy.test/a.jpg" },
+      ]);
+      expect(updated.body.images).toEqual([
+        { url: "https://legacy.test/a.jpg" },
+      ]);
+    });
+  });
+
+  describe("25. Change history", () => {
+    test("#TC109 - records a field-level diff for each update", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        price: 200,
+        description: "Cotton shirt",
+      });
+
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 180, description: "Linen shirt" });
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 180 });
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ salePrice: 150 });
+
+      const res = await request(app).get(`/product/versions/${product._id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totalNumber).toBe(2);
+      expect(res.body.versions.map((version) => version.version)).toEqual([
+        2, 1,
+      ]);
+      expect(res.body.versions[1].changes).toEqual([
+        { field: "description", from: "Cotton shirt", to: "Linen shirt" },
+        { field: "price", from: 200, to: 180 },
+      ]);
+      expect(res.body.versions[0]).toMatchObject({
+        source: "update",
+        changes: [{ field: "salePrice", from: null, to: 150 }],
+      });
+      expect(res.body.versions[0].createdAt).toBeDefined();
+    });
+
+    test("#TC110 - reverts to a previous version and records the revert", async () => {
+      const app = setupApp();
+      const product = await createProduct({ name: "Shirt", price: 200 });
+
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 180 });
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ name: "Linen Shirt", price: 150 });
+
+      const res = await request(app).post(`/product/revert/${product._id}/1`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({
+        name: "Shirt",
+        slug: "shirt",
+        price: 180,
+      });
+      const latest = await ProductVersion.findOne({
+        product: product._id,
+      }).sort({ version: -1 });
+      expect(latest).toMatchObject({
+        version: 3,
+        source: "revert",
+        revertedTo: 1,
+      });
+      expect(latest.changes.map((change) => change.field)).toEqual([
+        "name",
+        "price",
+        "slug",
+      ]);
+    });
+
+    test("#TC111 - reverts to the state before the first change", async () => {
+      const app = setupApp();
+      const product = await createProduct({ price: 200 });
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 180, stock: 3 });
+
+      const res = await request(app).post(`/product/revert/${product._id}/0`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.price).toBe(200);
+      expect(res.body.stock).toBe(3);
+    });
+
+    test("#TC112 - rejects unknown, current and invalid versions", async () => {
+      const app = setupApp();
+      const product = await createProduct();
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 1 });
+
+      const unknown = await request(app).post(
+        `/product/revert/${product._id}/5`
+      );
+      const current = await request(app).post(
+        `/product/revert/${product._id}/1`
+      );
+      const invalid = await request(app).post(
+        `/product/revert/${product._id}/abc`
+      );
+      const missing = await request(app).post(
+        `/product/revert/${new mongoose.Types.ObjectId()}/0`
+      );
+
+      expect(unknown.statusCode).toBe(404);
+      expect(unknown.body.message).toBe("No version found!");
+      expect(current.statusCode).toBe(400);
+      expect(current.body.message).toBe("Product is already at this version");
+      expect(invalid.statusCode).toBe(400);
+      expect(missing.statusCode).toBe(404);
+    });
+
+    test("#TC113 - only admins can see or revert history", async () => {
+      const app = setupApp(false);
+      const product = await createProduct();
+
+      const versions = await request(app).get(
+        `/product/versions/${product._id}`
+      );
+      const revert = await request(app).post(
+        `/product/revert/${product._id}/0`
+      );
+
+      expect(versions.statusCode).toBe(401);
+      expect(revert.statusCode).toBe(401);
+    });
+  });
+
+  describe("26. Price history", () => {
+    test("#TC114 - records a price point on create and on price changes", async () => {
+      const app = setupApp();
+      const created = await request(app)
+        .post("/product/create")
+        .send({ ...validProduct, price: 200 });
+
+      await request(app)
+        .put(`/product/update/${created.body._id}`)
+        .send({ description: "New description" });
+      await request(app)
+        .put(`/product/update/${created.body._id}`)
+        .send({ price: 180 });
+      await request(app)
+        .put(`/product/update/${created.body._id}`)
+        .send({ salePrice: 150 });
+
+      const points = await PriceHistory.find({
+        product: created.body._id,
+      }).sort({ changedAt: 1, _id: 1 });
+      expect(points.map((item) => [item.price, item.salePrice])).toEqual([
+        [200, null],
+        [180, null],
+        [180, 150],
+      ]);
+    });
+
+    test("#TC115 - records the previous price of a product without history", async () => {
+      const app = setupApp();
+      const product = await createProduct({ price: 200 });
+
+      await request(app)
+        .put(`/product/update/${product._id}`)
+        .send({ price: 150 });
+
+      const points = await PriceHistory.find({ product: product._id }).sort({
+        changedAt: 1,
+      });
+      expect(points.map((item) => item.price)).toEqual([200, 150]);
+    });
+
+    test("#TC116 - returns the lowest price of the prior 30 days", async () => {
+      const app = setupApp();
+      const product = await createProduct({
+        price: 150,
+        salePrice: 120,
+        variants: [
+          { sku: "PH-RED-M", color: "Red", size: "M", stock: 1, price: 300 },
+        ],
+      });
+      const daysAgo = (days) =>
+        new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      await PriceHistory.insertMany([
+        { product: product._id, price: 160, changedAt: daysAgo(50) },
+        { product: product._id, price: 200, changedAt: daysAgo(20) },
+        {
+          product: product._id,
+          price: 150,
+          salePrice: 120,
+          variants: [{ sku: "PH-RED-M", color: "Red", size: "M", price: 300 }],
+          changedAt: daysAgo(2),
+        },
+      ]);
+
+      const res = await request(app).get(`/product/each/${product._id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.pricing.currentPrice).toBe(120);
+      // giam gia tu 2 ngay truoc: 30 ngay truoc do gia 160 roi 200
+      expect(res.body.priceHistory.lowestPrice30Days).toBe(160);
+      expect(res.body.priceHistory.series.map((entry) => entry.price)).toEqual([
+        160, 200, 120,
+      ]);
+      expect(res.body.priceHistory.variants["PH-RED-M"]).toBe(160);
+    });
+
+    test("#TC117 - falls back to the current price without history", async () => {
+      const app = setupApp(false);
+      const product = await createProduct({ price: 90 });
+
+      const res = await request(app).get(`/product/slug/${product.slug}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.priceHistory).toMatchObject({
+        lowestPrice30Days: 90,
+        series: [{ price: 90 }],
+        variants: {},
+      });
+    });
+  });
+
+  describe("27. Cursor pagination", () => {
+    test("#TC118 - pages through products with a stable cursor", async () => {
+      const app = setupApp(false);
+      for (let i = 1; i <= 5; i++) {
+        await createProduct({ name: `Product ${i}`, price: i % 2 ? 100 : 200 });
+      }
+
+      const first = await request(app).get(
+        "/product/pagination?cursor=&limit=2&sort=priceLowToHigh"
+      );
+      // san pham moi chen giua hai trang khong lam lap lai phan tu da xem
+      await createProduct({ name: "Product 6", price: 50 });
+      const second = await request(app).get(
+        `/product/pagination?cursor=${first.body.nextCursor}&limit=2&sort=priceLowToHigh`
+      );
+      const third = await request(app).get(
+        `/product/pagination?cursor=${second.body.nextCursor}&limit=2&sort=priceLowToHigh`
+      );
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.totalPages).toBeUndefined();
+      const products = [
+        ...first.body.listProducts,
+        ...second.body.listProducts,
+        ...third.body.listProducts,
+      ];
+      expect(products.map((product) => product.price)).toEqual([
+        100, 100, 100, 200, 200,
+      ]);
+      expect(new Set(products.map((product) => product._id)).size).toBe(5);
+      expect(third.body.hasMore).toBe(false);
+      expect(third.body.nextCursor).toBeNull();
+    });
+
+    test("#TC119 - cursor works for computed sorts in a category", async () => {
+      const app = setupApp(false);
+      const category = await createCategory({ name: "shirt" });
+      for (let i = 1; i <= 3; i++) {
+        await createProduct({
+          name: `Shirt ${i}`,
+          categories: [category.name],
+          categoryIds: [category._id],
+        });
+      }
+
+      const first = await request(app).get(
+        `/product/category/${category.name}?cursor=&limit=2&sort=bestSelling`
+      );
+      const second = await request(app).get(
+        `/product/category/${category.name}?cursor=${first.body.nextCursor}&limit=2&sort=bestSelling`
+      );
+
+      expect(first.statusCode).toBe(200);
+      expect(first.body.totalNumber).toBe(3);
+      expect(first.body.findProductByCategory).toHaveLength(2);
+      expect(second.body.findProductByCategory).toHaveLength(1);
+      expect(second.body.hasMore).toBe(false);
+    });
+
+    test("#TC120 - rejects a cursor of another sort", async () => {
+      const app = setupApp(false);
+      await createProduct();
+      await createProduct({ name: "Other" });
+
+      const first = await request(app).get(
+        "/product/pagination?cursor=&limit=1&sort=newest"
+      );
+      const res = await request(app).get(
+        `/product/pagination?cursor=${first.body.nextCursor}&sort=nameAZ`
+      );
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe("Invalid cursor");
+    });
+  });
+});
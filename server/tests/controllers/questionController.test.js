@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Question = require("../../models/questionModel").default;
+const questionController = require("../../controllers/questionController");
+const { createProduct } = require("../helpers/productHelper");
+const { createOrder } = require("../helpers/orderHelper");
+
+const shopperId = new mongoose.Types.ObjectId();
+const buyerId = new mongoose.Types.ObjectId();
+
+const setupApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post("/questions/:productId", questionController.askQuestion);
+  app.post("/questions/answer/:questionId", questionController.answerQuestion);
+  app.get(
+    "/questions/product/:productId",
+    questionController.getProductQuestions
+  );
+  app.get("/questions/unanswered", questionController.getUnansweredQuestions);
+  app.delete("/questions/:questionId", questionController.deleteQuestion);
+  return app;
+};
+
+const shopperApp = setupApp({ id: shopperId.toString(), isAdmin: false });
+const buyerApp = setupApp({ id: buyerId.toString(), isAdmin: false });
+const adminApp = setupApp({
+  id: new mongoose.Types.ObjectId().toString(),
+  isAdmin: true,
+});
+
+const askQuestion = (product, text) =>
+  Question.create({
+    product: product._id,
+    creator: shopperId,
+    text,
+    searchText: text.toLowerCase(),
+  });
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Question Controller Tests", () => {
+  test("#TC001 - signed in user asks a question about a product", async () => {
+    const product = await createProduct({ name: "Shirt" });
+
+    const res = await request(shopperApp)
+      .post(`/questions/${product._id}`)
+      .send({ text: "  Is it cotton?  " });
+
+    expect(res.status).toBe(201);
+    expect(res.body.text).toBe("Is it cotton?");
+    expect(res.body.answeredAt).toBeNull();
+
+    const empty = await request(shopperApp)
+      .post(`/questions/${product._id}`)
+      .send({ text: " " });
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe("Question text is required");
+  });
+
+  test("#TC002 - only admins and verified buyers can answer", async () => {
+    const product = await createProduct({ name: "Shirt" });
+    const question = await askQuestion(product, "Is it cotton?");
+
+    const denied = await request(shopperApp)
+      .post(`/questions/answer/${question._id}`)
+      .send({ text: "Yes" });
+    expect(denied.status).toBe(403);
+
+    await createOrder(buyerId, {
+      status: "delivered",
+      products: [
+        {
+          productId: product._id,
+          name: product.name,
+          quantity: 1,
+          price: product.price,
+          color: "Red",
+          size: "M",
+        },
+      ],
+    });
+    const res = await request(buyerApp)
+      .post(`/questions/answer/${question._id}`)
+      .send({ text: "Yes, 100% cotton" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.answeredAt).toBeTruthy();
+    expect(res.body.answers[0]).toMatchObject({
+      text: "Yes, 100% cotton",
+      isVerifiedBuyer: true,
+      isAdmin: false,
+    });
+  });
+
+  test("#TC003 - buyers with undelivered orders are not verified", async () => {
+    const product = await createProduct({ name: "Shirt" });
+    const question = await askQuestion(product, "Is it cotton?");
+    await createOrder(buyerId, {
+      status: "shipped",
+      products: [
+        {
+          productId: product._id,
+          name: product.name,
+          quantity: 1,
+          price: product.price,
+          color: "Red",
+          size: "M",
+        },
+      ],
+    });
+
+    const res = await request(buyerApp)
+      .post(`/questions/answer/${question._id}`)
+      .send({ text: "Yes" });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(
+      "Only admins and verified buyers can answer this question"
+    );
+  });
+
+  test("#TC004 - product questions list only answered questions and search answers", async () => {
+    const product = await createProduct({ name: "Shirt" });
+    const cotton = await askQuestion(product, "Is it cotton?");
+    await askQuestion(product, "Does it shrink?");
+    const sizing = await askQuestion(product, "Which size for 70kg?");
+
+    await request(adminApp)
+      .post(`/questions/answer/${cotton._id}`)
+      .send({ text: "Chất liệu cotton" });
+    await request(adminApp)
+      .post(`/questions/answer/${sizing._id}`)
+      .send({ text: "Size L" });
+
+    const all = await request(shopperApp).get(
+      `/questions/product/${product._id}?limit=1`
+    );
+    expect(all.status).toBe(200);
+    expect(all.body.totalNumber).toBe(2);
+    expect(all.body.totalPages).toBe(2);
+    expect(all.body.questions).toHaveLength(1);
+
+    const search = await request(shopperApp).get(
+      `/questions/product/${product._id}?search=chat lieu`
+    );
+    expect(search.body.totalNumber).toBe(1);
+    expect(search.body.questions[0].text).toBe("Is it cotton?");
+  });
+
+  test("#TC005 - admin queue lists unanswered questions oldest first", async () => {
+    const product = await createProduct({ name: "Shirt" });
+    const first = await askQuestion(product, "First?");
+    const second = await askQuestion(product, "Second?");
+    await request(adminApp)
+      .post(`/questions/answer/${first._id}`)
+      .send({ text: "Answered" });
+    await askQuestion(product, "Third?");
+
+    const denied = await request(shopperApp).get("/questions/unanswered");
+    expect(denied.status).toBe(401);
+
+    const res = await request(adminApp).get("/questions/unanswered");
+    expect(res.status).toBe(200);
+    expect(res.body.totalNumber).toBe(2);
+    expect(res.body.questions[0]._id).toBe(second._id.toString());
+    expect(res.body.questions[0].product.name).toBe("Shirt");
+  });
+
+  test("#TC006 - creator or admin deletes a question", async () => {
+    const product = await createProduct({ name: "Shirt" });
+    const question = await askQuestion(product, "Is it cotton?");
+
+    const denied = await request(buyerApp).delete(`/questions/${question._id}`);
+    expect(denied.status).toBe(403);
+
+    const res = await request(shopperApp).delete(`/questions/${question._id}`);
+    expect(res.status).toBe(200);
+    expect(await Question.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const ProductView = require("../../models/productViewModel").default;
+const recentlyViewedController = require("../../controllers/recentlyViewedController");
+const {
+  mergeAnonymousViews,
+  RECENTLY_VIEWED_LIMIT,
+} = require("../../utils/recentlyViewed");
+const { createProduct } = require("../helpers/productHelper");
+
+const userId = new mongoose.Types.ObjectId();
+
+const setupApp = (viewer) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = viewer.userId ? { id: viewer.userId.toString() } : undefined;
+    req.anonymousId = viewer.anonymousId;
+    next();
+  });
+  app.post("/viewed/:productId", recentlyViewedController.recordView);
+  app.get("/viewed", recentlyViewedController.getRecentlyViewed);
+  app.delete("/viewed", recentlyViewedController.clearRecentlyViewed);
+  return app;
+};
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Recently Viewed Controller Tests", () => {
+  test("#TC001 - list viewed products newest first without duplicates", async () => {
+    const app = setupApp({ userId });
+    const shirt = await createProduct({ name: "Shirt" });
+    const pants = await createProduct({ name: "Pants" });
+
+    await request(app).post(`/viewed/${shirt._id}`);
+    await request(app).post(`/viewed/${pants._id}`);
+    await request(app).post(`/viewed/${shirt._id}`);
+
+    const res = await request(app).get("/viewed");
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((product) => product.name)).toEqual(["Shirt", "Pants"]);
+  });
+
+  test("#TC002 - keep only the latest views", async () => {
+    const app = setupApp({ anonymousId: "anon-1" });
+    for (let i = 0; i <= RECENTLY_VIEWED_LIMIT; i++) {
+      const product = await createProduct({ name: `Product ${i}` });
+      await request(app).post(`/viewed/${product._id}`);
+    }
+
+    const res = await request(app).get("/viewed");
+
+    expect(res.body).toHaveLength(RECENTLY_VIEWED_LIMIT);
+    expect(await ProductView.countDocuments({ anonymousId: "anon-1" })).toBe(
+      RECENTLY_VIEWED_LIMIT
+    );
+    expect(res.body[0].name).toBe(`Product ${RECENTLY_VIEWED_LIMIT}`);
+  });
+
+  test("#TC003 - do not record views of products that are not live", async () => {
+    const app = setupApp({ userId });
+    const draft = await createProduct({ name: "Draft", status: "draft" });
+
+    const res = await request(app).post(`/viewed/${draft._id}`);
+
+    expect(res.status).toBe(404);
+    expect(await ProductView.countDocuments()).toBe(0);
+  });
+
+  test("#TC004 - clear history", async () => {
+    const app = setupApp({ userId });
+    const shirt = await createProduct({ name: "Shirt" });
+    await request(app).post(`/viewed/${shirt._id}`);
+
+    const res = await request(app).delete("/viewed");
+    const list = await request(app).get("/viewed");
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Recently viewed history cleared");
+    expect(list.body).toEqual([]);
+  });
+
+  test("#TC005 - merge anonymous views into the account on login", async () => {
+    const shirt = await createProduct({ name: "Shirt" });
+    const pants = await createProduct({ name: "Pants" });
+    await ProductView.create({
+      userId,
+      product: shirt._id,
+      viewedAt: new Date("2025-01-01"),
+    });
+    await ProductView.create({
+      anonymousId: "anon-2",
+      product: shirt._id,
+      viewedAt: new Date("2025-03-01"),
+    });
+    await ProductView.create({
+      anonymousId: "anon-2",
+      product: pants._id,
+      viewedAt: new Date("2025-02-01"),
+    });
+
+    await mergeAnonymousViews("anon-2", userId);
+
+    const res = await request(setupApp({ userId })).get("/viewed");
+    expect(res.body.map((product) => product.name)).toEqual(["Shirt", "Pants"]);
+    expect(await ProductView.countDocuments({ anonymousId: "anon-2" })).toBe(0);
+  });
+});
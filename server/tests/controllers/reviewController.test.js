@@ -12,6 +12,7 @@ const {
 } = require("../setup/mongoMemoryServer.js");
 
 const reviewController = require("../../controllers/reviewController.js");
+const Image = require("../../models/imageModel.js").default;
 const {
   createReview, // Helper to create single review document
   createMultipleReviews, // Helper to create multiple review documents
@@ -743,4 +744,83 @@ describe("ReviewController Integration", () => {
       expect(res.body.average).toBe(5);
     });
   });
+
+  describe("getProductReview Cursor Pagination", () => {
+    test("#TC046 - pages through reviews with a cursor without duplicates", async () => {
+      await createMultipleReviews({
+        count: 5,
+        commonFields: { product: sampleProductId },
+      });
+
+      const first = await request(app).get(
+        `/reviews/product/${sampleProductId}?cursor=&limit=3`
+      );
+      // danh gia moi chen giua hai trang khong lam lap lai hay mat phan tu
+      await createReview({ product: sampleProductId });
+      const second = await request(app).get(
+        `/reviews/product/${sampleProductId}?cursor=${first.body.nextCursor}&limit=3`
+      );
+
+      expect(first.status).toBe(200);
+      expect(first.body.reviews).toHaveLength(3);
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.totalNumber).toBe(5);
+      expect(second.body.reviews).toHaveLength(2);
+      expect(second.body.hasMore).toBe(false);
+      expect(second.body.nextCursor).toBeNull();
+      const ids = [...first.body.reviews, ...second.body.reviews].map(
+        (review) => review._id
+      );
+      expect(new Set(ids).size).toBe(5);
+    });
+
+    test("#TC047 - rejects an invalid cursor", async () => {
+      const res = await request(app).get(
+        `/reviews/product/${sampleProductId}?cursor=not-a-cursor`
+      );
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Invalid cursor");
+    });
+  });
+
+  describe("Uploaded images", () => {
+    test("#TC048 - stores the sizes of uploaded review images", async () => {
+      const variants = {
+        thumbnail: { url: "http://cdn.test/r1-thumbnail.webp", width: 160 },
+        card: { url: "http://cdn.test/r1-card.webp", width: 480 },
+        full: { url: "http://cdn.test/r1-full.webp", width: 1200 },
+      };
+      await Image.create({
+        kind: "review",
+        storage: "local",
+        keys: ["review/r1-full.webp"],
+        url: variants.full.url,
+        variants,
+      });
+
+      const res = await request(app)
+        .post(`/reviews/${sampleUserId}`)
+        .send({
+          productIds: [sampleProductId],
+          order: new mongoose.Types.ObjectId().toString(),
+          rating: 5,
+          comment: "Looks like the photos",
+          image: [variants.full.url, "https://legacy.test/r.jpg"],
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body[0].images).toEqual([
+        {
+          url: variants.full.url,
+          variants: expect.objectContaining({
+            thumbnail: expect.objectContaining({
+              url: variants.thumbnail.url,
+            }),
+          }),
+        },
+        { url: "https://legacy.test/r.jpg" },
+      ]);
+    });
+  });
 });
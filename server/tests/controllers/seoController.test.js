@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const seoController = require("../../controllers/seoController");
+const { createProduct } = require("../helpers/productHelper");
+const { createCategory } = require("../helpers/categoryHelper");
+
+const setupApp = () => {
+  const app = express();
+  app.get("/sitemap.xml", seoController.getSitemap);
+  app.get("/robots.txt", seoController.getRobots);
+  return app;
+};
+
+beforeAll(async () => {
+  process.env.ECOMMERCE_STORE_URL = "https://kaydi.vn/";
+  await connect();
+});
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("SEO Controller Tests", () => {
+  test("#TC001 - sitemap lists categories and live products", async () => {
+    const app = setupApp();
+    await createCategory({ name: "shirt" });
+    await createProduct({ name: "Áo Polo" });
+    await createProduct({ name: "Bản nháp", status: "draft" });
+
+    const res = await request(app).get("/sitemap.xml");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toContain("application/xml");
+    expect(res.text).toContain("<loc>https://kaydi.vn/collections/shirt</loc>");
+    expect(res.text).toContain("<loc>https://kaydi.vn/products/ao-polo</loc>");
+    expect(res.text).not.toContain("ban-nhap");
+  });
+
+  test("#TC002 - robots.txt points at the sitemap", async () => {
+    const app = setupApp();
+
+    const res = await request(app).get("/robots.txt");
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("Sitemap: https://kaydi.vn/sitemap.xml");
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const SizeChart = require("../../models/sizeChartModel").default;
+const sizeChartController = require("../../controllers/sizeChartController");
+const { createProduct } = require("../helpers/productHelper");
+const { createCategory } = require("../helpers/categoryHelper");
+const { createUser } = require("../helpers/userHelper");
+const { createOrder } = require("../helpers/orderHelper");
+
+const setupApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post("/sizeCharts", sizeChartController.createSizeChart);
+  app.get("/sizeCharts", sizeChartController.getAllSizeCharts);
+  app.get(
+    "/sizeCharts/product/:productId",
+    sizeChartController.getProductSizeChart
+  );
+  app.get(
+    "/sizeCharts/recommend/:productId",
+    sizeChartController.getSizeRecommendation
+  );
+  app.put("/sizeCharts/:sizeChartId", sizeChartController.updateSizeChart);
+  app.delete("/sizeCharts/:sizeChartId", sizeChartController.deleteSizeChart);
+  return app;
+};
+
+const adminApp = setupApp({
+  id: new mongoose.Types.ObjectId().toString(),
+  isAdmin: true,
+});
+const userApp = setupApp({
+  id: new mongoose.Types.ObjectId().toString(),
+  isAdmin: false,
+});
+
+const chartBody = (overrides = {}) => ({
+  name: "Áo thun",
+  measurements: [
+    { key: "height", label: "Chiều cao", unit: "cm" },
+    { key: "weight", label: "Cân nặng", unit: "kg" },
+  ],
+  rows: [
+    { size: "M", values: { height: "160-165", weight: "50-56" } },
+    { size: "L", values: { height: "166-172", weight: "57-65" } },
+  ],
+  ...overrides,
+});
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Size Chart Controller Tests", () => {
+  test("#TC001 - admin creates a size chart with parsed ranges", async () => {
+    const category = await createCategory({ name: "shirts" });
+
+    const res = await request(adminApp)
+      .post("/sizeCharts")
+      .send(chartBody({ categories: [category._id.toString()] }));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.rows[1].values.height).toEqual({ min: 166, max: 172 });
+    expect(res.body.categories).toEqual([category._id.toString()]);
+  });
+
+  test("#TC002 - non admin cannot create a size chart", async () => {
+    const res = await request(userApp).post("/sizeCharts").send(chartBody());
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("#TC003 - rejects rows with unknown measurements", async () => {
+    const res = await request(adminApp)
+      .post("/sizeCharts")
+      .send(chartBody({ rows: [{ size: "M", values: { waist: "70-74" } }] }));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Unknown measurement: waist");
+  });
+
+  test("#TC004 - resolves the product chart before the category chart", async () => {
+    const category = await createCategory({ name: "pants" });
+    const product = await createProduct({
+      name: "Quần jean",
+      categories: ["pants"],
+      categoryIds: [category._id],
+    });
+    await SizeChart.create({
+      ...chartBody({ name: "Category chart" }),
+      rows: [],
+      categories: [category._id],
+    });
+
+    let res = await request(userApp).get(`/sizeCharts/product/${product._id}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe("Category chart");
+
+    await SizeChart.create({
+      ...chartBody({ name: "Product chart" }),
+      rows: [],
+      products: [product._id],
+    });
+
+    res = await request(userApp).get(`/sizeCharts/product/${product._id}`);
+    expect(res.body.name).toBe("Product chart");
+  });
+
+  test("#TC005 - falls back to the nearest ancestor category chart", async () => {
+    const parent = await createCategory({ name: "sportswear" });
+    const child = await createCategory({
+      name: "sport-pants",
+      parent: parent._id,
+      ancestors: [parent._id],
+    });
+    const product = await createProduct({ categoryIds: [child._id] });
+    await SizeChart.create({
+      ...chartBody({ name: "Sportswear" }),
+      rows: [],
+      categories: [parent._id],
+    });
+
+    const res = await request(userApp).get(
+      `/sizeCharts/product/${product._id}`
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe("Sportswear");
+  });
+
+  test("#TC006 - returns 404 when no chart applies", async () => {
+    const product = await createProduct({ name: "Tất" });
+
+    const res = await request(userApp).get(
+      `/sizeCharts/product/${product._id}`
+    );
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("This product doesnt have a size chart");
+  });
+
+  test("#TC007 - assigning a category moves it from its previous chart", async () => {
+    const category = await createCategory({ name: "underwear" });
+    const oldChart = await SizeChart.create({
+      ...chartBody({ name: "Old" }),
+      rows: [],
+      categories: [category._id],
+    });
+    const newChart = await SizeChart.create({
+      ...chartBody({ name: "New" }),
+      rows: [],
+    });
+
+    const res = await request(adminApp)
+      .put(`/sizeCharts/${newChart._id}`)
+      .send({ categories: [category._id.toString()] });
+
+    expect(res.statusCode).toBe(200);
+    const reloaded = await SizeChart.findById(oldChart._id);
+    expect(reloaded.categories).toHaveLength(0);
+  });
+
+  test("#TC008 - updating rows keeps the stored measurements", async () => {
+    const chart = await SizeChart.create({ ...chartBody(), rows: [] });
+
+    const res = await request(adminApp)
+      .put(`/sizeCharts/${chart._id}`)
+      .send({ rows: [{ size: "XL", values: { weight: 70 } }] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.rows).toEqual([
+      { size: "XL", values: { weight: { min: 70, max: 70 } } },
+    ]);
+  });
+
+  test("#TC009 - admin deletes a size chart", async () => {
+    const chart = await SizeChart.create({ ...chartBody(), rows: [] });
+
+    const res = await request(adminApp).delete(`/sizeCharts/${chart._id}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(await SizeChart.countDocuments()).toBe(0);
+  });
+
+  describe("Size recommendation", () => {
+    const recommend = (user, product) =>
+      request(setupApp({ id: user._id.toString(), isAdmin: false })).get(
+        `/sizeCharts/recommend/${product._id}`
+      );
+
+    test("#TC010 - recommends a size from the fit profile and chart", async () => {
+      const user = await createUser({
+        fitProfile: { height: 168, weight: 60, fit: "regular" },
+      });
+      const product = await createProduct({ sizes: ["M", "L", "XL"] });
+      await SizeChart.create({ ...chartBody(), products: [product._id] });
+
+      const res = await recommend(user, product);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ size: "L", source: "profile" });
+    });
+
+    test("#TC011 - prefers a size kept in delivered orders one size away", async () => {
+      const user = await createUser({
+        fitProfile: { height: 168, weight: 60, fit: "regular" },
+      });
+      const product = await createProduct({ sizes: ["M", "L", "XL"] });
+      await SizeChart.create({ ...chartBody(), products: [product._id] });
+      await createOrder(user._id, {
+        status: "delivered",
+        products: [
+          {
+            productId: product._id,
+            name: product.name,
+            quantity: 1,
+            price: 100,
+            color: "Red",
+            size: "M",
+          },
+        ],
+      });
+
+      const res = await recommend(user, product);
+
+      expect(res.body).toMatchObject({
+        size: "M",
+        source: "history",
+        profileSize: "L",
+        historySize: "M",
+      });
+    });
+
+    test("#TC012 - ignores orders that were not delivered", async () => {
+      const user = await createUser();
+      const product = await createProduct({ sizes: ["M", "L"] });
+      await createOrder(user._id, {
+        status: "shipped",
+        products: [
+          {
+            productId: product._id,
+            name: product.name,
+            quantity: 1,
+            price: 100,
+            color: "Red",
+            size: "M",
+          },
+        ],
+      });
+
+      const res = await recommend(user, product);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.size).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ */
+const request = require("supertest");
+const express = require("express");
+const mongoose = require("mongoose");
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const StockSubscription =
+  require("../../models/stockSubscriptionModel").default;
+const stockAlertController = require("../../controllers/stockAlertController");
+const { createProduct } = require("../helpers/productHelper");
+const { createUser } = require("../helpers/userHelper");
+
+jest.mock("../../lib/pusher", () => ({
+  pusherServer: { trigger: jest.fn().mockResolvedValue(true) },
+}));
+
+const setupApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post("/stockAlerts/:productId", stockAlertController.subscribeStockAlert);
+  app.get("/stockAlerts/mine", stockAlertController.getMyStockAlerts);
+  app.get("/stockAlerts/demand", stockAlertController.getStockDemand);
+  app.delete("/stockAlerts/:token", stockAlertController.unsubscribeStockAlert);
+  return app;
+};
+
+const guestApp = setupApp(undefined);
+const adminApp = setupApp({
+  id: new mongoose.Types.ObjectId().toString(),
+  isAdmin: true,
+});
+
+const createSoldOutProduct = () =>
+  createProduct({
+    stock: 2,
+    variants: [
+      { color: "Red", size: "M", stock: 0, sku: "RED-M" },
+      { color: "Red", size: "L", stock: 2, sku: "RED-L" },
+    ],
+  });
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("Stock Alert Controller Tests", () => {
+  test("#TC001 - guest subscribes to an out of stock variant", async () => {
+    const product = await createSoldOutProduct();
+
+    const res = await request(guestApp)
+      .post(`/stockAlerts/${product._id}`)
+      .send({ color: "Red", size: "M", email: "Guest@Example.com" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.subscription.email).toBe("guest@example.com");
+    expect(res.body.subscription.token).toBeDefined();
+  });
+
+  test("#TC002 - signed in user subscribes with the account email", async () => {
+    const user = await createUser({ email: "member@example.com" });
+    const product = await createSoldOutProduct();
+
+    const res = await request(
+      setupApp({ id: user._id.toString(), isAdmin: false })
+    )
+      .post(`/stockAlerts/${product._id}`)
+      .send({ color: "Red", size: "M" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.subscription.email).toBe("member@example.com");
+    expect(res.body.subscription.user).toBe(user._id.toString());
+  });
+
+  test("#TC003 - subscribing twice does not create a duplicate", async () => {
+    const product = await createSoldOutProduct();
+    const body = { color: "Red", size: "M", email: "guest@example.com" };
+
+    await request(guestApp).post(`/stockAlerts/${product._id}`).send(body);
+    const res = await request(guestApp)
+      .post(`/stockAlerts/${product._id}`)
+      .send(body);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("You are already subscribed");
+    expect(await StockSubscription.countDocuments()).toBe(1);
+  });
+
+  test("#TC004 - cannot subscribe to a variant that is in stock", async () => {
+    const product = await createSoldOutProduct();
+
+    const res = await request(guestApp)
+      .post(`/stockAlerts/${product._id}`)
+      .send({ color: "Red", size: "L", email: "guest@example.com" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("This variant is in stock");
+  });
+
+  test("#TC005 - unsubscribes with the token", async () => {
+    const product = await createSoldOutProduct();
+    const subscription = await StockSubscription.create({
+      product: product._id,
+      color: "Red",
+      size: "M",
+      email: "guest@example.com",
+      token: "abc123",
+    });
+
+    const res = await request(guestApp).delete(
+      `/stockAlerts/${subscription.token}`
+    );
+    const missing = await request(guestApp).delete("/stockAlerts/abc123");
+
+    expect(res.statusCode).toBe(200);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test("#TC006 - admin sees demand counts per variant", async () => {
+    const product = await createSoldOutProduct();
+    await StockSubscription.create([
+      {
+        product: product._id,
+        color: "Red",
+        size: "M",
+        email: "a@x.com",
+        token: "a",
+      },
+      {
+        product: product._id,
+        color: "Red",
+        size: "M",
+        email: "b@x.com",
+        token: "b",
+      },
+    ]);
+
+    const res = await request(adminApp).get("/stockAlerts/demand");
+    const denied = await request(setupApp({ id: "user", isAdmin: false })).get(
+      "/stockAlerts/demand"
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([
+      expect.objectContaining({
+        productId: product._id.toString(),
+        color: "Red",
+        size: "M",
+        count: 2,
+        stock: 0,
+      }),
+    ]);
+    expect(denied.statusCode).toBe(401);
+  });
+});
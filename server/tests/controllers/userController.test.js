@@ -485,4 +485,52 @@ describe("UserController Tests", () => {
       expect(res.status).toBe(500); // Should return error for invalid ObjectId
     });
   });
+
+  describe("10. Fit profile", () => {
+    test("#TC037 - updateUser: Saves height, weight and preferred fit", async () => {
+      const user = await createUser();
+      app = createAppWithAuth({ id: user._id.toString(), isAdmin: false });
+
+      const res = await request(app)
+        .put(`/update/${user._id}`)
+        .send({ fitProfile: { height: "172", weight: 65, fit: "slim" } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.fitProfile).toEqual({
+        height: 172,
+        weight: 65,
+        fit: "slim",
+      });
+    });
+
+    test("#TC038 - updateUser: Keeps other fit fields on partial update", async () => {
+      const user = await createUser({
+        fitProfile: { height: 170, weight: 60, fit: "loose" },
+      });
+      app = createAppWithAuth({ id: user._id.toString(), isAdmin: false });
+
+      const res = await request(app)
+        .put(`/update/${user._id}`)
+        .send({ fitProfile: { weight: 62 } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.fitProfile).toEqual({
+        height: 170,
+        weight: 62,
+        fit: "loose",
+      });
+    });
+
+    test("#TC039 - updateUser: Rejects invalid fit profile", async () => {
+      const user = await createUser();
+      app = createAppWithAuth({ id: user._id.toString(), isAdmin: false });
+
+      const res = await request(app)
+        .put(`/update/${user._id}`)
+        .send({ fitProfile: { height: 500 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("height must be between 50 and 250");
+    });
+  });
 });
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Product = require("../../models/productModel").default;
+const Category = require("../../models/categoryModel").default;
+const { backfillSlugs } = require("../../scripts/backfillSlugs");
+const { createProduct } = require("../helpers/productHelper");
+const { createCategory } = require("../helpers/categoryHelper");
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("backfillSlugs", () => {
+  test("#TC001 - documents without a slug get a unique one", async () => {
+    const first = await createProduct({ name: "Áo Polo" });
+    const second = await createProduct({ name: "Áo polo" });
+    const category = await createCategory({ name: "shirt" });
+    await Product.updateMany({}, { $unset: { slug: 1 } });
+    await Category.updateMany({}, { $unset: { slug: 1 } });
+
+    const summary = await backfillSlugs();
+
+    expect(summary).toEqual({ updatedCategories: 1, updatedProducts: 2 });
+    expect((await Product.findById(first._id)).slug).toBe("ao-polo");
+    expect((await Product.findById(second._id)).slug).toBe("ao-polo-2");
+    expect((await Category.findById(category._id)).slug).toBe("shirt");
+  });
+
+  test("#TC002 - running twice changes nothing", async () => {
+    await createProduct({ name: "Quần jean" });
+
+    await backfillSlugs();
+    const summary = await backfillSlugs();
+
+    expect(summary.updatedProducts).toBe(0);
+    expect((await Product.findOne()).slug).toBe("quan-jean");
+  });
+});
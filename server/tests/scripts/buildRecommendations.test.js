@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Order = require("../../models/orderModel").default;
+const Product = require("../../models/productModel").default;
+const Recommendation = require("../../models/recommendationModel").default;
+const { buildRecommendations } = require("../../scripts/buildRecommendations");
+const { createProduct } = require("../helpers/productHelper");
+
+const createOrder = (products, payment = { paymentMethod: "COD" }) =>
+  Order.create({
+    receiverName: "Buyer",
+    receiverPhone: "0123456789",
+    shippingAddress: "1 Street",
+    ...payment,
+    totalAmount: 100,
+    products: products.map((product) => ({
+      productId: product._id,
+      name: product.name,
+      quantity: 1,
+      price: product.price,
+      color: "Red",
+      size: "M",
+    })),
+  });
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("buildRecommendations", () => {
+  test("#TC001 - products bought together recommend each other", async () => {
+    const shirt = await createProduct({ name: "Shirt", categories: ["shirt"] });
+    const pants = await createProduct({ name: "Pants", categories: ["pants"] });
+    await createOrder([shirt, pants]);
+
+    const summary = await buildRecommendations();
+
+    const stored = await Recommendation.findOne({ product: shirt._id });
+    expect(summary.withCoPurchases).toBe(2);
+    expect(stored.items[0].product.toString()).toBe(pants._id.toString());
+    expect(stored.items[0].source).toBe("co-purchase");
+  });
+
+  test("#TC002 - fall back to same-category best sellers", async () => {
+    const shirt = await createProduct({ name: "Shirt", categories: ["shirt"] });
+    const polo = await createProduct({ name: "Polo", categories: ["shirt"] });
+    const tee = await createProduct({ name: "Tee", categories: ["shirt"] });
+    await createOrder([tee]);
+
+    await buildRecommendations();
+
+    const stored = await Recommendation.findOne({ product: shirt._id });
+    expect(stored.items.map((item) => item.product.toString())).toEqual([
+      tee._id.toString(),
+      polo._id.toString(),
+    ]);
+    expect(stored.items.every((item) => item.source === "best-seller")).toBe(
+      true
+    );
+  });
+
+  test("#TC003 - archived products are never recommended", async () => {
+    const shirt = await createProduct({ name: "Shirt", categories: ["shirt"] });
+    const old = await createProduct({
+      name: "Old",
+      categories: ["shirt"],
+      status: "archived",
+    });
+    await createOrder([shirt, old]);
+
+    await buildRecommendations();
+
+    const stored = await Recommendation.findOne({ product: shirt._id });
+    expect(stored.items).toHaveLength(0);
+    expect(await Recommendation.findOne({ product: old._id })).toBeNull();
+  });
+
+  test("#TC004 - sold counts skip unpaid card orders", async () => {
+    const shirt = await createProduct({ name: "Shirt", categories: ["shirt"] });
+    const pants = await createProduct({ name: "Pants", soldCount: 7 });
+    await createOrder([shirt]);
+    await createOrder([shirt], { paymentMethod: "Stripe", paymentCheck: true });
+    await createOrder([shirt, pants], { paymentMethod: "Stripe" });
+
+    const summary = await buildRecommendations();
+
+    expect(summary.orders).toBe(2);
+    expect((await Product.findById(shirt._id)).soldCount).toBe(2);
+    expect((await Product.findById(pants._id)).soldCount).toBe(0);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Product = require("../../models/productModel").default;
+const Category = require("../../models/categoryModel").default;
+const { rebuildSearchIndex } = require("../../scripts/buildSearchIndex");
+const { createProduct } = require("../helpers/productHelper");
+const { createCategory } = require("../helpers/categoryHelper");
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("rebuildSearchIndex", () => {
+  test("#TC001 - products without an index get one", async () => {
+    const product = await createProduct({ name: "Áo Polo" });
+    await Product.updateOne({ _id: product._id }, { $unset: { search: 1 } });
+
+    const summary = await rebuildSearchIndex();
+
+    const updated = await Product.findById(product._id).select("+search");
+    expect(summary.updatedProducts).toBe(1);
+    expect(updated.search.name).toBe("ao polo");
+    expect(updated.search.grams).toContain("pol");
+  });
+
+  test("#TC002 - running twice gives the same index", async () => {
+    await createProduct({ name: "Quần jean", categories: ["Quần"] });
+
+    await rebuildSearchIndex();
+    const first = await Product.findOne().select("+search").lean();
+    await rebuildSearchIndex();
+    const second = await Product.findOne().select("+search").lean();
+
+    expect(second.search).toEqual(first.search);
+  });
+
+  test("#TC003 - categories get their suggestion names", async () => {
+    const category = await createCategory({ name: "polo", title: "Áo polo" });
+    await Category.updateOne(
+      { _id: category._id },
+      { $unset: { searchNames: 1 } }
+    );
+
+    const summary = await rebuildSearchIndex();
+
+    const updated = await Category.findById(category._id).select(
+      "+searchNames"
+    );
+    expect(summary.updatedCategories).toBe(1);
+    expect(updated.searchNames).toEqual(["polo", "ao polo"]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Category = require("../../models/categoryModel").default;
+const Product = require("../../models/productModel").default;
+const { migrateCategories } = require("../../scripts/migrateCategories");
+const { createCategory } = require("../helpers/categoryHelper");
+const { createProduct } = require("../helpers/productHelper");
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("migrateCategories", () => {
+  test("#TC001 - description items become sub categories", async () => {
+    const casual = await createCategory({
+      name: "casual",
+      description: ["Áo polo", "Quần short"],
+    });
+
+    await migrateCategories();
+
+    const children = await Category.find({ parent: casual._id });
+    expect(children.map((child) => child.name).sort()).toEqual([
+      "Quần short",
+      "Áo polo",
+    ]);
+    expect(children[0].ancestors.map((id) => id.toString())).toEqual([
+      casual._id.toString(),
+    ]);
+  });
+
+  test("#TC002 - product strings are mapped to tree nodes", async () => {
+    const casual = await createCategory({
+      name: "casual",
+      description: ["Áo polo"],
+    });
+    const product = await createProduct({ categories: ["casual", "Áo polo"] });
+
+    await migrateCategories();
+
+    const polo = await Category.findOne({ name: "Áo polo" });
+    const migrated = await Product.findById(product._id);
+    expect(migrated.categoryIds.map((id) => id.toString())).toEqual([
+      casual._id.toString(),
+      polo._id.toString(),
+    ]);
+  });
+
+  test("#TC003 - unknown strings become new root categories", async () => {
+    const product = await createProduct({ categories: ["accessory"] });
+
+    await migrateCategories();
+
+    const accessory = await Category.findOne({ name: "accessory" });
+    expect(accessory).not.toBeNull();
+    expect(accessory.parent).toBeNull();
+    const migrated = await Product.findById(product._id);
+    expect(migrated.categoryIds[0].toString()).toBe(accessory._id.toString());
+  });
+
+  test("#TC004 - running twice does not duplicate categories", async () => {
+    await createCategory({ name: "casual", description: ["Áo polo"] });
+    await createProduct({ categories: ["casual", "Áo polo"] });
+
+    await migrateCategories();
+    const firstCount = await Category.countDocuments();
+    const summary = await migrateCategories();
+
+    expect(await Category.countDocuments()).toBe(firstCount);
+    expect(summary.createdCategories).toBe(0);
+  });
+});
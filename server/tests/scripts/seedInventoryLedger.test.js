@@ -0,0 +1,46 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const InventoryMovement =
+  require("../../models/inventoryMovementModel").default;
+const { seedInventoryLedger } = require("../../scripts/seedInventoryLedger");
+const { createProduct } = require("../helpers/productHelper");
+
+beforeAll(async () => await connect());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("seedInventoryLedger", () => {
+  test("#TC001 - records the current stock as an opening balance", async () => {
+    const product = await createProduct({ stock: 7 });
+
+    const summary = await seedInventoryLedger();
+
+    expect(summary.seeded).toBe(1);
+    const movements = await InventoryMovement.find({ product: product._id });
+    expect(movements).toHaveLength(1);
+    expect(movements[0]).toMatchObject({
+      delta: 7,
+      reason: "manual",
+      note: "Opening balance",
+    });
+  });
+
+  test("#TC002 - skips products that already have ledger entries", async () => {
+    const product = await createProduct({ stock: 3 });
+    await seedInventoryLedger();
+
+    const again = await seedInventoryLedger();
+
+    expect(again.seeded).toBe(0);
+    expect(
+      await InventoryMovement.countDocuments({ product: product._id })
+    ).toBe(1);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+const {
+  connect,
+  closeDatabase,
+  clearDatabase,
+} = require("../setup/mongoMemoryServer");
+
+const Product = require("../../models/productModel").default;
+const { sendMail } = require("../../utils/mail");
+const { sendLowStockDigest } = require("../../scripts/sendLowStockDigest");
+const { createProduct } = require("../helpers/productHelper");
+const { createAdminUser } = require("../helpers/userHelper");
+
+jest.mock("../../utils/mail", () => ({
+  getStoreUrl: () => "http://localhost:5173",
+  sendMail: jest.fn().mockResolvedValue(true),
+}));
+
+beforeAll(async () => await connect());
+beforeEach(() => sendMail.mockClear());
+afterEach(async () => await clearDatabase());
+afterAll(async () => await closeDatabase());
+
+describe("sendLowStockDigest", () => {
+  test("#TC001 - mails admins the products that crossed the threshold once", async () => {
+    await createAdminUser({ email: "admin@shop.vn" });
+    const low = await createProduct({ name: "Low", stock: 2 });
+    await createProduct({ name: "Custom", stock: 8, lowStockThreshold: 10 });
+    await createProduct({ name: "Plenty", stock: 50 });
+
+    const summary = await sendLowStockDigest();
+    const again = await sendLowStockDigest();
+
+    expect(summary.alerted).toBe(2);
+    expect(again.alerted).toBe(0);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0].to).toBe("admin@shop.vn");
+    const stored = await Product.findById(low._id);
+    expect(stored.lowStockAlertedAt).not.toBeNull();
+  });
+
+  test("#TC002 - alerts again after the product was restocked", async () => {
+    await createAdminUser();
+    const product = await createProduct({ stock: 1 });
+    await sendLowStockDigest();
+
+    await Product.updateOne({ _id: product._id }, { stock: 20 });
+    const restocked = await sendLowStockDigest();
+    await Product.updateOne({ _id: product._id }, { stock: 0 });
+    const crossed = await sendLowStockDigest();
+
+    expect(restocked).toMatchObject({ alerted: 0, reset: 1 });
+    expect(crossed.alerted).toBe(1);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+  });
+
+  test("#TC003 - archived products are not reported", async () => {
+    await createAdminUser();
+    await createProduct({ stock: 0, status: "archived" });
+
+    const summary = await sendLowStockDigest();
+
+    expect(summary.alerted).toBe(0);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
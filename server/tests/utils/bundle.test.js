@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import {
+  checkBundleProducts,
+  expandBundleLine,
+  getBundleComponents,
+  getBundleStock,
+  isBundleLine,
+  validateBundleItems,
+} from "../../utils/bundle";
+
+describe("bundle utils", () => {
+  const shirtId = new mongoose.Types.ObjectId();
+  const pantsId = new mongoose.Types.ObjectId();
+  const shirt = {
+    _id: shirtId,
+    name: "Shirt",
+    stock: 7,
+    variants: [
+      { sku: "SHIRT-RED-M", color: "Red", size: "M", stock: 7 },
+      { sku: "SHIRT-RED-L", color: "Red", size: "L", stock: 0 },
+    ],
+  };
+  const pants = { _id: pantsId, name: "Pants", stock: 10, variants: [] };
+  const bundle = {
+    items: [
+      { productId: shirtId, color: "Red", size: "M", quantity: 1 },
+      { productId: pantsId, quantity: 3 },
+    ],
+  };
+
+  it("should validate bundle items", () => {
+    expect(validateBundleItems([])).toBe("A bundle needs at least one product");
+    expect(validateBundleItems([{ productId: "abc" }])).toBe(
+      "Each bundle item needs a valid productId"
+    );
+    expect(validateBundleItems([{ productId: shirtId, quantity: 0 }])).toBe(
+      "Bundle item quantity must be a whole number of at least 1"
+    );
+    expect(validateBundleItems(bundle.items)).toBeNull();
+  });
+
+  it("should require an existing variant for each component", () => {
+    expect(checkBundleProducts(bundle.items, [shirt, pants])).toBeNull();
+    expect(checkBundleProducts(bundle.items, [shirt])).toBe(
+      `Product ${pantsId} not found`
+    );
+    expect(
+      checkBundleProducts(
+        [{ productId: shirtId, color: "Blue", size: "M" }],
+        [shirt]
+      )
+    ).toBe("Shirt is not available in Blue / M");
+  });
+
+  it("should limit bundle stock by its scarcest component", () => {
+    expect(getBundleStock(bundle, [shirt, pants])).toBe(3);
+    expect(getBundleStock(bundle, [shirt])).toBe(0);
+    expect(
+      getBundleStock(
+        {
+          items: [{ productId: shirtId, color: "Red", size: "L", quantity: 1 }],
+        },
+        [shirt]
+      )
+    ).toBe(0);
+    expect(
+      getBundleStock(bundle, [{ ...shirt, status: "archived" }, pants])
+    ).toBe(0);
+  });
+
+  it("should expand a bundle line into component stock lines", () => {
+    const components = getBundleComponents(bundle, [shirt, pants]);
+    expect(components[0]).toMatchObject({
+      name: "Shirt",
+      sku: "SHIRT-RED-M",
+      quantity: 1,
+    });
+
+    const line = {
+      bundleId: new mongoose.Types.ObjectId(),
+      quantity: 2,
+      components,
+    };
+    expect(isBundleLine(line)).toBe(true);
+    expect(isBundleLine({ productId: shirtId })).toBe(false);
+    expect(expandBundleLine(line)).toEqual([
+      { productId: String(shirtId), color: "Red", size: "M", quantity: 2 },
+      {
+        productId: String(pantsId),
+        color: undefined,
+        size: undefined,
+        quantity: 6,
+      },
+    ]);
+  });
+});
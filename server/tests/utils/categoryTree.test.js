@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { buildCategoryTree } from "../../utils/categoryTree";
+
+describe("buildCategoryTree", () => {
+  const rootId = new mongoose.Types.ObjectId();
+  const childId = new mongoose.Types.ObjectId();
+  const grandChildId = new mongoose.Types.ObjectId();
+  const otherRootId = new mongoose.Types.ObjectId();
+
+  it("should nest categories under their parent", () => {
+    const tree = buildCategoryTree([
+      { _id: rootId, name: "casual", parent: null },
+      { _id: childId, name: "shirt", parent: rootId },
+      { _id: grandChildId, name: "polo", parent: childId },
+      { _id: otherRootId, name: "sport", parent: null },
+    ]);
+
+    expect(tree.map((node) => node.name)).toEqual(["casual", "sport"]);
+    expect(tree[0].children[0].name).toBe("shirt");
+    expect(tree[0].children[0].children[0].name).toBe("polo");
+    expect(tree[1].children).toEqual([]);
+  });
+
+  it("should keep a node as root when its parent is missing", () => {
+    const tree = buildCategoryTree([
+      { _id: childId, name: "shirt", parent: new mongoose.Types.ObjectId() },
+    ]);
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].name).toBe("shirt");
+  });
+});
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import {
+  encodeCursor,
+  isCursorRequest,
+  parseCursor,
+  parseCursorLimit,
+  parsePageQuery,
+  toCursorPage,
+} from "../../utils/cursor";
+
+const SORT = { createdAt: -1, _id: -1 };
+
+describe("cursor utils", () => {
+  it("should build an after filter from an encoded cursor", () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date("2026-03-01T10:00:00.000Z"),
+    };
+
+    const { filter } = parseCursor(encodeCursor(doc, SORT), SORT);
+
+    expect(filter).toEqual({
+      $or: [
+        { createdAt: { $lt: doc.createdAt } },
+        { createdAt: doc.createdAt, _id: { $lt: doc._id } },
+      ],
+    });
+    expect(filter.$or[1]._id.$lt).toBeInstanceOf(mongoose.Types.ObjectId);
+  });
+
+  it("should use $gt for ascending keys and keep plain values", () => {
+    const sort = { price: 1, _id: 1 };
+    const doc = { _id: new mongoose.Types.ObjectId(), price: 120 };
+
+    const { filter } = parseCursor(encodeCursor(doc, sort), sort);
+
+    expect(filter.$or[0]).toEqual({ price: { $gt: 120 } });
+    expect(filter.$or[1].price).toBe(120);
+  });
+
+  it("should treat an empty cursor as the first page", () => {
+    expect(parseCursor("", SORT)).toEqual({ filter: {} });
+    expect(parseCursor(undefined, SORT)).toEqual({ filter: {} });
+    expect(isCursorRequest({ cursor: "" })).toBe(true);
+    expect(isCursorRequest({ page: "2" })).toBe(false);
+  });
+
+  it("should reject malformed cursors and cursors of another sort", () => {
+    const doc = { _id: new mongoose.Types.ObjectId(), price: 10 };
+
+    expect(parseCursor("not-a-cursor", SORT)).toEqual({
+      error: "Invalid cursor",
+    });
+    expect(parseCursor(encodeCursor(doc, { price: 1, _id: 1 }), SORT)).toEqual({
+      error: "Invalid cursor",
+    });
+    expect(
+      parseCursor(
+        Buffer.from(
+          JSON.stringify({ k: "createdAt,_id", v: [1, { $oid: "x" }] })
+        ).toString("base64url"),
+        SORT
+      )
+    ).toEqual({ error: "Invalid cursor" });
+  });
+
+  it("should cut the extra item and point the cursor at the last one", () => {
+    const docs = [3, 2, 1].map((day) => ({
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date(Date.UTC(2026, 0, day)),
+    }));
+
+    const page = toCursorPage(docs, 2, SORT);
+    const last = toCursorPage(docs.slice(2), 2, SORT);
+
+    expect(page.items).toHaveLength(2);
+    expect(page.hasMore).toBe(true);
+    expect(page.nextCursor).toBe(encodeCursor(docs[1], SORT));
+    expect(last).toEqual({
+      items: [docs[2]],
+      hasMore: false,
+      nextCursor: null,
+    });
+  });
+
+  it("should clamp the page size", () => {
+    expect(parseCursorLimit(undefined, 10)).toBe(10);
+    expect(parseCursorLimit("-5", 10)).toBe(1);
+    expect(parseCursorLimit("1000", 10)).toBe(100);
+  });
+
+  it("should clamp page queries so skip and limit stay positive", () => {
+    expect(parsePageQuery({}, 10)).toEqual({ page: 1, limit: 10, skip: 0 });
+    expect(parsePageQuery({ page: "0", limit: "-5" }, 10)).toEqual({
+      page: 1,
+      limit: 1,
+      skip: 0,
+    });
+    expect(parsePageQuery({ page: "3", limit: "500" }, 10)).toEqual({
+      page: 3,
+      limit: 100,
+      skip: 200,
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { createLocalStorage } from "../../utils/imageStorage";
+import {
+  detectImageType,
+  resizeImage,
+  storeImage,
+  validateImage,
+} from "../../utils/imageUpload";
+
+const createImage = (width, height, format = "jpeg") =>
+  sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: { r: 200, g: 40, b: 40 },
+    },
+  })
+    [format]()
+    .toBuffer();
+
+describe("image upload utils", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should detect image types from magic bytes", async () => {
+    expect(detectImageType(await createImage(4, 4, "jpeg"))).toBe("image/jpeg");
+    expect(detectImageType(await createImage(4, 4, "png"))).toBe("image/png");
+    expect(detectImageType(await createImage(4, 4, "webp"))).toBe("image/webp");
+    expect(detectImageType(Buffer.from("GIF89a..."))).toBe("image/gif");
+    expect(detectImageType(Buffer.from("<svg></svg>"))).toBeNull();
+  });
+
+  it("should validate empty, oversized and non-image uploads", async () => {
+    const image = await createImage(4, 4);
+
+    expect(validateImage(Buffer.alloc(0))).toBe("Please upload an image");
+    expect(validateImage({})).toBe("Please upload an image");
+    expect(validateImage(image, image.length - 1)).toBe(
+      "Image must be smaller than 0MB"
+    );
+    expect(validateImage(Buffer.from("%PDF-1.4"))).toBe(
+      "Only JPEG, PNG, WebP and GIF images are allowed"
+    );
+    expect(validateImage(image)).toBeNull();
+  });
+
+  it("should resize into webp variants without enlarging", async () => {
+    const resized = await resizeImage(await createImage(800, 400));
+
+    expect(
+      resized.map(({ name, width, height }) => ({ name, width, height }))
+    ).toEqual([
+      { name: "thumbnail", width: 160, height: 80 },
+      { name: "card", width: 480, height: 240 },
+      { name: "full", width: 800, height: 400 },
+    ]);
+    expect(detectImageType(resized[0].buffer)).toBe("image/webp");
+  });
+
+  it("should strip EXIF metadata and apply its orientation", async () => {
+    const image = await sharp(await createImage(300, 100))
+      .withMetadata({
+        orientation: 6,
+        exif: { IFD0: { Copyright: "secret" } },
+      })
+      .jpeg()
+      .toBuffer();
+    expect((await sharp(image).metadata()).exif).toBeDefined();
+
+    const resized = await resizeImage(image);
+    const metadata = await sharp(resized[2].buffer).metadata();
+
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect([metadata.width, metadata.height]).toEqual([100, 300]);
+  });
+
+  it("should store every variant and return their urls", async () => {
+    const storage = {
+      name: "local",
+      ...createLocalStorage({
+        dir: tmpDir,
+        baseUrl: "http://cdn.test/uploads",
+      }),
+    };
+    const resized = await resizeImage(await createImage(200, 200));
+
+    const stored = await storeImage(resized, { kind: "product", storage });
+
+    expect(stored.storage).toBe("local");
+    expect(stored.keys).toHaveLength(3);
+    expect(stored.url).toBe(stored.variants.full.url);
+    expect(stored.variants.card.url).toMatch(
+      /^http:\/\/cdn\.test\/uploads\/product\/[0-9a-f]+-card\.webp$/
+    );
+    stored.keys.forEach((key) =>
+      expect(fs.existsSync(path.join(tmpDir, key))).toBe(true)
+    );
+
+    await storage.remove(stored.keys[0]);
+    expect(fs.existsSync(path.join(tmpDir, stored.keys[0]))).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import {
+  buildStockItems,
+  diffStock,
+  findStockDrift,
+  parseStockAdjustment,
+} from "../../utils/inventory";
+
+const variantProduct = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Shirt",
+  stock: 5,
+  variants: [
+    { sku: "SHIRT-RED-M", color: "Red", size: "M", stock: 3 },
+    { sku: "SHIRT-RED-L", color: "Red", size: "L", stock: 2 },
+  ],
+};
+const simpleProduct = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Mug",
+  stock: 4,
+  variants: [],
+};
+
+describe("inventory utils", () => {
+  it("should build one stock item per order line", () => {
+    const items = buildStockItems(
+      [
+        {
+          productId: String(variantProduct._id),
+          color: "Red",
+          size: "M",
+          quantity: 2,
+        },
+        {
+          productId: String(simpleProduct._id),
+          color: "Black",
+          size: "M",
+          quantity: 1,
+        },
+      ],
+      {
+        [variantProduct._id]: variantProduct,
+        [simpleProduct._id]: simpleProduct,
+      }
+    );
+
+    expect(items).toEqual([
+      {
+        product: variantProduct._id,
+        sku: "SHIRT-RED-M",
+        color: "Red",
+        size: "M",
+        quantity: 2,
+      },
+      {
+        product: simpleProduct._id,
+        sku: null,
+        color: "",
+        size: "",
+        quantity: 1,
+      },
+    ]);
+  });
+
+  it("should diff stock per variant", () => {
+    const after = {
+      stock: 6,
+      variants: [
+        { sku: "SHIRT-RED-M", color: "Red", size: "M", stock: 3 },
+        { sku: "SHIRT-BLUE-M", color: "Blue", size: "M", stock: 3 },
+      ],
+    };
+
+    expect(diffStock(variantProduct, after)).toEqual([
+      { sku: "SHIRT-RED-L", color: "Red", size: "L", delta: -2 },
+      { sku: "SHIRT-BLUE-M", color: "Blue", size: "M", delta: 3 },
+    ]);
+    expect(diffStock(null, simpleProduct)).toEqual([
+      { sku: null, color: "", size: "", delta: 4 },
+    ]);
+    expect(diffStock(simpleProduct, { ...simpleProduct, stock: 4 })).toEqual(
+      []
+    );
+  });
+
+  it("should validate stock adjustments", () => {
+    expect(
+      parseStockAdjustment(variantProduct, {
+        delta: 2,
+        reason: "return",
+        color: "Red",
+        size: "L",
+        note: " Customer return ",
+      })
+    ).toEqual({
+      change: { sku: "SHIRT-RED-L", color: "Red", size: "L", delta: 2 },
+      reason: "return",
+      note: "Customer return",
+    });
+    expect(parseStockAdjustment(simpleProduct, { delta: 0 }).error).toBe(
+      "Delta must be a whole number other than 0"
+    );
+    expect(
+      parseStockAdjustment(simpleProduct, { delta: 1, reason: "sale" }).error
+    ).toBe("Reason must be one of: manual, return");
+    expect(parseStockAdjustment(variantProduct, { delta: 1 }).error).toBe(
+      "Please choose a color and size of this product"
+    );
+    expect(parseStockAdjustment(simpleProduct, { delta: -5 }).error).toBe(
+      "Stock can not be negative"
+    );
+  });
+
+  it("should flag products and variants that drift from the ledger", () => {
+    const ledger = [
+      {
+        _id: { product: variantProduct._id, color: "Red", size: "M" },
+        stock: 3,
+      },
+      {
+        _id: { product: variantProduct._id, color: "Red", size: "L" },
+        stock: 1,
+      },
+      { _id: { product: simpleProduct._id, color: "", size: "" }, stock: 4 },
+    ];
+
+    expect(findStockDrift([variantProduct, simpleProduct], ledger)).toEqual([
+      {
+        productId: variantProduct._id,
+        name: "Shirt",
+        color: "",
+        size: "",
+        stock: 5,
+        ledgerStock: 4,
+        drift: 1,
+      },
+      {
+        productId: variantProduct._id,
+        name: "Shirt",
+        color: "Red",
+        size: "L",
+        stock: 2,
+        ledgerStock: 1,
+        drift: 1,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  buildLowStockReport,
+  formatLowStockDigest,
+  getGlobalLowStockThreshold,
+  lowStockToRow,
+  parseLowStockThreshold,
+  parseVelocityDays,
+} from "../../utils/lowStock";
+
+describe("lowStock utils", () => {
+  afterEach(() => {
+    delete process.env.LOW_STOCK_THRESHOLD;
+  });
+
+  it("should read the global threshold from the environment", () => {
+    expect(getGlobalLowStockThreshold()).toBe(DEFAULT_LOW_STOCK_THRESHOLD);
+    process.env.LOW_STOCK_THRESHOLD = "0";
+    expect(getGlobalLowStockThreshold()).toBe(0);
+    process.env.LOW_STOCK_THRESHOLD = "abc";
+    expect(getGlobalLowStockThreshold()).toBe(DEFAULT_LOW_STOCK_THRESHOLD);
+  });
+
+  it("should parse per product thresholds", () => {
+    expect(parseLowStockThreshold("3")).toEqual({ threshold: 3 });
+    expect(parseLowStockThreshold("")).toEqual({ threshold: null });
+    expect(parseLowStockThreshold(-1).error).toBe(
+      "Low stock threshold must be a whole number of at least 0"
+    );
+  });
+
+  it("should fall back to the default window for invalid days", () => {
+    expect(parseVelocityDays("7")).toBe(7);
+    expect(parseVelocityDays("0")).toBe(30);
+    expect(parseVelocityDays(undefined)).toBe(30);
+  });
+
+  it("should sort by sales velocity and estimate days left", () => {
+    const slowId = new mongoose.Types.ObjectId();
+    const fastId = new mongoose.Types.ObjectId();
+    const unsoldId = new mongoose.Types.ObjectId();
+    const report = buildLowStockReport(
+      [
+        { _id: unsoldId, name: "Unsold", stock: 0 },
+        { _id: slowId, name: "Slow", stock: 4, lowStockThreshold: 10 },
+        {
+          _id: fastId,
+          name: "Fast",
+          stock: 3,
+          variants: [
+            { color: "Red", size: "M", stock: 0 },
+            { color: "Red", size: "L", stock: 3 },
+          ],
+        },
+      ],
+      new Map([
+        [String(slowId), 3],
+        [String(fastId), 30],
+      ]),
+      30,
+      5
+    );
+
+    expect(report.map((item) => item.name)).toEqual(["Fast", "Slow", "Unsold"]);
+    expect(report[0]).toMatchObject({
+      velocity: 1,
+      daysLeft: 3,
+      threshold: 5,
+      outOfStockVariants: ["Red / M"],
+    });
+    expect(report[1]).toMatchObject({ velocity: 0.1, threshold: 10 });
+    expect(report[2].daysLeft).toBeNull();
+  });
+
+  it("should format rows for export and the digest mail", () => {
+    const item = {
+      productId: new mongoose.Types.ObjectId(),
+      name: "Shirt",
+      stock: 2,
+      threshold: 5,
+      sold: 30,
+      velocity: 1,
+      daysLeft: 2,
+      outOfStockVariants: ["Red / M", "Red / L"],
+    };
+
+    expect(lowStockToRow({ ...item, daysLeft: null })).toMatchObject({
+      productId: String(item.productId),
+      daysLeft: "",
+      outOfStockVariants: "Red / M, Red / L",
+    });
+    expect(formatLowStockDigest([item], "https://shop.vn")).toBe(
+      [
+        "1 sản phẩm vừa xuống dưới ngưỡng tồn kho:",
+        "- Shirt: còn 2 (ngưỡng 5), bán 1/ngày, hết sau khoảng 2 ngày",
+        "Xem báo cáo: https://shop.vn/admin",
+      ].join("\n")
+    );
+  });
+});
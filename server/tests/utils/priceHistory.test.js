@@ -0,0 +1,128 @@
+import {
+  buildPriceSeries,
+  getLowestPrice,
+  getPriceSnapshot,
+  trimPriceSeries,
+} from "../../utils/priceHistory";
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1) + n * 24 * 60 * 60 * 1000);
+
+const point = (changedAt, fields = {}) => ({
+  price: 200,
+  salePrice: null,
+  saleStartsAt: null,
+  saleEndsAt: null,
+  variants: [],
+  changedAt,
+  ...fields,
+});
+
+describe("price history utils", () => {
+  it("should snapshot pricing fields and variants with their own price", () => {
+    expect(
+      getPriceSnapshot({
+        price: 200,
+        salePrice: 150,
+        saleStartsAt: "2026-01-01T00:00:00.000Z",
+        stock: 4,
+        variants: [
+          { sku: "S-RED-M", color: "Red", size: "M", stock: 2, price: 220 },
+          { sku: "S-RED-L", color: "Red", size: "L", stock: 2 },
+        ],
+      })
+    ).toEqual({
+      price: 200,
+      salePrice: 150,
+      saleStartsAt: new Date("2026-01-01T00:00:00.000Z"),
+      saleEndsAt: null,
+      variants: [{ sku: "S-RED-M", color: "Red", size: "M", price: 220 }],
+    });
+  });
+
+  it("should build price points including scheduled sale windows", () => {
+    const series = buildPriceSeries(
+      [
+        point(day(0)),
+        point(day(10), { price: 180 }),
+        point(day(20), {
+          price: 180,
+          salePrice: 120,
+          saleStartsAt: day(25),
+          saleEndsAt: day(30),
+        }),
+      ],
+      { until: day(40) }
+    );
+
+    expect(series).toEqual([
+      { date: day(0), price: 200 },
+      { date: day(10), price: 180 },
+      { date: day(25), price: 120 },
+      { date: day(30), price: 180 },
+    ]);
+  });
+
+  it("should scale the sale to variants with their own price", () => {
+    const series = buildPriceSeries(
+      [
+        point(day(0), {
+          variants: [{ sku: "S-RED-M", color: "Red", size: "M", price: 300 }],
+        }),
+        point(day(5), {
+          salePrice: 100,
+          variants: [{ sku: "S-RED-M", color: "Red", size: "M", price: 300 }],
+        }),
+      ],
+      { color: "Red", size: "M", until: day(10) }
+    );
+
+    expect(series.map((entry) => entry.price)).toEqual([300, 150]);
+  });
+
+  it("should use the 30 days before the current reduction", () => {
+    const series = [
+      { date: day(0), price: 150 },
+      { date: day(20), price: 200 },
+      { date: day(60), price: 160 },
+      { date: day(70), price: 120 },
+    ];
+
+    // giam gia tu ngay 70: xet ngay 40 - 70, gia 200 roi 160
+    expect(getLowestPrice(series, day(75))).toBe(160);
+  });
+
+  it("should use the last 30 days when the price was not reduced", () => {
+    const series = [
+      { date: day(0), price: 120 },
+      { date: day(50), price: 200 },
+    ];
+
+    expect(getLowestPrice(series, day(60))).toBe(120);
+    expect(getLowestPrice(series, day(90))).toBe(200);
+    expect(getLowestPrice([], day(90))).toBeNull();
+  });
+
+  it("should count a product that started on sale from now", () => {
+    const series = [
+      { date: day(0), price: 200 },
+      { date: day(10), price: 150 },
+    ];
+
+    expect(getLowestPrice(series.slice(1), day(12))).toBe(150);
+    expect(getLowestPrice(series, day(12))).toBe(200);
+  });
+
+  it("should keep recent points and the price in effect at the start", () => {
+    const series = [
+      { date: day(0), price: 200 },
+      { date: day(50), price: 180 },
+      { date: day(100), price: 150 },
+    ];
+
+    expect(trimPriceSeries(series, day(120))).toEqual([
+      { date: day(30), price: 200 },
+      { date: day(50), price: 180 },
+      { date: day(100), price: 150 },
+    ]);
+  });
+});
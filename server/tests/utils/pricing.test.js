@@ -0,0 +1,83 @@
+import {
+  isSaleActive,
+  parseSalePricing,
+  resolvePricing,
+} from "../../utils/pricing";
+
+describe("pricing utils", () => {
+  const now = new Date("2025-06-01T00:00:00Z");
+  const before = new Date("2025-05-01T00:00:00Z");
+  const after = new Date("2025-07-01T00:00:00Z");
+
+  it("should only apply the sale price inside its window", () => {
+    const product = { price: 200, salePrice: 150 };
+
+    expect(isSaleActive(product, now)).toBe(true);
+    expect(isSaleActive({ ...product, saleStartsAt: after }, now)).toBe(false);
+    expect(isSaleActive({ ...product, saleEndsAt: before }, now)).toBe(false);
+    expect(isSaleActive({ price: 200, salePrice: null }, now)).toBe(false);
+  });
+
+  it("should strike through the regular price during a sale", () => {
+    const pricing = resolvePricing(
+      { price: 200, salePrice: 150, saleEndsAt: after },
+      undefined,
+      undefined,
+      now
+    );
+
+    expect(pricing).toEqual({
+      currentPrice: 150,
+      compareAtPrice: 200,
+      discountPercent: 25,
+      onSale: true,
+      saleEndsAt: after,
+    });
+  });
+
+  it("should prefer a higher compare-at price and ignore a lower one", () => {
+    expect(
+      resolvePricing({ price: 200, compareAtPrice: 400 }, null, null, now)
+    ).toMatchObject({ currentPrice: 200, compareAtPrice: 400, onSale: false });
+    expect(
+      resolvePricing({ price: 200, compareAtPrice: 100 }, null, null, now)
+    ).toMatchObject({ currentPrice: 200, compareAtPrice: null });
+  });
+
+  it("should give variants with their own price the same discount rate", () => {
+    const product = {
+      price: 200,
+      salePrice: 150,
+      compareAtPrice: 300,
+      variants: [
+        { sku: "A", color: "Đen", size: "XL", stock: 1, price: 240 },
+        { sku: "B", color: "Đen", size: "M", stock: 1 },
+      ],
+    };
+
+    expect(resolvePricing(product, "Đen", "XL", now)).toMatchObject({
+      currentPrice: 180,
+      compareAtPrice: 240,
+    });
+    expect(resolvePricing(product, "Đen", "M", now)).toMatchObject({
+      currentPrice: 150,
+      compareAtPrice: 300,
+      discountPercent: 50,
+    });
+  });
+
+  it("should validate sale fields against the price", () => {
+    expect(parseSalePricing({ salePrice: 300 }, 200).error).toBe(
+      "Sale price must be lower than the price"
+    );
+    expect(parseSalePricing({ compareAtPrice: "abc" }, 200).error).toBe(
+      "compareAtPrice must be a number of at least 0"
+    );
+    expect(
+      parseSalePricing({ saleStartsAt: after, saleEndsAt: before }, 200).error
+    ).toBe("saleEndsAt must be after saleStartsAt");
+    expect(parseSalePricing({ salePrice: "", saleEndsAt: null }, 200)).toEqual({
+      updates: { salePrice: null, saleEndsAt: null },
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  mergeAttributeSchemas,
+  parseProductAttributes,
+  validateAttributeDefinitions,
+} from "../../utils/productAttributes";
+
+const schema = [
+  {
+    key: "material",
+    label: "Material",
+    type: "select",
+    options: ["cotton", "linen"],
+    required: true,
+  },
+  {
+    key: "season",
+    label: "Season",
+    type: "multiselect",
+    options: ["summer", "winter"],
+  },
+  { key: "weight", label: "Weight", type: "number" },
+  { key: "care", label: "Care", type: "text" },
+];
+
+describe("product attribute utils", () => {
+  it("should reject invalid attribute definitions", () => {
+    expect(validateAttributeDefinitions(schema)).toBeNull();
+    expect(
+      validateAttributeDefinitions([{ key: "a.b", label: "A", type: "text" }])
+    ).toBe("Invalid attribute key: a.b");
+    expect(
+      validateAttributeDefinitions([
+        { key: "fit", label: "Fit", type: "text" },
+        { key: "fit", label: "Fit", type: "text" },
+      ])
+    ).toBe("Duplicate attribute key: fit");
+    expect(
+      validateAttributeDefinitions([{ key: "fit", label: "Fit", type: "date" }])
+    ).toBe("Invalid type for attribute fit");
+  });
+
+  it("should let a sub category override its parent's definition", () => {
+    const merged = mergeAttributeSchemas([
+      {
+        ancestors: ["root"],
+        attributes: [{ key: "material", label: "Vải", type: "text" }],
+      },
+      {
+        ancestors: [],
+        attributes: [
+          { key: "material", label: "Material", type: "text" },
+          { key: "care", label: "Care", type: "text" },
+        ],
+      },
+    ]);
+
+    expect(merged.map((definition) => definition.label)).toEqual([
+      "Vải",
+      "Care",
+    ]);
+  });
+
+  it("should parse values by their type", () => {
+    expect(
+      parseProductAttributes(
+        {
+          material: "cotton",
+          season: "summer, winter",
+          weight: "180",
+          care: "  ",
+        },
+        schema
+      )
+    ).toEqual({
+      attributes: {
+        material: "cotton",
+        season: ["summer", "winter"],
+        weight: 180,
+      },
+    });
+  });
+
+  it("should report missing, unknown and invalid values", () => {
+    expect(parseProductAttributes({}, schema).error).toBe(
+      "Attribute Material is required"
+    );
+    expect(parseProductAttributes({ fit: "slim" }, schema).error).toBe(
+      "Unknown attribute: fit"
+    );
+    expect(
+      parseProductAttributes({ material: "cotton", season: ["spring"] }, schema)
+        .error
+    ).toBe("Invalid value for attribute Season");
+    expect(
+      parseProductAttributes({ material: "cotton", weight: "heavy" }, schema)
+        .error
+    ).toBe("Invalid value for attribute Weight");
+    expect(parseProductAttributes([], schema).error).toBe(
+      "Attributes must be an object"
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import Product from "../../models/productModel";
+import {
+  buildRevertUpdates,
+  diffProduct,
+  getHistorySnapshot,
+} from "../../utils/productHistory";
+
+const categoryId = new mongoose.Types.ObjectId();
+
+const buildProduct = (fields = {}) =>
+  new Product({
+    name: "Shirt",
+    description: "Cotton shirt",
+    price: 200,
+    stock: 5,
+    sizes: ["M"],
+    colors: ["Red"],
+    categories: ["shirt"],
+    categoryIds: [categoryId],
+    attributes: { material: "cotton" },
+    ...fields,
+  });
+
+describe("product history utils", () => {
+  it("should snapshot tracked fields as JSON values", () => {
+    const snapshot = getHistorySnapshot(
+      buildProduct({ saleStartsAt: new Date("2026-01-01T00:00:00.000Z") })
+    );
+
+    expect(snapshot).toMatchObject({
+      name: "Shirt",
+      price: 200,
+      categoryIds: [String(categoryId)],
+      attributes: { material: "cotton" },
+      saleStartsAt: "2026-01-01T00:00:00.000Z",
+      salePrice: null,
+    });
+    expect(snapshot).not.toHaveProperty("stock");
+    expect(snapshot).not.toHaveProperty("variants");
+  });
+
+  it("should list only the changed fields", () => {
+    const before = buildProduct();
+    const after = buildProduct({
+      price: 180,
+      description: "Linen shirt",
+      stock: 50,
+      attributes: { material: "linen" },
+    });
+
+    expect(diffProduct(before, after)).toEqual([
+      { field: "description", from: "Cotton shirt", to: "Linen shirt" },
+      { field: "price", from: 200, to: 180 },
+      {
+        field: "attributes",
+        from: { material: "cotton" },
+        to: { material: "linen" },
+      },
+    ]);
+    expect(diffProduct(before, buildProduct())).toEqual([]);
+  });
+
+  it("should compare lean objects and documents alike", () => {
+    const product = buildProduct();
+
+    expect(diffProduct(product.toObject(), product)).toEqual([]);
+  });
+
+  it("should restore the value each field had after the target version", () => {
+    const updates = buildRevertUpdates([
+      {
+        version: 4,
+        changes: [{ field: "price", from: 150, to: 120 }],
+      },
+      {
+        version: 3,
+        changes: [
+          { field: "price", from: 180, to: 150 },
+          { field: "salePrice", from: null, to: 99 },
+        ],
+      },
+    ]);
+
+    expect(updates).toEqual({ price: 180, salePrice: null });
+  });
+});
@@ -0,0 +1,125 @@
+import { buildTrigrams, tokenize } from "../../utils/searchIndex";
+import {
+  buildFilterConditions,
+  formatFacets,
+  matchExcept,
+  minSharedGrams,
+  parseAttributeFilters,
+  parseList,
+  parseSearchFilters,
+  sanitizeQueryText,
+} from "../../utils/productSearch";
+
+describe("product search utils", () => {
+  it("should parse comma separated and repeated list params", () => {
+    expect(parseList("M, L,")).toEqual(["M", "L"]);
+    expect(parseList(["Đen", "Trắng"])).toEqual(["Đen", "Trắng"]);
+    expect(parseList(undefined)).toEqual([]);
+  });
+
+  it("should ignore empty or invalid numbers and the 'all' category", () => {
+    const filters = parseSearchFilters({
+      category: "all",
+      minPrice: "abc",
+      maxPrice: "200000",
+      minRating: "",
+    });
+    expect(filters.category).toBe("");
+    expect(filters.minPrice).toBeNull();
+    expect(filters.maxPrice).toBe(200000);
+    expect(filters.minRating).toBeNull();
+  });
+
+  it("should leave out the excluded facet when matching", () => {
+    const conditions = buildFilterConditions(
+      parseSearchFilters({ sizes: "M", colors: "Đen", minPrice: "100" }),
+      { categories: "shirt" }
+    );
+
+    expect(matchExcept(conditions, "colors")).toEqual({
+      $and: [
+        { categories: "shirt" },
+        { sizes: { $in: ["M"] } },
+        { currentPrice: { $gte: 100 } },
+      ],
+    });
+    expect(matchExcept({}, "colors")).toEqual({});
+  });
+
+  it("should map price buckets to every band", () => {
+    const facets = formatFacets({
+      sizes: [{ _id: "M", count: 2 }],
+      priceBands: [
+        { _id: 100000, count: 3 },
+        { _id: "other", count: 1 },
+      ],
+    });
+
+    expect(facets.sizes).toEqual([{ value: "M", count: 2 }]);
+    expect(facets.colors).toEqual([]);
+    expect(facets.priceBands.map((band) => [band.key, band.count])).toEqual([
+      ["below100000", 0],
+      ["100000-200000", 3],
+      ["200000-500000", 0],
+      ["500000-1000000", 0],
+      ["1000000-2000000", 0],
+      ["above2000000", 1],
+    ]);
+  });
+
+  it("should parse attribute filters with valid keys only", () => {
+    expect(
+      parseAttributeFilters({
+        material: "cotton, linen",
+        season: ["summer"],
+        $where: "1",
+        fit: "",
+      })
+    ).toEqual({ material: ["cotton", "linen"], season: ["summer"] });
+    expect(parseAttributeFilters("cotton")).toEqual({});
+
+    const conditions = buildFilterConditions(
+      parseSearchFilters({ attributes: { weight: "180" } })
+    );
+    expect(conditions["attribute:weight"]).toEqual({
+      "attributes.weight": { $in: ["180", 180] },
+    });
+  });
+
+  it("should group attribute facets by key", () => {
+    const facets = formatFacets({
+      attributes: [
+        { _id: { key: "material", value: "cotton" }, count: 2 },
+        { _id: { key: "season", value: "summer" }, count: 1 },
+      ],
+      attribute_season: [
+        { _id: "summer", count: 3 },
+        { _id: "winter", count: 1 },
+      ],
+    });
+
+    expect(facets.attributes).toEqual({
+      material: [{ value: "cotton", count: 2 }],
+      season: [
+        { value: "summer", count: 3 },
+        { value: "winter", count: 1 },
+      ],
+    });
+  });
+
+  it("should keep a misspelled word above the shared trigram minimum", () => {
+    const query = buildTrigrams(tokenize("ao khaoc"));
+    const product = buildTrigrams(tokenize("Áo khoác gió"));
+    const shared = query.filter((gram) => product.includes(gram));
+
+    expect(minSharedGrams(query)).toBe(2);
+    expect(shared.length).toBeGreaterThanOrEqual(minSharedGrams(query));
+    expect(minSharedGrams(buildTrigrams(["ao"]))).toBe(1);
+  });
+
+  it("should keep only letters, digits and single spaces of a query", () => {
+    expect(sanitizeQueryText("  Áo   thun!!? ")).toBe("Áo thun");
+    expect(sanitizeQueryText("x".repeat(80))).toHaveLength(50);
+    expect(sanitizeQueryText(undefined)).toBe("");
+  });
+});
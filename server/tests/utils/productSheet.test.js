@@ -0,0 +1,114 @@
+import ExcelJS from "exceljs";
+import {
+  parseCsv,
+  PRODUCT_COLUMNS,
+  parseProductRow,
+  productToRow,
+  readProductRows,
+} from "../../utils/productSheet";
+
+describe("product sheet utils", () => {
+  it("should parse quoted CSV fields with commas, quotes and new lines", () => {
+    const csv = 'Name,Description\r\n"Áo, polo","Vải ""cotton""\nmềm"\n';
+    expect(parseCsv(csv)).toEqual([
+      ["Name", "Description"],
+      ["Áo, polo", 'Vải "cotton"\nmềm'],
+    ]);
+  });
+
+  it("should map columns by header and skip empty lines", async () => {
+    const csv = "Price,name,Unknown\n100,Áo thun,x\n,,\n";
+    const { rows, missingColumns } = await readProductRows(
+      Buffer.from(csv),
+      "csv"
+    );
+
+    expect(missingColumns).toEqual([]);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { price: "100", name: "Áo thun" } },
+    ]);
+  });
+
+  it("should read the first worksheet of an xlsx file", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Products");
+    worksheet.columns = PRODUCT_COLUMNS;
+    worksheet.addRow({ name: "Áo thun", price: 150000, stock: 4 });
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const { rows } = await readProductRows(Buffer.from(buffer), "xlsx");
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].values).toEqual(
+      expect.objectContaining({ name: "Áo thun", price: "150000", stock: "4" })
+    );
+  });
+
+  it("should report missing required columns", async () => {
+    const { missingColumns } = await readProductRows(
+      Buffer.from("Name,Stock\nÁo,1\n"),
+      "csv"
+    );
+    expect(missingColumns).toEqual(["Price"]);
+  });
+
+  it("should collect every error of a row", () => {
+    const { errors } = parseProductRow({
+      values: { _id: "abc", name: "", price: "free", stock: "-1" },
+    });
+    expect(errors).toEqual([
+      'Invalid product ID "abc"',
+      "Name is required",
+      "Price must be a number",
+      "Stock must be a whole number of at least 0",
+    ]);
+  });
+
+  it("should read back what the export writes", () => {
+    const product = {
+      _id: "64b7f0c2a1b2c3d4e5f6a7b8",
+      name: "Áo polo",
+      description: "Cotton",
+      price: 200000,
+      stock: 3,
+      categories: ["polo"],
+      sizes: ["M", "L"],
+      colors: ["Đen"],
+      listingPhotoPaths: ["a.jpg", "b.jpg"],
+      variants: [
+        { sku: "A-DEN-M", color: "Đen", size: "M", stock: 1 },
+        { sku: "A-DEN-L", color: "Đen", size: "L", stock: 2, price: 210000 },
+      ],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    const row = productToRow(product);
+    const values = Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, String(value)])
+    );
+
+    const { data, errors } = parseProductRow({ values });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      _id: product._id,
+      name: "Áo polo",
+      description: "Cotton",
+      price: 200000,
+      categories: ["polo"],
+      sizes: ["M", "L"],
+      colors: ["Đen"],
+      listingPhotoPaths: ["a.jpg", "b.jpg"],
+      variants: [
+        { sku: "A-DEN-M", color: "Đen", size: "M", stock: "1", price: "" },
+        {
+          sku: "A-DEN-L",
+          color: "Đen",
+          size: "L",
+          stock: "2",
+          price: "210000",
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import {
+  currentPriceFilter,
+  getSortCollation,
+  resolveSort,
+  SORT_OPTIONS,
+  sortFieldStages,
+} from "../../utils/productSort";
+
+describe("product sort utils", () => {
+  it("should fall back to newest when no sort is given", () => {
+    expect(resolveSort(undefined)).toBe("newest");
+    expect(resolveSort("default")).toBe("newest");
+    expect(resolveSort("priceLowToHigh")).toBe("priceLowToHigh");
+  });
+
+  it("should reject unknown sort options", () => {
+    expect(resolveSort("invalidSort")).toBeNull();
+    expect(resolveSort("toString")).toBeNull();
+  });
+
+  it("should end every sort with _id to keep pages stable", () => {
+    Object.values(SORT_OPTIONS).forEach((option) => {
+      expect(Object.keys(option).pop()).toBe("_id");
+    });
+  });
+
+  it("should only use the Vietnamese collation for name sorts", () => {
+    expect(getSortCollation("nameAZ")).toEqual({ locale: "vi", strength: 1 });
+    expect(getSortCollation("priceLowToHigh")).toBeUndefined();
+  });
+
+  it("should compute ratings only when sorting by them", () => {
+    expect(sortFieldStages("newest")).toEqual([]);
+    expect(sortFieldStages("bestSelling")).toEqual([]);
+    expect(sortFieldStages("topRated").pop()).toEqual({
+      $project: { reviews: 0 },
+    });
+  });
+
+  it("should sort prices on the current price", () => {
+    expect(SORT_OPTIONS.priceLowToHigh).toEqual({ currentPrice: 1, _id: 1 });
+    expect(
+      sortFieldStages("priceHighToLow")[0].$addFields.currentPrice.$cond
+    ).toEqual(expect.arrayContaining(["$salePrice", "$price"]));
+  });
+
+  it("should filter price ranges on the current price", () => {
+    expect(currentPriceFilter(null, null)).toEqual({});
+    const bounds = currentPriceFilter(100, null).$expr.$and;
+    expect(bounds).toHaveLength(1);
+    expect(bounds[0].$gte[1]).toBe(100);
+    expect(bounds[0].$gte[0].$cond).toEqual(
+      expect.arrayContaining(["$salePrice", "$price"])
+    );
+    expect(currentPriceFilter(100, 200).$expr.$and[1].$lte[1]).toBe(200);
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  buildStatusFilter,
+  getLifecycleState,
+  parseLifecycle,
+  toDate,
+  withLiveFilter,
+} from "../../utils/productStatus";
+
+describe("product status utils", () => {
+  const now = new Date("2025-06-01T00:00:00Z");
+  const before = new Date("2025-05-01T00:00:00Z");
+  const after = new Date("2025-07-01T00:00:00Z");
+
+  it("should work out the lifecycle state from status and schedule", () => {
+    expect(getLifecycleState({ status: "draft" }, now)).toBe("draft");
+    expect(getLifecycleState({ status: "archived" }, now)).toBe("archived");
+    expect(getLifecycleState({}, now)).toBe("live");
+    expect(
+      getLifecycleState({ status: "published", publishAt: after }, now)
+    ).toBe("scheduled");
+    expect(
+      getLifecycleState({ status: "published", unpublishAt: before }, now)
+    ).toBe("expired");
+    expect(
+      getLifecycleState(
+        { status: "published", publishAt: before, unpublishAt: after },
+        now
+      )
+    ).toBe("live");
+  });
+
+  it("should build admin filters and reject unknown states", () => {
+    expect(buildStatusFilter("all", now)).toEqual({});
+    expect(buildStatusFilter("draft", now)).toEqual({ status: "draft" });
+    expect(buildStatusFilter("scheduled", now).publishAt).toEqual({
+      $gt: now,
+    });
+    expect(buildStatusFilter("deleted", now)).toBeNull();
+  });
+
+  it("should combine a query with the live filter", () => {
+    const combined = withLiveFilter({ categories: "shirt" }, now);
+    expect(combined.$and[0]).toEqual({ categories: "shirt" });
+    expect(combined.$and[1].status).toEqual({ $nin: ["draft", "archived"] });
+    expect(withLiveFilter({}, now).$and).toHaveLength(2);
+  });
+
+  it("should validate status and schedule", () => {
+    expect(parseLifecycle({ status: "hidden" }).error).toBe(
+      "Status must be one of draft, published, archived"
+    );
+    expect(parseLifecycle({ publishAt: "not a date" }).error).toBe(
+      "publishAt is not a valid date"
+    );
+    expect(
+      parseLifecycle({ publishAt: after, unpublishAt: before }).error
+    ).toBe("unpublishAt must be after publishAt");
+    expect(parseLifecycle({ status: "draft", unpublishAt: "" })).toEqual({
+      updates: { status: "draft", unpublishAt: null },
+    });
+  });
+
+  it("should parse body dates and clear empty ones", () => {
+    expect(toDate("2025-06-01T00:00:00Z")).toEqual(now);
+    expect(toDate("")).toBeNull();
+    expect(toDate(null)).toBeNull();
+    expect(toDate("not a date")).toBeUndefined();
+  });
+});
@@ -0,0 +1,29 @@
+import {
+  buildQuestionSearchFilter,
+  buildQuestionSearchText,
+} from "../../utils/question";
+
+describe("question utils", () => {
+  it("should index the question and every answer without accents", () => {
+    const text = buildQuestionSearchText({
+      text: "Áo có co giãn không?",
+      answers: [{ text: "Chất liệu Cotton" }, { text: "Size L vừa 70kg" }],
+    });
+
+    expect(text).toBe("ao co co gian khong chat lieu cotton size l vua 70kg");
+  });
+
+  it("should require every search word", () => {
+    expect(buildQuestionSearchFilter("Chất liệu")).toEqual({
+      $and: [
+        { searchText: { $regex: "chat" } },
+        { searchText: { $regex: "lieu" } },
+      ],
+    });
+  });
+
+  it("should ignore empty searches and regex characters", () => {
+    expect(buildQuestionSearchFilter(undefined)).toEqual({});
+    expect(buildQuestionSearchFilter(" .*? ")).toEqual({});
+  });
+});
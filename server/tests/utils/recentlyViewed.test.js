@@ -0,0 +1,52 @@
+import { getViewer, readAnonymousId } from "../../utils/recentlyViewed";
+
+describe("recently viewed utils", () => {
+  let res, next;
+
+  beforeEach(() => {
+    res = { cookie: jest.fn() };
+    next = jest.fn();
+  });
+
+  it("should give anonymous visitors a new id cookie", () => {
+    const req = { cookies: {} };
+
+    readAnonymousId(req, res, next);
+
+    expect(req.anonymousId).toBeDefined();
+    expect(res.cookie).toHaveBeenCalledWith(
+      "anonymous_id",
+      req.anonymousId,
+      expect.objectContaining({ httpOnly: true })
+    );
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should keep an existing anonymous id", () => {
+    const req = { cookies: { anonymous_id: "anon-1" } };
+
+    readAnonymousId(req, res, next);
+
+    expect(req.anonymousId).toBe("anon-1");
+    expect(res.cookie).not.toHaveBeenCalled();
+  });
+
+  it("should not create an anonymous id for signed in users", () => {
+    const req = { cookies: {}, user: { id: "user-1" } };
+
+    readAnonymousId(req, res, next);
+
+    expect(req.anonymousId).toBeUndefined();
+    expect(res.cookie).not.toHaveBeenCalled();
+  });
+
+  it("should prefer the signed in user as viewer", () => {
+    expect(
+      getViewer({ user: { id: "user-1" }, anonymousId: "anon-1" })
+    ).toEqual({ userId: "user-1" });
+    expect(getViewer({ anonymousId: "anon-1" })).toEqual({
+      anonymousId: "anon-1",
+    });
+    expect(getViewer({})).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  countOrderStats,
+  getOrderQuantities,
+  pickBestSellers,
+  pickCoPurchases,
+} from "../../utils/recommendation";
+
+describe("recommendation utils", () => {
+  const orders = [
+    {
+      products: [
+        { productId: "shirt", quantity: 1 },
+        { productId: "pants", quantity: 2 },
+      ],
+    },
+    {
+      products: [
+        { productId: "shirt", quantity: 1 },
+        { productId: "pants", quantity: 1 },
+        { productId: "belt", quantity: 1 },
+      ],
+    },
+    { products: [{ productId: "shirt", quantity: 3 }] },
+  ];
+
+  it("should count bundle components as sold products", () => {
+    const quantities = getOrderQuantities({
+      products: [
+        {
+          bundleId: "outfit",
+          quantity: 2,
+          components: [
+            { productId: "shirt", quantity: 1 },
+            { productId: "pants", quantity: 2 },
+          ],
+        },
+        { productId: "shirt", quantity: 1 },
+      ],
+    });
+
+    expect(Object.fromEntries(quantities)).toEqual({ shirt: 3, pants: 4 });
+  });
+
+  it("should count orders that contain both products", () => {
+    const { coPurchases, sales } = countOrderStats(orders);
+
+    expect(coPurchases.get("shirt").get("pants")).toBe(2);
+    expect(coPurchases.get("shirt").get("belt")).toBe(1);
+    expect(coPurchases.get("belt").has("belt")).toBe(false);
+    expect(sales.get("shirt")).toBe(5);
+  });
+
+  it("should rank co-purchases and skip products that are not on sale", () => {
+    const { coPurchases } = countOrderStats(orders);
+
+    expect(pickCoPurchases("shirt", coPurchases, ["pants", "belt"])).toEqual([
+      { product: "pants", score: 2, source: "co-purchase" },
+      { product: "belt", score: 1, source: "co-purchase" },
+    ]);
+    expect(pickCoPurchases("shirt", coPurchases, ["belt"])).toHaveLength(1);
+    expect(pickCoPurchases("socks", coPurchases, ["pants"])).toEqual([]);
+  });
+
+  it("should fill up with same-category best sellers", () => {
+    const sales = new Map([
+      ["tee", 1],
+      ["polo", 9],
+    ]);
+    const picked = [{ product: "pants", score: 2, source: "co-purchase" }];
+
+    expect(
+      pickBestSellers(
+        "shirt",
+        sales,
+        ["shirt", "pants", "tee", "polo", "new"],
+        picked,
+        3
+      )
+    ).toEqual([
+      { product: "polo", score: 9, source: "best-seller" },
+      { product: "tee", score: 1, source: "best-seller" },
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+import {
+  buildSearchIndex,
+  editDistance,
+  matchWord,
+  normalizeText,
+  scoreSearchIndex,
+} from "../../utils/searchIndex";
+
+const index = (product) =>
+  buildSearchIndex({ description: "", categories: [], ...product });
+
+describe("search index utils", () => {
+  it("should remove Vietnamese accents and punctuation", () => {
+    expect(normalizeText("Áo Thun-Đen (Cổ tròn)")).toBe("ao thun den co tron");
+    // decomposed input from some keyboards
+    expect(normalizeText("Áo")).toBe("ao");
+  });
+
+  it("should match words with and without accents", () => {
+    expect(
+      scoreSearchIndex(index({ name: "Áo thun" }), "ao thun")
+    ).toBeGreaterThan(0);
+    expect(
+      scoreSearchIndex(index({ name: "Ao thun" }), "áo thun")
+    ).toBeGreaterThan(0);
+  });
+
+  it("should tolerate small misspellings in longer words", () => {
+    expect(editDistance("somi", "so mi")).toBe(1);
+    expect(matchWord("polp", ["polo"])).toBeGreaterThan(0);
+    expect(matchWord("khaoc", ["khoac"])).toBeGreaterThan(0);
+    // short words must be exact
+    expect(matchWord("ai", ["ao"])).toBe(0);
+  });
+
+  it("should treat regex characters as plain text", () => {
+    expect(
+      scoreSearchIndex(index({ name: "Áo (polo)" }), "(polo")
+    ).toBeGreaterThan(0);
+    expect(scoreSearchIndex(index({ name: "Áo polo" }), ".*")).toBe(0);
+  });
+
+  it("should require every word of the query", () => {
+    expect(scoreSearchIndex(index({ name: "Áo thun" }), "ao jean")).toBe(0);
+  });
+
+  it("should rank name matches above description matches", () => {
+    const inName = scoreSearchIndex(index({ name: "Áo polo" }), "polo");
+    const inCategory = scoreSearchIndex(
+      index({ name: "Áo", categories: ["polo"] }),
+      "polo"
+    );
+    const inDescription = scoreSearchIndex(
+      index({ name: "Áo", description: "Chất liệu giống áo polo" }),
+      "polo"
+    );
+
+    expect(inName).toBeGreaterThan(inCategory);
+    expect(inCategory).toBeGreaterThan(inDescription);
+    expect(inDescription).toBeGreaterThan(0);
+  });
+
+  it("should rank exact words above typos and full phrases above scattered words", () => {
+    const exact = scoreSearchIndex(index({ name: "Áo khoác" }), "ao khoac");
+    const typo = scoreSearchIndex(index({ name: "Áo khoác" }), "ao khoca");
+    const scattered = scoreSearchIndex(
+      index({ name: "Khoác ngoài dáng áo dài" }),
+      "ao khoac"
+    );
+
+    expect(exact).toBeGreaterThan(typo);
+    expect(exact).toBeGreaterThan(scattered);
+  });
+});
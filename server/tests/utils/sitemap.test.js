@@ -0,0 +1,29 @@
+import { buildRobots, buildSitemap, escapeXml } from "../../utils/sitemap";
+
+describe("sitemap utils", () => {
+  it("should escape xml special characters", () => {
+    expect(escapeXml(`a&b<c>"d'`)).toBe("a&amp;b&lt;c&gt;&quot;d&apos;");
+  });
+
+  it("should list every entry with its last modified date", () => {
+    const xml = buildSitemap("https://kaydi.vn", [
+      { path: "/" },
+      { path: "/products/ao-polo", lastmod: "2025-06-01T00:00:00.000Z" },
+    ]);
+
+    expect(xml).toContain(
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    );
+    expect(xml).toContain("<loc>https://kaydi.vn/</loc>");
+    expect(xml).toContain("<loc>https://kaydi.vn/products/ao-polo</loc>");
+    expect(xml).toContain("<lastmod>2025-06-01T00:00:00.000Z</lastmod>");
+    expect(xml.match(/<url>/g)).toHaveLength(2);
+  });
+
+  it("should point robots.txt at the sitemap", () => {
+    const robots = buildRobots("https://kaydi.vn");
+
+    expect(robots).toContain("Disallow: /admin");
+    expect(robots).toContain("Sitemap: https://kaydi.vn/sitemap.xml");
+  });
+});
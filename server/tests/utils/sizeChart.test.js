@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import {
+  parseRange,
+  parseSizeChartTable,
+  rankProductCategories,
+} from "../../utils/sizeChart";
+
+const measurements = [
+  { key: "height", label: "Chiều cao", unit: "cm" },
+  { key: "weight", label: "Cân nặng", unit: "kg" },
+];
+
+describe("sizeChart utils", () => {
+  it("should parse ranges, single values and objects", () => {
+    expect(parseRange("155-162")).toEqual({ min: 155, max: 162 });
+    expect(parseRange(" 48 - 55.5 ")).toEqual({ min: 48, max: 55.5 });
+    expect(parseRange(94)).toEqual({ min: 94, max: 94 });
+    expect(parseRange({ min: 60, max: 65 })).toEqual({ min: 60, max: 65 });
+  });
+
+  it("should reject invalid ranges", () => {
+    expect(parseRange("abc")).toBeNull();
+    expect(parseRange("170-160")).toBeNull();
+    expect(parseRange({ min: "x" })).toBeNull();
+  });
+
+  it("should parse a table and skip empty cells", () => {
+    const table = parseSizeChartTable(measurements, [
+      { size: "M", values: { height: "160-165", weight: "" } },
+      { size: " L ", values: { height: "166-172", weight: "55-62" } },
+    ]);
+
+    expect(table.measurements[0]).toEqual(measurements[0]);
+    expect(table.rows).toEqual([
+      { size: "M", values: { height: { min: 160, max: 165 } } },
+      {
+        size: "L",
+        values: {
+          height: { min: 166, max: 172 },
+          weight: { min: 55, max: 62 },
+        },
+      },
+    ]);
+  });
+
+  it("should reject duplicate sizes, unknown measurements and bad values", () => {
+    expect(parseSizeChartTable([], []).error).toBe(
+      "Size chart needs at least one measurement"
+    );
+    expect(
+      parseSizeChartTable([...measurements, { key: "height", label: "x" }], [])
+        .error
+    ).toBe("Duplicate measurement: height");
+    expect(
+      parseSizeChartTable(measurements, [{ size: "M" }, { size: "M" }]).error
+    ).toBe("Duplicate size: M");
+    expect(
+      parseSizeChartTable(measurements, [{ size: "M", values: { waist: 70 } }])
+        .error
+    ).toBe("Unknown measurement: waist");
+    expect(
+      parseSizeChartTable(measurements, [
+        { size: "M", values: { height: "tall" } },
+      ]).error
+    ).toBe("Invalid height for size M");
+  });
+
+  it("should rank deeper and directly assigned categories first", () => {
+    const rootId = new mongoose.Types.ObjectId();
+    const parentId = new mongoose.Types.ObjectId();
+    const childId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+
+    const ranked = rankProductCategories([
+      { _id: otherId, ancestors: [] },
+      { _id: childId, ancestors: [rootId, parentId] },
+    ]);
+
+    expect(ranked).toEqual([
+      childId.toString(),
+      parentId.toString(),
+      otherId.toString(),
+      rootId.toString(),
+    ]);
+  });
+});
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import {
+  combineRecommendations,
+  getPurchasedSizes,
+  parseFitProfile,
+  pickHistorySize,
+  recommendFromChart,
+} from "../../utils/sizeRecommendation";
+
+const chart = {
+  rows: [
+    {
+      size: "M",
+      values: { height: { min: 155, max: 162 }, weight: { min: 51, max: 59 } },
+    },
+    {
+      size: "L",
+      values: { height: { min: 163, max: 169 }, weight: { min: 60, max: 68 } },
+    },
+    {
+      size: "XL",
+      values: { height: { min: 170, max: 176 }, weight: { min: 69, max: 77 } },
+    },
+  ],
+};
+
+describe("sizeRecommendation utils", () => {
+  it("should parse and validate a fit profile", () => {
+    expect(parseFitProfile({ height: "170", weight: "", fit: "slim" })).toEqual(
+      { fitProfile: { height: 170, weight: null, fit: "slim" } }
+    );
+    expect(parseFitProfile({ weight: 5 }).error).toBe(
+      "weight must be between 10 and 300"
+    );
+    expect(parseFitProfile({ fit: "baggy" }).error).toBe(
+      "Fit must be one of: slim, regular, loose"
+    );
+    expect(parseFitProfile("tall").error).toBe("Fit profile must be an object");
+  });
+
+  it("should pick the size matching both measurements", () => {
+    expect(recommendFromChart(chart, { height: 165, weight: 62 })).toBe("L");
+  });
+
+  it("should follow the preferred fit when measurements disagree", () => {
+    const profile = { height: 160, weight: 65 };
+
+    expect(recommendFromChart(chart, { ...profile, fit: "slim" })).toBe("M");
+    expect(recommendFromChart(chart, { ...profile, fit: "regular" })).toBe("L");
+    expect(recommendFromChart(chart, { ...profile, fit: "loose" })).toBe("XL");
+  });
+
+  it("should use the nearest size outside the chart and skip empty profiles", () => {
+    expect(recommendFromChart(chart, { height: 190 })).toBe("XL");
+    expect(recommendFromChart(chart, { fit: "regular" })).toBeNull();
+  });
+
+  it("should collect sizes from product lines and bundle components", () => {
+    const productId = new mongoose.Types.ObjectId();
+    const lines = getPurchasedSizes([
+      {
+        products: [
+          { productId, size: "L", quantity: 2 },
+          {
+            bundleId: new mongoose.Types.ObjectId(),
+            quantity: 2,
+            components: [{ productId, size: "M", quantity: 1 }],
+          },
+        ],
+      },
+    ]);
+
+    expect(lines).toEqual([
+      { productId, size: "L", quantity: 2 },
+      { productId, size: "M", quantity: 2 },
+    ]);
+  });
+
+  it("should pick the most bought size, most recent first on ties", () => {
+    expect(
+      pickHistorySize([
+        { size: "M", quantity: 1 },
+        { size: "L", quantity: 1 },
+      ])
+    ).toBe("M");
+    expect(pickHistorySize([])).toBeNull();
+  });
+
+  it("should trust history only when it is one size away", () => {
+    const order = ["M", "L", "XL"];
+
+    expect(combineRecommendations("L", "M", order)).toEqual({
+      size: "M",
+      source: "history",
+    });
+    expect(combineRecommendations("XL", "M", order)).toEqual({
+      size: "XL",
+      source: "profile",
+    });
+    expect(combineRecommendations("L", "L", order).source).toBe(
+      "profile_history"
+    );
+    expect(combineRecommendations(null, null, order).size).toBeNull();
+  });
+});
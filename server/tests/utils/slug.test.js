@@ -0,0 +1,51 @@
+import { findBySlug, generateUniqueSlug, slugify } from "../../utils/slug";
+
+describe("slug utils", () => {
+  it("should strip accents and join words with dashes", () => {
+    expect(slugify("Áo Thun Đen - Size L!")).toBe("ao-thun-den-size-l");
+    expect(slugify("  Quần   jean  ")).toBe("quan-jean");
+    expect(slugify("!!!")).toBe("");
+  });
+
+  it("should add a number until the slug is free", async () => {
+    const Model = {
+      exists: jest
+        .fn()
+        .mockResolvedValueOnce({ _id: "a" })
+        .mockResolvedValueOnce({ _id: "b" })
+        .mockResolvedValueOnce(null),
+    };
+
+    const slug = await generateUniqueSlug(Model, "Áo Polo", "self");
+
+    expect(slug).toBe("ao-polo-3");
+    expect(Model.exists).toHaveBeenLastCalledWith({
+      _id: { $ne: "self" },
+      $or: [{ slug: "ao-polo-3" }, { previousSlugs: "ao-polo-3" }],
+    });
+  });
+
+  it("should fall back to a generic slug for names without letters", async () => {
+    const Model = { exists: jest.fn().mockResolvedValue(null) };
+
+    expect(await generateUniqueSlug(Model, "???")).toBe("item");
+  });
+
+  it("should flag documents found by an old slug for a redirect", async () => {
+    const renamed = { slug: "ao-polo-moi" };
+    const Model = {
+      findOne: jest
+        .fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(renamed),
+    };
+
+    expect(await findBySlug(Model, "ao-polo")).toEqual({
+      doc: renamed,
+      redirect: true,
+    });
+    expect(Model.findOne).toHaveBeenLastCalledWith({
+      previousSlugs: "ao-polo",
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import {
+  buildRestockFilter,
+  getRestockedVariants,
+  getStockSnapshot,
+  validateStockSubscription,
+} from "../../utils/stockAlert";
+
+const variantProduct = {
+  stock: 2,
+  variants: [
+    { color: "Red", size: "M", stock: 0 },
+    { color: "Red", size: "L", stock: 2 },
+  ],
+};
+
+describe("stockAlert utils", () => {
+  it("should only accept out of stock variants and a valid email", () => {
+    const email = "buyer@example.com";
+
+    expect(
+      validateStockSubscription(variantProduct, {
+        color: "Red",
+        size: "M",
+        email,
+      })
+    ).toBeNull();
+    expect(
+      validateStockSubscription(variantProduct, {
+        color: "Red",
+        size: "L",
+        email,
+      })
+    ).toBe("This variant is in stock");
+    expect(
+      validateStockSubscription(variantProduct, { color: "Blue", email })
+    ).toBe("Please choose a color and size of this product");
+    expect(
+      validateStockSubscription({ stock: 0 }, { email: "not-an-email" })
+    ).toBe("A valid email is required");
+    expect(validateStockSubscription({ stock: 1 }, { email })).toBe(
+      "This product is in stock"
+    );
+  });
+
+  it("should find variants that went from zero to in stock", () => {
+    const before = getStockSnapshot(variantProduct);
+    const after = {
+      stock: 7,
+      variants: [
+        { color: "Red", size: "M", stock: 3 },
+        { color: "Red", size: "L", stock: 4 },
+        { color: "Blue", size: "M", stock: 0 },
+      ],
+    };
+
+    expect(getRestockedVariants(before, after)).toEqual([
+      { color: "Red", size: "M" },
+    ]);
+  });
+
+  it("should treat new variants as restocked when nothing was in stock", () => {
+    expect(
+      getRestockedVariants(
+        { stock: 0, variants: [] },
+        { stock: 2, variants: [{ color: "Red", size: "M", stock: 2 }] }
+      )
+    ).toEqual([{ color: "Red", size: "M" }]);
+  });
+
+  it("should restock every subscription of a product without variants", () => {
+    const productId = new mongoose.Types.ObjectId();
+    const restocked = getRestockedVariants(
+      { stock: 0, variants: [] },
+      { stock: 5 }
+    );
+
+    expect(restocked).toEqual([{ color: "", size: "" }]);
+    expect(buildRestockFilter(productId, restocked)).toEqual({
+      product: productId,
+    });
+    expect(getRestockedVariants({ stock: 1 }, { stock: 5 })).toEqual([]);
+  });
+
+  it("should filter subscriptions by restocked variant", () => {
+    const productId = new mongoose.Types.ObjectId();
+
+    expect(
+      buildRestockFilter(productId, [{ color: "Red", size: "M" }])
+    ).toEqual({
+      product: productId,
+      $or: [{ color: "Red", size: "M" }],
+    });
+  });
+});
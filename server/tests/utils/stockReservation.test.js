@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_RESERVATION_MINUTES,
+  getReservationMinutes,
+  getStockKey,
+} from "../../utils/stockReservation";
+
+describe("stockReservation utils", () => {
+  afterEach(() => {
+    delete process.env.STOCK_RESERVATION_MINUTES;
+  });
+
+  it("should read the reservation time from the environment", () => {
+    expect(getReservationMinutes()).toBe(DEFAULT_RESERVATION_MINUTES);
+    process.env.STOCK_RESERVATION_MINUTES = "45";
+    expect(getReservationMinutes()).toBe(45);
+    process.env.STOCK_RESERVATION_MINUTES = "-1";
+    expect(getReservationMinutes()).toBe(DEFAULT_RESERVATION_MINUTES);
+  });
+
+  it("should key stock by SKU, or by product without variants", () => {
+    const productId = new mongoose.Types.ObjectId();
+    expect(getStockKey(productId, "SKU-RED-M")).toBe("SKU-RED-M");
+    expect(getStockKey(productId, null)).toBe(String(productId));
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  buildSku,
+  findVariant,
+  getAvailableStock,
+  getUnitPrice,
+  keepStoredStock,
+  normalizeVariants,
+  validateVariants,
+} from "../../utils/variant";
+
+const product = {
+  price: 100,
+  stock: 5,
+  variants: [
+    { sku: "A-DEN-M", color: "Đen", size: "M", stock: 0 },
+    { sku: "A-DEN-L", color: "Đen", size: "L", stock: 5, price: 120 },
+  ],
+};
+
+describe("variant utils", () => {
+  it("should build a SKU without Vietnamese accents", () => {
+    expect(buildSku("64b7f0c2a1b2c3d4e5f6a7b8", "Xanh Lá", "XL")).toBe(
+      "F6A7B8-XANHLA-XL"
+    );
+  });
+
+  it("should find a variant by color and size", () => {
+    expect(findVariant(product, "Đen", "L").sku).toBe("A-DEN-L");
+    expect(findVariant(product, "Trắng", "L")).toBeUndefined();
+  });
+
+  it("should read stock from the variant instead of the product", () => {
+    expect(getAvailableStock(product, "Đen", "M")).toBe(0);
+    expect(getAvailableStock(product, "Đen", "L")).toBe(5);
+    expect(getAvailableStock(product, "Trắng", "L")).toBe(0);
+  });
+
+  it("should fall back to product stock when there are no variants", () => {
+    expect(getAvailableStock({ stock: 7, variants: [] }, "Red", "M")).toBe(7);
+  });
+
+  it("should use the variant price override when set", () => {
+    expect(getUnitPrice(product, "Đen", "L")).toBe(120);
+    expect(getUnitPrice(product, "Đen", "M")).toBe(100);
+  });
+
+  it("should reject duplicate combinations and negative stock", () => {
+    expect(
+      validateVariants([
+        { color: "Red", size: "M", stock: 1 },
+        { color: "Red", size: "M", stock: 2 },
+      ])
+    ).toBe("Duplicate variant Red / M");
+    expect(validateVariants([{ color: "Red", size: "M", stock: -1 }])).toBe(
+      "Invalid stock for variant Red / M"
+    );
+    expect(validateVariants([{ color: "Red", stock: 1 }])).toBe(
+      "Each variant needs a size and a color"
+    );
+    expect(validateVariants([{ color: "Red", size: "M", stock: 1 }])).toBe(
+      null
+    );
+  });
+
+  it("should generate missing SKUs and cast numbers", () => {
+    const [variant] = normalizeVariants(
+      [{ color: "Red", size: "M", stock: "3", price: "" }],
+      "000000000000000000abcdef"
+    );
+    expect(variant).toEqual({
+      sku: "ABCDEF-RED-M",
+      color: "Red",
+      size: "M",
+      stock: 3,
+    });
+  });
+
+  it("should keep the stored stock of variants sent without stock", () => {
+    expect(
+      keepStoredStock(
+        [
+          { color: "Đen", size: "L" },
+          { color: "Trắng", size: "M" },
+          { color: "Đen", size: "M", stock: 4 },
+        ],
+        product
+      ).map((variant) => variant.stock)
+    ).toEqual([5, 0, 4]);
+  });
+});
@@ -1,6 +1,6 @@
 import jwt from "jsonwebtoken";
 import { errorHandler } from "../../utils/error";
-import { verifyToken } from "../../utils/verifyUser";
+import { readOptionalUser, verifyToken } from "../../utils/verifyUser";
 jest.mock("jsonwebtoken");
 jest.mock("../../utils/error");
 
@@ -56,3 +56,47 @@ describe("verifyToken middleware", () => {
     expect(next).toHaveBeenCalledWith();
   });
 });
+
+describe("readOptionalUser middleware", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      cookies: {},
+    };
+    res = {};
+    next = jest.fn();
+  });
+
+  it("should call next without a user if no token is present", () => {
+    readOptionalUser(req, res, next);
+
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should ignore an invalid token", () => {
+    req.cookies.access_token = "invalid-token";
+    jwt.verify.mockImplementation((token, secret, callback) => {
+      callback(new Error("Invalid token"), null);
+    });
+
+    readOptionalUser(req, res, next);
+
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should set req.user if token is valid", () => {
+    req.cookies.access_token = "valid-token";
+    const fakeUser = { id: "123", isAdmin: true };
+    jwt.verify.mockImplementation((token, secret, callback) => {
+      callback(null, fakeUser);
+    });
+
+    readOptionalUser(req, res, next);
+
+    expect(req.user).toEqual(fakeUser);
+    expect(next).toHaveBeenCalledWith();
+  });
+});
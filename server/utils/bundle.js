@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import Product from "../models/productModel.js";
+import { isProductLive } from "./productStatus.js";
+import { findVariant, getAvailableStock, hasVariants } from "./variant.js";
+
+export const BUNDLE_NOT_FOUND_MESSAGE = "Bundle not found";
+
+export const isBundleLine = (item) => Boolean(item?.bundleId);
+
+// returns an error message, or null when every item is valid
+export const validateBundleItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "A bundle needs at least one product";
+  }
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(item.productId)) {
+      return "Each bundle item needs a valid productId";
+    }
+    if (
+      item.quantity !== undefined &&
+      (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)
+    ) {
+      return "Bundle item quantity must be a whole number of at least 1";
+    }
+  }
+  return null;
+};
+
+// kiem tra san pham va bien the cua tung thanh phan co ton tai khong
+export const checkBundleProducts = (items, products) => {
+  for (const item of items) {
+    const product = products.find((doc) => doc._id.equals(item.productId));
+    if (!product) {
+      return `Product ${item.productId} not found`;
+    }
+    if (hasVariants(product) && !findVariant(product, item.color, item.size)) {
+      return `${product.name} is not available in ${item.color} / ${item.size}`;
+    }
+  }
+  return null;
+};
+
+export const findBundleProducts = (bundles) => {
+  const ids = bundles.flatMap((bundle) =>
+    bundle.items.map((item) => item.productId)
+  );
+  return Product.find({ _id: { $in: ids } });
+};
+
+// so combo con ban duoc = thanh phan it hang nhat
+export const getBundleStock = (bundle, products) =>
+  Math.min(
+    ...bundle.items.map((item) => {
+      const product = products.find((doc) => doc._id.equals(item.productId));
+      if (!product || !isProductLive(product)) {
+        return 0;
+      }
+      return Math.floor(
+        getAvailableStock(product, item.color, item.size) / item.quantity
+      );
+    })
+  );
+
+// snapshot cac thanh phan luu vao dong gio hang / don hang
+export const getBundleComponents = (bundle, products) =>
+  bundle.items.map((item) => {
+    const product = products.find((doc) => doc._id.equals(item.productId));
+    return {
+      productId: item.productId,
+      name: product?.name,
+      color: item.color,
+      size: item.size,
+      quantity: item.quantity,
+      sku: product
+        ? findVariant(product, item.color, item.size)?.sku
+        : undefined,
+    };
+  });
+
+// cac dong can tru kho khi ban `quantity` combo
+export const expandBundleLine = (line) =>
+  line.components.map((component) => ({
+    productId: String(component.productId),
+    color: component.color,
+    size: component.size,
+    quantity: component.quantity * line.quantity,
+  }));
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import Category from "../models/categoryModel.js";
+import Product from "../models/productModel.js";
+
+// gom danh sach phang thanh cay cha - con
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map();
+  categories.forEach((category) => {
+    const plain =
+      typeof category.toObject === "function" ? category.toObject() : category;
+    nodes.set(plain._id.toString(), { ...plain, children: [] });
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent ? nodes.get(node.parent.toString()) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+export const getDescendants = async (categoryId) => {
+  return await Category.find({ ancestors: categoryId });
+};
+
+export const findCategoryByKey = async (key) => {
+  if (mongoose.Types.ObjectId.isValid(key)) {
+    const byId = await Category.findById(key);
+    if (byId) {
+      return byId;
+    }
+  }
+  for (const field of ["slug", "name", "previousSlugs"]) {
+    const category = await Category.findOne({ [field]: key });
+    if (category) {
+      return category;
+    }
+  }
+  return null;
+};
+
+// products are matched by categoryIds, and by name only for products that
+// were not migrated yet (no categoryIds), so a stale name can not match
+export const buildCategoryFilter = async (key, includeDescendants = true) => {
+  const category = await findCategoryByKey(key);
+  if (!category) {
+    return { categories: key };
+  }
+
+  const matched = [category];
+  if (includeDescendants) {
+    matched.push(...(await getDescendants(category._id)));
+  }
+
+  return {
+    $or: [
+      { categoryIds: { $in: matched.map((item) => item._id) } },
+      {
+        "categoryIds.0": { $exists: false },
+        categories: { $in: matched.map((item) => item.name) },
+      },
+    ],
+  };
+};
+
+// products that belong to the category, with the same name rule as
+// buildCategoryFilter
+const productsInCategory = (category) => ({
+  $or: [
+    { categoryIds: category._id },
+    { "categoryIds.0": { $exists: false }, categories: category.name },
+  ],
+});
+
+// facets, recommendations and the stock jobs group products by the stored
+// names, so a rename is copied onto the products. Saved one by one so the
+// search index picks up the new name
+export const renameProductCategory = async (category, name) => {
+  const products = await Product.find(productsInCategory(category));
+  await Promise.all(
+    products.map((product) => {
+      product.categories = product.categories.map((item) =>
+        item === category.name ? name : item
+      );
+      return product.save();
+    })
+  );
+};
+
+// drop a deleted category from both the references and the names
+export const removeProductCategory = async (category) => {
+  const products = await Product.find(productsInCategory(category));
+  await Promise.all(
+    products.map((product) => {
+      product.categoryIds = product.categoryIds.filter(
+        (id) => !id.equals(category._id)
+      );
+      product.categories = product.categories.filter(
+        (item) => item !== category.name
+      );
+      return product.save();
+    })
+  );
+};
+
+// keep the category names and the category references of a product in sync
+export const resolveProductCategories = async ({ categories, categoryIds }) => {
+  if (Array.isArray(categoryIds)) {
+    const found = await Category.find({ _id: { $in: categoryIds } });
+    return {
+      categories: found.map((category) => category.name),
+      categoryIds: found.map((category) => category._id),
+    };
+  }
+
+  if (Array.isArray(categories)) {
+    const found = await Category.find({ name: { $in: categories } });
+    return {
+      categories,
+      categoryIds: found.map((category) => category._id),
+    };
+  }
+
+  return {};
+};
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+export const INVALID_CURSOR_MESSAGE = "Invalid cursor";
+
+// co tham so cursor (ke ca rong cho trang dau) thi phan trang bang cursor,
+// khong thi giu kieu page / limit cho bang admin
+export const isCursorRequest = (query) => query.cursor !== undefined;
+
+export const MAX_CURSOR_LIMIT = 100;
+
+export const parseCursorLimit = (value, fallback) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), MAX_CURSOR_LIMIT);
+
+// page / limit cua kieu phan trang cu: page < 1 ve trang 1, limit gioi han nhu
+// parseCursorLimit de $skip / $limit khong bao gio am
+export const parsePageQuery = (query, fallbackLimit) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = parseCursorLimit(query.limit, fallbackLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Date va ObjectId giu kieu qua JSON de $match trong aggregate so sanh dung
+const toCursorValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+  return value ?? null;
+};
+
+const fromCursorValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$date === "string") {
+      const date = new Date(value.$date);
+      return isNaN(date.getTime()) ? undefined : date;
+    }
+    if (mongoose.isObjectIdOrHexString(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return undefined;
+  }
+  return value;
+};
+
+// cursor la gia tri cac khoa sap xep cua phan tu cuoi trang, ma hoa base64url;
+// luu ca ten cac khoa de cursor cua kieu sap xep khac bi tu choi
+export const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(sort);
+  return Buffer.from(
+    JSON.stringify({
+      k: keys.join(","),
+      v: keys.map((key) => toCursorValue(doc[key])),
+    })
+  ).toString("base64url");
+};
+
+const decodeValues = (cursor, sort) => {
+  try {
+    const keys = Object.keys(sort);
+    const { k, v } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (k !== keys.join(",") || !Array.isArray(v) || v.length !== keys.length) {
+      return null;
+    }
+    const values = v.map(fromCursorValue);
+    return values.includes(undefined) ? null : values;
+  } catch (error) {
+    return null;
+  }
+};
+
+// dieu kien "sau cursor" theo thu tu sap xep: (a > x) hoac (a = x va b > y)...
+// tra ve { filter } (rong cho trang dau) hoac { error }
+export const parseCursor = (cursor, sort) => {
+  if (!cursor) {
+    return { filter: {} };
+  }
+  const values = decodeValues(String(cursor), sort);
+  if (!values) {
+    return { error: INVALID_CURSOR_MESSAGE };
+  }
+  const keys = Object.keys(sort);
+  return {
+    filter: {
+      $or: keys.map((key, index) => ({
+        ...Object.fromEntries(
+          keys.slice(0, index).map((prev, i) => [prev, values[i]])
+        ),
+        [key]: { [sort[key] === 1 ? "$gt" : "$lt"]: values[index] },
+      })),
+    },
+  };
+};
+
+// items lay du limit + 1 phan tu de biet con trang sau hay khong
+export const toCursorPage = (items, limit, sort) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor(pageItems[pageItems.length - 1], sort)
+      : null,
+  };
+};
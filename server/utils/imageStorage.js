@@ -0,0 +1,43 @@
+import fs from "fs/promises";
+import path from "path";
+
+export const getUploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+const getUploadBaseUrl = () =>
+  process.env.UPLOAD_BASE_URL ||
+  `http://localhost:${process.env.PORT || 3000}/uploads`;
+
+// luu file tren o dia cua server, index.js phuc vu thu muc nay o /uploads
+export const createLocalStorage = ({
+  dir = getUploadDir(),
+  baseUrl = getUploadBaseUrl(),
+} = {}) => ({
+  save: async (key, buffer) => {
+    const file = path.join(dir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${baseUrl}/${key}`;
+  },
+  remove: (key) => fs.rm(path.join(dir, key), { force: true }),
+});
+
+// moi backend la mot factory tra ve { save(key, buffer, contentType) => url,
+// remove(key) }; chon bang bien moi truong IMAGE_STORAGE
+const storageDrivers = {
+  local: createLocalStorage,
+};
+
+export const registerStorageDriver = (name, factory) => {
+  storageDrivers[name] = factory;
+};
+
+export const getImageStorage = (
+  name = process.env.IMAGE_STORAGE || "local"
+) => {
+  const factory = storageDrivers[name];
+  if (!factory) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+  return { name, ...factory() };
+};
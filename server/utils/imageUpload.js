@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import Image from "../models/imageModel.js";
+import { getImageStorage } from "./imageStorage.js";
+
+export const IMAGE_KINDS = ["product", "category", "review", "avatar", "chat"];
+
+// anh chi admin duoc tai len
+export const ADMIN_IMAGE_KINDS = ["product", "category"];
+
+// chieu dai canh lon nhat cua tung kich thuoc
+export const IMAGE_VARIANTS = {
+  thumbnail: 160,
+  card: 480,
+  full: 1600,
+};
+
+export const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+export const getMaxImageBytes = () => {
+  const maxBytes = Number(process.env.IMAGE_MAX_BYTES);
+  return maxBytes > 0 ? maxBytes : DEFAULT_MAX_IMAGE_BYTES;
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// nhan dinh dang theo magic bytes, khong tin Content-Type cua client
+export const detectImageType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return "image/jpeg";
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (startsWith(buffer, Buffer.from("GIF8"))) {
+    return "image/gif";
+  }
+  if (
+    startsWith(buffer, Buffer.from("RIFF")) &&
+    startsWith(buffer, Buffer.from("WEBP"), 8)
+  ) {
+    return "image/webp";
+  }
+  return null;
+};
+
+// tra ve error hoac null
+export const validateImage = (buffer, maxBytes = getMaxImageBytes()) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return "Please upload an image";
+  }
+  if (buffer.length > maxBytes) {
+    return `Image must be smaller than ${Math.round(maxBytes / 1024 / 1024)}MB`;
+  }
+  if (!detectImageType(buffer)) {
+    return "Only JPEG, PNG, WebP and GIF images are allowed";
+  }
+  return null;
+};
+
+// xoay anh theo EXIF roi tao cac kich thuoc webp; sharp bo toan bo metadata
+// (EXIF, GPS) khi khong goi withMetadata
+export const resizeImage = (buffer) =>
+  Promise.all(
+    Object.entries(IMAGE_VARIANTS).map(async ([name, size]) => {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({
+          width: size,
+          height: size,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      return { name, buffer: data, width: info.width, height: info.height };
+    })
+  );
+
+// luu cac kich thuoc da resize, tra ve phan luu tru cua Image
+export const storeImage = async (
+  resized,
+  { kind, storage = getImageStorage() }
+) => {
+  const id = crypto.randomBytes(12).toString("hex");
+  const keys = [];
+  const variants = {};
+  for (const variant of resized) {
+    const key = `${kind}/${id}-${variant.name}.webp`;
+    variants[variant.name] = {
+      url: await storage.save(key, variant.buffer, "image/webp"),
+      width: variant.width,
+      height: variant.height,
+    };
+    keys.push(key);
+  }
+  return {
+    storage: storage.name,
+    keys,
+    url: variants.full.url,
+    width: variants.full.width,
+    height: variants.full.height,
+    variants,
+  };
+};
+
+// anh san pham theo thu tu listingPhotoPaths; anh tai len qua server co them
+// cac kich thuoc, link ngoai (vd. Firebase cu) chi co url
+export const resolveImages = async (urls) => {
+  const images = await Image.find({ url: { $in: urls } });
+  return urls.map((url) => {
+    const image = images.find((item) => item.url === url);
+    return image ? { url, variants: image.variants } : { url };
+  });
+};
+
+// cac kich thuoc cua mot anh le (anh danh muc, avatar, anh nhom chat),
+// null khi khong co anh hoac anh khong tai len qua server
+export const resolveImageVariants = async (url) => {
+  if (!url) {
+    return null;
+  }
+  const image = await Image.findOne({ url });
+  return image ? image.variants : null;
+};
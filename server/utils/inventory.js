@@ -0,0 +1,300 @@
+import mongoose from "mongoose";
+import InventoryMovement from "../models/inventoryMovementModel.js";
+import Product from "../models/productModel.js";
+import { expandBundleLine, isBundleLine } from "./bundle.js";
+import { findVariant, hasVariants } from "./variant.js";
+
+export const MOVEMENT_REASONS = [
+  "sale",
+  "cancellation",
+  "manual",
+  "import",
+  "return",
+];
+
+// ly do admin duoc chon khi dieu chinh ton kho bang tay
+export const ADJUSTMENT_REASONS = ["manual", "return"];
+
+const stockKey = (color, size) => `${color || ""}|${size || ""}`;
+
+// moi dong don hang (hoac thanh phan combo) thanh mot dong ton kho;
+// san pham khong co bien the thi bo mau va size
+export const buildStockItems = (stockLines, foundProducts) =>
+  stockLines.map((line) => {
+    const product = foundProducts[line.productId];
+    const variant = findVariant(product, line.color, line.size);
+    return {
+      product: product._id,
+      sku: variant?.sku || null,
+      color: variant ? variant.color : "",
+      size: variant ? variant.size : "",
+      quantity: line.quantity,
+    };
+  });
+
+// chenh lech ton kho giua truoc va sau khi sua, theo tung bien the
+// before la null khi san pham moi tao
+export const diffStock = (before, after) => {
+  const toEntries = (product) =>
+    !product
+      ? []
+      : hasVariants(product)
+      ? product.variants.map((variant) => ({
+          sku: variant.sku || null,
+          color: variant.color,
+          size: variant.size,
+          stock: variant.stock,
+        }))
+      : [{ sku: null, color: "", size: "", stock: product.stock }];
+
+  const changes = new Map();
+  toEntries(before).forEach((entry) =>
+    changes.set(stockKey(entry.color, entry.size), {
+      ...entry,
+      delta: -entry.stock,
+    })
+  );
+  toEntries(after).forEach((entry) => {
+    const key = stockKey(entry.color, entry.size);
+    changes.set(key, {
+      ...entry,
+      delta: entry.stock + (changes.get(key)?.delta || 0),
+    });
+  });
+  return [...changes.values()]
+    .filter((change) => change.delta !== 0)
+    .map(({ stock, ...change }) => change);
+};
+
+// ghi so cai, bo qua dong khong doi; actor khong phai id hop le thi ghi null
+// de loi so cai khong chan viec cap nhat ton kho
+export const recordMovements = (
+  productId,
+  changes,
+  { reason, actor = null, order = null, note = "" }
+) => {
+  const movements = changes
+    .filter((change) => change.delta !== 0)
+    .map((change) => ({
+      product: productId,
+      sku: change.sku || null,
+      color: change.color || "",
+      size: change.size || "",
+      delta: change.delta,
+      reason,
+      actor: mongoose.isValidObjectId(actor) ? actor : null,
+      order,
+      note,
+    }));
+  return movements.length > 0
+    ? InventoryMovement.insertMany(movements)
+    : Promise.resolve([]);
+};
+
+// cong / tru ton kho bang $inc (delta am la tru) roi ghi so cai
+export const applyStockChanges = async (items, meta) => {
+  const changes = items.filter((item) => item.delta !== 0);
+  if (changes.length === 0) {
+    return;
+  }
+  await Product.bulkWrite(
+    changes.map((item) => ({
+      updateOne: item.sku
+        ? {
+            filter: { _id: item.product, "variants.sku": item.sku },
+            update: {
+              $inc: { stock: item.delta, "variants.$.stock": item.delta },
+            },
+          }
+        : {
+            filter: { _id: item.product },
+            update: { $inc: { stock: item.delta } },
+          },
+    }))
+  );
+  await Promise.all(
+    changes.map((item) => recordMovements(item.product, [item], meta))
+  );
+};
+
+// dieu kien du hang cho updateOne: bien the va tong ton kho deu >= quantity
+// cong voi so luong dang giu cho khach khac (item.reserved, neu co)
+const stockFilter = (item) => {
+  const needed = item.quantity + (item.reserved || 0);
+  return item.sku
+    ? {
+        _id: item.product,
+        stock: { $gte: needed },
+        variants: {
+          $elemMatch: { sku: item.sku, stock: { $gte: needed } },
+        },
+      }
+    : { _id: item.product, stock: { $gte: needed } };
+};
+
+const stockUpdate = (item, delta) => ({
+  $inc: item.sku
+    ? { stock: delta, "variants.$.stock": delta }
+    : { stock: delta },
+});
+
+// tru kho cac dong { product, sku, color, size, quantity } bang $inc co dieu
+// kien nen hai don dong thoi khong ban qua ton kho. Mot dong khong du hang thi
+// tra lai cac dong da tru va tra ve false, du hang het thi ghi so cai
+export const takeStock = async (items, meta) => {
+  const taken = [];
+  for (const item of items) {
+    const result = await Product.updateOne(
+      stockFilter(item),
+      stockUpdate(item, -item.quantity)
+    );
+    if (result.modifiedCount === 0) {
+      await Promise.all(
+        taken.map((takenItem) =>
+          Product.updateOne(
+            takenItem.sku
+              ? { _id: takenItem.product, "variants.sku": takenItem.sku }
+              : { _id: takenItem.product },
+            stockUpdate(takenItem, takenItem.quantity)
+          )
+        )
+      );
+      return false;
+    }
+    taken.push(item);
+  }
+  await Promise.all(
+    items.map(({ product, quantity, reserved, ...item }) =>
+      recordMovements(product, [{ ...item, delta: -quantity }], meta)
+    )
+  );
+  return true;
+};
+
+// tra hang cua don bi huy ve kho
+export const restockOrder = async (order, actor = null) => {
+  const lines = order.products.flatMap((line) =>
+    isBundleLine(line)
+      ? expandBundleLine(line)
+      : [
+          {
+            productId: String(line.productId),
+            color: line.color,
+            size: line.size,
+            quantity: line.quantity,
+          },
+        ]
+  );
+  const products = await Product.find({
+    _id: { $in: lines.map((line) => line.productId) },
+  });
+  const foundProducts = Object.fromEntries(
+    products.map((product) => [String(product._id), product])
+  );
+  const items = buildStockItems(
+    lines.filter((line) => foundProducts[line.productId]),
+    foundProducts
+  );
+  await applyStockChanges(
+    items.map(({ quantity, ...item }) => ({ ...item, delta: quantity })),
+    { reason: "cancellation", actor, order: order._id }
+  );
+};
+
+// kiem tra body dieu chinh ton kho, tra ve { change, reason, note } hoac { error }
+export const parseStockAdjustment = (product, body) => {
+  const delta = Number(body.delta);
+  if (!Number.isInteger(delta) || delta === 0) {
+    return { error: "Delta must be a whole number other than 0" };
+  }
+  const reason = body.reason || "manual";
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    return {
+      error: `Reason must be one of: ${ADJUSTMENT_REASONS.join(", ")}`,
+    };
+  }
+
+  let change = { sku: null, color: "", size: "", delta };
+  let stock = product.stock;
+  if (hasVariants(product)) {
+    const variant = findVariant(product, body.color, body.size);
+    if (!variant) {
+      return { error: "Please choose a color and size of this product" };
+    }
+    change = {
+      sku: variant.sku,
+      color: variant.color,
+      size: variant.size,
+      delta,
+    };
+    stock = variant.stock;
+  }
+  if (stock + delta < 0) {
+    return { error: "Stock can not be negative" };
+  }
+  return { change, reason, note: String(body.note || "").trim() };
+};
+
+// so sanh ton kho hien tai voi tong delta trong so cai, tra ve cac dong lech.
+// ledger: [{ _id: { product, color, size }, stock }] tu aggregate
+export const findStockDrift = (products, ledger) => {
+  const ledgerStock = new Map();
+  ledger.forEach((entry) => {
+    const productId = String(entry._id.product);
+    const key = stockKey(entry._id.color, entry._id.size);
+    if (!ledgerStock.has(productId)) {
+      ledgerStock.set(productId, new Map());
+    }
+    ledgerStock.get(productId).set(key, entry.stock);
+  });
+
+  return products.flatMap((product) => {
+    const entries = ledgerStock.get(String(product._id)) || new Map();
+    const total = [...entries.values()].reduce((sum, stock) => sum + stock, 0);
+    const rows = [{ color: "", size: "", stock: product.stock, total }];
+    if (hasVariants(product)) {
+      product.variants.forEach((variant) =>
+        rows.push({
+          color: variant.color,
+          size: variant.size,
+          stock: variant.stock,
+          total: entries.get(stockKey(variant.color, variant.size)) || 0,
+        })
+      );
+    }
+    return rows
+      .filter((row) => row.stock !== row.total)
+      .map((row) => ({
+        productId: product._id,
+        name: product.name,
+        color: row.color,
+        size: row.size,
+        stock: row.stock,
+        ledgerStock: row.total,
+        drift: row.stock - row.total,
+      }));
+  });
+};
+
+export const getLedgerStock = (productIds) =>
+  InventoryMovement.aggregate([
+    ...(productIds
+      ? [
+          {
+            $match: {
+              product: {
+                $in: productIds.map(
+                  (id) => new mongoose.Types.ObjectId(String(id))
+                ),
+              },
+            },
+          },
+        ]
+      : []),
+    {
+      $group: {
+        _id: { product: "$product", color: "$color", size: "$size" },
+        stock: { $sum: "$delta" },
+      },
+    },
+  ]);
@@ -0,0 +1,43 @@
+import { buildRecommendations } from "../scripts/buildRecommendations.js";
+import { sendLowStockDigest } from "../scripts/sendLowStockDigest.js";
+import { releaseExpiredReservations } from "./stockReservation.js";
+
+// viec cua tung job: server chay lau dai dung scheduleJob (index.js), ban
+// deploy serverless tren Vercel goi qua cron (vercel.json -> /api/jobs/:name)
+export const JOB_TASKS = {
+  recommendations: () => buildRecommendations(),
+  lowStockDigest: () => sendLowStockDigest(),
+  stockReservations: () => releaseExpiredReservations(),
+};
+
+// chay task ngay khi khoi dong roi lap lai moi intervalMs, loi chi ghi log
+// de job khong lam sap server. Job chay day dac thi truyen hasWork de chi ghi
+// log khi lan chay co viec
+export const scheduleJob = (name, task, intervalMs, hasWork = () => true) => {
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await task();
+      if (hasWork(summary)) {
+        console.log(`Job ${name} finished:`, summary);
+      }
+    } catch (error) {
+      console.log(`Job ${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref?.();
+  return timer;
+};
+
+export const hoursToMs = (hours) => Number(hours) * 60 * 60 * 1000;
+
+export const minutesToMs = (minutes) => Number(minutes) * 60 * 1000;
@@ -0,0 +1,136 @@
+import Order from "../models/orderModel.js";
+import Product from "../models/productModel.js";
+import { getOrderQuantities, SOLD_ORDER_FILTER } from "./recommendation.js";
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+export const DEFAULT_VELOCITY_DAYS = 30;
+
+export const getGlobalLowStockThreshold = () => {
+  const threshold = Number(process.env.LOW_STOCK_THRESHOLD);
+  return process.env.LOW_STOCK_THRESHOLD !== undefined &&
+    process.env.LOW_STOCK_THRESHOLD !== "" &&
+    Number.isInteger(threshold) &&
+    threshold >= 0
+    ? threshold
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+// nguong rieng cua san pham khi tao / sua, "" hoac null de dung nguong chung
+export const parseLowStockThreshold = (value) => {
+  if (value === null || value === "") {
+    return { threshold: null };
+  }
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    return {
+      error: "Low stock threshold must be a whole number of at least 0",
+    };
+  }
+  return { threshold };
+};
+
+// san pham chua luu tru co ton kho <= nguong cua no
+export const lowStockFilter = (globalThreshold) => ({
+  status: { $ne: "archived" },
+  $expr: {
+    $lte: ["$stock", { $ifNull: ["$lowStockThreshold", globalThreshold] }],
+  },
+});
+
+// so luong ban cua tung san pham tu cac don da ban (COD hoac da thanh toan)
+// trong `days` ngay gan nhat
+export const getRecentSales = async (days, now = new Date()) => {
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const sales = new Map();
+  for await (const order of Order.find(
+    { ...SOLD_ORDER_FILTER, createdAt: { $gte: since } },
+    { products: 1 }
+  )
+    .lean()
+    .cursor()) {
+    getOrderQuantities(order).forEach((quantity, id) =>
+      sales.set(id, (sales.get(id) || 0) + quantity)
+    );
+  }
+  return sales;
+};
+
+// moi dong: ton kho, nguong, so ban, toc do ban / ngay va so ngay con hang;
+// ban nhanh nhat truoc, bang nhau thi con it hang truoc
+export const buildLowStockReport = (products, sales, days, globalThreshold) =>
+  products
+    .map((product) => {
+      const sold = sales.get(String(product._id)) || 0;
+      const velocity = Math.round((sold / days) * 100) / 100;
+      return {
+        productId: product._id,
+        name: product.name,
+        slug: product.slug,
+        stock: product.stock,
+        threshold: product.lowStockThreshold ?? globalThreshold,
+        sold,
+        velocity,
+        daysLeft: velocity > 0 ? Math.floor(product.stock / velocity) : null,
+        outOfStockVariants: (product.variants || [])
+          .filter((variant) => variant.stock <= 0)
+          .map((variant) => `${variant.color} / ${variant.size}`),
+      };
+    })
+    .sort((a, b) => b.velocity - a.velocity || a.stock - b.stock);
+
+export const findLowStockProducts = async ({
+  days = DEFAULT_VELOCITY_DAYS,
+  now = new Date(),
+  filter = {},
+} = {}) => {
+  const globalThreshold = getGlobalLowStockThreshold();
+  const products = await Product.find({
+    ...lowStockFilter(globalThreshold),
+    ...filter,
+  })
+    .select("name slug stock lowStockThreshold variants")
+    .lean();
+  if (products.length === 0) {
+    return [];
+  }
+  const sales = await getRecentSales(days, now);
+  return buildLowStockReport(products, sales, days, globalThreshold);
+};
+
+export const parseVelocityDays = (value) => {
+  const days = parseInt(value);
+  return days > 0 && days <= 365 ? days : DEFAULT_VELOCITY_DAYS;
+};
+
+export const LOW_STOCK_COLUMNS = [
+  { header: "ID", key: "productId", width: 26 },
+  { header: "Name", key: "name", width: 30 },
+  { header: "Stock", key: "stock", width: 10 },
+  { header: "Threshold", key: "threshold", width: 10 },
+  { header: "Sold", key: "sold", width: 10 },
+  { header: "Sold / Day", key: "velocity", width: 12 },
+  { header: "Days Left", key: "daysLeft", width: 10 },
+  { header: "Out Of Stock Variants", key: "outOfStockVariants", width: 40 },
+];
+
+export const lowStockToRow = (item) => ({
+  ...item,
+  productId: String(item.productId),
+  daysLeft: item.daysLeft ?? "",
+  outOfStockVariants: item.outOfStockVariants.join(", "),
+});
+
+// noi dung mail tong hop hang ngay
+export const formatLowStockDigest = (items, storeUrl) =>
+  [
+    `${items.length} sản phẩm vừa xuống dưới ngưỡng tồn kho:`,
+    ...items.map(
+      (item) =>
+        `- ${item.name}: còn ${item.stock} (ngưỡng ${item.threshold}), bán ${
+          item.velocity
+        }/ngày${
+          item.daysLeft !== null ? `, hết sau khoảng ${item.daysLeft} ngày` : ""
+        }`
+    ),
+    `Xem báo cáo: ${storeUrl}/admin`,
+  ].join("\n");
@@ -0,0 +1,26 @@
+import nodemailer from "nodemailer";
+
+export const getStoreUrl = () =>
+  (process.env.ECOMMERCE_STORE_URL || "http://localhost:5173").replace(
+    /\/+$/,
+    ""
+  );
+
+// gui mail bang tai khoan gmail cua shop
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  return transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
@@ -0,0 +1,107 @@
+import Bundle from "../models/bundleModel.js";
+import Product from "../models/productModel.js";
+import {
+  BUNDLE_NOT_FOUND_MESSAGE,
+  expandBundleLine,
+  findBundleProducts,
+  getBundleComponents,
+  isBundleLine,
+} from "./bundle.js";
+import { getCurrentPrice } from "./pricing.js";
+import { isProductLive } from "./productStatus.js";
+import { getReservedQuantities, getStockKey } from "./stockReservation.js";
+import { findVariant, getAvailableStock, hasVariants } from "./variant.js";
+
+export const PRICE_CHANGED_MESSAGE =
+  "Some prices have changed, please check your cart again";
+
+// tim san pham va bien the cua mot dong don hang (hoac thanh phan combo)
+const findOrderProduct = async (line, foundProducts) => {
+  const findProduct =
+    foundProducts[line.productId] || (await Product.findById(line.productId));
+  if (!findProduct || !isProductLive(findProduct)) {
+    return { error: { status: 404, message: "Product not found" } };
+  }
+  foundProducts[line.productId] = findProduct;
+
+  const variant = findVariant(findProduct, line.color, line.size);
+  if (hasVariants(findProduct) && !variant) {
+    return {
+      error: { status: 400, message: "This color and size is not available" },
+    };
+  }
+  return { findProduct, variant };
+};
+
+// kiem tra gia va ton kho cua tat ca dong truoc khi tao don, tra ve
+// { foundProducts, stockLines } hoac { error: { status, message } }.
+// gia phai bang gia hien tai, tranh dat theo gia khuyen mai da het han;
+// ton kho con ban = ton kho - so luong dang giu cho don thanh toan online
+export const prepareOrderLines = async (products, now = new Date()) => {
+  const foundProducts = {};
+  const stockLines = [];
+  for (const product of products) {
+    // combo: tru kho tung thanh phan, gia lay theo combo
+    if (isBundleLine(product)) {
+      const bundle = await Bundle.findById(product.bundleId);
+      if (!bundle || !bundle.isActive) {
+        return { error: { status: 404, message: BUNDLE_NOT_FOUND_MESSAGE } };
+      }
+      if (Number(product.price) !== bundle.price) {
+        return { error: { status: 409, message: PRICE_CHANGED_MESSAGE } };
+      }
+      product.name = bundle.name;
+      product.components = getBundleComponents(
+        bundle,
+        await findBundleProducts([bundle])
+      );
+
+      for (const component of expandBundleLine(product)) {
+        const { error } = await findOrderProduct(component, foundProducts);
+        if (error) {
+          return { error };
+        }
+        stockLines.push(component);
+      }
+      continue;
+    }
+
+    const { findProduct, variant, error } = await findOrderProduct(
+      product,
+      foundProducts
+    );
+    if (error) {
+      return { error };
+    }
+    product.sku = variant?.sku;
+
+    if (
+      Number(product.price) !==
+      getCurrentPrice(findProduct, product.color, product.size, now)
+    ) {
+      return { error: { status: 409, message: PRICE_CHANGED_MESSAGE } };
+    }
+    stockLines.push(product);
+  }
+
+  // cong don so luong can tru theo SKU
+  const reserved = await getReservedQuantities(Object.keys(foundProducts), now);
+  const requestedQuantity = {};
+  for (const line of stockLines) {
+    const findProduct = foundProducts[line.productId];
+    const stockKey = getStockKey(
+      line.productId,
+      findVariant(findProduct, line.color, line.size)?.sku
+    );
+    requestedQuantity[stockKey] =
+      (requestedQuantity[stockKey] || 0) + line.quantity;
+    if (
+      getAvailableStock(findProduct, line.color, line.size) -
+        (reserved.get(stockKey) || 0) <
+      requestedQuantity[stockKey]
+    ) {
+      return { error: { status: 400, message: "Not enough stock" } };
+    }
+  }
+  return { foundProducts, stockLines };
+};
@@ -0,0 +1,139 @@
+import PriceHistory from "../models/priceHistoryModel.js";
+import { getCurrentPrice } from "./pricing.js";
+
+export const LOWEST_PRICE_DAYS = 30;
+export const PRICE_SERIES_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOrNull = (value) => (value ? new Date(value) : null);
+
+// cac truong quyet dinh gia ban cua san pham va bien the
+export const getPriceSnapshot = (product) => ({
+  price: product.price,
+  salePrice: product.salePrice ?? null,
+  saleStartsAt: toDateOrNull(product.saleStartsAt),
+  saleEndsAt: toDateOrNull(product.saleEndsAt),
+  variants: (product.variants || [])
+    .filter((variant) => variant.price !== undefined && variant.price !== null)
+    .map((variant) => ({
+      sku: variant.sku,
+      color: variant.color,
+      size: variant.size,
+      price: variant.price,
+    })),
+});
+
+const isSamePrice = (before, after) =>
+  JSON.stringify(getPriceSnapshot(before)) ===
+  JSON.stringify(getPriceSnapshot(after));
+
+// ghi gia moi khi tao san pham hoac khi gia / lich khuyen mai / gia bien the
+// thay doi. San pham cu chua co lich su thi ghi them gia truoc do tu lan sua
+// cuoi cung de tinh duoc gia thap nhat
+export const recordPriceChange = async (before, after, now = new Date()) => {
+  if (before && isSamePrice(before, after)) {
+    return null;
+  }
+  if (before && !(await PriceHistory.exists({ product: after._id }))) {
+    await PriceHistory.create({
+      product: after._id,
+      ...getPriceSnapshot(before),
+      changedAt: before.updatedAt || before.createdAt || now,
+    });
+  }
+  return PriceHistory.create({
+    product: after._id,
+    ...getPriceSnapshot(after),
+    changedAt: now,
+  });
+};
+
+// cac moc gia ban [{ date, price }] cua san pham (hoac bien the) tu lich su,
+// ca luc khuyen mai bat dau / ket thuc giua hai lan doi gia
+export const buildPriceSeries = (points, { color, size, until }) => {
+  const series = [];
+  points.forEach((point, index) => {
+    const start = new Date(point.changedAt);
+    const next = points[index + 1];
+    // lan doi gia cuoi cung tinh ca thoi diem until
+    const isBefore = (time) =>
+      next ? time < new Date(next.changedAt) : time <= until;
+    const times = [start, point.saleStartsAt, point.saleEndsAt]
+      .filter(Boolean)
+      .map((time) => new Date(time))
+      .filter((time) => time >= start && isBefore(time))
+      .sort((a, b) => a - b);
+    times.forEach((time) => {
+      const price = getCurrentPrice(point, color, size, time);
+      if (series.length === 0 || series[series.length - 1].price !== price) {
+        series.push({ date: time, price });
+      }
+    });
+  });
+  return series;
+};
+
+// gia thap nhat trong `days` ngay truoc lan giam gia hien tai (hoac truoc now
+// neu gia hien tai khong phai la giam), null neu khong co du lieu
+export const getLowestPrice = (series, now, days = LOWEST_PRICE_DAYS) => {
+  if (series.length === 0) {
+    return null;
+  }
+  const current = series[series.length - 1];
+  const previous = series[series.length - 2];
+  const reference =
+    previous && current.price < previous.price ? current.date : now;
+  const since = new Date(reference.getTime() - days * DAY_MS);
+  const prices = series
+    .filter(
+      (entry, index) =>
+        entry.date < reference &&
+        (!series[index + 1] || series[index + 1].date > since)
+    )
+    .map((entry) => entry.price);
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+// cac moc trong `days` ngay gan nhat, moc dau tien la gia dang ap dung luc do
+export const trimPriceSeries = (series, now, days = PRICE_SERIES_DAYS) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const recent = series.filter((entry) => entry.date >= since);
+  const before = series.filter((entry) => entry.date < since).pop();
+  return before ? [{ date: since, price: before.price }, ...recent] : recent;
+};
+
+// gia thap nhat 30 ngay va cac moc gia cho trang san pham; bien the co gia
+// rieng tinh gia thap nhat rieng theo sku
+export const getPriceHistory = async (product, now = new Date()) => {
+  let points = await PriceHistory.find({
+    product: product._id,
+    changedAt: { $lte: now },
+  })
+    .sort({ changedAt: 1 })
+    .lean();
+  if (points.length === 0) {
+    points = [
+      { ...getPriceSnapshot(product), changedAt: product.createdAt || now },
+    ];
+  }
+
+  const series = buildPriceSeries(points, { until: now });
+  const variants = {};
+  getPriceSnapshot(product).variants.forEach((variant) => {
+    variants[variant.sku] = getLowestPrice(
+      buildPriceSeries(points, {
+        color: variant.color,
+        size: variant.size,
+        until: now,
+      }),
+      now
+    );
+  });
+
+  return {
+    lowestPrice30Days: getLowestPrice(series, now),
+    series: trimPriceSeries(series, now),
+    variants,
+  };
+};
@@ -0,0 +1,105 @@
+import { toDate } from "./productStatus.js";
+import { findVariant, getUnitPrice } from "./variant.js";
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+// dang giam gia khi co gia khuyen mai thap hon gia thuong va thoi diem hien
+// tai nam trong khoang thoi gian khuyen mai (neu co)
+export const isSaleActive = (product, now = new Date()) =>
+  hasValue(product.salePrice) &&
+  product.salePrice < product.price &&
+  (!product.saleStartsAt || new Date(product.saleStartsAt) <= now) &&
+  (!product.saleEndsAt || new Date(product.saleEndsAt) > now);
+
+// gia hien tai cua san pham (hoac bien the), dung chung cho trang san pham,
+// gio hang va don hang. Bien the co gia rieng duoc giam cung ti le voi san pham
+export const resolvePricing = (product, color, size, now = new Date()) => {
+  const hasOwnPrice = hasValue(findVariant(product, color, size)?.price);
+  const regularPrice = getUnitPrice(product, color, size);
+  const onSale = isSaleActive(product, now);
+
+  const currentPrice = onSale
+    ? Math.round((regularPrice * product.salePrice) / product.price)
+    : regularPrice;
+
+  // gia goc de gach ngang: compareAtPrice neu cao hon, khong thi gia thuong
+  // khi dang giam gia
+  let compareAtPrice = null;
+  if (
+    !hasOwnPrice &&
+    hasValue(product.compareAtPrice) &&
+    product.compareAtPrice > currentPrice
+  ) {
+    compareAtPrice = product.compareAtPrice;
+  } else if (onSale) {
+    compareAtPrice = regularPrice;
+  }
+
+  return {
+    currentPrice,
+    compareAtPrice,
+    discountPercent: compareAtPrice
+      ? Math.round((1 - currentPrice / compareAtPrice) * 100)
+      : 0,
+    onSale,
+    saleEndsAt: onSale ? product.saleEndsAt || null : null,
+  };
+};
+
+export const getCurrentPrice = (product, color, size, now) =>
+  resolvePricing(product, color, size, now).currentPrice;
+
+// ket qua aggregate la object thuong, khong qua toJSON cua model nen gan them
+// pricing o day
+export const withPricing = (product) => ({
+  ...product,
+  pricing: resolvePricing(product),
+});
+
+const toPrice = (value) => {
+  if (value === null || value === "") {
+    return null;
+  }
+  const price = Number(value);
+  return isNaN(price) ? undefined : price;
+};
+
+// kiem tra gia goc, gia khuyen mai va thoi gian khuyen mai,
+// tra ve { updates } hoac { error } giong parseLifecycle
+export const parseSalePricing = (body, price) => {
+  const updates = {};
+
+  for (const field of ["compareAtPrice", "salePrice"]) {
+    if (body[field] !== undefined) {
+      const value = toPrice(body[field]);
+      if (value === undefined || value < 0) {
+        return { error: `${field} must be a number of at least 0` };
+      }
+      updates[field] = value;
+    }
+  }
+
+  for (const field of ["saleStartsAt", "saleEndsAt"]) {
+    if (body[field] !== undefined) {
+      const date = toDate(body[field]);
+      if (date === undefined) {
+        return { error: `${field} is not a valid date` };
+      }
+      updates[field] = date;
+    }
+  }
+
+  const regularPrice = Number(body.price ?? price);
+  if (hasValue(updates.salePrice) && updates.salePrice >= regularPrice) {
+    return { error: "Sale price must be lower than the price" };
+  }
+  if (
+    updates.saleStartsAt &&
+    updates.saleEndsAt &&
+    updates.saleEndsAt <= updates.saleStartsAt
+  ) {
+    return { error: "saleEndsAt must be after saleStartsAt" };
+  }
+
+  return { updates };
+};
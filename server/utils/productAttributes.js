@@ -0,0 +1,191 @@
+import Category from "../models/categoryModel.js";
+import { findCategoryByKey } from "./categoryTree.js";
+
+export const ATTRIBUTE_TYPES = ["text", "number", "select", "multiselect"];
+
+// key dung lam ten field trong mongo nen khong cho "." hay "$"
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TEXT_LENGTH = 500;
+
+export const isAttributeKey = (key) =>
+  typeof key === "string" && ATTRIBUTE_KEY_PATTERN.test(key);
+
+export const hasOptions = (type) => type === "select" || type === "multiselect";
+
+const uniqueTrimmed = (values) => [
+  ...new Set(
+    (values || []).map((value) => String(value).trim()).filter(Boolean)
+  ),
+];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// kiem tra dinh nghia thuoc tinh cua danh muc, tra ve loi hoac null
+export const validateAttributeDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    return "Attributes must be an array";
+  }
+  const keys = new Set();
+  for (const definition of definitions) {
+    if (!definition || !isAttributeKey(definition.key)) {
+      return `Invalid attribute key: ${definition?.key}`;
+    }
+    if (keys.has(definition.key)) {
+      return `Duplicate attribute key: ${definition.key}`;
+    }
+    keys.add(definition.key);
+    if (!definition.label || !String(definition.label).trim()) {
+      return `Attribute ${definition.key} needs a label`;
+    }
+    if (!ATTRIBUTE_TYPES.includes(definition.type)) {
+      return `Invalid type for attribute ${definition.key}`;
+    }
+    if (
+      hasOptions(definition.type) &&
+      (!Array.isArray(definition.options) ||
+        uniqueTrimmed(definition.options).length === 0)
+    ) {
+      return `Attribute ${definition.key} needs allowed values`;
+    }
+  }
+  return null;
+};
+
+export const normalizeAttributeDefinitions = (definitions) =>
+  definitions.map((definition) => ({
+    key: definition.key,
+    label: String(definition.label).trim(),
+    type: definition.type,
+    options: hasOptions(definition.type)
+      ? uniqueTrimmed(definition.options)
+      : [],
+    required: Boolean(definition.required),
+  }));
+
+// danh muc con ke thua thuoc tinh cua danh muc cha; cung key thi dinh nghia
+// cua danh muc sau hon duoc giu lai
+export const mergeAttributeSchemas = (categories) => {
+  const schema = new Map();
+  [...categories]
+    .sort((a, b) => (a.ancestors || []).length - (b.ancestors || []).length)
+    .forEach((category) => {
+      (category.attributes || []).forEach((definition) => {
+        schema.set(definition.key, {
+          key: definition.key,
+          label: definition.label,
+          type: definition.type,
+          options: [...(definition.options || [])],
+          required: Boolean(definition.required),
+        });
+      });
+    });
+  return [...schema.values()];
+};
+
+export const getAttributeSchema = async (categoryIds) => {
+  if (!categoryIds || categoryIds.length === 0) {
+    return [];
+  }
+  const categories = await Category.find({ _id: { $in: categoryIds } });
+  const ancestors = await Category.find({
+    _id: { $in: categories.flatMap((category) => category.ancestors) },
+  });
+  return mergeAttributeSchemas([...ancestors, ...categories]);
+};
+
+// form san pham gui ten danh muc, slug hoac id
+export const getAttributeSchemaByKeys = async (keys) => {
+  const categories = await Promise.all(keys.map(findCategoryByKey));
+  return getAttributeSchema(
+    categories.filter(Boolean).map((category) => category._id)
+  );
+};
+
+// undefined khi gia tri khong hop le
+const parseAttributeValue = (definition, value) => {
+  switch (definition.type) {
+    case "number": {
+      const number = Number(value);
+      return typeof value !== "object" && isFinite(number) ? number : undefined;
+    }
+    case "select": {
+      const option = String(value).trim();
+      return definition.options.includes(option) ? option : undefined;
+    }
+    case "multiselect": {
+      const options = uniqueTrimmed(
+        Array.isArray(value) ? value : String(value).split(",")
+      );
+      return options.every((option) => definition.options.includes(option))
+        ? options
+        : undefined;
+    }
+    default: {
+      if (typeof value === "object") {
+        return undefined;
+      }
+      const text = String(value).trim();
+      return text.length <= MAX_TEXT_LENGTH ? text : undefined;
+    }
+  }
+};
+
+// gia tri thuoc tinh cua san pham theo schema cua danh muc,
+// tra ve { attributes } hoac { error } giong parseLifecycle
+export const parseProductAttributes = (values, schema) => {
+  if (values === null || typeof values !== "object" || Array.isArray(values)) {
+    return { error: "Attributes must be an object" };
+  }
+  const definitions = new Map(
+    schema.map((definition) => [definition.key, definition])
+  );
+  const unknownKey = Object.keys(values).find((key) => !definitions.has(key));
+  if (unknownKey) {
+    return { error: `Unknown attribute: ${unknownKey}` };
+  }
+
+  const attributes = {};
+  for (const definition of schema) {
+    const raw = values[definition.key];
+    const value = isEmpty(raw) ? null : parseAttributeValue(definition, raw);
+    if (value === undefined) {
+      return { error: `Invalid value for attribute ${definition.label}` };
+    }
+    if (isEmpty(value)) {
+      if (definition.required) {
+        return { error: `Attribute ${definition.label} is required` };
+      }
+      continue;
+    }
+    attributes[definition.key] = value;
+  }
+  return { attributes };
+};
+
+// facet thuoc tinh cho sidebar tim kiem: chi cac thuoc tinh co danh sach gia
+// tri cho phep, kem nhan lay tu danh muc
+export const describeAttributeFacets = async (counts) => {
+  const keys = Object.keys(counts);
+  if (keys.length === 0) {
+    return [];
+  }
+  const categories = await Category.find(
+    { "attributes.key": { $in: keys } },
+    { attributes: 1, ancestors: 1 }
+  );
+  return mergeAttributeSchemas(categories)
+    .filter(
+      (definition) =>
+        keys.includes(definition.key) && hasOptions(definition.type)
+    )
+    .map((definition) => ({
+      key: definition.key,
+      label: definition.label,
+      type: definition.type,
+      values: counts[definition.key],
+    }));
+};
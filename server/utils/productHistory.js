@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import ProductVersion from "../models/productVersionModel.js";
+
+// cac truong duoc ghi lich su; ton kho va bien the da co so cai ton kho
+// (utils/inventory.js), anh cac kich thuoc tinh lai tu listingPhotoPaths
+export const PRODUCT_HISTORY_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "compareAtPrice",
+  "salePrice",
+  "saleStartsAt",
+  "saleEndsAt",
+  "categories",
+  "categoryIds",
+  "sizes",
+  "colors",
+  "listingPhotoPaths",
+  "attributes",
+  "lowStockThreshold",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "slug",
+];
+
+const toPlain = (product) =>
+  typeof product?.toObject === "function"
+    ? product.toObject({ flattenMaps: true })
+    : product || {};
+
+const toJSONValue = (value) =>
+  JSON.parse(
+    JSON.stringify(value instanceof Map ? Object.fromEntries(value) : value)
+  );
+
+// gia tri cac truong dang JSON de so sanh va luu: ngay la chuoi ISO,
+// ObjectId la chuoi, Map la object
+export const getHistorySnapshot = (product) => {
+  const plain = toPlain(product);
+  return Object.fromEntries(
+    PRODUCT_HISTORY_FIELDS.map((field) => [
+      field,
+      toJSONValue(plain[field] ?? null),
+    ])
+  );
+};
+
+// cac truong khac nhau giua hai trang thai, theo thu tu PRODUCT_HISTORY_FIELDS
+export const diffProduct = (before, after) => {
+  const previous = getHistorySnapshot(before);
+  const next = getHistorySnapshot(after);
+  return PRODUCT_HISTORY_FIELDS.filter(
+    (field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+  ).map((field) => ({ field, from: previous[field], to: next[field] }));
+};
+
+// ghi phien ban moi neu co thay doi, tra ve phien ban hoac null
+export const recordProductVersion = async (
+  productId,
+  changes,
+  { source = "update", actor = null, revertedTo = null } = {}
+) => {
+  if (changes.length === 0) {
+    return null;
+  }
+  const latest = await ProductVersion.findOne({ product: productId })
+    .sort({ version: -1 })
+    .select("version");
+  return ProductVersion.create({
+    product: productId,
+    version: (latest?.version || 0) + 1,
+    changes,
+    source,
+    revertedTo,
+    actor: mongoose.isValidObjectId(actor) ? actor : null,
+  });
+};
+
+// khoi phuc ve trang thai ngay sau mot phien ban: moi truong bi sua o cac
+// phien ban sau lay gia tri "from" cua lan sua dau tien sau phien ban do
+export const buildRevertUpdates = (laterVersions) => {
+  const updates = {};
+  [...laterVersions]
+    .sort((a, b) => a.version - b.version)
+    .forEach((version) =>
+      version.changes.forEach((change) => {
+        if (!(change.field in updates)) {
+          updates[change.field] = change.from ?? null;
+        }
+      })
+    );
+  return updates;
+};
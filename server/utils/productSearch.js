@@ -0,0 +1,413 @@
+import Product from "../models/productModel.js";
+import Category from "../models/categoryModel.js";
+import SearchQuery from "../models/searchQueryModel.js";
+import {
+  currentPriceStages,
+  ratingStages,
+  resolveSort,
+  SORT_OPTIONS,
+} from "./productSort.js";
+import {
+  buildTrigrams,
+  normalizeText,
+  scoreSearchIndex,
+  tokenize,
+} from "./searchIndex.js";
+import { liveProductFilter } from "./productStatus.js";
+import { getCurrentPrice } from "./pricing.js";
+import { isAttributeKey } from "./productAttributes.js";
+
+// cac khoang gia giong voi SearchSidebar
+export const PRICE_BANDS = [
+  { key: "below100000", min: 0, max: 100000 },
+  { key: "100000-200000", min: 100000, max: 200000 },
+  { key: "200000-500000", min: 200000, max: 500000 },
+  { key: "500000-1000000", min: 500000, max: 1000000 },
+  { key: "1000000-2000000", min: 1000000, max: 2000000 },
+  { key: "above2000000", min: 2000000, max: null },
+];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// "M,L" hoac ["M", "L"] deu thanh ["M", "L"]
+export const parseList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+};
+
+// attributes[material]=cotton,linen => { material: ["cotton", "linen"] },
+// key la bien trong query nen chi nhan key hop le
+export const parseAttributeFilters = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return {};
+  }
+  const filters = {};
+  Object.keys(value)
+    .filter(isAttributeKey)
+    .forEach((key) => {
+      const values = parseList(value[key]);
+      if (values.length > 0) {
+        filters[key] = values;
+      }
+    });
+  return filters;
+};
+
+// thuoc tinh kieu so duoc luu la number, con query luon la chuoi
+const attributeValues = (values) =>
+  values.flatMap((value) =>
+    isNaN(Number(value)) ? [value] : [value, Number(value)]
+  );
+
+export const parseSearchFilters = (query) => ({
+  keyword: query.keyword ? String(query.keyword).trim() : "",
+  category: query.category && query.category !== "all" ? query.category : "",
+  sizes: parseList(query.sizes),
+  colors: parseList(query.colors),
+  minPrice: toNumber(query.minPrice),
+  maxPrice: toNumber(query.maxPrice),
+  minRating: toNumber(query.minRating),
+  attributes: parseAttributeFilters(query.attributes),
+});
+
+// one $match condition per filter, keyed so a facet can leave its own out
+export const buildFilterConditions = (filters, categoryFilter) => {
+  const conditions = {};
+
+  if (categoryFilter) {
+    conditions.category = categoryFilter;
+  }
+  if (filters.sizes.length > 0) {
+    conditions.sizes = { sizes: { $in: filters.sizes } };
+  }
+  if (filters.colors.length > 0) {
+    conditions.colors = { colors: { $in: filters.colors } };
+  }
+  if (filters.minPrice !== null || filters.maxPrice !== null) {
+    const price = {};
+    if (filters.minPrice !== null) {
+      price.$gte = filters.minPrice;
+    }
+    if (filters.maxPrice !== null) {
+      price.$lte = filters.maxPrice;
+    }
+    conditions.price = { currentPrice: price };
+  }
+  if (filters.minRating !== null) {
+    conditions.rating = { averageRating: { $gte: filters.minRating } };
+  }
+  Object.entries(filters.attributes || {}).forEach(([key, values]) => {
+    conditions[`attribute:${key}`] = {
+      [`attributes.${key}`]: { $in: attributeValues(values) },
+    };
+  });
+
+  return conditions;
+};
+
+export const matchExcept = (conditions, excluded) => {
+  const selected = Object.keys(conditions)
+    .filter((key) => key !== excluded)
+    .map((key) => conditions[key]);
+  return selected.length > 0 ? { $and: selected } : {};
+};
+
+const countValues = (field, conditions, excluded) => [
+  { $match: matchExcept(conditions, excluded) },
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { _id: 1 } },
+];
+
+// moi cap (thuoc tinh, gia tri) cua cac san pham khop tat ca bo loc
+const countAttributeValues = (conditions) => [
+  { $match: matchExcept(conditions) },
+  {
+    $project: {
+      attribute: { $objectToArray: { $ifNull: ["$attributes", {}] } },
+    },
+  },
+  { $unwind: "$attribute" },
+  { $unwind: "$attribute.v" },
+  {
+    $group: {
+      _id: { key: "$attribute.k", value: "$attribute.v" },
+      count: { $sum: 1 },
+    },
+  },
+  { $sort: { "_id.key": 1, "_id.value": 1 } },
+];
+
+// relevance only makes sense when there is a keyword to rank against
+export const resolveSearchSort = (sort, keyword) => {
+  if (!sort || sort === "default" || sort === "relevance") {
+    return keyword ? "relevance" : "newest";
+  }
+  return resolveSort(sort);
+};
+
+// so ung vien toi da duoc cham diem cho moi lan tim
+export const MAX_SEARCH_CANDIDATES = 300;
+
+// ung vien phai chung it nhat 1/4 so trigram cua tu khoa, du cho mot tu go
+// sai ("khaoc") van giu duoc san pham dung
+export const minSharedGrams = (grams) =>
+  Math.max(1, Math.ceil(grams.length / 4));
+
+// tim san pham theo tu khoa, tra ve danh sach { _id, score } xep theo do lien quan.
+// Loc ung vien trong database theo so trigram chung roi moi cham diem, san pham
+// chua co chi muc thi chay npm run search:reindex
+export const findMatchingProducts = async (keyword, query = {}) => {
+  const tokens = tokenize(keyword);
+  if (tokens.length === 0) {
+    return [];
+  }
+  const grams = buildTrigrams(tokens);
+
+  const candidates = await Product.aggregate([
+    { $match: { $and: [query, { "search.grams": { $in: grams } }] } },
+    {
+      $project: {
+        createdAt: 1,
+        search: 1,
+        shared: { $size: { $setIntersection: ["$search.grams", grams] } },
+      },
+    },
+    { $match: { shared: { $gte: minSharedGrams(grams) } } },
+    { $sort: { shared: -1, createdAt: -1, _id: -1 } },
+    { $limit: MAX_SEARCH_CANDIDATES },
+  ]);
+
+  return candidates
+    .map((product) => ({
+      _id: product._id,
+      createdAt: product.createdAt,
+      score: scoreSearchIndex(product.search, keyword),
+    }))
+    .filter((match) => match.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.createdAt - a.createdAt ||
+        b._id.toString().localeCompare(a._id.toString())
+    );
+};
+
+// load products keeping the order of the given ids
+export const findProductsInOrder = async (ids, query = {}) => {
+  const products = await Product.find({ ...query, _id: { $in: ids } });
+  return ids
+    .map((id) =>
+      products.find((product) => product._id.toString() === id.toString())
+    )
+    .filter(Boolean);
+};
+
+// tu khoa phai duoc tim it nhat bay nhieu lan moi duoc goi y cho nguoi khac
+export const MIN_SUGGESTED_QUERY_COUNT = 3;
+
+const MAX_QUERY_TEXT_LENGTH = 50;
+
+// tu khoa nguoi dung go chi giu chu, so va mot khoang trang giua cac tu
+export const sanitizeQueryText = (text) =>
+  String(text || "")
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .slice(0, MAX_QUERY_TEXT_LENGTH)
+    .trim();
+
+// dem so lan tim kiem de goi y cac tu khoa pho bien, bo qua tu khoa qua dai
+export const recordSearchQuery = async (keyword) => {
+  const text = sanitizeQueryText(keyword);
+  const query = normalizeText(text);
+  if (!query || String(keyword).trim().length > MAX_QUERY_TEXT_LENGTH) {
+    return;
+  }
+  await SearchQuery.updateOne(
+    { query },
+    {
+      $inc: { count: 1 },
+      $set: { text, lastSearchedAt: new Date() },
+    },
+    { upsert: true }
+  );
+};
+
+// goi y khi dang go: san pham va danh muc co ten bat dau bang tu khoa, tu khoa
+// pho bien bat dau bang tu khoa. Moi truy van dung index va lay toi da limit
+export const getSuggestions = async (keyword, limit) => {
+  // normalizeText chi con a-z, 0-9 va khoang trang nen dung thang trong regex
+  const startsWith = { $regex: `^${normalizeText(keyword)}` };
+
+  const [products, categories, queries] = await Promise.all([
+    Product.find({ ...liveProductFilter(), "search.name": startsWith })
+      .sort({ "search.name": 1 })
+      .limit(limit),
+    Category.find({ searchNames: startsWith }).limit(limit),
+    SearchQuery.find({
+      query: startsWith,
+      count: { $gte: MIN_SUGGESTED_QUERY_COUNT },
+    })
+      .sort({ count: -1, lastSearchedAt: -1 })
+      .limit(limit),
+  ]);
+  const parents = await Category.find({
+    _id: { $in: categories.map((category) => category.parent).filter(Boolean) },
+  });
+
+  return {
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: getCurrentPrice(product),
+      thumbnail: product.listingPhotoPaths[0] || null,
+    })),
+    categories: categories.map((category) => {
+      const parent = parents.find(
+        (item) => category.parent && item._id.equals(category.parent)
+      );
+      return {
+        _id: category._id,
+        name: category.name,
+        title: category.title,
+        slug: category.slug,
+        parentName: parent ? parent.name : null,
+        parentSlug: parent ? parent.slug : null,
+      };
+    }),
+    queries: queries.map((item) => ({
+      text: sanitizeQueryText(item.text),
+      count: item.count,
+    })),
+  };
+};
+
+// keyword matches (ids from findMatchingProducts), the live filter and the
+// computed rating and current price every search stage relies on
+const baseStages = (filters) => {
+  const stages = [];
+  if (filters.live) {
+    stages.push({ $match: filters.live });
+  }
+  if (filters.productIds) {
+    stages.push({ $match: { _id: { $in: filters.productIds } } });
+  }
+  return [
+    ...stages,
+    ...ratingStages(),
+    ...currentPriceStages(),
+    { $project: { search: 0 } },
+  ];
+};
+
+// trang san pham hien tai, sap xep theo tuy chon sort
+export const buildResultsPipeline = (
+  filters,
+  categoryFilter,
+  { sort, skip, limit }
+) => {
+  const conditions = buildFilterConditions(filters, categoryFilter);
+  return [
+    ...baseStages(filters),
+    { $match: matchExcept(conditions) },
+    ...(sort === "relevance"
+      ? [
+          {
+            $addFields: {
+              relevance: { $indexOfArray: [filters.productIds, "$_id"] },
+            },
+          },
+          { $sort: { relevance: 1 } },
+          { $project: { relevance: 0 } },
+        ]
+      : [{ $sort: SORT_OPTIONS[sort] }]),
+    { $skip: skip },
+    { $limit: limit },
+  ];
+};
+
+// total and facet counts, kept apart from the results so the name collation
+// does not merge facet values such as "Den" and "Đen"
+export const buildSearchPipeline = (filters, categoryFilter) => {
+  const conditions = buildFilterConditions(filters, categoryFilter);
+
+  return [
+    ...baseStages(filters),
+    {
+      $facet: {
+        total: [{ $match: matchExcept(conditions) }, { $count: "count" }],
+        sizes: countValues("sizes", conditions, "sizes"),
+        colors: countValues("colors", conditions, "colors"),
+        categories: countValues("categories", conditions, "category"),
+        attributes: countAttributeValues(conditions),
+        // thuoc tinh dang loc bo qua bo loc cua chinh no, giong sizes / colors
+        ...Object.fromEntries(
+          Object.keys(filters.attributes || {}).map((key) => [
+            `attribute_${key}`,
+            countValues(`attributes.${key}`, conditions, `attribute:${key}`),
+          ])
+        ),
+        priceBands: [
+          { $match: matchExcept(conditions, "price") },
+          {
+            $bucket: {
+              groupBy: "$currentPrice",
+              boundaries: PRICE_BANDS.filter((band) => band.max !== null).map(
+                (band) => band.min
+              ),
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ];
+};
+
+// doi ket qua $facet thanh dang { value, count } cho sidebar
+export const formatFacets = (result) => {
+  const toBuckets = (items = []) =>
+    items.map((item) => ({ value: item._id, count: item.count }));
+
+  const bandCounts = new Map(
+    (result.priceBands || []).map((item) => [item._id, item.count])
+  );
+
+  const attributes = {};
+  (result.attributes || []).forEach((item) => {
+    const { key, value } = item._id;
+    attributes[key] = attributes[key] || [];
+    attributes[key].push({ value, count: item.count });
+  });
+  Object.keys(result)
+    .filter((name) => name.startsWith("attribute_"))
+    .forEach((name) => {
+      attributes[name.slice("attribute_".length)] = toBuckets(result[name]);
+    });
+
+  return {
+    attributes,
+    sizes: toBuckets(result.sizes),
+    colors: toBuckets(result.colors),
+    categories: toBuckets(result.categories),
+    priceBands: PRICE_BANDS.map((band) => ({
+      ...band,
+      count:
+        (band.max === null
+          ? bandCounts.get("other")
+          : bandCounts.get(band.min)) || 0,
+    })),
+  };
+};
@@ -0,0 +1,226 @@
+import mongoose from "mongoose";
+import ExcelJS from "exceljs";
+import { validateVariants } from "./variant.js";
+
+// cung mot bo cot cho file export va file import
+export const PRODUCT_COLUMNS = [
+  { header: "ID", key: "_id", width: 10 },
+  { header: "Name", key: "name", width: 30 },
+  { header: "Description", key: "description", width: 60 },
+  { header: "Price", key: "price", width: 15 },
+  { header: "Stock", key: "stock", width: 10 },
+  { header: "Categories", key: "categories", width: 30 },
+  { header: "Sizes", key: "sizes", width: 15 },
+  { header: "Colors", key: "colors", width: 20 },
+  { header: "Listing Photo Paths", key: "listingPhotoPaths", width: 60 },
+  { header: "Variants", key: "variants", width: 60 },
+  { header: "Created At", key: "createdAt", width: 20 },
+  { header: "Updated At", key: "updatedAt", width: 20 },
+];
+
+const LIST_SEPARATOR = ", ";
+const REQUIRED_HEADERS = ["Name", "Price"];
+
+// bien the duoc ghi thanh "sku|color|size|stock|price"
+export const formatVariants = (variants) =>
+  variants
+    .map(
+      (variant) =>
+        `${variant.sku}|${variant.color}|${variant.size}|${variant.stock}|${
+          variant.price ?? ""
+        }`
+    )
+    .join(LIST_SEPARATOR);
+
+export const productToRow = (product) => ({
+  _id: product._id.toString(),
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  stock: product.stock,
+  categories: product.categories.join(LIST_SEPARATOR),
+  sizes: product.sizes.join(LIST_SEPARATOR),
+  colors: product.colors.join(LIST_SEPARATOR),
+  listingPhotoPaths: product.listingPhotoPaths.join(LIST_SEPARATOR),
+  variants: formatVariants(product.variants),
+  createdAt: new Date(product.createdAt).toLocaleDateString(),
+  updatedAt: new Date(product.updatedAt).toLocaleDateString(),
+});
+
+// RFC 4180: fields may be quoted, quotes are escaped by doubling them
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = [];
+    for (let i = 1; i <= worksheet.columnCount; i++) {
+      values.push(row.getCell(i).text);
+    }
+    rows[row.number - 1] = values;
+  });
+  return Array.from(rows, (values) => values || []);
+};
+
+// doc file thanh danh sach { rowNumber, values } theo key cua PRODUCT_COLUMNS,
+// cot duoc nhan dien theo tieu de nen thu tu cot khong quan trong
+export const readProductRows = async (buffer, format) => {
+  const table =
+    format === "csv"
+      ? parseCsv(buffer.toString("utf8"))
+      : await readXlsx(buffer);
+  if (table.length === 0) {
+    return { rows: [], missingColumns: REQUIRED_HEADERS };
+  }
+
+  const keysByHeader = new Map(
+    PRODUCT_COLUMNS.map((column) => [column.header.toLowerCase(), column.key])
+  );
+  const headerKeys = table[0].map((header) =>
+    keysByHeader.get(String(header).trim().toLowerCase())
+  );
+  const missingColumns = REQUIRED_HEADERS.filter(
+    (header) => !headerKeys.includes(keysByHeader.get(header.toLowerCase()))
+  );
+
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every((cell) => String(cell).trim() === "")) {
+      return;
+    }
+    const values = {};
+    headerKeys.forEach((key, column) => {
+      if (key) {
+        values[key] = String(cells[column] ?? "").trim();
+      }
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { rows, missingColumns };
+};
+
+const splitList = (value) =>
+  value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+export const parseVariantsCell = (value) =>
+  splitList(value).map((item) => {
+    const [sku, color, size, stock, price] = item
+      .split("|")
+      .map((part) => part.trim());
+    return { sku, color, size, stock, price };
+  });
+
+// chuyen mot dong thanh du lieu san pham, tra ve ca danh sach loi cua dong
+export const parseProductRow = ({ values }) => {
+  const errors = [];
+  const data = {};
+
+  if (values._id) {
+    if (mongoose.Types.ObjectId.isValid(values._id)) {
+      data._id = values._id;
+    } else {
+      errors.push(`Invalid product ID "${values._id}"`);
+    }
+  }
+
+  if (!values.name) {
+    errors.push("Name is required");
+  } else {
+    data.name = values.name;
+  }
+
+  if (values.description !== undefined) {
+    data.description = values.description;
+  }
+
+  const price = Number(values.price);
+  if (values.price === undefined || values.price === "" || isNaN(price)) {
+    errors.push("Price must be a number");
+  } else if (price < 0) {
+    errors.push("Price can not be negative");
+  } else {
+    data.price = price;
+  }
+
+  ["categories", "sizes", "colors", "listingPhotoPaths"].forEach((key) => {
+    if (values[key] !== undefined) {
+      data[key] = splitList(values[key]);
+    }
+  });
+
+  if (values.variants) {
+    const variants = parseVariantsCell(values.variants);
+    const variantError = validateVariants(variants);
+    if (variantError) {
+      errors.push(variantError);
+    } else {
+      data.variants = variants;
+    }
+  }
+
+  if (!values.variants) {
+    const stock = Number(values.stock);
+    if (values.stock === undefined || values.stock === "") {
+      errors.push("Stock is required when there are no variants");
+    } else if (!Number.isInteger(stock) || stock < 0) {
+      errors.push("Stock must be a whole number of at least 0");
+    } else {
+      data.stock = stock;
+    }
+  }
+
+  return { data, errors };
+};
@@ -0,0 +1,127 @@
+import Product from "../models/productModel.js";
+import Review from "../models/reviewModel.js";
+import { withPricing } from "./pricing.js";
+
+// luon them _id cuoi cung de cac san pham bang nhau giu nguyen thu tu giua
+// cac trang. soldCount do job goi y tinh san (scripts/buildRecommendations.js),
+// currentPrice tinh luc truy van (currentPriceStages)
+export const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  priceLowToHigh: { currentPrice: 1, _id: 1 },
+  priceHighToLow: { currentPrice: -1, _id: -1 },
+  nameAZ: { name: 1, _id: 1 },
+  nameZA: { name: -1, _id: -1 },
+  bestSelling: { soldCount: -1, _id: -1 },
+  topRated: { averageRating: -1, reviewCount: -1, _id: -1 },
+};
+
+// so sanh ten theo thu tu tieng viet, khong phan biet hoa thuong
+export const VIETNAMESE_COLLATION = { locale: "vi", strength: 1 };
+
+// tra ve null voi kieu sap xep khong ho tro de controller tra ve 400
+export const resolveSort = (sort) => {
+  if (!sort || sort === "default") {
+    return "newest";
+  }
+  return Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort) ? sort : null;
+};
+
+export const getSortCollation = (sort) =>
+  sort === "nameAZ" || sort === "nameZA" ? VIETNAMESE_COLLATION : undefined;
+
+export const ratingStages = () => [
+  {
+    $lookup: {
+      from: Review.collection.name,
+      localField: "_id",
+      foreignField: "product",
+      as: "reviews",
+    },
+  },
+  {
+    $addFields: {
+      averageRating: { $ifNull: [{ $avg: "$reviews.rating" }, 0] },
+      reviewCount: { $size: "$reviews" },
+    },
+  },
+  { $project: { reviews: 0 } },
+];
+
+// gia dang ban giong resolvePricing (utils/pricing.js) o muc san pham: gia
+// khuyen mai khi dang trong dot giam gia, khong thi gia thuong
+const currentPriceExpr = (now) => ({
+  $cond: [
+    {
+      $and: [
+        { $ne: [{ $ifNull: ["$salePrice", null] }, null] },
+        { $lt: ["$salePrice", "$price"] },
+        { $lte: [{ $ifNull: ["$saleStartsAt", now] }, now] },
+        {
+          $or: [
+            { $eq: [{ $ifNull: ["$saleEndsAt", null] }, null] },
+            { $gt: ["$saleEndsAt", now] },
+          ],
+        },
+      ],
+    },
+    "$salePrice",
+    "$price",
+  ],
+});
+
+export const currentPriceStages = (now = new Date()) => [
+  { $addFields: { currentPrice: currentPriceExpr(now) } },
+];
+
+// loc khoang gia theo gia dang ban, dung duoc ca cho find / countDocuments.
+// minPrice / maxPrice null la khong gioi han
+export const currentPriceFilter = (minPrice, maxPrice, now = new Date()) => {
+  const bounds = [];
+  if (minPrice !== null) {
+    bounds.push({ $gte: [currentPriceExpr(now), minPrice] });
+  }
+  if (maxPrice !== null) {
+    bounds.push({ $lte: [currentPriceExpr(now), maxPrice] });
+  }
+  return bounds.length > 0 ? { $expr: { $and: bounds } } : {};
+};
+
+// cac stage tinh truong ma kieu sap xep can, neu co
+export const sortFieldStages = (sort) => {
+  if (sort === "topRated") {
+    return ratingStages();
+  }
+  if (sort === "priceLowToHigh" || sort === "priceHighToLow") {
+    return currentPriceStages();
+  }
+  return [];
+};
+
+// after la dieu kien cursor (utils/cursor.js), loc sau khi tinh truong sap xep.
+// skip / limit da duoc controller kiem tra (parsePageQuery, parseCursorLimit)
+export const findSortedProducts = async (
+  query,
+  { sort, skip = 0, limit, after = {} }
+) => {
+  const fieldStages = sortFieldStages(sort);
+
+  if (fieldStages.length === 0) {
+    const cursor = Product.find({ $and: [query, after] })
+      .sort(SORT_OPTIONS[sort])
+      .skip(skip)
+      .limit(limit);
+    const collation = getSortCollation(sort);
+    return collation ? await cursor.collation(collation) : await cursor;
+  }
+
+  const products = await Product.aggregate([
+    { $match: query },
+    { $project: { search: 0 } },
+    ...fieldStages,
+    { $match: after },
+    { $sort: SORT_OPTIONS[sort] },
+    { $skip: skip },
+    { $limit: limit },
+  ]);
+  return products.map(withPricing);
+};
@@ -0,0 +1,110 @@
+export const PRODUCT_STATUSES = ["draft", "published", "archived"];
+
+// trang thai hien thi cho admin, tinh tu status va lich dang
+export const LIFECYCLE_STATES = [
+  "draft",
+  "scheduled",
+  "live",
+  "expired",
+  "archived",
+];
+
+// products saved before the status field existed have no status and count as
+// published
+export const liveProductFilter = (now = new Date()) => ({
+  status: { $nin: ["draft", "archived"] },
+  $and: [
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+  ],
+});
+
+export const withLiveFilter = (query = {}, now = new Date()) =>
+  Object.keys(query).length > 0
+    ? { $and: [query, liveProductFilter(now)] }
+    : liveProductFilter(now);
+
+// query for one admin filter state, null when the state is unknown
+export const buildStatusFilter = (state, now = new Date()) => {
+  switch (state) {
+    case undefined:
+    case "":
+    case "all":
+      return {};
+    case "draft":
+    case "archived":
+      return { status: state };
+    case "live":
+      return liveProductFilter(now);
+    case "scheduled":
+      return {
+        status: { $nin: ["draft", "archived"] },
+        publishAt: { $gt: now },
+      };
+    case "expired":
+      return {
+        status: { $nin: ["draft", "archived"] },
+        unpublishAt: { $lte: now },
+      };
+    default:
+      return null;
+  }
+};
+
+export const getLifecycleState = (product, now = new Date()) => {
+  if (product.status === "draft" || product.status === "archived") {
+    return product.status;
+  }
+  if (product.publishAt && new Date(product.publishAt) > now) {
+    return "scheduled";
+  }
+  if (product.unpublishAt && new Date(product.unpublishAt) <= now) {
+    return "expired";
+  }
+  return "live";
+};
+
+export const isProductLive = (product, now = new Date()) =>
+  getLifecycleState(product, now) === "live";
+
+// gia tri ngay tu body: null / "" la xoa ngay, sai dinh dang thi tra ve undefined
+export const toDate = (value) => {
+  if (value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// kiem tra status va lich dang, tra ve { updates } hoac { error } giong
+// validateVariants
+export const parseLifecycle = (body) => {
+  const updates = {};
+
+  if (body.status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(body.status)) {
+      return { error: `Status must be one of ${PRODUCT_STATUSES.join(", ")}` };
+    }
+    updates.status = body.status;
+  }
+
+  for (const field of ["publishAt", "unpublishAt"]) {
+    if (body[field] !== undefined) {
+      const date = toDate(body[field]);
+      if (date === undefined) {
+        return { error: `${field} is not a valid date` };
+      }
+      updates[field] = date;
+    }
+  }
+
+  if (
+    updates.publishAt &&
+    updates.unpublishAt &&
+    updates.unpublishAt <= updates.publishAt
+  ) {
+    return { error: "unpublishAt must be after publishAt" };
+  }
+
+  return { updates };
+};
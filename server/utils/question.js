@@ -0,0 +1,35 @@
+import Order from "../models/orderModel.js";
+import { normalizeText, tokenize } from "./searchIndex.js";
+
+export const QUESTION_NOT_FOUND_MESSAGE = "Question not found";
+
+export const buildQuestionSearchText = (question) =>
+  normalizeText(
+    [question.text, ...(question.answers || []).map((answer) => answer.text)]
+      .filter(Boolean)
+      .join(" ")
+  );
+
+// moi tu khoa phai xuat hien trong cau hoi hoac cau tra loi
+export const buildQuestionSearchFilter = (search) => {
+  const words = tokenize(search);
+  if (words.length === 0) {
+    return {};
+  }
+  return {
+    $and: words.map((word) => ({ searchText: { $regex: word } })),
+  };
+};
+
+// nguoi da nhan duoc hang co san pham nay, mua le hoac trong combo
+export const isVerifiedBuyer = async (userId, productId) => {
+  const order = await Order.exists({
+    userId,
+    status: "delivered",
+    $or: [
+      { "products.productId": productId },
+      { "products.components.productId": productId },
+    ],
+  });
+  return Boolean(order);
+};
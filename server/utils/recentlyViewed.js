@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import ProductView from "../models/productViewModel.js";
+
+export const RECENTLY_VIEWED_LIMIT = 20;
+export const ANONYMOUS_ID_COOKIE = "anonymous_id";
+
+// khach chua dang nhap duoc cap mot id ngau nhien luu trong cookie
+export const readAnonymousId = (req, res, next) => {
+  let anonymousId = req.cookies?.[ANONYMOUS_ID_COOKIE];
+  if (!anonymousId && !req.user) {
+    anonymousId = crypto.randomUUID();
+    const isProduction = process.env.NODE_ENV === "production";
+    res.cookie(ANONYMOUS_ID_COOKIE, anonymousId, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: isProduction ? "None" : "Lax",
+      maxAge: 365 * 24 * 60 * 60 * 1000,
+    });
+  }
+  req.anonymousId = anonymousId;
+  next();
+};
+
+// null when the request has neither a user nor an anonymous id
+export const getViewer = (req) => {
+  if (req.user?.id) {
+    return { userId: req.user.id };
+  }
+  return req.anonymousId ? { anonymousId: req.anonymousId } : null;
+};
+
+// chi giu RECENTLY_VIEWED_LIMIT san pham xem gan nhat
+const pruneViews = async (viewer) => {
+  const stale = await ProductView.find(viewer, { _id: 1 })
+    .sort({ viewedAt: -1, _id: -1 })
+    .skip(RECENTLY_VIEWED_LIMIT);
+  if (stale.length > 0) {
+    await ProductView.deleteMany({
+      _id: { $in: stale.map((view) => view._id) },
+    });
+  }
+};
+
+export const recordProductView = async (
+  viewer,
+  productId,
+  now = new Date()
+) => {
+  await ProductView.updateOne(
+    { ...viewer, product: productId },
+    { $set: { viewedAt: now } },
+    { upsert: true }
+  );
+  await pruneViews(viewer);
+};
+
+// gop lich su xem luc chua dang nhap vao tai khoan, giu lan xem moi nhat
+export const mergeAnonymousViews = async (anonymousId, userId) => {
+  if (!anonymousId || !userId) {
+    return 0;
+  }
+  const views = await ProductView.find({ anonymousId });
+  if (views.length === 0) {
+    return 0;
+  }
+
+  await ProductView.bulkWrite(
+    views.map((view) => ({
+      updateOne: {
+        filter: { userId, product: view.product },
+        update: { $max: { viewedAt: view.viewedAt } },
+        upsert: true,
+      },
+    }))
+  );
+  await ProductView.deleteMany({ anonymousId });
+  await pruneViews({ userId });
+  return views.length;
+};
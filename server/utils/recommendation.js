@@ -0,0 +1,104 @@
+export const RECOMMENDATION_LIMIT = 8;
+
+// don da ban that: COD hoac don online da thanh toan. Don bi huy da bi xoa,
+// don online chua thanh toan (giu hang het han, thanh toan loi) khong tinh
+export const SOLD_ORDER_FILTER = {
+  $or: [{ paymentMethod: "COD" }, { paymentCheck: true }],
+};
+
+// so luong da ban cua tung san pham trong mot don hang, combo tinh theo
+// tung thanh phan
+export const getOrderQuantities = (order) => {
+  const quantities = new Map();
+  const add = (productId, quantity) => {
+    if (!productId) {
+      return;
+    }
+    const key = String(productId);
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  };
+
+  (order.products || []).forEach((item) => {
+    if (item.bundleId) {
+      (item.components || []).forEach((component) =>
+        add(component.productId, component.quantity * item.quantity)
+      );
+    } else {
+      add(item.productId, item.quantity);
+    }
+  });
+  return quantities;
+};
+
+// cong don mot don hang: so don co ca hai san pham va tong so luong ban
+export const addOrderStats = (stats, order) => {
+  const quantities = getOrderQuantities(order);
+  const ids = [...quantities.keys()];
+
+  quantities.forEach((quantity, id) =>
+    stats.sales.set(id, (stats.sales.get(id) || 0) + quantity)
+  );
+  ids.forEach((id) => {
+    if (!stats.coPurchases.has(id)) {
+      stats.coPurchases.set(id, new Map());
+    }
+    const counts = stats.coPurchases.get(id);
+    ids
+      .filter((otherId) => otherId !== id)
+      .forEach((otherId) =>
+        counts.set(otherId, (counts.get(otherId) || 0) + 1)
+      );
+  });
+  return stats;
+};
+
+export const countOrderStats = (orders) =>
+  orders.reduce(addOrderStats, { coPurchases: new Map(), sales: new Map() });
+
+// sap xep giam dan theo so lan, bang nhau thi theo id de ket qua on dinh
+const rankCounts = (counts) =>
+  [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+// san pham hay duoc mua cung nhat, chi lay trong candidateIds (dang ban)
+export const pickCoPurchases = (
+  productId,
+  coPurchases,
+  candidateIds,
+  limit = RECOMMENDATION_LIMIT
+) => {
+  const candidates = new Set(candidateIds.map(String));
+  return rankCounts(coPurchases.get(String(productId)) || new Map())
+    .filter(([otherId]) => candidates.has(otherId))
+    .slice(0, limit)
+    .map(([otherId, count]) => ({
+      product: otherId,
+      score: count,
+      source: "co-purchase",
+    }));
+};
+
+// bu cho du `limit` bang san pham ban chay nhat cung danh muc
+export const pickBestSellers = (
+  productId,
+  sales,
+  categoryProductIds,
+  picked,
+  limit = RECOMMENDATION_LIMIT
+) => {
+  const seen = new Set([
+    String(productId),
+    ...picked.map((item) => String(item.product)),
+  ]);
+  const bestSellers = categoryProductIds
+    .map(String)
+    .filter((id) => !seen.has(id))
+    .map((id) => [id, sales.get(id) || 0]);
+
+  return rankCounts(new Map(bestSellers))
+    .slice(0, Math.max(limit - picked.length, 0))
+    .map(([id, count]) => ({
+      product: id,
+      score: count,
+      source: "best-seller",
+    }));
+};
@@ -0,0 +1,140 @@
+import { remove as removeDiacritics } from "diacritics";
+
+// diem cho moi truong, ten san pham luon dung truoc mo ta
+export const FIELD_WEIGHTS = {
+  name: 10,
+  categories: 5,
+  description: 2,
+};
+
+// "Áo Thun-Đen" => "ao thun den"
+export const normalizeText = (text) => {
+  if (text === undefined || text === null) {
+    return "";
+  }
+  return removeDiacritics(String(text).normalize("NFC"))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+};
+
+export const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+};
+
+// trigrams of every word, padded so short words still produce one
+export const buildTrigrams = (words) => {
+  const grams = new Set();
+  words.forEach((word) => {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return [...grams];
+};
+
+export const buildSearchIndex = ({ name, description, categories }) => {
+  const index = {
+    name: normalizeText(name),
+    description: normalizeText(description),
+    categories: normalizeText((categories || []).join(" ")),
+  };
+  const words = new Set(
+    [index.name, index.categories, index.description]
+      .join(" ")
+      .split(" ")
+      .filter(Boolean)
+  );
+  index.grams = buildTrigrams([...words]);
+  return index;
+};
+
+// ten va tieu de khong dau cua danh muc, goi y danh muc theo tien to
+export const buildCategorySearchNames = ({ name, title }) =>
+  [normalizeText(name), normalizeText(title)].filter(Boolean);
+
+// Levenshtein distance where swapping two neighbouring letters counts as one
+// edit ("khaoc" -> "khoac")
+export const editDistance = (a, b) => {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// short words must be typed exactly, longer ones allow one or two typos
+const allowedTypos = (token) => {
+  if (token.length <= 3) {
+    return 0;
+  }
+  return token.length <= 6 ? 1 : 2;
+};
+
+// 1 for an exact word, less for a prefix or a misspelling, 0 for no match
+export const matchWord = (token, words) => {
+  const typos = allowedTypos(token);
+  let best = 0;
+  for (const word of words) {
+    if (word === token) {
+      return 1;
+    }
+    if (token.length >= 2 && word.startsWith(token)) {
+      best = Math.max(best, 0.8);
+    } else if (
+      typos > 0 &&
+      Math.abs(word.length - token.length) <= typos &&
+      editDistance(token, word) <= typos
+    ) {
+      best = Math.max(best, 0.6);
+    }
+  }
+  return best;
+};
+
+// every word of the query has to match one of the fields, the score is the
+// sum of the best weighted match of each word plus a bonus when the name
+// contains the whole query
+export const scoreSearchIndex = (index, query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0 || !index) {
+    return 0;
+  }
+
+  const fieldWords = Object.keys(FIELD_WEIGHTS).map((field) => [
+    field,
+    index[field] ? index[field].split(" ") : [],
+  ]);
+
+  let score = 0;
+  for (const token of tokens) {
+    const best = Math.max(
+      ...fieldWords.map(
+        ([field, words]) => FIELD_WEIGHTS[field] * matchWord(token, words)
+      )
+    );
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+
+  if (` ${index.name} `.includes(` ${tokens.join(" ")} `)) {
+    score += FIELD_WEIGHTS.name;
+  }
+  return score;
+};
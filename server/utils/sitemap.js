@@ -0,0 +1,49 @@
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+export const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+// duong dan tren cua hang, giong voi route cua frontend
+export const productPath = (product) => `/products/${product.slug}`;
+export const categoryPath = (category) => `/collections/${category.slug}`;
+
+// entries: [{ path, lastmod }]
+export const buildSitemap = (baseUrl, entries) => {
+  const urls = entries.map((entry) => {
+    const lines = [`    <loc>${escapeXml(`${baseUrl}${entry.path}`)}</loc>`];
+    if (entry.lastmod) {
+      lines.push(
+        `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>`
+      );
+    }
+    return `  <url>\n${lines.join("\n")}\n  </url>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+};
+
+// tai khoan, gio hang va admin khong can duoc index
+export const buildRobots = (baseUrl) =>
+  [
+    "User-agent: *",
+    "Disallow: /admin",
+    "Disallow: /profile",
+    "Disallow: /cart",
+    "Disallow: /order",
+    "Allow: /",
+    "",
+    `Sitemap: ${baseUrl}/sitemap.xml`,
+    "",
+  ].join("\n");
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import Category from "../models/categoryModel.js";
+import SizeChart from "../models/sizeChartModel.js";
+
+export const SIZE_CHART_NOT_FOUND_MESSAGE = "Size chart not found";
+
+// "155-162", "155 - 162", 94 hoac { min, max } => { min, max }, null neu sai
+export const parseRange = (value) => {
+  if (value !== null && typeof value === "object") {
+    const min = Number(value.min);
+    const max = Number(value.max ?? value.min);
+    return isFinite(min) && isFinite(max) && min <= max ? { min, max } : null;
+  }
+  const text = String(value ?? "").trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    return null;
+  }
+  const min = Number(match[1]);
+  const max = Number(match[2] ?? match[1]);
+  return min <= max ? { min, max } : null;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// kiem tra cot va dong cua bang size, tra ve { measurements, rows } hoac { error }
+export const parseSizeChartTable = (measurements, rows) => {
+  if (!Array.isArray(measurements) || measurements.length === 0) {
+    return { error: "Size chart needs at least one measurement" };
+  }
+  const keys = new Set();
+  for (const measurement of measurements) {
+    const key = String(measurement?.key ?? "").trim();
+    if (!key || !measurement.label || !String(measurement.label).trim()) {
+      return { error: "Every measurement needs a key and a label" };
+    }
+    if (keys.has(key)) {
+      return { error: `Duplicate measurement: ${key}` };
+    }
+    keys.add(key);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { error: "Size chart needs at least one size" };
+  }
+  const sizes = new Set();
+  const parsedRows = [];
+  for (const row of rows) {
+    const size = String(row?.size ?? "").trim();
+    if (!size) {
+      return { error: "Every row needs a size" };
+    }
+    if (sizes.has(size)) {
+      return { error: `Duplicate size: ${size}` };
+    }
+    sizes.add(size);
+
+    const values = {};
+    for (const [key, value] of Object.entries(row.values || {})) {
+      if (!keys.has(key)) {
+        return { error: `Unknown measurement: ${key}` };
+      }
+      if (isEmpty(value)) {
+        continue;
+      }
+      const range = parseRange(value);
+      if (!range) {
+        return { error: `Invalid ${key} for size ${size}` };
+      }
+      values[key] = range;
+    }
+    parsedRows.push({ size, values });
+  }
+
+  return {
+    measurements: measurements.map((measurement) => ({
+      key: String(measurement.key).trim(),
+      label: String(measurement.label).trim(),
+      unit: measurement.unit ? String(measurement.unit).trim() : "",
+    })),
+    rows: parsedRows,
+  };
+};
+
+// danh muc cua san pham, gan nhat truoc: danh muc sau hon truoc, cung do sau
+// thi danh muc gan truc tiep truoc danh muc cha
+export const rankProductCategories = (categories) => {
+  const ranks = new Map();
+  const setRank = (id, depth, direct) => {
+    const key = id.toString();
+    const current = ranks.get(key);
+    if (!current || depth > current.depth || (direct && !current.direct)) {
+      ranks.set(key, { depth, direct: direct || Boolean(current?.direct) });
+    }
+  };
+  categories.forEach((category) => {
+    const ancestors = category.ancestors || [];
+    setRank(category._id, ancestors.length, true);
+    ancestors.forEach((ancestorId, index) => setRank(ancestorId, index, false));
+  });
+  return [...ranks.entries()]
+    .sort((a, b) => b[1].depth - a[1].depth || b[1].direct - a[1].direct)
+    .map(([id]) => id);
+};
+
+// bang size rieng cua san pham, neu khong co thi bang size cua danh muc gan nhat
+export const findProductSizeChart = async (product) => {
+  const own = await SizeChart.findOne({ products: product._id });
+  if (own) {
+    return own;
+  }
+
+  const categories = await Category.find({
+    $or: [
+      { _id: { $in: product.categoryIds || [] } },
+      { name: { $in: product.categories || [] } },
+    ],
+  });
+  const rankedIds = rankProductCategories(categories);
+  if (rankedIds.length === 0) {
+    return null;
+  }
+
+  const charts = await SizeChart.find({ categories: { $in: rankedIds } });
+  for (const id of rankedIds) {
+    const chart = charts.find((item) =>
+      item.categories.some((categoryId) => categoryId.toString() === id)
+    );
+    if (chart) {
+      return chart;
+    }
+  }
+  return null;
+};
+
+// moi danh muc / san pham chi thuoc mot bang size
+export const releaseAssignments = async (chart) => {
+  await SizeChart.updateMany(
+    { _id: { $ne: chart._id } },
+    {
+      $pull: {
+        categories: { $in: chart.categories },
+        products: { $in: chart.products },
+      },
+    }
+  );
+};
+
+export const isObjectIdList = (ids) =>
+  Array.isArray(ids) && ids.every((id) => mongoose.Types.ObjectId.isValid(id));
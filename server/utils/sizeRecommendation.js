@@ -0,0 +1,202 @@
+import Order from "../models/orderModel.js";
+import Product from "../models/productModel.js";
+import { findProductSizeChart } from "./sizeChart.js";
+
+export const FIT_PREFERENCES = ["slim", "regular", "loose"];
+
+// so do cua khach trong bang size: key cua measurement => key trong fitProfile
+const PROFILE_MEASUREMENTS = ["height", "weight"];
+
+const FIT_PROFILE_LIMITS = {
+  height: { min: 50, max: 250 },
+  weight: { min: 10, max: 300 },
+};
+
+// kiem tra fitProfile khi cap nhat tai khoan, tra ve { fitProfile } hoac { error }
+// null / "" de xoa so do
+export const parseFitProfile = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: "Fit profile must be an object" };
+  }
+  const fitProfile = {};
+  for (const key of PROFILE_MEASUREMENTS) {
+    if (value[key] === undefined) {
+      continue;
+    }
+    if (value[key] === null || value[key] === "") {
+      fitProfile[key] = null;
+      continue;
+    }
+    const number = Number(value[key]);
+    const { min, max } = FIT_PROFILE_LIMITS[key];
+    if (isNaN(number) || number < min || number > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    fitProfile[key] = number;
+  }
+  if (value.fit !== undefined) {
+    if (!FIT_PREFERENCES.includes(value.fit)) {
+      return { error: `Fit must be one of: ${FIT_PREFERENCES.join(", ")}` };
+    }
+    fitProfile.fit = value.fit;
+  }
+  return { fitProfile };
+};
+
+const distanceToRange = (value, range) =>
+  value < range.min ? range.min - value : Math.max(0, value - range.max);
+
+// dong gan nhat voi so do, -1 neu bang khong co so do nay
+const nearestRowIndex = (rows, key, value) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  rows.forEach((row, index) => {
+    const range = row.values?.get ? row.values.get(key) : row.values?.[key];
+    if (!range) {
+      return;
+    }
+    const distance = distanceToRange(value, range);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+// size theo bang size: moi so do chon mot dong, lech nhau thi slim lay size nho,
+// regular lay size lon; loose tang them mot size
+export const recommendFromChart = (chart, fitProfile) => {
+  const rows = chart?.rows || [];
+  const indexes = PROFILE_MEASUREMENTS.filter(
+    (key) => typeof fitProfile?.[key] === "number"
+  )
+    .map((key) => nearestRowIndex(rows, key, fitProfile[key]))
+    .filter((index) => index >= 0);
+  if (indexes.length === 0) {
+    return null;
+  }
+
+  const fit = fitProfile.fit || "regular";
+  let index = fit === "slim" ? Math.min(...indexes) : Math.max(...indexes);
+  if (fit === "loose") {
+    index = Math.min(index + 1, rows.length - 1);
+  }
+  return rows[index].size;
+};
+
+// cac dong san pham (ke ca thanh phan combo) co size trong don hang
+export const getPurchasedSizes = (orders) =>
+  orders
+    .flatMap((order) =>
+      (order.products || []).flatMap((item) =>
+        item.bundleId
+          ? (item.components || []).map((component) => ({
+              productId: component.productId,
+              size: component.size,
+              quantity: (component.quantity || 1) * item.quantity,
+            }))
+          : [
+              {
+                productId: item.productId,
+                size: item.size,
+                quantity: item.quantity,
+              },
+            ]
+      )
+    )
+    .filter((line) => line.productId && line.size);
+
+// size mua nhieu nhat, bang nhau thi lay size mua gan day nhat
+export const pickHistorySize = (lines) => {
+  const counts = new Map();
+  lines.forEach((line) =>
+    counts.set(line.size, (counts.get(line.size) || 0) + line.quantity)
+  );
+  let best = null;
+  counts.forEach((count, size) => {
+    if (best === null || count > counts.get(best)) {
+      best = size;
+    }
+  });
+  return best;
+};
+
+// gop goi y tu bang size va lich su: size da giu lech mot size so voi bang thi
+// tin lich su, lech nhieu hon thi tin bang size
+export const combineRecommendations = (profileSize, historySize, sizeOrder) => {
+  if (!profileSize && !historySize) {
+    return { size: null, source: null };
+  }
+  if (!historySize) {
+    return { size: profileSize, source: "profile" };
+  }
+  if (!profileSize) {
+    return { size: historySize, source: "history" };
+  }
+  if (profileSize === historySize) {
+    return { size: profileSize, source: "profile_history" };
+  }
+  const profileIndex = sizeOrder.indexOf(profileSize);
+  const historyIndex = sizeOrder.indexOf(historySize);
+  if (
+    profileIndex >= 0 &&
+    historyIndex >= 0 &&
+    Math.abs(profileIndex - historyIndex) === 1
+  ) {
+    return { size: historySize, source: "history" };
+  }
+  return { size: profileSize, source: "profile" };
+};
+
+const sharesCategory = (product, other) =>
+  (other.categoryIds || []).some((id) =>
+    (product.categoryIds || []).some((categoryId) => categoryId.equals(id))
+  ) ||
+  (other.categories || []).some((name) =>
+    (product.categories || []).includes(name)
+  );
+
+// size da mua o don da giao, chi tinh san pham nay va san pham cung danh muc
+const findHistorySize = async (userId, product) => {
+  const orders = await Order.find({ userId, status: "delivered" }).sort({
+    deliveredTime: -1,
+  });
+  const lines = getPurchasedSizes(orders);
+  if (lines.length === 0) {
+    return null;
+  }
+  const products = await Product.find({
+    _id: { $in: [...new Set(lines.map((line) => String(line.productId)))] },
+  }).select("categoryIds categories");
+  const related = new Set(
+    products
+      .filter(
+        (item) => item._id.equals(product._id) || sharesCategory(product, item)
+      )
+      .map((item) => String(item._id))
+  );
+  return pickHistorySize(
+    lines.filter((line) => related.has(String(line.productId)))
+  );
+};
+
+// goi y size cho khach, chi tra ve size ma san pham co ban
+export const recommendSize = async (user, product) => {
+  const chart = await findProductSizeChart(product);
+  const profileSize = chart
+    ? recommendFromChart(chart, user.fitProfile || {})
+    : null;
+  const historySize = await findHistorySize(user._id, product);
+
+  const sizes = product.sizes || [];
+  const sizeOrder = chart ? chart.rows.map((row) => row.size) : sizes;
+  const available = (size) =>
+    size && (sizes.length === 0 || sizes.includes(size)) ? size : null;
+  const result = combineRecommendations(
+    available(profileSize),
+    available(historySize),
+    sizeOrder
+  );
+  return { ...result, profileSize, historySize };
+};
@@ -0,0 +1,109 @@
+import { normalizeText } from "./searchIndex.js";
+
+// "Áo Thun Đen!" => "ao-thun-den"
+export const slugify = (text) => normalizeText(text).replace(/ /g, "-");
+
+// a slug also stays taken while another document keeps it as an old slug, so
+// redirects never point at two documents
+export const generateUniqueSlug = async (Model, text, excludeId) => {
+  const base = slugify(text) || "item";
+  let slug = base;
+  let suffix = 2;
+  while (
+    await Model.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug }, { previousSlugs: slug }],
+    })
+  ) {
+    slug = `${base}-${suffix}`;
+    suffix++;
+  }
+  return slug;
+};
+
+// tim theo slug hien tai, neu khong co thi theo slug cu de chuyen huong
+export const findBySlug = async (Model, slug) => {
+  const current = await Model.findOne({ slug });
+  if (current) {
+    return { doc: current, redirect: false };
+  }
+  const renamed = await Model.findOne({ previousSlugs: slug });
+  return { doc: renamed, redirect: Boolean(renamed) };
+};
+
+const nextPreviousSlugs = (previousSlugs, oldSlug, newSlug) => {
+  const kept = (previousSlugs || []).filter((item) => item !== newSlug);
+  if (oldSlug && oldSlug !== newSlug && !kept.includes(oldSlug)) {
+    kept.push(oldSlug);
+  }
+  return kept;
+};
+
+// slug sinh tu truong source (ten), doi ten thi doi slug va giu slug cu trong
+// previousSlugs de chuyen huong
+export const slugPlugin = (schema, { source }) => {
+  schema.add({
+    slug: { type: String },
+    previousSlugs: [{ type: String }],
+  });
+  schema.index({ slug: 1 }, { unique: true, sparse: true });
+  schema.index({ previousSlugs: 1 });
+
+  schema.post("init", function () {
+    this.$locals.savedSlug = this.slug;
+  });
+
+  schema.pre("validate", async function () {
+    const requested = this.isModified("slug") && this.slug;
+    if (!requested && this.slug && !this.isModified(source)) {
+      return;
+    }
+    if (!requested && !this[source]) {
+      return;
+    }
+
+    const slug = await generateUniqueSlug(
+      this.constructor,
+      requested || this[source],
+      this._id
+    );
+    this.previousSlugs = nextPreviousSlugs(
+      this.previousSlugs,
+      this.$locals.savedSlug,
+      slug
+    );
+    this.slug = slug;
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate();
+    const changes = update.$set || update;
+    if (changes.slug === undefined && changes[source] === undefined) {
+      return;
+    }
+
+    const current = await this.model.findOne(this.getQuery()).lean();
+    if (!current) {
+      return;
+    }
+    // an empty slug means "from the name", which keeps the current one
+    const renamed =
+      changes[source] !== undefined && changes[source] !== current[source];
+    if (!changes.slug && !renamed && current.slug) {
+      delete changes.slug;
+      return;
+    }
+
+    const slug = await generateUniqueSlug(
+      this.model,
+      changes.slug || changes[source] || current[source],
+      current._id
+    );
+    changes.slug = slug;
+    changes.previousSlugs = nextPreviousSlugs(
+      current.previousSlugs,
+      current.slug,
+      slug
+    );
+  });
+};
@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import Notification from "../models/notificationModel.js";
+import StockSubscription from "../models/stockSubscriptionModel.js";
+import { pusherServer } from "../lib/pusher.js";
+import { getStoreUrl, sendMail } from "./mail.js";
+import { hasVariants } from "./variant.js";
+
+export const STOCK_SUBSCRIPTION_NOT_FOUND_MESSAGE = "Subscription not found";
+
+export const createSubscriptionToken = () =>
+  crypto.randomBytes(20).toString("hex");
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// kiem tra dang ky, tra ve error hoac null
+// san pham co bien the thi phai chon dung bien the dang het hang
+export const validateStockSubscription = (product, { color, size, email }) => {
+  if (!email || !isEmail(String(email).trim())) {
+    return "A valid email is required";
+  }
+  if (hasVariants(product)) {
+    const variant = product.variants.find(
+      (item) => item.color === color && item.size === size
+    );
+    if (!variant) {
+      return "Please choose a color and size of this product";
+    }
+    if (variant.stock > 0) {
+      return "This variant is in stock";
+    }
+  } else if (product.stock > 0) {
+    return "This product is in stock";
+  }
+  return null;
+};
+
+// ton kho truoc khi sua, de so sanh sau khi luu
+export const getStockSnapshot = (product) => ({
+  stock: product.stock,
+  variants: (product.variants || []).map((variant) => ({
+    color: variant.color,
+    size: variant.size,
+    stock: variant.stock,
+  })),
+});
+
+// bien the tu het hang (<= 0) thanh con hang; san pham khong co bien the
+// tra ve [{ color: "", size: "" }] nghia la bao cho moi dang ky cua san pham
+export const getRestockedVariants = (before, after) => {
+  const afterVariants = after.variants || [];
+  if (afterVariants.length === 0) {
+    return before.stock <= 0 && after.stock > 0
+      ? [{ color: "", size: "" }]
+      : [];
+  }
+  const beforeVariants = before.variants || [];
+  return afterVariants
+    .filter((variant) => {
+      if (variant.stock <= 0) {
+        return false;
+      }
+      const previous = beforeVariants.find(
+        (item) => item.color === variant.color && item.size === variant.size
+      );
+      const previousStock = previous
+        ? previous.stock
+        : beforeVariants.length === 0
+        ? before.stock
+        : 0;
+      return previousStock <= 0;
+    })
+    .map((variant) => ({ color: variant.color, size: variant.size }));
+};
+
+export const buildRestockFilter = (productId, restocked) =>
+  restocked.some((variant) => !variant.color && !variant.size)
+    ? { product: productId }
+    : {
+        product: productId,
+        $or: restocked.map(({ color, size }) => ({ color, size })),
+      };
+
+const describeVariant = (subscription) =>
+  [subscription.color, subscription.size].filter(Boolean).join(" / ");
+
+const sendRestockMail = (subscription, product, productUrl) => {
+  const variant = describeVariant(subscription);
+  const unsubscribeUrl = `${getStoreUrl()}/stockAlert/unsubscribe/${
+    subscription.token
+  }`;
+  return sendMail({
+    to: subscription.email,
+    subject: `${product.name} đã có hàng trở lại`,
+    text: [
+      `${product.name}${variant ? ` (${variant})` : ""} đã có hàng trở lại.`,
+      `Xem sản phẩm: ${productUrl}`,
+      `Bạn nhận được mail này vì đã đăng ký nhận thông báo. Hủy đăng ký: ${unsubscribeUrl}`,
+    ].join("\n\n"),
+  });
+};
+
+const createRestockNotification = async (subscription, product, link) => {
+  const variant = describeVariant(subscription);
+  const notification = await Notification.create({
+    user: subscription.user,
+    type: "restock",
+    title: `${product.name} đã có hàng trở lại`,
+    message: variant ? `Phân loại ${variant} đã có hàng.` : "",
+    link,
+  });
+  try {
+    await pusherServer.trigger(
+      subscription.user.toString(),
+      "new-notification",
+      notification
+    );
+  } catch (error) {
+    console.error("Error in restock notification:", error.message);
+  }
+};
+
+// bao cho khach da dang ky khi bien the co hang lai roi xoa dang ky; loi gui
+// mail khong lam hong viec cap nhat san pham, dang ky gui loi giu lai de bao lan sau
+export const notifyRestock = async (before, product) => {
+  const restocked = getRestockedVariants(before, product);
+  if (restocked.length === 0) {
+    return 0;
+  }
+  try {
+    const subscriptions = await StockSubscription.find(
+      buildRestockFilter(product._id, restocked)
+    );
+    const path = product.slug
+      ? `/products/${product.slug}`
+      : `/productDetail/${product._id}`;
+    const notifiedIds = [];
+    for (const subscription of subscriptions) {
+      try {
+        await sendRestockMail(subscription, product, `${getStoreUrl()}${path}`);
+        if (subscription.user) {
+          await createRestockNotification(subscription, product, path);
+        }
+        notifiedIds.push(subscription._id);
+      } catch (error) {
+        console.error("Error in restock mail:", error.message);
+      }
+    }
+    await StockSubscription.deleteMany({ _id: { $in: notifiedIds } });
+    return notifiedIds.length;
+  } catch (error) {
+    console.error("Error in notifyRestock:", error.message);
+    return 0;
+  }
+};
+
+// admin khong phai doi gui mail xong moi nhan duoc ket qua cap nhat
+export const notifyRestockInBackground = (before, product) => {
+  notifyRestock(before, product).catch((error) =>
+    console.error("Error in notifyRestock:", error.message)
+  );
+};
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import StockReservation from "../models/stockReservationModel.js";
+import { buildStockItems, takeStock } from "./inventory.js";
+
+// Stripe chi cho checkout session het han sau it nhat 30 phut
+export const DEFAULT_RESERVATION_MINUTES = 30;
+
+export const getReservationMinutes = () => {
+  const minutes = Number(process.env.STOCK_RESERVATION_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_RESERVATION_MINUTES;
+};
+
+// giong cach cong don ton kho khi dat hang: theo SKU, khong co bien the thi theo san pham
+export const getStockKey = (productId, sku) => sku || String(productId);
+
+// so luong dang duoc giu (chua het han) cua cac san pham, theo getStockKey
+export const getReservedQuantities = async (productIds, now = new Date()) => {
+  const ids = productIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const reserved = await StockReservation.aggregate([
+    {
+      $match: {
+        status: "active",
+        expiresAt: { $gt: now },
+        "items.product": { $in: ids },
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.product": { $in: ids } } },
+    {
+      $group: {
+        _id: { product: "$items.product", sku: "$items.sku" },
+        quantity: { $sum: "$items.quantity" },
+      },
+    },
+  ]);
+  return new Map(
+    reserved.map((item) => [
+      getStockKey(item._id.product, item._id.sku),
+      item.quantity,
+    ])
+  );
+};
+
+// tru kho nhung khong lay phan dang giu (chua het han) cho don khac
+export const takeUnreservedStock = async (items, meta, now = new Date()) => {
+  const reserved = await getReservedQuantities(
+    items.map((item) => item.product),
+    now
+  );
+  return takeStock(
+    items.map((item) => ({
+      ...item,
+      reserved: reserved.get(getStockKey(item.product, item.sku)) || 0,
+    })),
+    meta
+  );
+};
+
+export const createReservation = (
+  order,
+  stockLines,
+  foundProducts,
+  now = new Date()
+) =>
+  StockReservation.create({
+    order: order._id,
+    user: order.userId || null,
+    items: buildStockItems(stockLines, foundProducts),
+    expiresAt: new Date(now.getTime() + getReservationMinutes() * 60 * 1000),
+  });
+
+// thanh toan thanh cong: tru kho dung mot lan. Chi giu hang con active moi
+// duoc xac nhan (ke ca da qua han nhung job chua don), giu hang da tra lai thi
+// bo qua. Kho khong con du hang (tru phan giu cho don khac) thi danh dau
+// outOfStock de admin hoan tien
+export const confirmReservation = async (orderId, now = new Date()) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: "active" },
+    { status: "confirmed", confirmedAt: now },
+    { new: true }
+  );
+  if (!reservation) {
+    return null;
+  }
+  const taken = await takeUnreservedStock(
+    reservation.items.map((item) => item.toObject()),
+    {
+      reason: "sale",
+      actor: reservation.user,
+      order: reservation.order,
+    },
+    now
+  );
+  if (!taken) {
+    return StockReservation.findByIdAndUpdate(
+      reservation._id,
+      { status: "released", releasedAt: now, releaseReason: "outOfStock" },
+      { new: true }
+    );
+  }
+  return reservation;
+};
+
+// don online chi tru kho khi da thanh toan
+export const hasConfirmedReservation = async (orderId) =>
+  Boolean(
+    await StockReservation.exists({ order: orderId, status: "confirmed" })
+  );
+
+// tra lai hang dang giu khi thanh toan that bai hoac don bi huy
+export const releaseReservation = (orderId, reason, now = new Date()) =>
+  StockReservation.findOneAndUpdate(
+    { order: orderId, status: "active" },
+    { status: "released", releasedAt: now, releaseReason: reason },
+    { new: true }
+  );
+
+// job don dep: giu hang qua han ma chua thanh toan
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const result = await StockReservation.updateMany(
+    { status: "active", expiresAt: { $lte: now } },
+    { status: "released", releasedAt: now, releaseReason: "expired" }
+  );
+  return { released: result.modifiedCount };
+};
@@ -0,0 +1,120 @@
+// bo dau tieng viet de tao ma SKU
+const toSkuPart = (value) =>
+  String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .replace(/[^a-zA-Z0-9]+/g, "")
+    .toUpperCase();
+
+export const buildSku = (productId, color, size) => {
+  return `${String(productId).slice(-6).toUpperCase()}-${toSkuPart(
+    color
+  )}-${toSkuPart(size)}`;
+};
+
+export const hasVariants = (product) =>
+  Array.isArray(product?.variants) && product.variants.length > 0;
+
+export const findVariant = (product, color, size) => {
+  if (!hasVariants(product)) {
+    return undefined;
+  }
+  return product.variants.find(
+    (variant) => variant.color === color && variant.size === size
+  );
+};
+
+// products without variants keep using the product level stock
+export const getAvailableStock = (product, color, size) => {
+  if (!hasVariants(product)) {
+    return product.stock;
+  }
+  const variant = findVariant(product, color, size);
+  return variant ? variant.stock : 0;
+};
+
+export const getUnitPrice = (product, color, size) => {
+  const variant = findVariant(product, color, size);
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return variant.price;
+  }
+  return product.price;
+};
+
+export const sumVariantStock = (variants) =>
+  variants.reduce((total, variant) => total + variant.stock, 0);
+
+// returns an error message, or null when every variant is valid
+export const validateVariants = (variants) => {
+  if (!Array.isArray(variants)) {
+    return "Variants must be an array";
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of variants) {
+    if (!variant.size || !variant.color) {
+      return "Each variant needs a size and a color";
+    }
+    if (!Number.isInteger(Number(variant.stock)) || Number(variant.stock) < 0) {
+      return `Invalid stock for variant ${variant.color} / ${variant.size}`;
+    }
+    if (
+      variant.price !== undefined &&
+      variant.price !== null &&
+      variant.price !== "" &&
+      (isNaN(Number(variant.price)) || Number(variant.price) < 0)
+    ) {
+      return `Invalid price for variant ${variant.color} / ${variant.size}`;
+    }
+
+    const key = `${variant.color}|${variant.size}`;
+    if (combinations.has(key)) {
+      return `Duplicate variant ${variant.color} / ${variant.size}`;
+    }
+    combinations.add(key);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        return `Duplicate SKU ${variant.sku}`;
+      }
+      skus.add(variant.sku);
+    }
+  }
+
+  return null;
+};
+
+// bien the gui len khong kem stock (form sua san pham) giu ton kho dang luu,
+// bien the moi khong kem stock bat dau tu 0
+export const keepStoredStock = (variants, product) =>
+  variants.map((variant) =>
+    variant.stock === undefined
+      ? {
+          ...variant,
+          stock: findVariant(product, variant.color, variant.size)?.stock ?? 0,
+        }
+      : variant
+  );
+
+// fill in generated SKUs and cast numbers, call validateVariants first
+export const normalizeVariants = (variants, productId) =>
+  variants.map((variant) => {
+    const normalized = {
+      sku: variant.sku || buildSku(productId, variant.color, variant.size),
+      size: variant.size,
+      color: variant.color,
+      stock: Number(variant.stock),
+    };
+    if (
+      variant.price !== undefined &&
+      variant.price !== null &&
+      variant.price !== ""
+    ) {
+      normalized.price = Number(variant.price);
+    }
+    return normalized;
+  });
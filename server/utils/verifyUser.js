@@ -14,3 +14,18 @@ export const verifyToken = (req, res, next) => {
     next();
   });
 };
+
+// public routes that show more to admins: read the user when there is a valid
+// token but never reject the request
+export const readOptionalUser = (req, res, next) => {
+  const token = req.cookies?.access_token;
+  if (!token) {
+    return next();
+  }
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    if (!err) {
+      req.user = user;
+    }
+    next();
+  });
+};